@@ -1,23 +1,42 @@
 // admin/js/analytics.js - Analytics Dashboard
 
+// Quantidade a partir da qual o estoque é considerado baixo
+const LOW_STOCK_THRESHOLD = 3;
+
+/**
+ * Produtos ativos com estoque controlado (no produto ou em alguma variação)
+ * igual ou abaixo do limite. Produtos sob encomenda são ignorados.
+ */
+function getLowStockProducts(products) {
+    return products.filter(p => {
+        if (!p.active || p.madeToOrder) return false;
+        const stocks = [p.stock, ...(p.variants || []).map(v => v.stock)];
+        return stocks.some(stock => Number.isInteger(stock) && stock <= LOW_STOCK_THRESHOLD);
+    });
+}
+
 /**
  * Calcula estatísticas avançadas dos produtos
  */
 export async function getProductAnalytics() {
     try {
         const db = firebase.firestore();
-        // Busca todos os produtos
+        // Busca todos os produtos (fora da lixeira)
         const productsSnapshot = await db.collection('products').get();
-        const products = productsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const products = productsSnapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         // Busca todas as categorias
         const categoriesSnapshot = await db.collection('categories').get();
-        const categories = categoriesSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const categories = categoriesSnapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         // Estatísticas gerais
         // Distribuição de preços
         const priceRanges = [0, 50, 100, 200, 500, 1000];
@@ -40,7 +59,11 @@ export async function getProductAnalytics() {
         );
 
         // Insights automáticos
+        const lowStockProducts = getLowStockProducts(products);
         const insights = [];
+        if (lowStockProducts.length > 0) {
+            insights.push(`Existem ${lowStockProducts.length} produto(s) com estoque baixo (até ${LOW_STOCK_THRESHOLD} unidades).`);
+        }
         if (products.filter(p => !p.image || p.image === '').length > 0) {
             insights.push('Existem produtos sem imagem.');
         }
@@ -72,6 +95,7 @@ export async function getProductAnalytics() {
             productsWithoutImage: products.filter(p => !p.image || p.image === '').length,
             productsWithoutDescription: products.filter(p => !p.description || p.description.trim() === '').length,
             productsWithoutLink: products.filter(p => !p.link || p.link === '').length,
+            lowStockProducts,
             priceDistribution,
             score,
             insights
@@ -128,13 +152,21 @@ export function renderAnalyticsDashboard(stats) {
                 <div class="insights-grid">
                     ${stats.insights.map(i => {
                         const hasDescription = i.includes('sem descrição');
-                        const filterType = hasDescription ? 'no-description' : 'no-link';
+                        const isLowStock = i.includes('estoque baixo');
+                        let filterType = hasDescription ? 'no-description' : 'no-link';
+                        let icon = hasDescription ? '📝' : '🔗';
+                        let title = hasDescription ? 'Produtos sem Descrição' : 'Produtos sem Link';
+                        if (isLowStock) {
+                            filterType = 'low-stock';
+                            icon = '📉';
+                            title = 'Estoque Baixo';
+                        }
                         return `
                         <a href="products.html?filter=${filterType}" class="insight-card-link">
                             <div class="insight-card ${hasDescription ? 'info' : 'warning'}">
                                 <div class="insight-header">
-                                    <span class="insight-icon">${hasDescription ? '📝' : '🔗'}</span>
-                                    <span class="insight-title">${hasDescription ? 'Produtos sem Descrição' : 'Produtos sem Link'}</span>
+                                    <span class="insight-icon">${icon}</span>
+                                    <span class="insight-title">${title}</span>
                                 </div>
                                 <p class="insight-message">${i}</p>
                             </div>
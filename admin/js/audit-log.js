@@ -0,0 +1,259 @@
+/**
+ * Módulo de Histórico de Alterações (Auditoria)
+ * Registra na coleção "auditLog" cada criação, alteração e exclusão feita no
+ * painel (produtos e categorias), com o usuário, a data e a diferença campo a
+ * campo ({ campo: { before, after } }).
+ *
+ * O registro entra no mesmo lote (batch) da gravação: ou os dois são salvos,
+ * ou nenhum. Com os valores "before" de cada registro, um produto pode voltar
+ * ao estado anterior a qualquer alteração do histórico.
+ */
+
+const AUDIT_COLLECTION = 'auditLog';
+
+// Campos gerados automaticamente, fora da comparação
+const AUDIT_IGNORED_FIELDS = new Set(['createdAt', 'updatedAt']);
+
+// Campos da lixeira: reverter não coloca nem tira o item da lixeira
+const AUDIT_TRASH_FIELDS = new Set(['deletedAt', 'deletedBy', 'activeBeforeTrash']);
+
+// Marca valores que não entram no histórico (ex.: serverTimestamp())
+const AUDIT_SKIP = Symbol('audit-skip');
+
+// Valor gravado no histórico para um campo ausente (diferente de null):
+// reverter remove o campo em vez de gravar null
+const AUDIT_ABSENT = Object.freeze({ __absent: true });
+
+const AUDIT_ACTION_LABELS = {
+    create: 'Criado',
+    update: 'Alterado',
+    trash: 'Movido para a lixeira',
+    restore: 'Restaurado da lixeira',
+    delete: 'Excluído definitivamente'
+};
+
+const AUDIT_SOURCE_LABELS = {
+    form: 'formulário',
+    bulk: 'ações em lote',
+    import: 'importação',
+    revert: 'reversão',
+    category: 'renomeação de categoria',
+    trash: 'lixeira',
+    purge: 'limpeza automática da lixeira',
+    sync: 'ajuste do preço mínimo'
+};
+
+const AUDIT_FIELD_LABELS = {
+    name: 'Nome',
+    slug: 'Endereço',
+    category: 'Categoria',
+    price: 'Preço',
+    minPrice: 'Preço mínimo',
+    priceSchedule: 'Preço agendado',
+    stock: 'Estoque',
+    madeToOrder: 'Sob encomenda',
+    leadTimeDays: 'Prazo (dias)',
+    active: 'Ativo',
+    description: 'Descrição',
+    link: 'Link',
+    image: 'Imagem principal',
+    images: 'Imagens',
+    variants: 'Variações',
+    deletedBy: 'Excluído por',
+    deletedAt: 'Excluído em',
+    activeBeforeTrash: 'Ativo antes da lixeira'
+};
+
+/**
+ * Valor no formato gravado no histórico: undefined e FieldValue.delete()
+ * viram AUDIT_ABSENT; outros FieldValue (serverTimestamp) são ignorados.
+ * @param {*} value
+ * @returns {*}
+ */
+function toAuditValue(value) {
+    if (value === undefined) return AUDIT_ABSENT;
+    if (value instanceof firebase.firestore.FieldValue) {
+        return value.isEqual(firebase.firestore.FieldValue.delete()) ? AUDIT_ABSENT : AUDIT_SKIP;
+    }
+    return value;
+}
+
+/**
+ * @param {*} value - Valor lido do histórico
+ * @returns {boolean} true se o campo não existia
+ */
+function isAbsentValue(value) {
+    return value?.__absent === true && Object.keys(value).length === 1;
+}
+
+/**
+ * Texto comparável de um valor (a ordem das chaves não importa)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalAuditValue(value) {
+    const sort = item => {
+        if (item instanceof firebase.firestore.Timestamp) return item.toMillis();
+        if (Array.isArray(item)) return item.map(sort);
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.keys(item).sort().map(key => [key, sort(item[key])]));
+        }
+        return item ?? null;
+    };
+    return JSON.stringify(sort(value));
+}
+
+/**
+ * Diferença campo a campo entre dois estados do documento.
+ * @param {object|null} before - Documento antes (null na criação)
+ * @param {object|null} after - Campos gravados (null na exclusão)
+ * @param {boolean} [partial=false] - true para update(): compara só os campos enviados
+ * @returns {object} { campo: { before, after } }
+ */
+function diffFields(before, after, partial = false) {
+    const fields = partial
+        ? Object.keys(after || {})
+        : new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    for (const field of fields) {
+        if (AUDIT_IGNORED_FIELDS.has(field)) continue;
+        const previous = toAuditValue(before?.[field]);
+        const next = toAuditValue(after?.[field]);
+        if (previous === AUDIT_SKIP || next === AUDIT_SKIP) continue;
+        if (canonicalAuditValue(previous) !== canonicalAuditValue(next)) {
+            changes[field] = { before: previous, after: next };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Adiciona o registro de uma gravação ao lote.
+ * @param {firebase.firestore.WriteBatch} batch - Lote que contém a gravação
+ * @param {object} entry
+ * @param {string} entry.collection - 'products' ou 'categories'
+ * @param {string} entry.docId
+ * @param {string} [entry.docName] - Nome exibido no histórico
+ * @param {'create'|'update'|'trash'|'restore'|'delete'} entry.action
+ * @param {object|null} [entry.before] - Documento antes da gravação
+ * @param {object|null} [entry.after] - Dados gravados (exceto em create, só os campos enviados)
+ * @param {string} entry.source - Chave de AUDIT_SOURCE_LABELS
+ * @param {string} [entry.bulkId] - Agrupa os registros de uma mesma operação em lote
+ * @param {string} [entry.revertOf] - Registro desfeito (reversão)
+ * @returns {string|null} ID do registro, ou null se nada mudou
+ */
+function recordChange(batch, { collection, docId, docName = '', action, before = null, after = null, source, bulkId = null, revertOf = null }) {
+    const changes = diffFields(before, after, action !== 'create' && action !== 'delete');
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    const user = auth.currentUser;
+    const ref = db.collection(AUDIT_COLLECTION).doc();
+    batch.set(ref, {
+        collection,
+        docId,
+        docName: docName || after?.name || before?.name || '',
+        action,
+        changes,
+        source,
+        bulkId,
+        revertOf,
+        user: { uid: user?.uid || '', email: user?.email || '' },
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return ref.id;
+}
+
+/**
+ * ID compartilhado pelos registros de uma operação em lote
+ * @returns {string}
+ */
+function newBulkId() {
+    return db.collection(AUDIT_COLLECTION).doc().id;
+}
+
+/**
+ * Documentos atuais (estado "antes") de vários IDs
+ * @param {string} collection
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, object>>} Apenas os que existem
+ */
+async function fetchDocs(collection, ids) {
+    const snapshots = await Promise.all(ids.map(id => db.collection(collection).doc(id).get()));
+    return new Map(snapshots.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+}
+
+/**
+ * Histórico de um documento, do mais recente para o mais antigo
+ * @param {string} collection
+ * @param {string} docId
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<object>>}
+ */
+async function loadHistory(collection, docId, limit = 50) {
+    const snapshot = await db.collection(AUDIT_COLLECTION)
+        .where('collection', '==', collection)
+        .where('docId', '==', docId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Campos para voltar o documento ao estado anterior a um registro: desfaz,
+ * do mais recente até ele, cada alteração do histórico. Campos que não
+ * existiam antes voltam como FieldValue.delete() (registros antigos, sem
+ * AUDIT_ABSENT, voltam como null).
+ * @param {Array<object>} entries - Retorno de loadHistory (mais recente primeiro)
+ * @param {string} entryId - Registro até o qual desfazer (inclusive)
+ * @returns {object|null} { campo: valor } ou null se o registro não estiver na lista
+ */
+function getStateBefore(entries, entryId) {
+    const index = entries.findIndex(entry => entry.id === entryId);
+    if (index === -1) return null;
+
+    const state = {};
+    for (const entry of entries.slice(0, index + 1)) {
+        for (const [field, change] of Object.entries(entry.changes || {})) {
+            if (AUDIT_TRASH_FIELDS.has(field)) continue;
+            state[field] = isAbsentValue(change.before) ? firebase.firestore.FieldValue.delete() : change.before;
+        }
+    }
+    return state;
+}
+
+/**
+ * Valor legível no histórico
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '' || isAbsentValue(value)) return '—';
+    if (value instanceof firebase.firestore.Timestamp) return value.toDate().toLocaleString('pt-BR');
+    if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+    if ((field === 'price' || field === 'minPrice') && typeof value === 'number') return `R$ ${value.toFixed(2)}`;
+    if (field === 'priceSchedule') {
+        const label = { set: `R$ ${Number(value.value).toFixed(2)}`, discount: `-${value.value}%`, increase: `+${value.value}%` }[value.mode] || '';
+        const endsAt = value.endsAt?.toDate ? ` até ${value.endsAt.toDate().toLocaleString('pt-BR')}` : '';
+        return `${label}${endsAt}`;
+    }
+    if (Array.isArray(value)) return `${value.length} item(ns)`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Expor funções globalmente
+globalThis.AuditLog = {
+    ACTION_LABELS: AUDIT_ACTION_LABELS,
+    SOURCE_LABELS: AUDIT_SOURCE_LABELS,
+    FIELD_LABELS: AUDIT_FIELD_LABELS,
+    diffFields,
+    recordChange,
+    newBulkId,
+    fetchDocs,
+    loadHistory,
+    getStateBefore,
+    formatAuditValue
+};
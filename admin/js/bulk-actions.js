@@ -6,6 +6,10 @@
 // Estado de seleção
 let selectedProducts = new Set();
 
+// Produtos por lote: cada um grava o produto e o registro do histórico, e o
+// Firestore aceita até 500 gravações por lote
+const BULK_BATCH_SIZE = 200;
+
 /**
  * Inicializa o sistema de ações em lote
  */
@@ -223,6 +227,9 @@ async function handleBulkAction(action) {
             case 'change-price':
                 await bulkChangePrice(productIds);
                 break;
+            case 'change-stock':
+                await bulkChangeStock(productIds);
+                break;
             default:
                 console.log('Ação não reconhecida:', action);
         }
@@ -233,25 +240,54 @@ async function handleBulkAction(action) {
 }
 
 /**
- * Exclui múltiplos produtos
+ * Aplica alterações em vários produtos em lotes de BULK_BATCH_SIZE,
+ * registrando cada produto no histórico (auditLog) com o mesmo bulkId
+ * @param {string[]} productIds
+ * @param {object|function(object): object} updates - Campos, ou função que recebe os dados atuais do produto
+ */
+async function commitBulkUpdate(productIds, updates) {
+    const currentDocs = await AuditLog.fetchDocs('products', productIds);
+    const bulkId = AuditLog.newBulkId();
+    // Produtos excluídos enquanto estavam selecionados ficam de fora
+    const entries = [...currentDocs];
+    
+    for (let start = 0; start < entries.length; start += BULK_BATCH_SIZE) {
+        const batch = db.batch();
+        
+        for (const [id, before] of entries.slice(start, start + BULK_BATCH_SIZE)) {
+            const data = typeof updates === 'function' ? updates(before) : updates;
+            batch.update(db.collection('products').doc(id), data);
+            AuditLog.recordChange(batch, { collection: 'products', docId: id, action: 'update', before, after: data, source: 'bulk', bulkId });
+        }
+        
+        await batch.commit();
+    }
+}
+
+/**
+ * Move múltiplos produtos para a lixeira
  */
 async function bulkDeleteProducts(productIds) {
-    const confirmed = confirm(`Deseja realmente excluir ${productIds.length} produto(s)?\n\nEsta ação não pode ser desfeita.`);
+    const confirmed = confirm(`Mover ${productIds.length} produto(s) para a lixeira?\n\nEles saem do site e podem ser restaurados em Lixeira.`);
     
     if (!confirmed) return;
     
     try {
-        const batch = db.batch();
+        const currentDocs = await AuditLog.fetchDocs('products', productIds);
+        const bulkId = AuditLog.newBulkId();
+        const entries = [...currentDocs];
         
-        productIds.forEach(id => {
-            const docRef = db.collection('products').doc(id);
-            batch.delete(docRef);
-        });
-        
-        await batch.commit();
+        // Mover para a lixeira também grava o produto e o histórico
+        for (let start = 0; start < entries.length; start += BULK_BATCH_SIZE) {
+            const batch = db.batch();
+            for (const [id, before] of entries.slice(start, start + BULK_BATCH_SIZE)) {
+                TrashBin.moveToTrash(batch, 'products', id, before, { source: 'bulk', bulkId });
+            }
+            await batch.commit();
+        }
         
-        console.log('Produtos excluídos com sucesso:', productIds.length);
-        showNotification(`${productIds.length} produto(s) excluído(s) com sucesso!`, 'success');
+        console.log('Produtos movidos para a lixeira:', productIds.length);
+        showNotification(`${productIds.length} produto(s) movido(s) para a lixeira!`, 'success');
         
         // Limpa seleção e recarrega
         clearSelection();
@@ -267,14 +303,7 @@ async function bulkDeleteProducts(productIds) {
  */
 async function bulkUpdateStatus(productIds, active) {
     try {
-        const batch = db.batch();
-        
-        productIds.forEach(id => {
-            const docRef = db.collection('products').doc(id);
-            batch.update(docRef, { active });
-        });
-        
-        await batch.commit();
+        await commitBulkUpdate(productIds, { active });
         
         const status = active ? 'ativado(s)' : 'desativado(s)';
         console.log(`Produtos ${status}:`, productIds.length);
@@ -294,7 +323,9 @@ async function bulkUpdateStatus(productIds, active) {
 async function bulkChangeCategory(productIds) {
     // Busca categorias disponíveis
     const categoriesSnapshot = await db.collection('categories').get();
-    const categories = categoriesSnapshot.docs.map(doc => doc.data().name);
+    const categories = categoriesSnapshot.docs
+        .filter(doc => !TrashBin.isTrashed(doc.data()))
+        .map(doc => doc.data().name);
     
     if (categories.length === 0) {
         alert('Nenhuma categoria cadastrada. Cadastre categorias primeiro.');
@@ -319,14 +350,7 @@ async function bulkChangeCategory(productIds) {
     }
     
     try {
-        const batch = db.batch();
-        
-        productIds.forEach(id => {
-            const docRef = db.collection('products').doc(id);
-            batch.update(docRef, { category: newCategory });
-        });
-        
-        await batch.commit();
+        await commitBulkUpdate(productIds, { category: newCategory });
         
         console.log('Categoria atualizada:', productIds.length, 'produtos');
         showNotification(`Categoria de ${productIds.length} produto(s) alterada para "${newCategory}"!`, 'success');
@@ -340,12 +364,64 @@ async function bulkChangeCategory(productIds) {
 }
 
 /**
- * Altera preço de múltiplos produtos
+ * Converte "dd/mm/aaaa hh:mm" (horário local) em Date
+ * @returns {Date|null} null se o texto não for uma data válida
+ */
+function parseDateTime(text) {
+    const match = /^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?\s*$/.exec(text || '');
+    if (!match) return null;
+    const [, day, month, year, hours = '0', minutes = '0'] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+    // Rejeita datas que "transbordam" (ex.: 31/02)
+    return date.getDate() === Number(day) && date.getMonth() === Number(month) - 1 ? date : null;
+}
+
+/**
+ * Pergunta o período de um preço agendado
+ * @returns {{startsAt: Date, endsAt: Date}|null} null se cancelado ou inválido
+ */
+function promptSchedulePeriod() {
+    const startInput = prompt('Início (dd/mm/aaaa hh:mm):\n\nDeixe em branco para começar agora.');
+    if (startInput === null) return null;
+
+    const startsAt = startInput.trim() ? parseDateTime(startInput) : new Date();
+    if (!startsAt) {
+        alert('Data de início inválida. Use o formato dd/mm/aaaa hh:mm.');
+        return null;
+    }
+
+    const endInput = prompt('Fim (dd/mm/aaaa hh:mm):\n\nO preço original volta a valer nesse momento.');
+    if (endInput === null) return null;
+
+    const endsAt = parseDateTime(endInput);
+    if (!endsAt || endsAt <= startsAt || endsAt <= new Date()) {
+        alert('Data de fim inválida. Ela deve ser futura e depois do início.');
+        return null;
+    }
+
+    return { startsAt, endsAt };
+}
+
+/**
+ * Indica se o produto tem variações (cada uma com preço e estoque próprios)
+ */
+function hasVariantList(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+/**
+ * Altera preço de múltiplos produtos, na hora (sobrescreve o preço) ou
+ * agendado (campo priceSchedule, o preço original continua salvo)
  */
 async function bulkChangePrice(productIds) {
-    const action = prompt('Escolha a operação:\n\n1 - Definir preço fixo\n2 - Aplicar desconto (%)\n3 - Aplicar acréscimo (%)\n\nDigite o número da opção:');
+    const action = prompt('Escolha a operação:\n\n1 - Definir preço fixo\n2 - Aplicar desconto (%)\n3 - Aplicar acréscimo (%)\n4 - Cancelar preço agendado (volta ao preço original)\n\nDigite o número da opção:');
     
-    if (!action || !['1', '2', '3'].includes(action)) return;
+    if (!action || !['1', '2', '3', '4'].includes(action)) return;
+    
+    if (action === '4') {
+        await bulkCancelPriceSchedule(productIds);
+        return;
+    }
     
     const value = parseFloat(prompt('Digite o valor:'));
     
@@ -354,40 +430,40 @@ async function bulkChangePrice(productIds) {
         return;
     }
     
+    const when = prompt('Quando aplicar?\n\n1 - Agora (substitui o preço atual)\n2 - Agendar período (o preço original volta no fim)\n\nDigite o número da opção:');
+    
+    if (!when || !['1', '2'].includes(when)) return;
+    
+    if (when === '2') {
+        const period = promptSchedulePeriod();
+        if (!period) return;
+        await bulkSchedulePrice(productIds, {
+            mode: { 1: 'set', 2: 'discount', 3: 'increase' }[action],
+            value,
+            ...period
+        });
+        return;
+    }
+    
+    // Preço novo a partir do atual (a mesma regra vale para o produto e cada variação)
+    const transform = (currentPrice) => {
+        if (action === '1') return value;
+        const factor = action === '2' ? 1 - value / 100 : 1 + value / 100;
+        return Math.max(0.01, parseFloat(((Number(currentPrice) || 0) * factor).toFixed(2)));
+    };
+    
     try {
-        const batch = db.batch();
-        
-        if (action === '1') {
-            // Preço fixo
-            productIds.forEach(id => {
-                const docRef = db.collection('products').doc(id);
-                batch.update(docRef, { price: value });
-            });
-        } else {
-            // Desconto ou acréscimo - precisa buscar preços atuais
-            const products = await Promise.all(
-                productIds.map(id => db.collection('products').doc(id).get())
-            );
-            
-            products.forEach(doc => {
-                if (doc.exists) {
-                    const currentPrice = doc.data().price || 0;
-                    let newPrice;
-                    
-                    if (action === '2') {
-                        // Desconto
-                        newPrice = currentPrice * (1 - value / 100);
-                    } else {
-                        // Acréscimo
-                        newPrice = currentPrice * (1 + value / 100);
-                    }
-                    
-                    batch.update(doc.ref, { price: Math.max(0.01, parseFloat(newPrice.toFixed(2))) });
-                }
-            });
-        }
-        
-        await batch.commit();
+        // O site exibe o preço de cada variação: elas mudam junto com o produto
+        await commitBulkUpdate(productIds, (product) => {
+            const data = {
+                price: transform(product.price),
+                ...(hasVariantList(product) && {
+                    variants: product.variants.map(variant => ({ ...variant, price: transform(variant.price ?? product.price) }))
+                })
+            };
+            data.minPrice = globalThis.ValidationModule.getMinPrice(data);
+            return data;
+        });
         
         console.log('Preços atualizados:', productIds.length, 'produtos');
         showNotification(`Preço de ${productIds.length} produto(s) atualizado com sucesso!`, 'success');
@@ -400,6 +476,121 @@ async function bulkChangePrice(productIds) {
     }
 }
 
+/**
+ * Agenda uma mudança de preço com início e fim. O campo "price" não é
+ * alterado: o site calcula o preço em vigor (src/js/app/price-schedule.js),
+ * aplicando o agendamento ao preço do produto e ao de cada variação
+ */
+async function bulkSchedulePrice(productIds, { mode, value, startsAt, endsAt }) {
+    if (mode === 'discount' && value >= 100) {
+        alert('O desconto deve ser menor que 100%.');
+        return;
+    }
+    
+    try {
+        await commitBulkUpdate(productIds, {
+            priceSchedule: {
+                mode,
+                value,
+                startsAt: firebase.firestore.Timestamp.fromDate(startsAt),
+                endsAt: firebase.firestore.Timestamp.fromDate(endsAt),
+                createdAt: firebase.firestore.Timestamp.now(),
+                createdBy: auth.currentUser?.email || ''
+            },
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        
+        console.log('Preço agendado:', productIds.length, 'produtos', mode, value);
+        showNotification(`Preço de ${productIds.length} produto(s) agendado de ${startsAt.toLocaleString('pt-BR')} até ${endsAt.toLocaleString('pt-BR')}!`, 'success');
+        
+        clearSelection();
+        await loadProducts();
+    } catch (error) {
+        console.error('Erro ao agendar preços:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove o preço agendado (o preço original volta a valer na hora)
+ */
+async function bulkCancelPriceSchedule(productIds) {
+    const confirmed = confirm(`Cancelar o preço agendado de ${productIds.length} produto(s)?\n\nO preço original volta a valer imediatamente.`);
+    
+    if (!confirmed) return;
+    
+    try {
+        await commitBulkUpdate(productIds, {
+            priceSchedule: firebase.firestore.FieldValue.delete(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        
+        console.log('Agendamento de preço cancelado:', productIds.length, 'produtos');
+        showNotification(`Preço original de ${productIds.length} produto(s) restaurado!`, 'success');
+        
+        clearSelection();
+        await loadProducts();
+    } catch (error) {
+        console.error('Erro ao cancelar agendamento de preço:', error);
+        throw error;
+    }
+}
+
+/**
+ * Altera estoque ou regime sob encomenda de múltiplos produtos
+ * (o estoque definido vale também para cada variação)
+ */
+async function bulkChangeStock(productIds) {
+    const action = prompt('Escolha a operação:\n\n1 - Definir estoque\n2 - Marcar como sob encomenda\n3 - Voltar para pronta entrega\n4 - Parar de controlar estoque\n\nDigite o número da opção:');
+    
+    if (!action || !['1', '2', '3', '4'].includes(action)) return;
+    
+    let updates;
+    
+    if (action === '1') {
+        const stock = Number(prompt('Quantidade em estoque:\n\nProdutos com variações recebem essa quantidade em cada variação.'));
+        if (!Number.isInteger(stock) || stock < 0 || stock > 99999) {
+            alert('Quantidade inválida. Use um número inteiro entre 0 e 99999.');
+            return;
+        }
+        updates = { stock };
+    } else if (action === '2') {
+        const leadTimeDays = Number(prompt('Prazo de produção (dias):'));
+        if (!Number.isInteger(leadTimeDays) || leadTimeDays < 1 || leadTimeDays > 365) {
+            alert('Prazo inválido. Use um número inteiro entre 1 e 365.');
+            return;
+        }
+        updates = { madeToOrder: true, leadTimeDays };
+    } else if (action === '3') {
+        updates = { madeToOrder: false, leadTimeDays: null };
+    } else {
+        updates = { stock: null };
+    }
+    
+    // Com variações, a disponibilidade vem do estoque de cada uma
+    // (ver getAvailability em src/js/app/inventory.js)
+    const applyStock = (product) => {
+        if (!('stock' in updates) || !hasVariantList(product)) return updates;
+        return {
+            ...updates,
+            variants: product.variants.map(variant => ({ ...variant, stock: updates.stock }))
+        };
+    };
+    
+    try {
+        await commitBulkUpdate(productIds, applyStock);
+        
+        console.log('Estoque atualizado:', productIds.length, 'produtos', updates);
+        showNotification(`Estoque de ${productIds.length} produto(s) atualizado com sucesso!`, 'success');
+        
+        clearSelection();
+        await loadProducts();
+    } catch (error) {
+        console.error('Erro ao alterar estoque:', error);
+        throw error;
+    }
+}
+
 /**
  * Limpa a seleção atual
  */
@@ -0,0 +1,736 @@
+/**
+ * Módulo de Importação/Exportação do Catálogo
+ * Importa produtos de CSV ou JSON (mapeamento de colunas, validação por linha
+ * com validateProduct e prévia das alterações antes de gravar) e exporta o
+ * catálogo completo em JSON (backup) ou CSV (planilhas).
+ *
+ * Produtos são casados pela coluna "id" ou, na falta dela, pelo endereço (slug):
+ * existentes são atualizados, os demais são criados.
+ */
+
+// Limite de operações por lote do Firestore é 500
+// (cada produto ocupa duas: a gravação e o registro no histórico)
+const IMPORT_BATCH_SIZE = 200;
+
+// Separador de listas (imagens) dentro de uma célula do CSV
+const LIST_SEPARATOR = ' | ';
+
+// Campos importáveis, na ordem das colunas do CSV exportado.
+// "aliases" são nomes de coluna reconhecidos automaticamente (sem acentos/espaços)
+const CATALOG_FIELDS = [
+    { key: 'id', label: 'ID', aliases: ['id', 'codigo'] },
+    { key: 'slug', label: 'Endereço (slug)', aliases: ['slug', 'endereco', 'url'] },
+    { key: 'name', label: 'Nome', aliases: ['name', 'nome', 'produto'] },
+    { key: 'category', label: 'Categoria', aliases: ['category', 'categoria'] },
+    { key: 'price', label: 'Preço', aliases: ['price', 'preco', 'valor'] },
+    { key: 'stock', label: 'Estoque', aliases: ['stock', 'estoque', 'quantidade'] },
+    { key: 'madeToOrder', label: 'Sob encomenda', aliases: ['madetoorder', 'sobencomenda', 'encomenda'] },
+    { key: 'leadTimeDays', label: 'Prazo (dias)', aliases: ['leadtimedays', 'prazo', 'prazodias', 'prazodeproducao'] },
+    { key: 'active', label: 'Ativo', aliases: ['active', 'ativo', 'status'] },
+    { key: 'description', label: 'Descrição', aliases: ['description', 'descricao'] },
+    { key: 'link', label: 'Link', aliases: ['link', 'whatsapp'] },
+    { key: 'images', label: 'Imagens', aliases: ['images', 'imagens', 'image', 'imagem'] },
+    { key: 'variants', label: 'Variações', aliases: ['variants', 'variacoes'] }
+];
+
+// Campos comparados na prévia e gravados na importação (os de validateProduct)
+const PRODUCT_FIELDS = CATALOG_FIELDS.map(field => field.key).filter(key => key !== 'id');
+
+const ACTION_LABELS = {
+    create: 'Criar',
+    update: 'Atualizar',
+    unchanged: 'Sem alterações',
+    error: 'Erro'
+};
+
+// Estado da importação em andamento
+let importData = null;   // { columns: string[], rows: object[] }
+let importPlan = [];     // Resultado de buildImportPlan
+
+// Elementos DOM
+const importModal = document.getElementById('catalog-import-modal');
+const importFileInput = document.getElementById('catalog-import-file');
+const importMapping = document.getElementById('catalog-import-mapping');
+const importMappingFields = document.getElementById('catalog-import-fields');
+const importPreview = document.getElementById('catalog-import-preview');
+const importSummary = document.getElementById('catalog-import-summary');
+const importTableBody = document.getElementById('catalog-import-table-body');
+const importConfirmButton = document.getElementById('catalog-import-confirm');
+
+// ============================================
+// LEITURA DE ARQUIVOS
+// ============================================
+
+/**
+ * Nome de coluna sem acentos, espaços e maiúsculas ("Preço (R$)" → "precor")
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeColumnName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replaceAll(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replaceAll(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Separador usado na primeira linha do CSV (";" do Excel em português, "," ou tab)
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const counts = [';', ',', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][0];
+}
+
+/**
+ * Lê um CSV (campos entre aspas podem conter separadores e quebras de linha)
+ * @param {string} text
+ * @returns {{columns: string[], rows: object[]}}
+ */
+function parseCsv(text) {
+    const delimiter = detectDelimiter(text);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Ignora linhas totalmente vazias (ex.: final do arquivo)
+    const [header = [], ...lines] = records.filter(line => line.some(cell => cell.trim() !== ''));
+    const columns = header.map(column => column.trim());
+    const rows = lines.map(line => Object.fromEntries(columns.map((column, index) => [column, line[index] ?? ''])));
+    return { columns, rows };
+}
+
+/**
+ * Lê um JSON: lista de produtos, { products: [...] } ou { products: { id: dados } }
+ * @param {string} text
+ * @returns {{columns: string[], rows: object[]}}
+ */
+function parseJson(text) {
+    const data = JSON.parse(text);
+    let rows = Array.isArray(data) ? data : data?.products;
+
+    if (rows && !Array.isArray(rows) && typeof rows === 'object') {
+        rows = Object.entries(rows).map(([id, product]) => ({ id, ...product }));
+    }
+    if (!Array.isArray(rows)) {
+        throw new Error('O JSON deve ser uma lista de produtos');
+    }
+
+    rows = rows.filter(row => row && typeof row === 'object');
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { columns, rows };
+}
+
+/**
+ * Lê o arquivo escolhido (CSV ou JSON, pela extensão)
+ * @param {File} file
+ * @returns {Promise<{columns: string[], rows: object[]}>}
+ */
+async function readImportFile(file) {
+    // Remove o BOM que o Excel grava no início do arquivo
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    return isJson ? parseJson(text) : parseCsv(text);
+}
+
+// ============================================
+// CONVERSÃO DE VALORES
+// ============================================
+
+function isEmptyCell(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Número em formato brasileiro ou americano ("R$ 1.234,56", "89,90", "89.90")
+ * @returns {number} NaN se inválido
+ */
+function parseDecimal(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value).replaceAll(/R\$|\s/g, '');
+    if (text.includes(',')) {
+        text = text.replaceAll('.', '').replace(',', '.');
+    }
+    return text === '' ? Number.NaN : Number(text);
+}
+
+/**
+ * Sim/não de planilha ("sim", "x", "1", "ativo", "true")
+ * @returns {boolean|null} null se não reconhecido
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = normalizeColumnName(value);
+    if (['sim', 's', 'x', '1', 'true', 'ativo', 'yes'].includes(text)) return true;
+    if (['nao', 'n', '0', 'false', 'inativo', 'no'].includes(text)) return false;
+    return null;
+}
+
+/**
+ * Converte o valor de uma célula para o formato do campo do produto
+ * @param {string} key - Campo (CATALOG_FIELDS)
+ * @param {*} value - Valor lido do arquivo (texto no CSV, qualquer tipo no JSON)
+ * @returns {{value?: *, error?: string}}
+ */
+function convertCell(key, value) {
+    switch (key) {
+        case 'price':
+            return { value: parseDecimal(value) };
+        case 'stock':
+        case 'leadTimeDays':
+            return { value: typeof value === 'number' ? value : parseDecimal(value) };
+        case 'active':
+        case 'madeToOrder': {
+            const bool = parseBoolean(value);
+            return bool === null ? { error: 'use sim ou não' } : { value: bool };
+        }
+        case 'images':
+            return {
+                value: Array.isArray(value)
+                    ? value.map(String)
+                    : String(value).split(/\s*\|\s*|\n/).map(url => url.trim()).filter(Boolean)
+            };
+        case 'variants':
+            if (Array.isArray(value)) return { value };
+            try {
+                return { value: JSON.parse(value) };
+            } catch {
+                return { error: 'JSON de variações inválido' };
+            }
+        default:
+            return { value: String(value).trim() };
+    }
+}
+
+// ============================================
+// MAPEAMENTO DE COLUNAS
+// ============================================
+
+/**
+ * Sugere a coluna do arquivo para cada campo pelo nome
+ * @param {string[]} columns
+ * @returns {object} { campo: coluna }
+ */
+function guessMapping(columns) {
+    const mapping = {};
+    for (const field of CATALOG_FIELDS) {
+        const column = columns.find(name => field.aliases.includes(normalizeColumnName(name)));
+        if (column !== undefined) mapping[field.key] = column;
+    }
+    return mapping;
+}
+
+function renderMapping() {
+    const mapping = guessMapping(importData.columns);
+    const options = importData.columns
+        .map(column => `<option value="${escapeHtml(column)}">${escapeHtml(column)}</option>`)
+        .join('');
+
+    importMappingFields.innerHTML = CATALOG_FIELDS.map(field => `
+        <div class="form-group">
+            <label for="catalog-map-${field.key}">${field.label}</label>
+            <select id="catalog-map-${field.key}" data-field="${field.key}">
+                <option value="">Não importar</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+
+    for (const select of importMappingFields.querySelectorAll('select')) {
+        select.value = mapping[select.dataset.field] ?? '';
+    }
+}
+
+function readMapping() {
+    const mapping = {};
+    for (const select of importMappingFields.querySelectorAll('select')) {
+        if (select.value !== '') mapping[select.dataset.field] = select.value;
+    }
+    return mapping;
+}
+
+// ============================================
+// PRÉVIA (DRY-RUN)
+// ============================================
+
+/**
+ * Busca todos os produtos e categorias para casar e validar as linhas
+ */
+async function loadCatalogSnapshot() {
+    const [productsSnapshot, categoriesSnapshot] = await Promise.all([
+        db.collection('products').get(),
+        db.collection('categories').get()
+    ]);
+    return {
+        products: productsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        categoryNames: new Set(categoriesSnapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => doc.data().name))
+    };
+}
+
+/**
+ * Dados atuais do produto no formato do formulário (ponto de partida da linha)
+ */
+function toFormData(product) {
+    if (!product) {
+        return {
+            slug: '', name: '', category: '', price: '', stock: '',
+            madeToOrder: false, leadTimeDays: '', active: true,
+            description: '', link: '', images: [], variants: []
+        };
+    }
+    return {
+        slug: product.slug || '',
+        name: product.name || '',
+        category: product.category || '',
+        price: product.price,
+        stock: product.stock ?? '',
+        madeToOrder: Boolean(product.madeToOrder),
+        leadTimeDays: product.leadTimeDays ?? '',
+        active: product.active !== false,
+        description: product.description || '',
+        link: product.link || '',
+        images: product.images || (product.image ? [product.image] : []),
+        variants: product.variants || []
+    };
+}
+
+/**
+ * Forma canônica para comparar valores (o Firestore não preserva a ordem das chaves)
+ */
+function canonicalValue(value) {
+    if (Array.isArray(value)) return value.map(canonicalValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalValue(value[key])]));
+    }
+    return value ?? null;
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(canonicalValue(a)) === JSON.stringify(canonicalValue(b));
+}
+
+/**
+ * Monta o plano de importação: ação, alterações e erros de cada linha.
+ * Células vazias mantêm o valor atual do produto (ou o padrão, na criação).
+ * @returns {Array<{line: number, action: string, id: string|null, name: string, data?: object, changes?: object, errors?: string[]}>}
+ */
+function buildImportPlan(rows, mapping, { products, categoryNames }) {
+    const byId = new Map(products.map(product => [product.id, product]));
+    const bySlug = new Map(products.filter(product => product.slug).map(product => [product.slug, product]));
+    const slugsInFile = new Map();
+
+    return rows.map((row, index) => {
+        // Linha 1 do CSV é o cabeçalho
+        const line = index + 2;
+        const errors = [];
+
+        const cell = key => (mapping[key] === undefined ? undefined : row[mapping[key]]);
+        const id = isEmptyCell(cell('id')) ? '' : String(cell('id')).trim();
+        const slug = isEmptyCell(cell('slug')) ? '' : globalThis.ValidationModule.generateSlug(cell('slug'));
+
+        let existing = null;
+        if (id) {
+            existing = byId.get(id) || null;
+            if (!existing) errors.push(`ID "${id}" não encontrado`);
+        } else if (slug) {
+            existing = bySlug.get(slug) || null;
+        }
+        if (TrashBin.isTrashed(existing)) {
+            errors.push('Produto na lixeira: restaure-o antes de importar');
+        }
+
+        const productData = toFormData(existing);
+        for (const key of PRODUCT_FIELDS) {
+            const value = cell(key);
+            if (isEmptyCell(value)) continue;
+            const converted = convertCell(key, value);
+            if (converted.error) {
+                errors.push(`${CATALOG_FIELDS.find(field => field.key === key).label}: ${converted.error}`);
+            } else {
+                productData[key] = converted.value;
+            }
+        }
+        if (!productData.slug) {
+            productData.slug = globalThis.ValidationModule.generateSlug(productData.name);
+        }
+        if (!productData.madeToOrder) productData.leadTimeDays = '';
+
+        const validation = globalThis.ValidationModule.validateProduct(productData);
+        for (const [field, error] of Object.entries(validation.errors)) {
+            const label = CATALOG_FIELDS.find(item => item.key === field)?.label || field;
+            errors.push(`${label}: ${error}`);
+        }
+        const data = validation.sanitized;
+
+        if (data.category && !categoryNames.has(data.category)) {
+            errors.push(`Categoria "${data.category}" não cadastrada`);
+        }
+
+        // Cada produto precisa de um endereço próprio (no banco e no arquivo)
+        const owner = bySlug.get(data.slug);
+        if (data.slug && owner && owner.id !== existing?.id) {
+            errors.push(`Endereço "${data.slug}" já usado por "${owner.name}"`);
+        }
+        if (data.slug && slugsInFile.has(data.slug)) {
+            errors.push(`Endereço "${data.slug}" repetido na linha ${slugsInFile.get(data.slug)}`);
+        } else if (data.slug) {
+            slugsInFile.set(data.slug, line);
+        }
+
+        const name = data.name || productData.name || existing?.name || '';
+        if (errors.length > 0) {
+            return { line, action: 'error', id: existing?.id || null, name, errors };
+        }
+
+        if (!existing) {
+            return { line, action: 'create', id: null, name, data };
+        }
+
+        const current = toFormData(existing);
+        const changes = {};
+        for (const key of PRODUCT_FIELDS) {
+            // Compara com o valor atual já normalizado (ex.: estoque vazio = null)
+            const before = key === 'stock' || key === 'leadTimeDays' ? (current[key] === '' ? null : current[key]) : current[key];
+            if (!isSameValue(before, data[key])) {
+                changes[key] = { before: existing[key], after: data[key] };
+            }
+        }
+        const action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        return { line, action, id: existing.id, name, data, changes, before: existing };
+    });
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return `${value.length} item(ns)`;
+    if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+    return String(value);
+}
+
+function renderPlanDetails(item) {
+    if (item.action === 'error') {
+        return `<ul class="catalog-import-errors">${item.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+    }
+    if (item.action === 'create') {
+        return `<span class="text-muted">${escapeHtml(item.data.category)} • R$ ${item.data.price.toFixed(2)} • /produto/${escapeHtml(item.data.slug)}</span>`;
+    }
+    if (item.action === 'unchanged') {
+        return '<span class="text-muted">Nenhuma diferença</span>';
+    }
+    return `<ul class="catalog-import-changes">${Object.entries(item.changes).map(([key, change]) => `
+        <li>
+            <strong>${escapeHtml(CATALOG_FIELDS.find(field => field.key === key).label)}:</strong>
+            <del>${escapeHtml(formatValue(change.before))}</del> → ${escapeHtml(formatValue(change.after))}
+        </li>
+    `).join('')}</ul>`;
+}
+
+function renderPreview() {
+    const counts = { create: 0, update: 0, unchanged: 0, error: 0 };
+    for (const item of importPlan) counts[item.action]++;
+
+    importSummary.textContent = `${importPlan.length} linha(s): ${counts.create} para criar, ${counts.update} para atualizar, ${counts.unchanged} sem alterações e ${counts.error} com erro.`
+        + (counts.error > 0 ? ' Linhas com erro não serão importadas.' : '');
+
+    importTableBody.innerHTML = importPlan.map(item => `
+        <tr class="catalog-import-row-${item.action}">
+            <td>${item.line}</td>
+            <td><span class="status catalog-import-${item.action}">${ACTION_LABELS[item.action]}</span></td>
+            <td>${escapeHtml(item.name || '—')}</td>
+            <td>${renderPlanDetails(item)}</td>
+        </tr>
+    `).join('');
+
+    const pending = counts.create + counts.update;
+    importConfirmButton.disabled = pending === 0;
+    importConfirmButton.textContent = `Importar ${pending} produto(s)`;
+    importPreview.classList.remove('hidden');
+}
+
+async function previewImport() {
+    const button = document.getElementById('catalog-import-preview-btn');
+    button.disabled = true;
+    button.textContent = 'Verificando...';
+
+    try {
+        const mapping = readMapping();
+        if (!mapping.name && !mapping.id && !mapping.slug) {
+            showNotification('Mapeie ao menos a coluna de nome, ID ou endereço', 'error');
+            return;
+        }
+        const snapshot = await loadCatalogSnapshot();
+        importPlan = buildImportPlan(importData.rows, mapping, snapshot);
+        renderPreview();
+    } catch (error) {
+        console.error('Erro ao pré-visualizar importação:', error);
+        showNotification('Erro ao verificar o arquivo', 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Pré-visualizar';
+    }
+}
+
+// ============================================
+// GRAVAÇÃO
+// ============================================
+
+/**
+ * Grava as linhas válidas do plano em lotes
+ * @returns {Promise<number>} Quantidade de produtos gravados
+ */
+async function commitImportPlan(plan) {
+    const items = plan.filter(item => item.action === 'create' || item.action === 'update');
+    const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+    const bulkId = AuditLog.newBulkId();
+
+    for (let start = 0; start < items.length; start += IMPORT_BATCH_SIZE) {
+        const batch = db.batch();
+
+        for (const item of items.slice(start, start + IMPORT_BATCH_SIZE)) {
+            if (item.action === 'create') {
+                const data = { ...item.data, createdAt: timestamp, updatedAt: timestamp };
+                // Mesmo campo de compatibilidade do formulário: primeira imagem como "image"
+                if (data.images.length > 0) data.image = data.images[0];
+                const ref = db.collection('products').doc();
+                batch.set(ref, data);
+                AuditLog.recordChange(batch, { collection: 'products', docId: ref.id, action: 'create', after: data, source: 'import', bulkId });
+            } else {
+                const data = { updatedAt: timestamp };
+                for (const key of Object.keys(item.changes)) {
+                    data[key] = item.data[key];
+                }
+                if (item.changes.images) data.image = item.data.images[0] || '';
+                if (item.changes.price || item.changes.variants) data.minPrice = item.data.minPrice;
+                batch.update(db.collection('products').doc(item.id), data);
+                AuditLog.recordChange(batch, { collection: 'products', docId: item.id, action: 'update', before: item.before, after: data, source: 'import', bulkId });
+            }
+        }
+
+        await batch.commit();
+        importConfirmButton.textContent = `Importando... ${Math.min(start + IMPORT_BATCH_SIZE, items.length)}/${items.length}`;
+    }
+
+    return items.length;
+}
+
+async function confirmImport() {
+    importConfirmButton.disabled = true;
+
+    try {
+        const total = await commitImportPlan(importPlan);
+        console.log('Catálogo importado:', total, 'produtos');
+        showNotification(`${total} produto(s) importado(s) com sucesso!`, 'success');
+        closeCatalogImport();
+        await globalThis.loadProducts?.();
+    } catch (error) {
+        console.error('Erro ao importar catálogo:', error);
+        showNotification('Erro ao importar. Parte dos produtos pode já ter sido gravada; verifique a prévia novamente.', 'error');
+        importConfirmButton.disabled = false;
+        importConfirmButton.textContent = 'Tentar novamente';
+    }
+}
+
+// ============================================
+// EXPORTAÇÃO
+// ============================================
+
+/**
+ * Converte Timestamps do Firestore em texto ISO (recursivo)
+ */
+function serializeValue(value) {
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeValue(item)]));
+    }
+    return value;
+}
+
+function toCsvCell(value) {
+    const text = String(value ?? '');
+    return /[";\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * CSV para planilhas: ";" e vírgula decimal (Excel em português), com BOM UTF-8
+ */
+function buildCatalogCsv(products) {
+    const header = CATALOG_FIELDS.map(field => field.key);
+    const lines = products.map(product => CATALOG_FIELDS.map(({ key }) => {
+        const value = key === 'images' ? toFormData(product).images : product[key];
+        switch (key) {
+            case 'price':
+                return Number(value || 0).toFixed(2).replace('.', ',');
+            case 'active':
+                return value === false ? 'não' : 'sim';
+            case 'madeToOrder':
+                return value ? 'sim' : 'não';
+            case 'images':
+                return value.join(LIST_SEPARATOR);
+            case 'variants':
+                return value?.length ? JSON.stringify(value) : '';
+            default:
+                return value ?? '';
+        }
+    }).map(toCsvCell).join(';'));
+
+    return `\uFEFF${[header.join(';'), ...lines].join('\r\n')}\r\n`;
+}
+
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Exporta todos os produtos (ativos e inativos)
+ * @param {'json'|'csv'} format
+ */
+async function exportCatalog(format) {
+    try {
+        const snapshot = await db.collection('products').orderBy('name').get();
+        const products = snapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({ id: doc.id, ...serializeValue(doc.data()) }));
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'csv') {
+            downloadFile(buildCatalogCsv(products), `catalogo-${date}.csv`, 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(JSON.stringify(products, null, 2), `catalogo-${date}.json`, 'application/json');
+        }
+
+        console.log('Catálogo exportado:', products.length, 'produtos', format);
+        showNotification(`${products.length} produto(s) exportado(s)!`, 'success');
+    } catch (error) {
+        console.error('Erro ao exportar catálogo:', error);
+        showNotification('Erro ao exportar catálogo', 'error');
+    }
+}
+
+// ============================================
+// MODAL
+// ============================================
+
+function resetImport() {
+    importData = null;
+    importPlan = [];
+    importFileInput.value = '';
+    importMapping.classList.add('hidden');
+    importPreview.classList.add('hidden');
+    importMappingFields.innerHTML = '';
+    importTableBody.innerHTML = '';
+}
+
+function openCatalogImport() {
+    resetImport();
+    importModal.classList.add('show');
+}
+
+function closeCatalogImport() {
+    importModal.classList.remove('show');
+    resetImport();
+}
+
+importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importPreview.classList.add('hidden');
+    if (!file) return;
+
+    try {
+        importData = await readImportFile(file);
+        if (importData.rows.length === 0) {
+            throw new Error('Arquivo sem produtos');
+        }
+        renderMapping();
+        importMapping.classList.remove('hidden');
+    } catch (error) {
+        console.error('Erro ao ler arquivo de importação:', error);
+        showNotification(`Não foi possível ler o arquivo: ${error.message}`, 'error');
+        resetImport();
+    }
+});
+
+// Mudar o mapeamento invalida a prévia
+importMappingFields.addEventListener('change', () => {
+    importPreview.classList.add('hidden');
+});
+
+document.getElementById('catalog-import-preview-btn').addEventListener('click', previewImport);
+importConfirmButton.addEventListener('click', confirmImport);
+
+importModal.addEventListener('click', (e) => {
+    if (e.target === importModal) {
+        closeCatalogImport();
+    }
+});
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+// Notificação
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+globalThis.openCatalogImport = openCatalogImport;
+globalThis.closeCatalogImport = closeCatalogImport;
+globalThis.exportCatalog = exportCatalog;
@@ -13,10 +13,13 @@ const categoryForm = document.getElementById('category-form');
 async function loadCategories() {
     try {
         const snapshot = await db.collection('categories').orderBy('name').get();
-        allCategories = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        // Categorias na lixeira aparecem só em trash.html
+        allCategories = snapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         renderCategories();
     } catch (error) {
         console.error('Erro ao carregar categorias:', error);
@@ -111,9 +114,14 @@ categoryForm.addEventListener('submit', async (e) => {
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
         };
         
+        const batch = db.batch();
         if (currentCategoryId) {
-            // Atualizar
-            await db.collection('categories').doc(currentCategoryId).update(categoryData);
+            // Atualizar (com o registro no histórico)
+            const ref = db.collection('categories').doc(currentCategoryId);
+            const before = (await ref.get()).data();
+            batch.update(ref, categoryData);
+            AuditLog.recordChange(batch, { collection: 'categories', docId: ref.id, action: 'update', before, after: categoryData, source: 'form' });
+            await batch.commit();
             // Atualizar produtos com essa categoria
             if (categoryData.name !== allCategories.find(c => c.id === currentCategoryId).name) {
                 const oldName = allCategories.find(c => c.id === currentCategoryId).name;
@@ -124,7 +132,10 @@ categoryForm.addEventListener('submit', async (e) => {
             // Criar nova
             categoryData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
             categoryData.productCount = 0;
-            await db.collection('categories').add(categoryData);
+            const ref = db.collection('categories').doc();
+            batch.set(ref, categoryData);
+            AuditLog.recordChange(batch, { collection: 'categories', docId: ref.id, action: 'create', after: categoryData, source: 'form' });
+            await batch.commit();
             showNotification('Categoria criada com sucesso!', 'success');
         }
         
@@ -147,9 +158,14 @@ async function updateProductsCategory(oldName, newName) {
             .where('category', '==', oldName)
             .get();
         
+        const bulkId = AuditLog.newBulkId();
         const batch = db.batch();
         for (const doc of snapshot.docs) {
             batch.update(doc.ref, { category: newName });
+            AuditLog.recordChange(batch, {
+                collection: 'products', docId: doc.id, action: 'update',
+                before: doc.data(), after: { category: newName }, source: 'category', bulkId
+            });
         }
         
         await batch.commit();
@@ -158,7 +174,7 @@ async function updateProductsCategory(oldName, newName) {
     }
 }
 
-// Excluir categoria
+// Excluir categoria (vai para a lixeira, de onde pode ser restaurada)
 async function deleteCategory(categoryId, categoryName) {
     try {
         // Buscar o slug da categoria para verificar produtos
@@ -168,21 +184,16 @@ async function deleteCategory(categoryId, categoryName) {
             return;
         }
         const categorySlug = categoryDoc.data().slug || categoryDoc.data().name;
-        // Verificar em tempo real se existem produtos com esta categoria
+        // Verificar em tempo real se existem produtos (fora da lixeira) com esta categoria
         const productsSnapshot = await db.collection('products')
             .where('category', '==', categorySlug)
-            .limit(1)
             .get();
-        const productCount = productsSnapshot.size;
-        // Se houver produtos, contar quantos são
-        if (productCount > 0) {
-            const allProductsSnapshot = await db.collection('products')
-                .where('category', '==', categorySlug)
-                .get();
-            const totalProducts = allProductsSnapshot.size;
+        const productDocs = productsSnapshot.docs.filter(doc => !TrashBin.isTrashed(doc.data()));
+        const totalProducts = productDocs.length;
+        if (totalProducts > 0) {
             // Mostra lista de produtos
             let productNames = [];
-            for (const doc of allProductsSnapshot.docs.slice(0, 5)) {
+            for (const doc of productDocs.slice(0, 5)) {
                 productNames.push(`• ${doc.data().name}`);
             }
             const moreProducts = totalProducts > 5 ? `\n... e mais ${totalProducts - 5} produto(s)` : '';
@@ -196,15 +207,16 @@ async function deleteCategory(categoryId, categoryName) {
             return;
         }
         // Se não tem produtos, pede confirmação
-        if (!confirm(`✅ Confirmar exclusão?\n\n` +
+        if (!confirm(`✅ Mover para a lixeira?\n\n` +
                      `Categoria: "${categoryName}"\n` +
                      `Produtos: 0 (nenhum)\n\n` +
-                     `Esta ação não pode ser desfeita.`)) {
+                     `Ela pode ser restaurada em Lixeira.`)) {
             return;
         }
-        // Exclui a categoria
-        await db.collection('categories').doc(categoryId).delete();
-        showNotification('✓ Categoria excluída com sucesso!', 'success');
+        const batch = db.batch();
+        TrashBin.moveToTrash(batch, 'categories', categoryId, categoryDoc.data());
+        await batch.commit();
+        showNotification('✓ Categoria movida para a lixeira!', 'success');
         loadCategories();
     } catch (error) {
         console.error('Erro ao excluir categoria:', error);
@@ -213,12 +225,14 @@ async function deleteCategory(categoryId, categoryName) {
 }
 
 // Atualizar contagem de produtos nas categorias
+// (campo calculado: fica fora do histórico de alterações)
 async function updateProductCounts() {
     try {
         const productsSnapshot = await db.collection('products').get();
         const counts = {};
         
         for (const doc of productsSnapshot.docs) {
+            if (TrashBin.isTrashed(doc.data())) continue;
             const category = doc.data().category;
             counts[category] = (counts[category] || 0) + 1;
         }
@@ -58,25 +58,27 @@ async function loadStats() {
     }
     
     try {
-        // Total de produtos
+        // Total de produtos (sem os da lixeira)
         const productsSnapshot = await db.collection('products').get();
-        document.getElementById('total-products').textContent = productsSnapshot.size;
+        const products = productsSnapshot.docs.filter(doc => !TrashBin.isTrashed(doc.data()));
+        document.getElementById('total-products').textContent = products.length;
         
         // Total de categorias
         const categoriesSnapshot = await db.collection('categories').get();
-        document.getElementById('total-categories').textContent = categoriesSnapshot.size;
+        const categories = categoriesSnapshot.docs.filter(doc => !TrashBin.isTrashed(doc.data()));
+        document.getElementById('total-categories').textContent = categories.length;
         
         // Produto mais recente
         const latestProduct = await db.collection('products')
             .orderBy('createdAt', 'desc')
-            .limit(1)
+            .limit(10)
             .get();
+        const latest = latestProduct.docs.find(doc => !TrashBin.isTrashed(doc.data()));
         
-        if (latestProduct.empty) {
-            document.getElementById('latest-product').textContent = 'Nenhum';
+        if (latest) {
+            document.getElementById('latest-product').textContent = latest.data().name;
         } else {
-            const product = latestProduct.docs[0].data();
-            document.getElementById('latest-product').textContent = product.name;
+            document.getElementById('latest-product').textContent = 'Nenhum';
         }
         
     } catch (error) {
@@ -87,6 +89,14 @@ async function loadStats() {
 // Inicializar
 async function initDashboard() {
     await loadStats();
+    
+    // Limpeza automática da lixeira (exige usuário logado)
+    const unsubscribe = firebase.auth().onAuthStateChanged(user => {
+        unsubscribe();
+        if (user) {
+            TrashBin.purgeExpired().catch(error => console.warn('Erro ao limpar a lixeira:', error));
+        }
+    });
 }
 
 // Aguarda DOM e Firebase (usando top-level await pattern)
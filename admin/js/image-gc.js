@@ -0,0 +1,179 @@
+/**
+ * Módulo de Limpeza de Imagens Órfãs
+ * Cruza os arquivos das pastas de produtos do Storage com as imagens usadas
+ * pelos produtos (images, image e variants[].image, inclusive os da lixeira)
+ * e mostra os órfãos (sem produto) e os ausentes (usados, mas fora do
+ * Storage), com tamanhos. Os órfãos podem ser apagados depois de confirmar.
+ *
+ * O relatório vem de image-report.js, o mesmo de build-tools/storage-gc.js
+ * (npm run storage:gc): órfãos enviados há menos de 24h são mantidos, pois
+ * podem ser de um produto que ainda está sendo editado (o upload acontece
+ * antes de salvar).
+ */
+
+import {
+    PRODUCT_IMAGE_PREFIXES,
+    buildImageReport,
+    collectProductImages,
+    formatBytes
+} from './image-report.js';
+
+let imageGcReport = null;
+
+// Elementos do DOM
+const imageGcScanBtn = document.getElementById('image-gc-scan-btn');
+const imageGcDeleteBtn = document.getElementById('image-gc-delete-btn');
+const imageGcSummary = document.getElementById('image-gc-summary');
+const imageGcResults = document.getElementById('image-gc-results');
+const imageGcTableBody = document.getElementById('image-gc-table-body');
+
+/**
+ * Imagens do Storage usadas pelos produtos
+ * @returns {Promise<Map<string, string[]>>} caminho → nomes dos produtos
+ */
+async function loadReferencedImages() {
+    const snapshot = await db.collection('products').get();
+    return collectProductImages(snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })), storage.ref().bucket);
+}
+
+/**
+ * Arquivos de uma pasta e das subpastas, com tamanho e data de envio
+ * @param {object} folderRef - Referência da pasta no Storage
+ * @param {Array<object>} files - Lista que recebe os arquivos
+ */
+async function listFolderFiles(folderRef, files) {
+    const result = await folderRef.listAll();
+    const metadata = await Promise.all(result.items.map(ref => ref.getMetadata()));
+    result.items.forEach((ref, index) => {
+        files.push({
+            path: ref.fullPath,
+            size: Number(metadata[index].size) || 0,
+            created: metadata[index].timeCreated || '',
+            ref
+        });
+    });
+
+    for (const prefix of result.prefixes) {
+        await listFolderFiles(prefix, files);
+    }
+}
+
+/**
+ * Arquivos das pastas de produtos (inclusive subpastas)
+ * @returns {Promise<Array<{path: string, size: number, created: string, ref: object}>>}
+ */
+async function listProductFiles() {
+    const files = [];
+    for (const prefix of PRODUCT_IMAGE_PREFIXES) {
+        await listFolderFiles(storage.ref(prefix.replace(/\/$/, '')), files);
+    }
+    return files.sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+// Verificar imagens
+async function scanOrphanImages() {
+    imageGcScanBtn.disabled = true;
+    imageGcDeleteBtn.disabled = true;
+    imageGcSummary.textContent = 'Verificando imagens...';
+
+    try {
+        const [files, referenced] = await Promise.all([listProductFiles(), loadReferencedImages()]);
+        imageGcReport = buildImageReport(files, referenced);
+        renderImageReport();
+    } catch (error) {
+        console.error('Erro ao verificar imagens:', error);
+        imageGcSummary.textContent = '';
+        showNotification('Erro ao verificar imagens: ' + error.message, 'error');
+    } finally {
+        imageGcScanBtn.disabled = false;
+    }
+}
+
+// Data de envio do arquivo (formatDate vem de trash.js)
+function formatCreated(file) {
+    return formatDate(file.created ? new Date(file.created) : null);
+}
+
+// Renderizar relatório
+function renderImageReport() {
+    const report = imageGcReport;
+    imageGcDeleteBtn.disabled = report.orphans.length === 0;
+    imageGcSummary.textContent =
+        `${report.files} arquivo(s) (${formatBytes(report.totalSize)}): ${report.referenced} em uso, ` +
+        `${report.orphans.length} órfão(s) (${formatBytes(report.orphanSize)}), ` +
+        `${report.recent.length} recente(s) mantido(s), ${report.missing.length} ausente(s).`;
+
+    const rows = [
+        ...report.orphans.map(file => ({ file, status: 'orphan', label: 'Órfão', details: formatCreated(file) })),
+        ...report.recent.map(file => ({ file, status: 'recent', label: 'Recente', details: `Enviado em ${formatCreated(file)}` })),
+        ...report.missing.map(file => ({ file, status: 'missing', label: 'Ausente', details: file.products.join(', ') }))
+    ];
+
+    imageGcResults.classList.toggle('hidden', rows.length === 0);
+    imageGcTableBody.innerHTML = rows.map(({ file, status, label, details }) => `
+        <tr>
+            <td><span class="status image-gc-${status}">${label}</span></td>
+            <td class="image-gc-path">${escapeHtml(file.path)}</td>
+            <td>${status === 'missing' ? '—' : formatBytes(file.size)}</td>
+            <td>${escapeHtml(details)}</td>
+        </tr>
+    `).join('');
+}
+
+// Apagar órfãos
+async function deleteOrphanImages() {
+    const orphans = imageGcReport?.orphans || [];
+    if (orphans.length === 0) return;
+
+    if (!confirm(`Apagar ${orphans.length} imagem(ns) sem produto (${formatBytes(imageGcReport.orphanSize)})?\n\nEsta ação não pode ser desfeita.`)) {
+        return;
+    }
+
+    imageGcDeleteBtn.disabled = true;
+
+    // O relatório pode ser antigo: um produto salvo depois da verificação
+    // pode ter passado a usar a imagem
+    let referenced;
+    try {
+        referenced = await loadReferencedImages();
+    } catch (error) {
+        console.error('Erro ao conferir imagens em uso:', error);
+        showNotification('Nada foi apagado: não foi possível conferir as imagens em uso', 'error');
+        imageGcDeleteBtn.disabled = false;
+        return;
+    }
+
+    let deleted = 0;
+    let kept = 0;
+    for (const file of orphans) {
+        if (referenced.has(file.path)) {
+            kept++;
+            continue;
+        }
+        try {
+            await file.ref.delete();
+            deleted++;
+        } catch (error) {
+            // Já removida: nada a fazer
+            if (error.code === 'storage/object-not-found') {
+                deleted++;
+            } else {
+                console.warn('Não foi possível apagar a imagem:', file.path, error);
+            }
+        }
+    }
+
+    const failed = orphans.length - deleted - kept;
+    const keptText = kept > 0 ? `, ${kept} mantida(s) por estar(em) em uso` : '';
+    showNotification(
+        failed > 0
+            ? `${deleted} imagem(ns) apagada(s), ${failed} com erro${keptText}`
+            : `✓ ${deleted} imagem(ns) apagada(s)${keptText}`,
+        failed > 0 ? 'error' : 'success'
+    );
+    scanOrphanImages();
+}
+
+// Expor funções usadas no HTML
+globalThis.scanOrphanImages = scanOrphanImages;
+globalThis.deleteOrphanImages = deleteOrphanImages;
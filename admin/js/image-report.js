@@ -0,0 +1,135 @@
+/**
+ * Relatório de imagens órfãs do Storage
+ *
+ * Cruza os arquivos do bucket nas pastas de produtos com as imagens
+ * referenciadas pelos produtos (images, image e variants[].image):
+ *   - órfãos: arquivos que nenhum produto usa (podem ser apagados)
+ *   - recentes: órfãos mais novos que o prazo mínimo, mantidos porque podem
+ *     ser de um formulário ainda aberto no painel (upload antes de salvar)
+ *   - ausentes: imagens referenciadas que não existem mais no bucket
+ * Produtos na lixeira contam como referência: restaurá-los precisa das imagens.
+ *
+ * Usado pela limpeza de imagens do painel (image-gc.js) e pelo
+ * build-tools/storage-gc.js (npm run storage:gc).
+ */
+
+// Pastas onde o painel grava as imagens dos produtos (ver storage.rules)
+export const PRODUCT_IMAGE_PREFIXES = ['products/'];
+
+export const DEFAULT_MIN_AGE_HOURS = 24;
+
+/**
+ * Caminho no bucket de uma URL do Storage (download, emulador ou gs://).
+ * @param {string} url
+ * @returns {{bucket: string, path: string}|null} null para URLs de fora do Storage
+ */
+export function storagePathFromUrl(url) {
+    if (typeof url !== 'string') return null;
+
+    const gs = url.match(/^gs:\/\/([^/]+)\/(.+)$/);
+    if (gs) return { bucket: gs[1], path: gs[2] };
+
+    // https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<caminho>?alt=media&token=...
+    const download = url.match(/\/v0\/b\/([^/]+)\/o\/([^?#]+)/);
+    if (download) {
+        try {
+            return { bucket: download[1], path: decodeURIComponent(download[2]) };
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Imagens do bucket usadas pelos produtos.
+ * @param {Array<{id: string, data: object}>} products
+ * @param {string} bucket - Imagens de outros buckets são ignoradas
+ * @returns {Map<string, string[]>} caminho → nomes dos produtos que o usam
+ */
+export function collectProductImages(products, bucket) {
+    const referenced = new Map();
+
+    for (const { id, data } of products) {
+        const urls = [
+            ...(data.images || []),
+            data.image,
+            ...(data.variants || []).map(variant => variant?.image)
+        ];
+        for (const url of new Set(urls)) {
+            const location = storagePathFromUrl(url);
+            if (!location || location.bucket !== bucket) continue;
+
+            const users = referenced.get(location.path) || [];
+            users.push(data.name || id);
+            referenced.set(location.path, users);
+        }
+    }
+    return referenced;
+}
+
+/**
+ * Indica se o caminho fica em uma das pastas de produtos
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isProductImagePath(filePath) {
+    return PRODUCT_IMAGE_PREFIXES.some(prefix => filePath.startsWith(prefix));
+}
+
+/**
+ * Monta o relatório.
+ * @param {Array<{path: string, size: number, created: string}>} files - Arquivos das pastas de produtos
+ * @param {Map<string, string[]>} referenced - Retorno de collectProductImages
+ * @param {object} [options]
+ * @param {number} [options.minAgeHours=DEFAULT_MIN_AGE_HOURS] - Idade mínima de um órfão para ser apagado
+ * @param {number} [options.now=Date.now()]
+ * @returns {{files: number, totalSize: number, referenced: number, orphans: Array, orphanSize: number, recent: Array, missing: Array}}
+ */
+export function buildImageReport(files, referenced, { minAgeHours = DEFAULT_MIN_AGE_HOURS, now = Date.now() } = {}) {
+    const existing = new Set(files.map(file => file.path));
+    const minCreated = now - minAgeHours * 60 * 60 * 1000;
+    const orphans = [];
+    const recent = [];
+
+    for (const file of files) {
+        if (referenced.has(file.path)) continue;
+        const created = Date.parse(file.created);
+        if (Number.isFinite(created) && created > minCreated) {
+            recent.push(file);
+        } else {
+            orphans.push(file);
+        }
+    }
+
+    // Só dá para afirmar que falta o que deveria estar nas pastas listadas
+    const missing = [...referenced]
+        .filter(([filePath]) => isProductImagePath(filePath) && !existing.has(filePath))
+        .map(([filePath, products]) => ({ path: filePath, products }));
+
+    return {
+        files: files.length,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0),
+        referenced: files.length - orphans.length - recent.length,
+        orphans,
+        orphanSize: orphans.reduce((sum, file) => sum + file.size, 0),
+        recent,
+        missing
+    };
+}
+
+/**
+ * Tamanho legível (ex.: 1.5 MB).
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
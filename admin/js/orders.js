@@ -0,0 +1,389 @@
+// Gerenciamento de Pedidos
+
+// Status do pedido, na ordem do ciclo de vida
+const ORDER_STATUSES = {
+    new: 'Novo',
+    confirmed: 'Confirmado',
+    in_production: 'Em produção',
+    shipped: 'Enviado',
+    delivered: 'Entregue',
+    cancelled: 'Cancelado'
+};
+
+// Origem do pedido (campo "source"); sem origem = carrinho
+const ORDER_ORIGINS = {
+    product: 'Compra direta do produto',
+    quote: 'Encomenda personalizada'
+};
+
+// Transições permitidas a partir de cada status
+// (cancelamento é possível até o pedido ser entregue)
+const STATUS_TRANSITIONS = {
+    new: ['confirmed', 'cancelled'],
+    confirmed: ['in_production', 'cancelled'],
+    in_production: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+let allOrders = [];
+let currentOrderId = null;
+
+// Paginação
+const ADMIN_ORDERS_PER_PAGE = 50;
+let lastOrderDoc = null;
+let hasMoreOrders = true;
+let isLoadingOrders = false;
+
+// Elementos do DOM
+const ordersTable = document.getElementById('orders-table-body');
+const searchInput = document.getElementById('search-input');
+const statusFilter = document.getElementById('status-filter');
+const modal = document.getElementById('order-modal');
+const modalTitle = document.getElementById('order-modal-title');
+const detailMeta = document.getElementById('order-detail-meta');
+const itemsBody = document.getElementById('order-items-body');
+const detailTotal = document.getElementById('order-detail-total');
+const historyList = document.getElementById('order-history');
+const statusForm = document.getElementById('order-status-form');
+const statusSelect = document.getElementById('order-status-select');
+
+// Pedidos são criados pelo público: todo texto vindo deles é escapado
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+function formatCurrency(value) {
+    return `R$ ${Number(value || 0).toFixed(2)}`;
+}
+
+// Aceita Timestamp do Firestore (ou null enquanto o serverTimestamp não resolve)
+function formatDate(timestamp) {
+    if (!timestamp?.toDate) return '—';
+    return timestamp.toDate().toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function statusBadge(status) {
+    const label = ORDER_STATUSES[status] || status;
+    return `<span class="status order-status-${escapeHtml(status)}">${escapeHtml(label)}</span>`;
+}
+
+// Carregar pedidos com paginação (mais recentes primeiro)
+async function loadOrders(loadMore = false) {
+    if (isLoadingOrders) return;
+    if (loadMore && !hasMoreOrders) return;
+
+    isLoadingOrders = true;
+
+    try {
+        let query = db.collection('orders')
+            .orderBy('createdAt', 'desc')
+            .limit(ADMIN_ORDERS_PER_PAGE);
+
+        if (loadMore && lastOrderDoc) {
+            query = query.startAfter(lastOrderDoc);
+        } else if (!loadMore) {
+            // Reset paginação
+            lastOrderDoc = null;
+            hasMoreOrders = true;
+            allOrders = [];
+        }
+
+        const snapshot = await query.get();
+
+        hasMoreOrders = snapshot.size === ADMIN_ORDERS_PER_PAGE;
+
+        if (snapshot.docs.length > 0) {
+            lastOrderDoc = snapshot.docs.at(-1);
+        }
+
+        const newOrders = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        allOrders = loadMore ? [...allOrders, ...newOrders] : newOrders;
+
+        renderOrders();
+        updateLoadMoreButton();
+    } catch (error) {
+        console.error('Erro ao carregar pedidos:', error);
+        showNotification('Erro ao carregar pedidos', 'error');
+    } finally {
+        isLoadingOrders = false;
+    }
+}
+
+// Atualizar botão "Carregar Mais"
+function updateLoadMoreButton() {
+    let loadMoreBtn = document.getElementById('load-more-orders');
+
+    if (!loadMoreBtn && hasMoreOrders) {
+        loadMoreBtn = document.createElement('button');
+        loadMoreBtn.id = 'load-more-orders';
+        loadMoreBtn.className = 'btn btn-secondary';
+        loadMoreBtn.style.cssText = 'margin: 1rem auto; display: block;';
+        loadMoreBtn.onclick = () => loadOrders(true);
+
+        const table = document.querySelector('.table-container');
+        if (table) {
+            table.after(loadMoreBtn);
+        }
+    }
+
+    if (loadMoreBtn) {
+        loadMoreBtn.style.display = hasMoreOrders ? 'block' : 'none';
+        loadMoreBtn.disabled = isLoadingOrders;
+        loadMoreBtn.textContent = isLoadingOrders
+            ? 'Carregando...'
+            : `Carregar Mais (${allOrders.length} pedidos carregados)`;
+    }
+}
+
+// Preencher select de filtro de status
+function populateStatusFilter() {
+    for (const [value, label] of Object.entries(ORDER_STATUSES)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        statusFilter.appendChild(option);
+    }
+
+    // Permite abrir a página já filtrada (ex.: orders.html?status=new)
+    const urlStatus = new URLSearchParams(globalThis.location.search).get('status');
+    if (urlStatus && ORDER_STATUSES[urlStatus]) {
+        statusFilter.value = urlStatus;
+    }
+}
+
+// Renderizar pedidos
+function renderOrders() {
+    const filtered = filterOrders();
+
+    if (filtered.length === 0) {
+        ordersTable.innerHTML = `
+            <tr>
+                <td colspan="7" class="empty-state">Nenhum pedido encontrado</td>
+            </tr>
+        `;
+        return;
+    }
+
+    ordersTable.innerHTML = filtered.map(order => {
+        const itemCount = (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+        return `
+        <tr data-order-id="${order.id}">
+            <td><strong>#${escapeHtml(order.code)}</strong></td>
+            <td>${formatDate(order.createdAt)}</td>
+            <td>${escapeHtml(order.customer?.name) || '<span class="text-muted">Não informado</span>'}</td>
+            <td>${itemCount}</td>
+            <td>${formatCurrency(order.total)}</td>
+            <td>${statusBadge(order.status)}</td>
+            <td class="actions">
+                <button class="btn-icon" onclick="openOrderDetail('${order.id}')" title="Ver detalhes">
+                    👁️
+                </button>
+            </td>
+        </tr>
+    `;
+    }).join('');
+}
+
+// Filtrar pedidos
+function filterOrders() {
+    let filtered = [...allOrders];
+
+    // Filtro de busca (código, cliente ou nome de produto)
+    const searchTerm = searchInput.value.trim().toLowerCase().replace(/^#/, '');
+    if (searchTerm) {
+        filtered = filtered.filter(o =>
+            o.code?.toLowerCase().includes(searchTerm) ||
+            o.customer?.name?.toLowerCase().includes(searchTerm) ||
+            o.items?.some(item => item.name?.toLowerCase().includes(searchTerm))
+        );
+    }
+
+    // Filtro de status
+    const statusValue = statusFilter.value;
+    if (statusValue) {
+        filtered = filtered.filter(o => o.status === statusValue);
+    }
+
+    return filtered;
+}
+
+// Abrir modal de detalhes
+function openOrderDetail(orderId) {
+    const order = allOrders.find(o => o.id === orderId);
+    if (!order) return;
+
+    currentOrderId = orderId;
+    modalTitle.textContent = `Pedido #${order.code}`;
+
+    const origin = ORDER_ORIGINS[order.source] || 'Carrinho';
+    detailMeta.innerHTML = `
+        <p><strong>Status:</strong> ${statusBadge(order.status)}</p>
+        <p><strong>Data:</strong> ${formatDate(order.createdAt)}</p>
+        <p><strong>Cliente:</strong> ${escapeHtml(order.customer?.name) || 'Não informado'}</p>
+        ${order.customer?.contact ? `<p><strong>Contato:</strong> ${escapeHtml(order.customer.contact)}</p>` : ''}
+        <p><strong>Origem:</strong> ${origin}</p>
+        ${order.couponCode ? `<p><strong>Cupom:</strong> ${escapeHtml(order.couponCode)}</p>` : ''}
+        ${order.customer?.notes ? `<p><strong>Observações:</strong> ${escapeHtml(order.customer.notes)}</p>` : ''}
+    `;
+
+    itemsBody.innerHTML = (order.items || []).map(item => `
+        <tr>
+            <td>${escapeHtml(item.name)}</td>
+            <td>${Number(item.quantity) || 0}</td>
+            <td>${formatCurrency(item.price)}${item.originalPrice > item.price ? ` <s class="text-muted">${formatCurrency(item.originalPrice)}</s>` : ''}</td>
+            <td>${formatCurrency(item.price * item.quantity)}</td>
+        </tr>
+    `).join('') + (order.discounts || []).map(discount => `
+        <tr class="order-discount-row">
+            <td colspan="3">${escapeHtml(discount.label)}</td>
+            <td>-${formatCurrency(discount.amount)}</td>
+        </tr>
+    `).join('');
+    detailTotal.textContent = formatCurrency(order.total);
+
+    historyList.innerHTML = (order.statusHistory || []).map(entry => `
+        <li>
+            ${statusBadge(entry.status)}
+            <span class="text-muted">${formatDate(entry.at)}${entry.by ? ` • ${escapeHtml(entry.by)}` : ''}</span>
+        </li>
+    `).join('');
+
+    // Apenas transições válidas a partir do status atual
+    const nextStatuses = STATUS_TRANSITIONS[order.status] || [];
+    statusSelect.innerHTML = nextStatuses.length === 0
+        ? '<option value="">Pedido finalizado</option>'
+        : nextStatuses.map(status => `<option value="${status}">${ORDER_STATUSES[status]}</option>`).join('');
+    statusSelect.disabled = nextStatuses.length === 0;
+    document.getElementById('order-status-submit').disabled = nextStatuses.length === 0;
+
+    modal.classList.add('show');
+}
+
+// Fechar modal
+function closeOrderModal() {
+    modal.classList.remove('show');
+    currentOrderId = null;
+}
+
+// Alterar status do pedido
+async function changeOrderStatus(orderId, newStatus) {
+    const order = allOrders.find(o => o.id === orderId);
+    if (!order) return;
+
+    if (!(STATUS_TRANSITIONS[order.status] || []).includes(newStatus)) {
+        showNotification('Transição de status inválida', 'error');
+        return;
+    }
+
+    if (newStatus === 'cancelled' && !confirm(`Cancelar o pedido #${order.code}?`)) {
+        return;
+    }
+
+    const historyEntry = {
+        status: newStatus,
+        at: firebase.firestore.Timestamp.now(),
+        by: auth.currentUser?.email || ''
+    };
+
+    try {
+        await db.collection('orders').doc(orderId).update({
+            status: newStatus,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            statusHistory: firebase.firestore.FieldValue.arrayUnion(historyEntry)
+        });
+
+        // Atualiza localmente para não recarregar a lista inteira
+        order.status = newStatus;
+        order.statusHistory = [...(order.statusHistory || []), historyEntry];
+
+        showNotification(`Pedido #${order.code} atualizado para "${ORDER_STATUSES[newStatus]}"`, 'success');
+        renderOrders();
+        closeOrderModal();
+    } catch (error) {
+        console.error('Erro ao atualizar pedido:', error);
+        showNotification('Erro ao atualizar pedido', 'error');
+    }
+}
+
+statusForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentOrderId || !statusSelect.value) return;
+
+    const submitBtn = document.getElementById('order-status-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Salvando...';
+    try {
+        await changeOrderStatus(currentOrderId, statusSelect.value);
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Salvar Status';
+    }
+});
+
+// Recarregar lista
+function reloadOrders() {
+    loadOrders();
+}
+
+// Notificação
+function showNotification(message, type = 'info') {
+    // Criar elemento
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    // Adicionar ao body
+    document.body.appendChild(notification);
+
+    // Remover após 3s
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Event listeners para filtros
+searchInput.addEventListener('input', renderOrders);
+statusFilter.addEventListener('change', renderOrders);
+
+// Fechar modal ao clicar fora
+modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+        closeOrderModal();
+    }
+});
+
+// Inicializar
+document.addEventListener('DOMContentLoaded', () => {
+    populateStatusFilter();
+
+    // Pedidos só podem ser lidos autenticado: aguarda a sessão ser restaurada
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        if (user) {
+            unsubscribe();
+            loadOrders();
+        }
+    });
+});
+
+globalThis.openOrderDetail = openOrderDetail;
+globalThis.closeOrderModal = closeOrderModal;
+globalThis.changeOrderStatus = changeOrderStatus;
+globalThis.reloadOrders = reloadOrders;
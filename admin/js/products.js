@@ -29,6 +29,32 @@ const uploadStatus = document.querySelector('.upload-status');
 // Array para armazenar URLs de imagens temporariamente
 let selectedImages = [];
 
+// Nome e endereço da página do produto (/produto/<slug>)
+const nameInput = document.getElementById('product-name');
+const slugInput = document.getElementById('product-slug');
+
+// Variações (tamanho, cor, material)
+const variantsList = document.getElementById('variants-list');
+
+// Estoque / sob encomenda
+const LOW_STOCK_THRESHOLD = 3;
+const stockInput = document.getElementById('product-stock');
+const madeToOrderInput = document.getElementById('product-made-to-order');
+const leadTimeGroup = document.getElementById('lead-time-group');
+const leadTimeInput = document.getElementById('product-lead-time');
+
+// Ajuste do minPrice: produto + registro no histórico por produto (limite de 500 por lote),
+// conferido no máximo uma vez por dia em cada navegador
+const MIN_PRICE_SYNC_BATCH_SIZE = 200;
+const MIN_PRICE_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MIN_PRICE_SYNC_STORAGE_KEY = 'minPriceSyncedAt';
+
+// Histórico de alterações (auditLog) do produto em edição
+const historySection = document.getElementById('product-history');
+const historyList = document.getElementById('product-history-list');
+const historyLoadButton = document.getElementById('product-history-load');
+let historyEntries = [];
+
 // Carregar produtos com paginação
 async function loadProducts(loadMore = false) {
     if (isLoadingAdminProducts) return;
@@ -58,10 +84,13 @@ async function loadProducts(loadMore = false) {
             lastAdminDoc = snapshot.docs[snapshot.docs.length - 1];
         }
         
-        const newProducts = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        // Produtos na lixeira aparecem só em trash.html
+        const newProducts = snapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         
         if (loadMore) {
             allProducts = [...allProducts, ...newProducts];
@@ -111,10 +140,12 @@ function updateLoadMoreButton() {
 async function loadCategories() {
     try {
         const snapshot = await db.collection('categories').orderBy('name').get();
-        allCategories = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        allCategories = snapshot.docs
+            .filter(doc => !TrashBin.isTrashed(doc.data()))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         updateCategorySelects();
     } catch (error) {
         console.error('Erro ao carregar categorias:', error);
@@ -171,13 +202,20 @@ function renderProducts() {
                      alt="${product.name}" 
                      class="product-thumb">
             </td>
-            <td>${product.name}</td>
+            <td>
+                ${product.name}
+                ${product.variants?.length ? `<br><small class="text-muted">${product.variants.length} variações</small>` : ''}
+            </td>
             <td>${product.category}</td>
-            <td>R$ ${Number(product.price).toFixed(2)}</td>
+            <td>
+                R$ ${Number(product.price).toFixed(2)}
+                ${renderPriceScheduleInfo(product)}
+            </td>
             <td>
                 <span class="status ${product.active ? 'active' : 'inactive'}">
                     ${product.active ? 'Ativo' : 'Inativo'}
                 </span>
+                ${renderStockInfo(product)}
             </td>
             <td class="actions">
                 <button class="btn-icon" onclick="editProduct('${product.id}')" title="Editar">
@@ -196,6 +234,49 @@ function renderProducts() {
     }
 }
 
+// Resumo de estoque exibido abaixo do status
+function renderStockInfo(product) {
+    if (product.madeToOrder) {
+        return `<br><small class="text-muted">Sob encomenda (${product.leadTimeDays || '?'} dias)</small>`;
+    }
+    if (Number.isInteger(product.stock)) {
+        const low = product.stock <= LOW_STOCK_THRESHOLD;
+        return `<br><small class="${low ? 'stock-low' : 'text-muted'}">Estoque: ${product.stock}</small>`;
+    }
+    return '';
+}
+
+// Preço agendado nas ações em lote (em vigor ou futuro); o preço acima é o original
+function renderPriceScheduleInfo(product) {
+    const schedule = product.priceSchedule;
+    if (!schedule?.startsAt || !schedule?.endsAt) return '';
+
+    const now = Date.now();
+    const startsAt = schedule.startsAt.toDate();
+    const endsAt = schedule.endsAt.toDate();
+    if (endsAt.getTime() <= now) return '';
+
+    const value = Number(schedule.value) || 0;
+    const label = {
+        set: `R$ ${value.toFixed(2)}`,
+        discount: `-${value}%`,
+        increase: `+${value}%`
+    }[schedule.mode] || '';
+    const format = date => date.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+    if (startsAt.getTime() > now) {
+        return `<br><small class="text-muted" title="Até ${format(endsAt)}">🕒 ${label} a partir de ${format(startsAt)}</small>`;
+    }
+    return `<br><small class="price-scheduled" title="Desde ${format(startsAt)}">🏷️ ${label} até ${format(endsAt)}</small>`;
+}
+
+// Produto (ou alguma variação) com estoque controlado abaixo do limite
+function isLowStock(product) {
+    if (product.madeToOrder) return false;
+    const stocks = [product.stock, ...(product.variants || []).map(v => v.stock)];
+    return stocks.some(stock => Number.isInteger(stock) && stock <= LOW_STOCK_THRESHOLD);
+}
+
 // Filtrar produtos
 function filterProducts() {
     let filtered = [...allProducts];
@@ -230,6 +311,8 @@ function filterProducts() {
         filtered = filtered.filter(p => !p.description || p.description.trim() === '');
     } else if (filterType === 'no-link') {
         filtered = filtered.filter(p => !p.whatsappLink || p.whatsappLink.trim() === '');
+    } else if (filterType === 'low-stock') {
+        filtered = filtered.filter(isLowStock);
     }
     
     return filtered;
@@ -241,8 +324,12 @@ function openModal() {
     selectedImages = [];
     modalTitle.textContent = 'Novo Produto';
     productForm.reset();
+    delete slugInput.dataset.edited;
     imagesPreview.innerHTML = '';
+    variantsList.innerHTML = '';
+    leadTimeGroup.classList.add('hidden');
     uploadProgress.classList.add('hidden');
+    resetProductHistory(false);
     modal.classList.add('show');
 }
 
@@ -256,26 +343,209 @@ async function editProduct(productId) {
     
     // Preencher formulário
     document.getElementById('product-name').value = product.name;
+    // Slug existente não acompanha o nome: mudar o endereço quebraria links já compartilhados
+    slugInput.value = product.slug || globalThis.ValidationModule.generateSlug(product.name);
+    slugInput.dataset.edited = product.slug ? 'true' : '';
     document.getElementById('product-category').value = product.category;
     document.getElementById('product-price').value = product.price;
     document.getElementById('product-description').value = product.description || '';
     document.getElementById('product-link').value = product.link || '';
     document.getElementById('product-active').checked = product.active;
+    stockInput.value = product.stock ?? '';
+    madeToOrderInput.checked = Boolean(product.madeToOrder);
+    leadTimeInput.value = product.leadTimeDays ?? '';
+    leadTimeGroup.classList.toggle('hidden', !product.madeToOrder);
     
     // Mostrar imagens atuais
     selectedImages = product.images || (product.image ? [product.image] : []);
     renderImagesPreview();
     
+    // Mostrar variações
+    variantsList.innerHTML = '';
+    for (const variant of product.variants || []) {
+        addVariantRow(variant);
+    }
+    
+    resetProductHistory(true);
     modal.classList.add('show');
 }
 
+// Histórico fica recolhido até ser pedido (evita uma consulta por edição)
+function resetProductHistory(visible) {
+    historyEntries = [];
+    historyList.innerHTML = '';
+    historyLoadButton.classList.remove('hidden');
+    historySection.classList.toggle('hidden', !visible);
+}
+
+// Carregar histórico do produto em edição
+async function loadProductHistory() {
+    historyLoadButton.disabled = true;
+    try {
+        historyEntries = await AuditLog.loadHistory('products', currentProductId);
+        renderProductHistory();
+        historyLoadButton.classList.add('hidden');
+    } catch (error) {
+        console.error('Erro ao carregar histórico:', error);
+        showNotification('Erro ao carregar histórico', 'error');
+    } finally {
+        historyLoadButton.disabled = false;
+    }
+}
+
+function renderProductHistory() {
+    if (historyEntries.length === 0) {
+        historyList.innerHTML = '<li class="text-muted">Nenhuma alteração registrada.</li>';
+        return;
+    }
+
+    historyList.innerHTML = historyEntries.map(entry => {
+        const date = entry.createdAt?.toDate ? entry.createdAt.toDate().toLocaleString('pt-BR') : 'agora';
+        const source = AuditLog.SOURCE_LABELS[entry.source] || entry.source;
+        const changes = Object.entries(entry.changes || {}).map(([field, change]) => `
+            <li>
+                <strong>${escapeHtml(AuditLog.FIELD_LABELS[field] || field)}:</strong>
+                <del>${escapeHtml(AuditLog.formatAuditValue(field, change.before))}</del>
+                → ${escapeHtml(AuditLog.formatAuditValue(field, change.after))}
+            </li>
+        `).join('');
+
+        return `
+            <li class="product-history-entry">
+                <div class="product-history-meta">
+                    <span><strong>${AuditLog.ACTION_LABELS[entry.action] || entry.action}</strong> (${escapeHtml(source)})</span>
+                    <span class="text-muted">${escapeHtml(date)} • ${escapeHtml(entry.user?.email || '?')}</span>
+                </div>
+                ${entry.action === 'update' ? `<ul class="product-history-changes">${changes}</ul>` : ''}
+                ${entry.action === 'update' ? `
+                    <button type="button" class="btn btn-secondary product-history-revert" data-revert-entry="${entry.id}">
+                        ↩️ Voltar para antes desta alteração
+                    </button>
+                ` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+// Voltar o produto ao estado anterior a um registro do histórico
+async function revertProduct(entryId) {
+    const state = AuditLog.getStateBefore(historyEntries, entryId);
+    if (!state) return;
+
+    const undone = historyEntries.findIndex(entry => entry.id === entryId) + 1;
+    if (!confirm(`Desfazer ${undone} alteração(ões) e voltar o produto para antes de ${historyEntries[undone - 1].createdAt?.toDate().toLocaleString('pt-BR') || 'esta alteração'}?`)) {
+        return;
+    }
+
+    try {
+        const ref = db.collection('products').doc(currentProductId);
+        const before = (await ref.get()).data();
+        const data = { ...state, updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+        // Registros anteriores ao campo minPrice não o trazem: recalcula com o preço restaurado
+        if ('price' in state || 'variants' in state) {
+            data.minPrice = globalThis.ValidationModule.getMinPrice({ ...before, ...state });
+        }
+        const batch = db.batch();
+        batch.update(ref, data);
+        const recorded = AuditLog.recordChange(batch, {
+            collection: 'products', docId: ref.id, action: 'update', before, after: data, source: 'revert', revertOf: entryId
+        });
+        if (!recorded) {
+            showNotification('O produto já está nesse estado', 'info');
+            return;
+        }
+        await batch.commit();
+        showNotification('Produto restaurado com sucesso!', 'success');
+        closeModal();
+        loadProducts();
+    } catch (error) {
+        console.error('Erro ao restaurar produto:', error);
+        showNotification('Erro ao restaurar produto', 'error');
+    }
+}
+
 // Fechar modal
 function closeModal() {
     modal.classList.remove('show');
     productForm.reset();
+    variantsList.innerHTML = '';
     currentProductId = null;
 }
 
+// Gerar ID estável para uma nova variação (carrinhos e pedidos referenciam esse ID)
+function generateVariantId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Opções do select de imagem: imagens atuais + as que serão enviadas ao salvar
+function getVariantImageOptions(selectedIndex = '') {
+    const total = selectedImages.length + imagesInput.files.length;
+    let options = '<option value="">Imagem principal</option>';
+    for (let i = 0; i < total; i++) {
+        options += `<option value="${i}" ${String(i) === String(selectedIndex) ? 'selected' : ''}>Imagem #${i + 1}</option>`;
+    }
+    return options;
+}
+
+// Atualizar selects de imagem das variações quando as imagens mudam
+function refreshVariantImageOptions() {
+    for (const select of variantsList.querySelectorAll('.variant-image')) {
+        select.innerHTML = getVariantImageOptions(select.value);
+    }
+}
+
+// Adicionar linha de variação (vazia ou preenchida na edição)
+function addVariantRow(variant = {}) {
+    const row = document.createElement('div');
+    row.className = 'variant-row';
+    row.dataset.variantId = variant.id || generateVariantId();
+    row.innerHTML = `
+        <input type="text" class="variant-size" placeholder="Tamanho" maxlength="30" aria-label="Tamanho">
+        <input type="text" class="variant-color" placeholder="Cor" maxlength="30" aria-label="Cor">
+        <input type="text" class="variant-material" placeholder="Material" maxlength="30" aria-label="Material">
+        <input type="number" class="variant-price" placeholder="Preço" step="0.01" min="0.01" max="999999.99" aria-label="Preço da variação">
+        <input type="number" class="variant-stock" placeholder="Estoque" step="1" min="0" max="99999" aria-label="Estoque da variação">
+        <select class="variant-image" aria-label="Imagem da variação">
+            ${getVariantImageOptions(variant.image ? selectedImages.indexOf(variant.image) : '')}
+        </select>
+        <button type="button" class="btn-icon btn-danger" onclick="removeVariantRow(this)" title="Remover variação">
+            🗑️
+        </button>
+    `;
+    
+    // Valores atribuídos via propriedade (sem interpolar texto no HTML)
+    row.querySelector('.variant-size').value = variant.size || '';
+    row.querySelector('.variant-color').value = variant.color || '';
+    row.querySelector('.variant-material').value = variant.material || '';
+    row.querySelector('.variant-price').value = variant.price ?? '';
+    row.querySelector('.variant-stock').value = variant.stock ?? '';
+    
+    variantsList.appendChild(row);
+}
+
+// Remover linha de variação
+function removeVariantRow(button) {
+    button.closest('.variant-row')?.remove();
+}
+
+// Ler variações do formulário (chamado após o upload, para resolver as imagens)
+function collectVariants(basePrice) {
+    return Array.from(variantsList.querySelectorAll('.variant-row')).map(row => {
+        const price = row.querySelector('.variant-price').value;
+        const stock = row.querySelector('.variant-stock').value;
+        const imageIndex = row.querySelector('.variant-image').value;
+        return {
+            id: row.dataset.variantId,
+            size: row.querySelector('.variant-size').value.trim(),
+            color: row.querySelector('.variant-color').value.trim(),
+            material: row.querySelector('.variant-material').value.trim(),
+            price: price === '' ? basePrice : Number(price),
+            stock: stock === '' ? null : Number(stock),
+            image: imageIndex === '' ? '' : (selectedImages[Number(imageIndex)] || '')
+        };
+    });
+}
+
 // Função auxiliar para validar e fazer upload de imagens
 async function validateAndUploadImages() {
     // Validar arquivos de imagem ANTES de fazer upload
@@ -320,14 +590,19 @@ productForm.addEventListener('submit', async (e) => {
         // Dados do produto
         const productData = {
             name: document.getElementById('product-name').value.trim(),
+            slug: slugInput.value.trim(),
             category: document.getElementById('product-category').value,
             price: Number(document.getElementById('product-price').value),
             description: document.getElementById('product-description').value.trim(),
             link: document.getElementById('product-link').value.trim(),
             active: document.getElementById('product-active').checked,
+            stock: stockInput.value,
+            madeToOrder: madeToOrderInput.checked,
+            leadTimeDays: madeToOrderInput.checked ? leadTimeInput.value : '',
             images: selectedImages,
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
         };
+        productData.variants = collectVariants(productData.price);
         // Validar dados do produto
         if (globalThis.ValidationModule) {
             const validation = globalThis.ValidationModule.validateProduct(productData);
@@ -345,19 +620,33 @@ productForm.addEventListener('submit', async (e) => {
             // Usar dados sanitizados
             Object.assign(productData, validation.sanitized);
         }
+        // Cada produto precisa de um endereço próprio
+        if (await isSlugTaken(productData.slug, currentProductId)) {
+            globalThis.ValidationModule?.showFieldError('product-slug', 'Já existe um produto com este endereço');
+            slugInput.focus();
+            throw new Error('Slug duplicado');
+        }
         // Garantir compatibilidade: salvar primeira imagem como 'image'
         if (selectedImages.length > 0) {
             productData.image = selectedImages[0];
         }
-        // Salvar no Firestore
+        // Salvar no Firestore (com o registro no histórico)
+        const batch = db.batch();
         if (currentProductId) {
             // Atualizar
-            await db.collection('products').doc(currentProductId).update(productData);
+            const ref = db.collection('products').doc(currentProductId);
+            const before = (await ref.get()).data();
+            batch.update(ref, productData);
+            AuditLog.recordChange(batch, { collection: 'products', docId: ref.id, action: 'update', before, after: productData, source: 'form' });
+            await batch.commit();
             showNotification('Produto atualizado com sucesso!', 'success');
         } else {
             // Criar novo
             productData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
-            await db.collection('products').add(productData);
+            const ref = db.collection('products').doc();
+            batch.set(ref, productData);
+            AuditLog.recordChange(batch, { collection: 'products', docId: ref.id, action: 'create', after: productData, source: 'form' });
+            await batch.commit();
             showNotification('Produto criado com sucesso!', 'success');
         }
         closeModal();
@@ -474,6 +763,18 @@ function renderImagesPreview() {
 function removeImage(index) {
     selectedImages.splice(index, 1);
     renderImagesPreview();
+    
+    // Mantém as variações apontando para as mesmas imagens
+    for (const select of variantsList.querySelectorAll('.variant-image')) {
+        if (select.value === '') continue;
+        const current = Number(select.value);
+        if (current === index) {
+            select.value = '';
+        } else if (current > index) {
+            select.value = String(current - 1);
+        }
+    }
+    refreshVariantImageOptions();
 }
 
 // Preview de novas imagens selecionadas
@@ -514,6 +815,8 @@ imagesInput.addEventListener('change', (e) => {
         imagesInput.files = dataTransfer.files;
     }
     
+    refreshVariantImageOptions();
+    
     // Criar previews locais das novas imagens
     const previewPromises = files.map(file => {
         return new Promise((resolve) => {
@@ -545,14 +848,17 @@ imagesInput.addEventListener('change', (e) => {
     });
 });
 
-// Excluir produto
+// Excluir produto (vai para a lixeira, de onde pode ser restaurado)
 async function deleteProduct(productId, productName) {
-    if (!confirm(`Tem certeza que deseja excluir "${productName}"?`)) {
+    if (!confirm(`Mover "${productName}" para a lixeira?\n\nEle sai do site e pode ser restaurado em Lixeira.`)) {
         return;
     }
     try {
-        await db.collection('products').doc(productId).delete();
-        showNotification('Produto excluído com sucesso!', 'success');
+        const before = (await db.collection('products').doc(productId).get()).data();
+        const batch = db.batch();
+        TrashBin.moveToTrash(batch, 'products', productId, before);
+        await batch.commit();
+        showNotification('Produto movido para a lixeira!', 'success');
         loadProducts();
     } catch (error) {
         console.error('Erro ao excluir produto:', error);
@@ -560,6 +866,15 @@ async function deleteProduct(productId, productName) {
     }
 }
 
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
 // Notificação
 function showNotification(message, type = 'info') {
     // Criar elemento
@@ -577,6 +892,42 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// Verificar se outro produto já usa o slug
+async function isSlugTaken(slug, productId) {
+    const snapshot = await db.collection('products')
+        .where('slug', '==', slug)
+        .limit(2)
+        .get();
+    return snapshot.docs.some(doc => doc.id !== productId);
+}
+
+// Slug acompanha o nome até ser editado manualmente
+nameInput.addEventListener('input', () => {
+    if (slugInput.dataset.edited !== 'true') {
+        slugInput.value = globalThis.ValidationModule.generateSlug(nameInput.value);
+    }
+});
+
+slugInput.addEventListener('input', () => {
+    slugInput.dataset.edited = slugInput.value ? 'true' : '';
+});
+
+// Normaliza o que foi digitado (acentos, espaços, maiúsculas)
+slugInput.addEventListener('blur', () => {
+    slugInput.value = globalThis.ValidationModule.generateSlug(slugInput.value);
+});
+
+// Prazo de produção só aparece para produtos sob encomenda
+madeToOrderInput.addEventListener('change', () => {
+    leadTimeGroup.classList.toggle('hidden', !madeToOrderInput.checked);
+});
+
+historyLoadButton.addEventListener('click', loadProductHistory);
+historyList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-revert-entry]');
+    if (button) revertProduct(button.dataset.revertEntry);
+});
+
 // Event listeners para filtros
 searchInput.addEventListener('input', renderProducts);
 categoryFilter.addEventListener('change', renderProducts);
@@ -612,9 +963,12 @@ function applyUrlFilter() {
                 box-shadow: 0 4px 6px rgba(99, 102, 241, 0.3);
             `;
             
-            const filterText = filterType === 'no-description' 
-                ? '📝 Mostrando apenas produtos sem descrição'
-                : '🔗 Mostrando apenas produtos sem link do WhatsApp';
+            const filterTexts = {
+                'no-description': '📝 Mostrando apenas produtos sem descrição',
+                'no-link': '🔗 Mostrando apenas produtos sem link do WhatsApp',
+                'low-stock': `📉 Mostrando apenas produtos com estoque até ${LOW_STOCK_THRESHOLD} unidades`
+            };
+            const filterText = filterTexts[filterType] || filterTexts['no-link'];
             
             filterBadge.innerHTML = `
                 <span style="font-weight: 600;">${filterText}</span>
@@ -644,14 +998,57 @@ function clearUrlFilter() {
 }
 
 // Inicializar
+/**
+ * Grava o "minPrice" dos produtos que ainda não o têm (cadastrados antes do
+ * campo) ou que o têm desatualizado. O filtro e a ordenação por preço do site
+ * consultam esse campo: produtos sem ele não aparecem nessas consultas.
+ * @returns {Promise<number>} Quantidade de produtos ajustados
+ */
+async function syncMinPrices() {
+    const lastSync = Number(localStorage.getItem(MIN_PRICE_SYNC_STORAGE_KEY)) || 0;
+    if (Date.now() - lastSync < MIN_PRICE_SYNC_INTERVAL_MS) return 0;
+
+    const snapshot = await db.collection('products').get();
+    const pending = snapshot.docs
+        .map(doc => ({ id: doc.id, before: doc.data() }))
+        .filter(({ before }) => before.minPrice !== globalThis.ValidationModule.getMinPrice(before));
+    const bulkId = AuditLog.newBulkId();
+
+    // Cada produto ocupa duas gravações do lote (produto e histórico)
+    for (let start = 0; start < pending.length; start += MIN_PRICE_SYNC_BATCH_SIZE) {
+        const batch = db.batch();
+        for (const { id, before } of pending.slice(start, start + MIN_PRICE_SYNC_BATCH_SIZE)) {
+            const data = { minPrice: globalThis.ValidationModule.getMinPrice(before) };
+            batch.update(db.collection('products').doc(id), data);
+            AuditLog.recordChange(batch, { collection: 'products', docId: id, action: 'update', before, after: data, source: 'sync', bulkId });
+        }
+        await batch.commit();
+    }
+
+    localStorage.setItem(MIN_PRICE_SYNC_STORAGE_KEY, String(Date.now()));
+    return pending.length;
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     loadCategories();
     loadProducts();
     applyUrlFilter();
+
+    // O ajuste grava produtos: só com usuário logado
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        unsubscribe();
+        if (!user) return;
+        syncMinPrices()
+            .then(count => { if (count > 0) console.log('Preço mínimo ajustado:', count, 'produto(s)'); })
+            .catch(error => console.warn('Erro ao ajustar o preço mínimo dos produtos:', error));
+    });
 });
 
+globalThis.loadProducts = loadProducts;
 globalThis.openModal = openModal;
 globalThis.closeModal = closeModal;
 globalThis.editProduct = editProduct;
 globalThis.deleteProduct = deleteProduct;
 globalThis.clearUrlFilter = clearUrlFilter;
+globalThis.addVariantRow = addVariantRow;
+globalThis.removeVariantRow = removeVariantRow;
@@ -0,0 +1,379 @@
+// Gerenciamento de Promoções e Cupons
+
+// Tipos de promoção (os mesmos de src/js/app/promotions.js e firestore.rules)
+const PROMOTION_TYPES = {
+    percentage: {
+        label: 'Desconto percentual',
+        hint: 'Percentual de desconto em todos os produtos (ou no pedido inteiro, com cupom).'
+    },
+    fixed: {
+        label: 'Desconto fixo',
+        hint: 'Valor em reais abatido de cada produto (ou do pedido inteiro, com cupom).'
+    },
+    category: {
+        label: 'Liquidação de categoria',
+        hint: 'Percentual de desconto nos produtos da categoria escolhida.'
+    },
+    buy2get3: {
+        label: 'Compre 2, leve 3',
+        hint: 'A cada 3 unidades no carrinho, a mais barata sai de graça (opcionalmente só em uma categoria).'
+    }
+};
+
+// Código do cupom: também é o ID do documento
+const COUPON_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+let currentPromotionId = null;
+let allPromotions = [];
+
+// Elementos do DOM
+const promotionsList = document.getElementById('promotions-list');
+const modal = document.getElementById('promotion-modal');
+const modalTitle = document.getElementById('modal-title');
+const promotionForm = document.getElementById('promotion-form');
+const typeSelect = document.getElementById('promotion-type');
+const valueInput = document.getElementById('promotion-value');
+const categorySelect = document.getElementById('promotion-category');
+const couponInput = document.getElementById('promotion-coupon');
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+function formatCurrency(value) {
+    return `R$ ${Number(value || 0).toFixed(2)}`;
+}
+
+function formatDate(timestamp) {
+    if (!timestamp?.toDate) return '—';
+    return timestamp.toDate().toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Timestamp ↔ valor do <input type="datetime-local"> (horário local)
+function toInputValue(timestamp) {
+    if (!timestamp?.toDate) return '';
+    const date = timestamp.toDate();
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromInputValue(value) {
+    return firebase.firestore.Timestamp.fromDate(new Date(value));
+}
+
+// Desconto em texto curto (ex.: "20% off", "R$ 10.00 off", "Leve 3, pague 2")
+function describeDiscount(promotion) {
+    if (promotion.type === 'buy2get3') return 'Leve 3, pague 2';
+    if (promotion.type === 'fixed') return `${formatCurrency(promotion.value)} off`;
+    return `${promotion.value}% off`;
+}
+
+// Situação da promoção no momento
+function getPromotionStatus(promotion) {
+    const now = Date.now();
+    if (!promotion.active) return { className: 'inactive', label: '✕ Inativa' };
+    if (promotion.startsAt?.toMillis() > now) return { className: 'scheduled', label: '🕒 Agendada' };
+    if (promotion.endsAt?.toMillis() <= now) return { className: 'ended', label: '✓ Encerrada' };
+    return { className: 'active', label: '✓ Em andamento' };
+}
+
+// Carregar promoções
+async function loadPromotions() {
+    try {
+        const snapshot = await db.collection('promotions').orderBy('startsAt', 'desc').get();
+        allPromotions = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+        renderPromotions();
+    } catch (error) {
+        console.error('Erro ao carregar promoções:', error);
+        showNotification('Erro ao carregar promoções', 'error');
+    }
+}
+
+// Carregar categorias (liquidação e "leve 3" por categoria)
+async function loadCategories() {
+    try {
+        const snapshot = await db.collection('categories').orderBy('name').get();
+        for (const doc of snapshot.docs) {
+            if (doc.data().deletedAt) continue; // Na lixeira
+            const option = document.createElement('option');
+            // Produtos guardam o nome da categoria (ver admin/js/products.js)
+            option.value = doc.data().name;
+            option.textContent = doc.data().name;
+            categorySelect.appendChild(option);
+        }
+    } catch (error) {
+        console.error('Erro ao carregar categorias:', error);
+    }
+}
+
+// Renderizar promoções
+function renderPromotions() {
+    if (allPromotions.length === 0) {
+        promotionsList.innerHTML = `
+            <div class="empty-state">
+                <p>Nenhuma promoção cadastrada ainda.</p>
+                <button class="btn btn-primary" onclick="openModal()">
+                    Criar primeira promoção
+                </button>
+            </div>
+        `;
+        return;
+    }
+
+    promotionsList.innerHTML = allPromotions.map(promotion => {
+        const status = getPromotionStatus(promotion);
+        return `
+        <div class="category-card promotion-card">
+            <div class="category-info">
+                <h3>${escapeHtml(promotion.name)}</h3>
+                <p class="category-description">
+                    ${escapeHtml(PROMOTION_TYPES[promotion.type]?.label || promotion.type)} • ${describeDiscount(promotion)}
+                    ${promotion.category ? `<br>Categoria: ${escapeHtml(promotion.category)}` : ''}
+                    <br>${formatDate(promotion.startsAt)} até ${formatDate(promotion.endsAt)}
+                </p>
+                <div class="category-meta">
+                    <span class="promotion-coupon">
+                        ${promotion.couponCode ? `🎟️ ${escapeHtml(promotion.couponCode)}` : '⚡ Automática'}
+                    </span>
+                    <span class="status ${status.className}">
+                        ${status.label}
+                    </span>
+                </div>
+            </div>
+            <div class="category-actions">
+                <button class="btn-icon" onclick="editPromotion('${promotion.id}')" title="Editar">
+                    ✏️
+                </button>
+                <button class="btn-icon btn-danger" onclick="deletePromotion('${promotion.id}')" title="Excluir">
+                    🗑️
+                </button>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+// Ajusta os campos ao tipo escolhido
+function updateTypeFields() {
+    const type = typeSelect.value;
+    const valueGroup = document.getElementById('promotion-value-group');
+    const categoryGroup = document.getElementById('promotion-category-group');
+
+    valueGroup.hidden = type === 'buy2get3';
+    valueInput.required = type !== 'buy2get3';
+    if (type === 'fixed') {
+        valueInput.removeAttribute('max');
+    } else {
+        valueInput.max = '100';
+    }
+    document.getElementById('promotion-value-label').textContent =
+        type === 'fixed' ? 'Desconto (R$) *' : 'Desconto (%) *';
+
+    categoryGroup.hidden = type === 'percentage' || type === 'fixed';
+    categorySelect.required = type === 'category';
+    categorySelect.options[0].textContent = type === 'category'
+        ? 'Selecione uma categoria'
+        : 'Todas as categorias';
+
+    document.getElementById('promotion-type-hint').textContent = PROMOTION_TYPES[type].hint;
+}
+
+// Abrir modal (nova promoção)
+function openModal() {
+    currentPromotionId = null;
+    modalTitle.textContent = 'Nova Promoção';
+    promotionForm.reset();
+    couponInput.disabled = false;
+    updateTypeFields();
+    modal.classList.add('show');
+}
+
+// Editar promoção
+function editPromotion(promotionId) {
+    const promotion = allPromotions.find(p => p.id === promotionId);
+    if (!promotion) return;
+
+    currentPromotionId = promotionId;
+    modalTitle.textContent = 'Editar Promoção';
+
+    // Preencher formulário
+    document.getElementById('promotion-name').value = promotion.name;
+    typeSelect.value = promotion.type;
+    valueInput.value = promotion.type === 'buy2get3' ? '' : promotion.value;
+    categorySelect.value = promotion.category || '';
+    document.getElementById('promotion-starts').value = toInputValue(promotion.startsAt);
+    document.getElementById('promotion-ends').value = toInputValue(promotion.endsAt);
+    document.getElementById('promotion-active').checked = promotion.active;
+
+    // O código é o ID do documento: para trocar, crie outra promoção
+    couponInput.value = promotion.couponCode || '';
+    couponInput.disabled = true;
+
+    updateTypeFields();
+    modal.classList.add('show');
+}
+
+// Fechar modal
+function closeModal() {
+    modal.classList.remove('show');
+    promotionForm.reset();
+    currentPromotionId = null;
+}
+
+// Dados do formulário (ou mensagem de erro)
+function readPromotionForm() {
+    const type = typeSelect.value;
+    const value = type === 'buy2get3' ? 0 : Number(valueInput.value);
+    const startsAt = document.getElementById('promotion-starts').value;
+    const endsAt = document.getElementById('promotion-ends').value;
+    const couponCode = couponInput.value.trim().toUpperCase();
+
+    if (type !== 'buy2get3' && !(value > 0)) {
+        return { error: 'Informe um desconto maior que zero' };
+    }
+    if (type !== 'fixed' && value > 100) {
+        return { error: 'O desconto percentual deve ser de no máximo 100%' };
+    }
+    if (type === 'category' && !categorySelect.value) {
+        return { error: 'Escolha a categoria da liquidação' };
+    }
+    if (!startsAt || !endsAt || new Date(endsAt) <= new Date(startsAt)) {
+        return { error: 'O fim da promoção deve ser depois do início' };
+    }
+    if (couponCode && !COUPON_PATTERN.test(couponCode)) {
+        return { error: 'O cupom deve ter de 3 a 20 letras, números, "-" ou "_"' };
+    }
+
+    return {
+        data: {
+            name: document.getElementById('promotion-name').value.trim(),
+            type,
+            value,
+            category: type === 'percentage' || type === 'fixed' ? '' : categorySelect.value,
+            couponCode,
+            startsAt: fromInputValue(startsAt),
+            endsAt: fromInputValue(endsAt),
+            active: document.getElementById('promotion-active').checked,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }
+    };
+}
+
+// Salvar promoção
+promotionForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const { data, error } = readPromotionForm();
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+
+    const submitBtn = promotionForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Salvando...';
+
+    try {
+        if (currentPromotionId) {
+            // Atualizar (o código do cupom não muda)
+            const { couponCode, ...changes } = data;
+            await db.collection('promotions').doc(currentPromotionId).update(changes);
+            showNotification('Promoção atualizada com sucesso!', 'success');
+        } else if (data.couponCode) {
+            // Cupom: o código é o ID do documento (o site busca o cupom pelo ID)
+            const ref = db.collection('promotions').doc(data.couponCode);
+            const existing = await ref.get();
+            if (existing.exists) {
+                showNotification(`Já existe um cupom com o código ${data.couponCode}`, 'error');
+                return;
+            }
+            await ref.set({ ...data, createdAt: firebase.firestore.FieldValue.serverTimestamp() });
+            showNotification('Cupom criado com sucesso!', 'success');
+        } else {
+            // Promoção automática
+            data.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+            await db.collection('promotions').add(data);
+            showNotification('Promoção criada com sucesso!', 'success');
+        }
+
+        closeModal();
+        loadPromotions();
+
+    } catch (error) {
+        console.error('Erro ao salvar promoção:', error);
+        showNotification('Erro ao salvar promoção', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Salvar';
+    }
+});
+
+// Excluir promoção
+async function deletePromotion(promotionId) {
+    const promotion = allPromotions.find(p => p.id === promotionId);
+    if (!promotion) return;
+
+    if (!confirm(`Excluir a promoção "${promotion.name}"?\n\n` +
+                 (promotion.couponCode ? `O cupom ${promotion.couponCode} deixará de funcionar.\n\n` : '') +
+                 `Para apenas pausar, edite e desmarque "Promoção ativa".`)) {
+        return;
+    }
+
+    try {
+        await db.collection('promotions').doc(promotionId).delete();
+        showNotification('✓ Promoção excluída com sucesso!', 'success');
+        loadPromotions();
+    } catch (error) {
+        console.error('Erro ao excluir promoção:', error);
+        showNotification('Erro ao excluir promoção: ' + error.message, 'error');
+    }
+}
+
+// Notificação
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+typeSelect.addEventListener('change', updateTypeFields);
+
+// Fechar modal ao clicar fora
+modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+        closeModal();
+    }
+});
+
+// Inicializar
+document.addEventListener('DOMContentLoaded', () => {
+    updateTypeFields();
+    loadCategories();
+
+    // Cupons só são listados autenticado: aguarda a sessão ser restaurada
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        if (user) {
+            unsubscribe();
+            loadPromotions();
+        }
+    });
+});
@@ -0,0 +1,493 @@
+// Encomendas Personalizadas (pedidos de orçamento do site)
+
+// Status da encomenda, na ordem da triagem
+const QUOTE_STATUSES = {
+    new: 'Nova',
+    in_review: 'Em análise',
+    quoted: 'Orçamento enviado',
+    converted: 'Convertida em pedido',
+    declined: 'Recusada'
+};
+
+// "Convertida" só é definida ao criar o pedido (convertQuote)
+const MANUAL_STATUSES = ['new', 'in_review', 'quoted', 'declined'];
+
+let allQuotes = [];
+let currentQuoteId = null;
+
+// Paginação
+const ADMIN_QUOTES_PER_PAGE = 50;
+let lastQuoteDoc = null;
+let hasMoreQuotes = true;
+let isLoadingQuotes = false;
+
+// Elementos do DOM
+const quotesTable = document.getElementById('quotes-table-body');
+const searchInput = document.getElementById('search-input');
+const statusFilter = document.getElementById('status-filter');
+const modal = document.getElementById('quote-modal');
+const modalTitle = document.getElementById('quote-modal-title');
+const detailMeta = document.getElementById('quote-detail-meta');
+const detailDescription = document.getElementById('quote-detail-description');
+const detailImages = document.getElementById('quote-detail-images');
+const statusForm = document.getElementById('quote-status-form');
+const statusSelect = document.getElementById('quote-status-select');
+const convertForm = document.getElementById('quote-convert-form');
+const convertedInfo = document.getElementById('quote-converted');
+const itemNameInput = document.getElementById('quote-item-name');
+const itemPriceInput = document.getElementById('quote-item-price');
+const itemQuantityInput = document.getElementById('quote-item-quantity');
+
+// Encomendas são enviadas pelo público: todo texto vindo delas é escapado
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+function formatCurrency(value) {
+    return `R$ ${Number(value || 0).toFixed(2)}`;
+}
+
+// Aceita Timestamp do Firestore (ou null enquanto o serverTimestamp não resolve)
+function formatDate(timestamp) {
+    if (!timestamp?.toDate) return '—';
+    return timestamp.toDate().toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Data desejada gravada como "AAAA-MM-DD"
+function formatDesiredDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? `${match[3]}/${match[2]}/${match[1]}` : '—';
+}
+
+function formatBudget(budget) {
+    return typeof budget === 'number' ? formatCurrency(budget) : '—';
+}
+
+function statusBadge(status) {
+    const label = QUOTE_STATUSES[status] || status;
+    return `<span class="status quote-status-${escapeHtml(status)}">${escapeHtml(label)}</span>`;
+}
+
+// Carregar encomendas com paginação (mais recentes primeiro)
+async function loadQuotes(loadMore = false) {
+    if (isLoadingQuotes) return;
+    if (loadMore && !hasMoreQuotes) return;
+
+    isLoadingQuotes = true;
+
+    try {
+        let query = db.collection('quoteRequests')
+            .orderBy('createdAt', 'desc')
+            .limit(ADMIN_QUOTES_PER_PAGE);
+
+        if (loadMore && lastQuoteDoc) {
+            query = query.startAfter(lastQuoteDoc);
+        } else if (!loadMore) {
+            // Reset paginação
+            lastQuoteDoc = null;
+            hasMoreQuotes = true;
+            allQuotes = [];
+        }
+
+        const snapshot = await query.get();
+
+        hasMoreQuotes = snapshot.size === ADMIN_QUOTES_PER_PAGE;
+
+        if (snapshot.docs.length > 0) {
+            lastQuoteDoc = snapshot.docs.at(-1);
+        }
+
+        const newQuotes = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        allQuotes = loadMore ? [...allQuotes, ...newQuotes] : newQuotes;
+
+        renderQuotes();
+        updateLoadMoreButton();
+    } catch (error) {
+        console.error('Erro ao carregar encomendas:', error);
+        showNotification('Erro ao carregar encomendas', 'error');
+    } finally {
+        isLoadingQuotes = false;
+    }
+}
+
+// Atualizar botão "Carregar Mais"
+function updateLoadMoreButton() {
+    let loadMoreBtn = document.getElementById('load-more-quotes');
+
+    if (!loadMoreBtn && hasMoreQuotes) {
+        loadMoreBtn = document.createElement('button');
+        loadMoreBtn.id = 'load-more-quotes';
+        loadMoreBtn.className = 'btn btn-secondary';
+        loadMoreBtn.style.cssText = 'margin: 1rem auto; display: block;';
+        loadMoreBtn.onclick = () => loadQuotes(true);
+
+        const table = document.querySelector('.table-container');
+        if (table) {
+            table.after(loadMoreBtn);
+        }
+    }
+
+    if (loadMoreBtn) {
+        loadMoreBtn.style.display = hasMoreQuotes ? 'block' : 'none';
+        loadMoreBtn.disabled = isLoadingQuotes;
+        loadMoreBtn.textContent = isLoadingQuotes
+            ? 'Carregando...'
+            : `Carregar Mais (${allQuotes.length} encomendas carregadas)`;
+    }
+}
+
+// Preencher select de filtro de status
+function populateStatusFilter() {
+    for (const [value, label] of Object.entries(QUOTE_STATUSES)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        statusFilter.appendChild(option);
+    }
+
+    // Permite abrir a página já filtrada (ex.: quotes.html?status=new)
+    const urlStatus = new URLSearchParams(globalThis.location.search).get('status');
+    if (urlStatus && QUOTE_STATUSES[urlStatus]) {
+        statusFilter.value = urlStatus;
+    }
+}
+
+// Renderizar encomendas
+function renderQuotes() {
+    const filtered = filterQuotes();
+
+    if (filtered.length === 0) {
+        quotesTable.innerHTML = `
+            <tr>
+                <td colspan="8" class="empty-state">Nenhuma encomenda encontrada</td>
+            </tr>
+        `;
+        return;
+    }
+
+    quotesTable.innerHTML = filtered.map(quote => `
+        <tr data-quote-id="${quote.id}">
+            <td><strong>#${escapeHtml(quote.code)}</strong>${quote.imagePaths?.length ? ` <span title="${quote.imagePaths.length} imagem(ns) de referência">🖼️</span>` : ''}</td>
+            <td>${formatDate(quote.createdAt)}</td>
+            <td>${escapeHtml(quote.customer?.name)}</td>
+            <td>${escapeHtml(quote.customer?.contact)}</td>
+            <td>${formatDesiredDate(quote.desiredDate)}</td>
+            <td>${formatBudget(quote.budget)}</td>
+            <td>${statusBadge(quote.status)}</td>
+            <td class="actions">
+                <button class="btn-icon" onclick="openQuoteDetail('${quote.id}')" title="Ver detalhes">
+                    👁️
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Filtrar encomendas
+function filterQuotes() {
+    let filtered = [...allQuotes];
+
+    // Filtro de busca (código, cliente, contato ou descrição)
+    const searchTerm = searchInput.value.trim().toLowerCase().replace(/^#/, '');
+    if (searchTerm) {
+        filtered = filtered.filter(q =>
+            q.code?.toLowerCase().includes(searchTerm) ||
+            q.customer?.name?.toLowerCase().includes(searchTerm) ||
+            q.customer?.contact?.toLowerCase().includes(searchTerm) ||
+            q.description?.toLowerCase().includes(searchTerm)
+        );
+    }
+
+    // Filtro de status
+    const statusValue = statusFilter.value;
+    if (statusValue) {
+        filtered = filtered.filter(q => q.status === statusValue);
+    }
+
+    return filtered;
+}
+
+// Imagens de referência: só o painel tem acesso (o link é gerado aqui)
+async function renderReferenceImages(quote) {
+    const paths = quote.imagePaths || [];
+    if (paths.length === 0 || !storage) {
+        detailImages.innerHTML = '<p class="text-muted">Nenhuma imagem enviada</p>';
+        return;
+    }
+
+    detailImages.innerHTML = '<p class="text-muted">Carregando imagens...</p>';
+    const urls = await Promise.all(paths.map(path =>
+        storage.ref(path).getDownloadURL().catch((error) => {
+            console.error('Erro ao carregar imagem da encomenda:', error);
+            return null;
+        })
+    ));
+
+    // Outra encomenda foi aberta enquanto as imagens carregavam
+    if (currentQuoteId !== quote.id) return;
+
+    detailImages.innerHTML = urls.map((url, index) => url
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"><img class="quote-image-thumb" src="${escapeHtml(url)}" alt="Imagem de referência ${index + 1}"></a>`
+        : '<span class="text-muted">Imagem indisponível</span>'
+    ).join('');
+}
+
+// Abrir modal de detalhes
+function openQuoteDetail(quoteId) {
+    const quote = allQuotes.find(q => q.id === quoteId);
+    if (!quote) return;
+
+    currentQuoteId = quoteId;
+    modalTitle.textContent = `Encomenda #${quote.code}`;
+
+    detailMeta.innerHTML = `
+        <p><strong>Status:</strong> ${statusBadge(quote.status)}</p>
+        <p><strong>Data:</strong> ${formatDate(quote.createdAt)}</p>
+        <p><strong>Cliente:</strong> ${escapeHtml(quote.customer?.name)}</p>
+        <p><strong>Contato:</strong> ${escapeHtml(quote.customer?.contact)}</p>
+        <p><strong>Para quando:</strong> ${formatDesiredDate(quote.desiredDate)}</p>
+        <p><strong>Orçamento do cliente:</strong> ${formatBudget(quote.budget)}</p>
+    `;
+    detailDescription.textContent = quote.description || '';
+    renderReferenceImages(quote);
+
+    const converted = quote.status === 'converted';
+    statusSelect.innerHTML = converted
+        ? `<option value="">${QUOTE_STATUSES.converted}</option>`
+        : MANUAL_STATUSES.map(status => `<option value="${status}">${QUOTE_STATUSES[status]}</option>`).join('');
+    statusSelect.value = converted ? '' : quote.status;
+    statusSelect.disabled = converted;
+    document.getElementById('quote-status-submit').disabled = converted;
+
+    // Encomenda já convertida: mostra o pedido criado
+    convertForm.hidden = converted;
+    convertedInfo.hidden = !converted;
+    if (converted) {
+        convertedInfo.innerHTML = `Convertida no pedido <strong>#${escapeHtml(quote.orderCode)}</strong> (veja em <a href="orders.html">Pedidos</a>).`;
+    } else {
+        convertForm.reset();
+        itemNameInput.value = `Encomenda personalizada #${quote.code}`;
+        itemPriceInput.value = typeof quote.budget === 'number' && quote.budget > 0 ? quote.budget.toFixed(2) : '';
+        itemQuantityInput.value = '1';
+    }
+
+    modal.classList.add('show');
+}
+
+// Fechar modal
+function closeQuoteModal() {
+    modal.classList.remove('show');
+    currentQuoteId = null;
+}
+
+// Alterar status da encomenda (triagem)
+async function changeQuoteStatus(quoteId, newStatus) {
+    const quote = allQuotes.find(q => q.id === quoteId);
+    if (!quote || quote.status === 'converted' || !MANUAL_STATUSES.includes(newStatus)) return;
+    if (quote.status === newStatus) {
+        closeQuoteModal();
+        return;
+    }
+
+    try {
+        await db.collection('quoteRequests').doc(quoteId).update({
+            status: newStatus,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        quote.status = newStatus;
+        showNotification(`Encomenda #${quote.code} marcada como "${QUOTE_STATUSES[newStatus]}"`, 'success');
+        renderQuotes();
+        closeQuoteModal();
+    } catch (error) {
+        console.error('Erro ao atualizar encomenda:', error);
+        showNotification('Erro ao atualizar encomenda', 'error');
+    }
+}
+
+// Cria o pedido (coleção "orders", status "new") e marca a encomenda como convertida
+async function convertQuote(quoteId, { name, price, quantity }) {
+    const quote = allQuotes.find(q => q.id === quoteId);
+    if (!quote || quote.status === 'converted') return;
+
+    const orderRef = db.collection('orders').doc();
+    const code = orderRef.id.slice(0, 6).toUpperCase();
+    const notes = [
+        `Encomenda #${quote.code}`,
+        quote.desiredDate ? `para ${formatDesiredDate(quote.desiredDate)}` : ''
+    ].filter(Boolean).join(' ');
+
+    const batch = db.batch();
+    batch.set(orderRef, {
+        code,
+        items: [{ productId: '', name, price, quantity }],
+        total: price * quantity,
+        customer: {
+            name: quote.customer?.name || '',
+            contact: quote.customer?.contact || '',
+            notes
+        },
+        status: 'new',
+        source: 'quote',
+        quoteRequestId: quote.id,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        statusHistory: [{
+            status: 'new',
+            at: firebase.firestore.Timestamp.now(),
+            by: auth.currentUser?.email || ''
+        }]
+    });
+    batch.update(db.collection('quoteRequests').doc(quote.id), {
+        status: 'converted',
+        orderId: orderRef.id,
+        orderCode: code,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    try {
+        await batch.commit();
+
+        Object.assign(quote, { status: 'converted', orderId: orderRef.id, orderCode: code });
+        showNotification(`Pedido #${code} criado a partir da encomenda #${quote.code}`, 'success');
+        renderQuotes();
+        closeQuoteModal();
+    } catch (error) {
+        console.error('Erro ao converter encomenda:', error);
+        showNotification('Erro ao criar pedido', 'error');
+    }
+}
+
+// Excluir a encomenda aberta (e as imagens de referência)
+async function deleteQuote() {
+    const quote = allQuotes.find(q => q.id === currentQuoteId);
+    if (!quote) return;
+
+    if (!confirm(`Excluir a encomenda #${quote.code}? Esta ação não pode ser desfeita.`)) {
+        return;
+    }
+
+    try {
+        await db.collection('quoteRequests').doc(quote.id).delete();
+
+        if (storage) {
+            // A encomenda já foi excluída: falha ao remover imagens não desfaz a exclusão
+            await Promise.all((quote.imagePaths || []).map(path =>
+                storage.ref(path).delete()
+                    .catch(error => console.error('Erro ao excluir imagem da encomenda:', error))
+            ));
+        }
+
+        allQuotes = allQuotes.filter(q => q !== quote);
+        showNotification(`Encomenda #${quote.code} excluída`, 'success');
+        renderQuotes();
+        closeQuoteModal();
+    } catch (error) {
+        console.error('Erro ao excluir encomenda:', error);
+        showNotification('Erro ao excluir encomenda', 'error');
+    }
+}
+
+statusForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentQuoteId || !statusSelect.value) return;
+
+    const submitBtn = document.getElementById('quote-status-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Salvando...';
+    try {
+        await changeQuoteStatus(currentQuoteId, statusSelect.value);
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Salvar Status';
+    }
+});
+
+convertForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentQuoteId) return;
+
+    const name = itemNameInput.value.trim();
+    const price = Math.round(Number(itemPriceInput.value) * 100) / 100;
+    const quantity = Number.parseInt(itemQuantityInput.value, 10);
+    if (!name || !(price > 0) || !Number.isInteger(quantity) || quantity < 1) {
+        showNotification('Informe o item, um valor maior que zero e a quantidade', 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('quote-convert-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Criando...';
+    try {
+        await convertQuote(currentQuoteId, { name, price, quantity });
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Criar Pedido';
+    }
+});
+
+// Recarregar lista
+function reloadQuotes() {
+    loadQuotes();
+}
+
+// Notificação
+function showNotification(message, type = 'info') {
+    // Criar elemento
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    // Adicionar ao body
+    document.body.appendChild(notification);
+
+    // Remover após 3s
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Event listeners para filtros
+searchInput.addEventListener('input', renderQuotes);
+statusFilter.addEventListener('change', renderQuotes);
+
+// Fechar modal ao clicar fora
+modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+        closeQuoteModal();
+    }
+});
+
+// Inicializar
+document.addEventListener('DOMContentLoaded', () => {
+    populateStatusFilter();
+
+    // Encomendas só podem ser lidas autenticado: aguarda a sessão ser restaurada
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        if (user) {
+            unsubscribe();
+            loadQuotes();
+        }
+    });
+});
+
+globalThis.openQuoteDetail = openQuoteDetail;
+globalThis.closeQuoteModal = closeQuoteModal;
+globalThis.deleteQuote = deleteQuote;
+globalThis.reloadQuotes = reloadQuotes;
@@ -0,0 +1,361 @@
+// Moderação de Avaliações
+
+// Status da avaliação (o site só exibe as aprovadas)
+const REVIEW_STATUSES = {
+    pending: 'Pendente',
+    approved: 'Aprovada',
+    rejected: 'Rejeitada'
+};
+
+let allReviews = [];
+
+// Nomes dos produtos já consultados (productId → nome)
+const productNames = new Map();
+
+// Paginação
+const ADMIN_REVIEWS_PER_PAGE = 50;
+let lastReviewDoc = null;
+let hasMoreReviews = true;
+let isLoadingReviews = false;
+
+// Elementos do DOM
+const reviewsTable = document.getElementById('reviews-table-body');
+const searchInput = document.getElementById('search-input');
+const statusFilter = document.getElementById('status-filter');
+
+// Avaliações são enviadas pelo público: todo texto vindo delas é escapado
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+// Aceita Timestamp do Firestore (ou null enquanto o serverTimestamp não resolve)
+function formatDate(timestamp) {
+    if (!timestamp?.toDate) return '—';
+    return timestamp.toDate().toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function formatStars(rating) {
+    const value = Math.max(0, Math.min(5, Number(rating) || 0));
+    return '★'.repeat(value) + '☆'.repeat(5 - value);
+}
+
+// Só exibe fotos do produto no Storage do projeto (o link vem do público)
+function isReviewPhotoUrl(review) {
+    const bucket = firebase.app().options.storageBucket;
+    const prefix = `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/reviews%2F${encodeURIComponent(review.productId)}%2F`;
+    return typeof review.photoUrl === 'string' && review.photoUrl.startsWith(prefix);
+}
+
+function statusBadge(status) {
+    const label = REVIEW_STATUSES[status] || status;
+    return `<span class="status review-status-${escapeHtml(status)}">${escapeHtml(label)}</span>`;
+}
+
+// Busca os nomes dos produtos das avaliações carregadas (uma vez por produto)
+async function loadProductNames(reviews) {
+    const missing = [...new Set(reviews.map(r => r.productId))].filter(id => !productNames.has(id));
+
+    await Promise.all(missing.map(async (productId) => {
+        try {
+            const doc = await db.collection('products').doc(productId).get();
+            productNames.set(productId, doc.exists ? doc.data().name : 'Produto excluído');
+        } catch (error) {
+            console.error('Erro ao carregar produto da avaliação:', error);
+        }
+    }));
+}
+
+// Carregar avaliações com paginação (mais recentes primeiro)
+async function loadReviews(loadMore = false) {
+    if (isLoadingReviews) return;
+    if (loadMore && !hasMoreReviews) return;
+
+    isLoadingReviews = true;
+
+    try {
+        // Todas as subcoleções products/{id}/reviews
+        let query = db.collectionGroup('reviews');
+
+        // O status é filtrado na consulta: a fila de pendentes pode ser pequena
+        // perto do total de avaliações
+        if (statusFilter.value) {
+            query = query.where('status', '==', statusFilter.value);
+        }
+
+        query = query
+            .orderBy('createdAt', 'desc')
+            .limit(ADMIN_REVIEWS_PER_PAGE);
+
+        if (loadMore && lastReviewDoc) {
+            query = query.startAfter(lastReviewDoc);
+        } else if (!loadMore) {
+            // Reset paginação
+            lastReviewDoc = null;
+            hasMoreReviews = true;
+            allReviews = [];
+        }
+
+        const snapshot = await query.get();
+
+        hasMoreReviews = snapshot.size === ADMIN_REVIEWS_PER_PAGE;
+
+        if (snapshot.docs.length > 0) {
+            lastReviewDoc = snapshot.docs.at(-1);
+        }
+
+        const newReviews = snapshot.docs.map(doc => ({
+            id: doc.id,
+            productId: doc.ref.parent.parent.id,
+            ...doc.data()
+        }));
+
+        await loadProductNames(newReviews);
+
+        allReviews = loadMore ? [...allReviews, ...newReviews] : newReviews;
+
+        renderReviews();
+        updateLoadMoreButton();
+    } catch (error) {
+        console.error('Erro ao carregar avaliações:', error);
+        showNotification('Erro ao carregar avaliações', 'error');
+    } finally {
+        isLoadingReviews = false;
+    }
+}
+
+// Atualizar botão "Carregar Mais"
+function updateLoadMoreButton() {
+    let loadMoreBtn = document.getElementById('load-more-reviews');
+
+    if (!loadMoreBtn && hasMoreReviews) {
+        loadMoreBtn = document.createElement('button');
+        loadMoreBtn.id = 'load-more-reviews';
+        loadMoreBtn.className = 'btn btn-secondary';
+        loadMoreBtn.style.cssText = 'margin: 1rem auto; display: block;';
+        loadMoreBtn.onclick = () => loadReviews(true);
+
+        const table = document.querySelector('.table-container');
+        if (table) {
+            table.after(loadMoreBtn);
+        }
+    }
+
+    if (loadMoreBtn) {
+        loadMoreBtn.style.display = hasMoreReviews ? 'block' : 'none';
+        loadMoreBtn.disabled = isLoadingReviews;
+        loadMoreBtn.textContent = isLoadingReviews
+            ? 'Carregando...'
+            : `Carregar Mais (${allReviews.length} avaliações carregadas)`;
+    }
+}
+
+// Preencher select de filtro de status (pendentes por padrão)
+function populateStatusFilter() {
+    for (const [value, label] of Object.entries(REVIEW_STATUSES)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        statusFilter.appendChild(option);
+    }
+
+    // Permite abrir a página já filtrada (ex.: reviews.html?status=approved)
+    const urlStatus = new URLSearchParams(globalThis.location.search).get('status');
+    statusFilter.value = urlStatus !== null && (urlStatus === '' || REVIEW_STATUSES[urlStatus])
+        ? urlStatus
+        : 'pending';
+}
+
+// Botões de moderação de acordo com o status atual
+function renderActions(review) {
+    const buttons = [];
+    if (review.status !== 'approved') {
+        buttons.push(`<button class="btn-icon" onclick="moderateReview('${review.productId}', '${review.id}', 'approved')" title="Aprovar">✅</button>`);
+    }
+    if (review.status !== 'rejected') {
+        buttons.push(`<button class="btn-icon" onclick="moderateReview('${review.productId}', '${review.id}', 'rejected')" title="Rejeitar">🚫</button>`);
+    }
+    buttons.push(`<button class="btn-icon btn-danger" onclick="deleteReview('${review.productId}', '${review.id}')" title="Excluir">🗑️</button>`);
+    return buttons.join('');
+}
+
+// Renderizar avaliações
+function renderReviews() {
+    const filtered = filterReviews();
+
+    if (filtered.length === 0) {
+        reviewsTable.innerHTML = `
+            <tr>
+                <td colspan="8" class="empty-state">Nenhuma avaliação encontrada</td>
+            </tr>
+        `;
+        return;
+    }
+
+    reviewsTable.innerHTML = filtered.map(review => `
+        <tr data-review-id="${review.id}">
+            <td>${formatDate(review.createdAt)}</td>
+            <td>${escapeHtml(productNames.get(review.productId) || review.productId)}</td>
+            <td>${escapeHtml(review.authorName)}</td>
+            <td class="review-rating" title="${Number(review.rating) || 0} de 5">${formatStars(review.rating)}</td>
+            <td class="review-text">${escapeHtml(review.text)}</td>
+            <td>${isReviewPhotoUrl(review)
+                ? `<a href="${escapeHtml(review.photoUrl)}" target="_blank" rel="noopener noreferrer"><img class="review-photo-thumb" src="${escapeHtml(review.photoUrl)}" alt="Foto da avaliação"></a>`
+                : '<span class="text-muted">—</span>'}</td>
+            <td>${statusBadge(review.status)}</td>
+            <td class="actions">${renderActions(review)}</td>
+        </tr>
+    `).join('');
+}
+
+// Filtrar avaliações já carregadas pela busca
+function filterReviews() {
+    const searchTerm = searchInput.value.trim().toLowerCase();
+    if (!searchTerm) return allReviews;
+
+    return allReviews.filter(r =>
+        r.authorName?.toLowerCase().includes(searchTerm) ||
+        r.text?.toLowerCase().includes(searchTerm) ||
+        productNames.get(r.productId)?.toLowerCase().includes(searchTerm)
+    );
+}
+
+// Recalcula a nota média do produto a partir das avaliações aprovadas.
+// O site lê ratingAverage/ratingCount do produto para exibir a nota nos cards
+async function updateProductRating(productId) {
+    const productRef = db.collection('products').doc(productId);
+    const product = await productRef.get();
+    if (!product.exists) return;
+
+    const snapshot = await productRef.collection('reviews')
+        .where('status', '==', 'approved')
+        .get();
+
+    const ratings = snapshot.docs.map(doc => Number(doc.data().rating) || 0);
+    const ratingCount = ratings.length;
+    const ratingAverage = ratingCount
+        ? Math.round((ratings.reduce((sum, value) => sum + value, 0) / ratingCount) * 10) / 10
+        : 0;
+
+    await productRef.update({ ratingAverage, ratingCount });
+}
+
+// Aprovar ou rejeitar uma avaliação
+async function moderateReview(productId, reviewId, newStatus) {
+    const review = allReviews.find(r => r.id === reviewId && r.productId === productId);
+    if (!review || !REVIEW_STATUSES[newStatus]) return;
+
+    try {
+        await db.collection('products').doc(productId)
+            .collection('reviews').doc(reviewId)
+            .update({
+                status: newStatus,
+                moderatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                moderatedBy: auth.currentUser?.email || ''
+            });
+
+        // A média só muda quando a avaliação entra ou sai das aprovadas
+        if (newStatus === 'approved' || review.status === 'approved') {
+            await updateProductRating(productId);
+        }
+
+        review.status = newStatus;
+        showNotification(`Avaliação ${newStatus === 'approved' ? 'aprovada' : 'rejeitada'}`, 'success');
+
+        // Fora do filtro atual: some da lista
+        if (statusFilter.value && statusFilter.value !== newStatus) {
+            allReviews = allReviews.filter(r => r !== review);
+        }
+        renderReviews();
+    } catch (error) {
+        console.error('Erro ao moderar avaliação:', error);
+        showNotification('Erro ao atualizar avaliação', 'error');
+    }
+}
+
+// Excluir uma avaliação (e a foto enviada, se houver)
+async function deleteReview(productId, reviewId) {
+    const review = allReviews.find(r => r.id === reviewId && r.productId === productId);
+    if (!review) return;
+
+    if (!confirm(`Excluir a avaliação de ${review.authorName || 'cliente'}? Esta ação não pode ser desfeita.`)) {
+        return;
+    }
+
+    try {
+        await db.collection('products').doc(productId)
+            .collection('reviews').doc(reviewId)
+            .delete();
+
+        if (review.photoPath && storage) {
+            // A avaliação já foi excluída: falha ao remover a foto não desfaz a exclusão
+            await storage.ref(review.photoPath).delete()
+                .catch(error => console.error('Erro ao excluir foto da avaliação:', error));
+        }
+
+        if (review.status === 'approved') {
+            await updateProductRating(productId);
+        }
+
+        allReviews = allReviews.filter(r => r !== review);
+        showNotification('Avaliação excluída', 'success');
+        renderReviews();
+    } catch (error) {
+        console.error('Erro ao excluir avaliação:', error);
+        showNotification('Erro ao excluir avaliação', 'error');
+    }
+}
+
+// Recarregar lista
+function reloadReviews() {
+    loadReviews();
+}
+
+// Notificação
+function showNotification(message, type = 'info') {
+    // Criar elemento
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    // Adicionar ao body
+    document.body.appendChild(notification);
+
+    // Remover após 3s
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Event listeners para filtros
+searchInput.addEventListener('input', renderReviews);
+// O status faz parte da consulta: trocar recarrega do início
+statusFilter.addEventListener('change', () => loadReviews());
+
+// Inicializar
+document.addEventListener('DOMContentLoaded', () => {
+    populateStatusFilter();
+
+    // A fila de moderação só pode ser lida autenticado: aguarda a sessão ser restaurada
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        if (user) {
+            unsubscribe();
+            loadReviews();
+        }
+    });
+});
+
+globalThis.moderateReview = moderateReview;
+globalThis.deleteReview = deleteReview;
+globalThis.reloadReviews = reloadReviews;
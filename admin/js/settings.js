@@ -0,0 +1,70 @@
+// Configurações da loja (documento settings/shop, lido pelo site)
+
+// Número com código do país e DDD: 10 a 15 dígitos (formato do link wa.me)
+const WHATSAPP_PATTERN = /^\d{10,15}$/;
+
+// Elementos do DOM
+const settingsForm = document.getElementById('shop-settings-form');
+const whatsappInput = document.getElementById('settings-whatsapp');
+
+// Carregar configurações
+async function loadSettings() {
+    try {
+        const doc = await db.collection('settings').doc('shop').get();
+        whatsappInput.value = doc.data()?.whatsappNumber || '';
+    } catch (error) {
+        console.error('Erro ao carregar configurações:', error);
+        showNotification('Erro ao carregar configurações', 'error');
+    }
+}
+
+settingsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // O site usa só os dígitos (https://wa.me/<número>)
+    const whatsappNumber = whatsappInput.value.replaceAll(/\D/g, '');
+    if (!WHATSAPP_PATTERN.test(whatsappNumber)) {
+        showNotification('Informe o WhatsApp com código do país e DDD (ex.: +55 83 99999-9999)', 'error');
+        return;
+    }
+
+    const submitBtn = settingsForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Salvando...';
+
+    try {
+        await db.collection('settings').doc('shop').set({
+            whatsappNumber,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        whatsappInput.value = whatsappNumber;
+        showNotification('✓ Configurações salvas', 'success');
+    } catch (error) {
+        console.error('Erro ao salvar configurações:', error);
+        showNotification('Erro ao salvar: ' + error.message, 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Salvar';
+    }
+});
+
+// Notificação
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Inicializar (settings/shop é gravado só por usuário logado)
+document.addEventListener('DOMContentLoaded', () => {
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+        unsubscribe();
+        if (user) loadSettings();
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Módulo de Lixeira (exclusão reversível)
+ * Produtos e categorias excluídos no painel vão para a lixeira: ganham
+ * "deletedAt" e somem das listas; produtos também ficam inativos (o site só
+ * mostra produtos ativos). Na lixeira (admin/trash.html) podem ser
+ * restaurados ou excluídos definitivamente; a exclusão definitiva de um
+ * produto também apaga suas imagens do Storage.
+ *
+ * Itens mais antigos que o prazo de settings/trash (retentionDays) são
+ * excluídos definitivamente ao abrir o dashboard ou a lixeira.
+ */
+
+const TRASH_SETTINGS_DOC = 'trash';
+const DEFAULT_RETENTION_DAYS = 30;
+const TRASH_COLLECTIONS = ['products', 'categories'];
+
+// Limpeza automática no máximo a cada 12h por navegador
+const PURGE_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const PURGE_STORAGE_KEY = 'trashPurgedAt';
+
+/**
+ * Indica se o documento está na lixeira
+ * @param {object} data
+ * @returns {boolean}
+ */
+function isTrashed(data) {
+    return Boolean(data?.deletedAt);
+}
+
+/**
+ * Move um documento para a lixeira (no lote, com registro no histórico)
+ * @param {firebase.firestore.WriteBatch} batch
+ * @param {string} collection - 'products' ou 'categories'
+ * @param {string} id
+ * @param {object} data - Documento atual
+ * @param {{source?: string, bulkId?: string}} [audit]
+ */
+function moveToTrash(batch, collection, id, data, { source = 'form', bulkId = null } = {}) {
+    const changes = {
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        deletedBy: auth.currentUser?.email || '',
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+    // Produto inativo sai do site; restaurar devolve o status que ele tinha
+    if (collection === 'products') {
+        changes.activeBeforeTrash = data.active !== false;
+        changes.active = false;
+    }
+    batch.update(db.collection(collection).doc(id), changes);
+    AuditLog.recordChange(batch, { collection, docId: id, action: 'trash', before: data, after: changes, source, bulkId });
+}
+
+/**
+ * Tira um documento da lixeira (no lote, com registro no histórico)
+ * @param {firebase.firestore.WriteBatch} batch
+ * @param {string} collection
+ * @param {string} id
+ * @param {object} data - Documento atual (na lixeira)
+ */
+function restoreFromTrash(batch, collection, id, data) {
+    const remove = firebase.firestore.FieldValue.delete();
+    const changes = {
+        deletedAt: remove,
+        deletedBy: remove,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+    if (collection === 'products') {
+        changes.activeBeforeTrash = remove;
+        changes.active = data.activeBeforeTrash !== false;
+    }
+    batch.update(db.collection(collection).doc(id), changes);
+    AuditLog.recordChange(batch, { collection, docId: id, action: 'restore', before: data, after: changes, source: 'trash' });
+}
+
+/**
+ * Imagens do produto que ficam no Storage do projeto
+ * @param {object} product
+ * @returns {string[]}
+ */
+function getStorageImages(product) {
+    const urls = [
+        ...(product.images || []),
+        product.image,
+        ...(product.variants || []).map(variant => variant?.image)
+    ];
+    return [...new Set(urls.filter(url => typeof url === 'string'
+        && (url.startsWith('gs://') || url.includes('firebasestorage.googleapis.com'))))];
+}
+
+/**
+ * Caminho no bucket do projeto de uma URL de imagem
+ * @param {string} url
+ * @returns {string|null} null para URLs de fora do Storage ou de outro bucket
+ */
+function getImageBucketPath(url) {
+    try {
+        const ref = storage.refFromURL(url);
+        return ref.bucket === storage.ref().bucket ? ref.fullPath : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Imagens usadas pelos outros produtos (images, image e variants[].image,
+ * inclusive os da lixeira). Variações não podem ser consultadas com where,
+ * por isso todos os produtos são lidos.
+ * @param {string} productId - Produto que está sendo excluído
+ * @returns {Promise<Set<string>>} Caminhos no bucket
+ */
+async function loadImagesInUse(productId) {
+    const snapshot = await db.collection('products').get();
+    const paths = new Set();
+    for (const doc of snapshot.docs) {
+        if (doc.id === productId) continue;
+        for (const url of getStorageImages(doc.data())) {
+            const path = getImageBucketPath(url);
+            if (path) paths.add(path);
+        }
+    }
+    return paths;
+}
+
+/**
+ * Apaga as imagens do produto no Storage, exceto as usadas por outro produto.
+ * Se não der para conferir o uso, nenhuma é apagada (a limpeza de imagens
+ * órfãs remove depois o que sobrar).
+ * @param {string} productId
+ * @param {object} product
+ * @returns {Promise<number>} Quantidade de imagens apagadas
+ */
+async function deleteProductImages(productId, product) {
+    const images = getStorageImages(product);
+    if (images.length === 0) return 0;
+
+    let inUse;
+    try {
+        inUse = await loadImagesInUse(productId);
+    } catch (error) {
+        console.warn('Imagens mantidas: não foi possível conferir o uso por outros produtos', error);
+        return 0;
+    }
+
+    let deleted = 0;
+    for (const url of images) {
+        const path = getImageBucketPath(url);
+        if (!path || inUse.has(path)) continue;
+
+        try {
+            await storage.ref(path).delete();
+            deleted++;
+        } catch (error) {
+            // Já removida: nada a fazer
+            if (error.code !== 'storage/object-not-found') {
+                console.warn('Não foi possível apagar a imagem:', url, error);
+            }
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Exclui definitivamente um documento da lixeira (e as imagens, se for produto)
+ * @param {string} collection
+ * @param {string} id
+ * @param {object} data - Documento atual
+ * @param {string} [source='trash'] - 'trash' (ação manual) ou 'purge' (automática)
+ * @throws {Error} Categoria ainda usada por algum produto
+ */
+async function deletePermanently(collection, id, data, source = 'trash') {
+    if (collection === 'categories') {
+        // Inclui produtos na lixeira: restaurá-los deixaria a categoria órfã
+        const products = await db.collection('products').where('category', '==', data.name).limit(1).get();
+        if (!products.empty) {
+            throw new Error(`A categoria "${data.name}" ainda tem produtos (inclusive na lixeira)`);
+        }
+    }
+
+    const batch = db.batch();
+    batch.delete(db.collection(collection).doc(id));
+    AuditLog.recordChange(batch, { collection, docId: id, action: 'delete', before: data, source });
+    await batch.commit();
+
+    // Depois do documento: se falhar, sobram imagens (removidas pela limpeza de imagens órfãs)
+    if (collection === 'products') {
+        await deleteProductImages(id, data);
+    }
+}
+
+/**
+ * Itens na lixeira, do mais recente para o mais antigo
+ * @param {string} collection
+ * @returns {Promise<Array<object>>}
+ */
+async function loadTrash(collection) {
+    const snapshot = await db.collection(collection)
+        .where('deletedAt', '>', new firebase.firestore.Timestamp(0, 0))
+        .orderBy('deletedAt', 'desc')
+        .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Prazo (em dias) até a exclusão automática
+ * @returns {Promise<number>}
+ */
+async function getRetentionDays() {
+    const doc = await db.collection('settings').doc(TRASH_SETTINGS_DOC).get();
+    const days = Number(doc.data()?.retentionDays);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Salva o prazo da exclusão automática
+ * @param {number} days
+ */
+async function setRetentionDays(days) {
+    await db.collection('settings').doc(TRASH_SETTINGS_DOC).set({
+        retentionDays: days,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+}
+
+/**
+ * Exclui definitivamente os itens da lixeira mais antigos que o prazo
+ * @param {{force?: boolean}} [options] - force ignora o intervalo entre limpezas
+ * @returns {Promise<number>} Quantidade de itens excluídos
+ */
+async function purgeExpired({ force = false } = {}) {
+    const lastPurge = Number(localStorage.getItem(PURGE_STORAGE_KEY)) || 0;
+    if (!force && Date.now() - lastPurge < PURGE_INTERVAL_MS) return 0;
+
+    const days = await getRetentionDays();
+    const cutoff = firebase.firestore.Timestamp.fromMillis(Date.now() - days * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    // Produtos antes das categorias (categorias só saem sem produtos)
+    for (const collection of TRASH_COLLECTIONS) {
+        const snapshot = await db.collection(collection)
+            .where('deletedAt', '>', new firebase.firestore.Timestamp(0, 0))
+            .where('deletedAt', '<=', cutoff)
+            .get();
+        for (const doc of snapshot.docs) {
+            try {
+                await deletePermanently(collection, doc.id, doc.data(), 'purge');
+                purged++;
+            } catch (error) {
+                console.warn('Item mantido na lixeira:', collection, doc.id, error.message);
+            }
+        }
+    }
+
+    localStorage.setItem(PURGE_STORAGE_KEY, String(Date.now()));
+    if (purged > 0) console.log('Lixeira: itens expirados excluídos:', purged);
+    return purged;
+}
+
+// Expor funções globalmente
+globalThis.TrashBin = {
+    DEFAULT_RETENTION_DAYS,
+    isTrashed,
+    moveToTrash,
+    restoreFromTrash,
+    deletePermanently,
+    loadTrash,
+    getRetentionDays,
+    setRetentionDays,
+    purgeExpired
+};
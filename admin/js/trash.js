@@ -0,0 +1,246 @@
+// Lixeira - restaurar ou excluir definitivamente produtos e categorias
+
+const TRASH_TYPE_LABELS = {
+    products: 'Produto',
+    categories: 'Categoria'
+};
+
+let trashItems = [];
+let retentionDays = TrashBin.DEFAULT_RETENTION_DAYS;
+
+// Elementos do DOM
+const trashTableBody = document.getElementById('trash-table-body');
+const emptyTrashBtn = document.getElementById('empty-trash-btn');
+const settingsForm = document.getElementById('trash-settings-form');
+const retentionInput = document.getElementById('trash-retention');
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+function formatDate(date) {
+    if (!date) return '—';
+    return date.toLocaleString('pt-BR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Data em que o item sai da lixeira pela limpeza automática
+function getPurgeDate(item) {
+    if (!item.deletedAt?.toDate) return null;
+    return new Date(item.deletedAt.toMillis() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+// Carregar itens da lixeira
+async function loadTrashItems() {
+    try {
+        const [products, categories] = await Promise.all([
+            TrashBin.loadTrash('products'),
+            TrashBin.loadTrash('categories')
+        ]);
+        trashItems = [
+            ...products.map(item => ({ ...item, collection: 'products' })),
+            ...categories.map(item => ({ ...item, collection: 'categories' }))
+        ].sort((a, b) => b.deletedAt.toMillis() - a.deletedAt.toMillis());
+        renderTrash();
+    } catch (error) {
+        console.error('Erro ao carregar lixeira:', error);
+        showNotification('Erro ao carregar lixeira', 'error');
+    }
+}
+
+// Renderizar itens
+function renderTrash() {
+    emptyTrashBtn.disabled = trashItems.length === 0;
+
+    if (trashItems.length === 0) {
+        trashTableBody.innerHTML = `
+            <tr>
+                <td colspan="6" class="empty-state">A lixeira está vazia</td>
+            </tr>
+        `;
+        return;
+    }
+
+    trashTableBody.innerHTML = trashItems.map(item => `
+        <tr>
+            <td><span class="status trash-type">${TRASH_TYPE_LABELS[item.collection]}</span></td>
+            <td>
+                <strong>${escapeHtml(item.name)}</strong>
+                ${item.collection === 'products' && item.category ? `<br><small class="text-muted">${escapeHtml(item.category)}</small>` : ''}
+            </td>
+            <td>${formatDate(item.deletedAt?.toDate())}</td>
+            <td>${escapeHtml(item.deletedBy || '—')}</td>
+            <td>${formatDate(getPurgeDate(item))}</td>
+            <td class="actions">
+                <button class="btn-icon" onclick="restoreItem('${item.collection}', '${item.id}')" title="Restaurar">
+                    ♻️
+                </button>
+                <button class="btn-icon btn-danger" onclick="deleteItem('${item.collection}', '${item.id}')" title="Excluir definitivamente">
+                    ❌
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Restaurar item
+async function restoreItem(collection, id) {
+    try {
+        const doc = await db.collection(collection).doc(id).get();
+        if (!doc.exists || !TrashBin.isTrashed(doc.data())) {
+            showNotification('Item não está mais na lixeira', 'error');
+            loadTrashItems();
+            return;
+        }
+        const data = doc.data();
+
+        // Produto volta só para uma categoria que exista fora da lixeira
+        if (collection === 'products') {
+            const categories = await db.collection('categories').where('name', '==', data.category).get();
+            if (!categories.docs.some(category => !TrashBin.isTrashed(category.data()))) {
+                alert(`⚠️ A categoria "${data.category}" não existe ou está na lixeira.\n\n` +
+                      `Restaure (ou recrie) a categoria antes de restaurar "${data.name}".`);
+                return;
+            }
+        }
+
+        const batch = db.batch();
+        TrashBin.restoreFromTrash(batch, collection, id, data);
+        await batch.commit();
+        showNotification(`✓ "${data.name}" restaurado!`, 'success');
+        loadTrashItems();
+    } catch (error) {
+        console.error('Erro ao restaurar item:', error);
+        showNotification('Erro ao restaurar: ' + error.message, 'error');
+    }
+}
+
+// Excluir definitivamente
+async function deleteItem(collection, id) {
+    const item = trashItems.find(entry => entry.collection === collection && entry.id === id);
+    if (!item) return;
+
+    const images = collection === 'products' ? '\nAs imagens do produto também serão apagadas.' : '';
+    if (!confirm(`Excluir definitivamente "${item.name}"?${images}\n\nEsta ação não pode ser desfeita.`)) {
+        return;
+    }
+
+    try {
+        const doc = await db.collection(collection).doc(id).get();
+        if (!doc.exists || !TrashBin.isTrashed(doc.data())) {
+            showNotification('Item não está mais na lixeira', 'error');
+        } else {
+            await TrashBin.deletePermanently(collection, id, doc.data());
+            showNotification('✓ Item excluído definitivamente', 'success');
+        }
+        loadTrashItems();
+    } catch (error) {
+        console.error('Erro ao excluir item:', error);
+        showNotification('Erro ao excluir: ' + error.message, 'error');
+    }
+}
+
+// Esvaziar a lixeira (produtos antes das categorias)
+async function emptyTrash() {
+    if (!confirm(`Excluir definitivamente os ${trashItems.length} item(ns) da lixeira?\n\nEsta ação não pode ser desfeita.`)) {
+        return;
+    }
+
+    emptyTrashBtn.disabled = true;
+    const ordered = [
+        ...trashItems.filter(item => item.collection === 'products'),
+        ...trashItems.filter(item => item.collection === 'categories')
+    ];
+    const failed = [];
+
+    for (const { collection, id, name } of ordered) {
+        try {
+            // Pode ter sido restaurado (em outra aba ou por outro admin) depois da listagem
+            const doc = await db.collection(collection).doc(id).get();
+            if (!doc.exists || !TrashBin.isTrashed(doc.data())) continue;
+            await TrashBin.deletePermanently(collection, id, doc.data());
+        } catch (error) {
+            console.warn('Item mantido na lixeira:', collection, id, error.message);
+            failed.push(name);
+        }
+    }
+
+    if (failed.length > 0) {
+        showNotification(`${failed.length} item(ns) não puderam ser excluídos: ${failed.join(', ')}`, 'error');
+    } else {
+        showNotification('✓ Lixeira esvaziada', 'success');
+    }
+    loadTrashItems();
+}
+
+// Prazo da exclusão automática
+async function loadSettings() {
+    try {
+        retentionDays = await TrashBin.getRetentionDays();
+    } catch (error) {
+        console.error('Erro ao carregar configurações da lixeira:', error);
+    }
+    retentionInput.value = retentionDays;
+}
+
+settingsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const days = Number(retentionInput.value);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        showNotification('Informe um prazo entre 1 e 365 dias', 'error');
+        return;
+    }
+    try {
+        await TrashBin.setRetentionDays(days);
+        retentionDays = days;
+        renderTrash();
+        showNotification('✓ Prazo da lixeira salvo', 'success');
+    } catch (error) {
+        console.error('Erro ao salvar prazo da lixeira:', error);
+        showNotification('Erro ao salvar: ' + error.message, 'error');
+    }
+});
+
+// Notificação
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.classList.add('fade-out');
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+// Inicializar (a limpeza automática exige usuário logado)
+document.addEventListener('DOMContentLoaded', () => {
+    const unsubscribe = auth.onAuthStateChanged(async (user) => {
+        unsubscribe();
+        if (!user) return;
+        await loadSettings();
+        try {
+            const purged = await TrashBin.purgeExpired({ force: true });
+            if (purged > 0) showNotification(`${purged} item(ns) expirado(s) excluído(s) da lixeira`, 'info');
+        } catch (error) {
+            console.warn('Erro ao limpar a lixeira:', error);
+        }
+        loadTrashItems();
+    });
+});
+
+// Expor funções usadas no HTML
+globalThis.restoreItem = restoreItem;
+globalThis.deleteItem = deleteItem;
+globalThis.emptyTrash = emptyTrash;
@@ -12,6 +12,13 @@ const VALIDATION_RULES = {
             pattern: /^[a-zA-ZÀ-ÿ0-9\s\-_.()]+$/,
             sanitize: true
         },
+        // Endereço da página do produto (/produto/<slug>), mesmo formato do slug de categoria
+        slug: {
+            required: true,
+            minLength: 2,
+            maxLength: 80,
+            pattern: /^[a-z0-9-]+$/
+        },
         price: {
             required: true,
             type: 'number',
@@ -44,6 +51,45 @@ const VALIDATION_RULES = {
         active: {
             required: true,
             type: 'boolean'
+        },
+        stock: {
+            required: false,
+            type: 'integer',
+            min: 0,
+            max: 99999
+        },
+        madeToOrder: {
+            required: false,
+            type: 'boolean'
+        },
+        leadTimeDays: {
+            required: false,
+            type: 'integer',
+            min: 1,
+            max: 365
+        },
+        variants: {
+            required: false,
+            type: 'variants',
+            maxItems: 30,
+            // Tamanho, cor e material seguem a mesma regra
+            attribute: {
+                required: false,
+                maxLength: 30,
+                pattern: /^[a-zA-ZÀ-ÿ0-9\s\-_.()/]+$/,
+                sanitize: true
+            },
+            price: {
+                required: true,
+                type: 'number',
+                min: 0.01,
+                max: 999999.99,
+                decimals: 2
+            },
+            stock: {
+                min: 0,
+                max: 99999
+            }
         }
     },
     category: {
@@ -91,6 +137,23 @@ function sanitizeString(str) {
     return str;
 }
 
+/**
+ * Gera um slug a partir de um texto ("Rosa de Crochê" → "rosa-de-croche")
+ * @param {string} text - Texto de origem (ex.: nome do produto)
+ * @param {number} maxLength - Tamanho máximo do slug
+ * @returns {string} Slug com letras minúsculas, números e hífens
+ */
+function generateSlug(text, maxLength = VALIDATION_RULES.product.slug.maxLength) {
+    return String(text || '')
+        .normalize('NFD')
+        .replaceAll(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replaceAll(/[^a-z0-9]+/g, '-')
+        .replaceAll(/^-+|-+$/g, '')
+        .slice(0, maxLength)
+        .replace(/-+$/, '');
+}
+
 /**
  * Sanitiza URL
  * @param {string} url - URL a ser sanitizada
@@ -210,6 +273,42 @@ function validateNumber(value, rules) {
     return { valid: true, sanitized };
 }
 
+/**
+ * Valida número inteiro opcional (vazio = null)
+ * @param {*} value - Valor a validar
+ * @param {object} rules - Regras de validação
+ * @returns {object} {valid: boolean, error: string, sanitized: any}
+ */
+function validateInteger(value, rules) {
+    if (value === undefined || value === null || value === '') {
+        if (rules.required) {
+            return { valid: false, error: 'Número obrigatório' };
+        }
+        return { valid: true, sanitized: null };
+    }
+    
+    const num = Number(value);
+    if (!Number.isInteger(num)) {
+        return { valid: false, error: 'Informe um número inteiro' };
+    }
+    
+    if (rules.min !== undefined && num < rules.min) {
+        return { 
+            valid: false, 
+            error: `Valor mínimo: ${rules.min}` 
+        };
+    }
+    
+    if (rules.max !== undefined && num > rules.max) {
+        return { 
+            valid: false, 
+            error: `Valor máximo: ${rules.max}` 
+        };
+    }
+    
+    return { valid: true, sanitized: num };
+}
+
 /**
  * Valida URL
  * @param {string} value - URL a validar
@@ -302,6 +401,83 @@ function validateArray(value, rules) {
     return { valid: true, sanitized: value };
 }
 
+/**
+ * Valida a lista de variações do produto (tamanho, cor, material, preço, estoque, imagem)
+ * @param {*} value - Lista de variações
+ * @param {object} rules - Regras de validação (VALIDATION_RULES.product.variants)
+ * @returns {object} {valid: boolean, error: string, sanitized: any}
+ */
+function validateVariants(value, rules) {
+    if (value === undefined || value === null) {
+        return { valid: true, sanitized: [] };
+    }
+    
+    if (!Array.isArray(value)) {
+        return { valid: false, error: 'Variações devem ser uma lista' };
+    }
+    
+    if (rules.maxItems && value.length > rules.maxItems) {
+        return { 
+            valid: false, 
+            error: `Máximo de ${rules.maxItems} variações` 
+        };
+    }
+    
+    const sanitized = [];
+    const combinations = new Set();
+    
+    for (let i = 0; i < value.length; i++) {
+        const variant = value[i] || {};
+        const prefix = `Variação ${i + 1}`;
+        const item = { id: String(variant.id || i) };
+        
+        // Atributos
+        for (const attribute of ['size', 'color', 'material']) {
+            const result = validateString(variant[attribute], rules.attribute);
+            if (!result.valid) {
+                return { valid: false, error: `${prefix}: ${result.error}` };
+            }
+            item[attribute] = result.sanitized;
+        }
+        
+        if (!item.size && !item.color && !item.material) {
+            return { valid: false, error: `${prefix}: informe tamanho, cor ou material` };
+        }
+        
+        // Combinações repetidas deixariam o seletor do site ambíguo
+        const key = [item.size, item.color, item.material].join('|').toLowerCase();
+        if (combinations.has(key)) {
+            return { valid: false, error: `${prefix}: combinação repetida` };
+        }
+        combinations.add(key);
+        
+        // Preço
+        const price = validateNumber(variant.price, rules.price);
+        if (!price.valid) {
+            return { valid: false, error: `${prefix}: ${price.error}` };
+        }
+        item.price = price.sanitized;
+        
+        // Estoque (null = não controlado)
+        const stock = validateInteger(variant.stock, rules.stock);
+        if (!stock.valid) {
+            return { valid: false, error: `${prefix}: estoque - ${stock.error}` };
+        }
+        item.stock = stock.sanitized;
+        
+        // Imagem
+        const image = validateUrl(variant.image, { required: false });
+        if (!image.valid) {
+            return { valid: false, error: `${prefix}: ${image.error}` };
+        }
+        item.image = image.sanitized;
+        
+        sanitized.push(item);
+    }
+    
+    return { valid: true, sanitized };
+}
+
 /**
  * Valida um campo específico
  * @param {*} value - Valor a validar
@@ -312,12 +488,16 @@ function validateField(value, rules) {
     switch (rules.type) {
         case 'number':
             return validateNumber(value, rules);
+        case 'integer':
+            return validateInteger(value, rules);
         case 'url':
             return validateUrl(value, rules);
         case 'boolean':
             return validateBoolean(value, rules);
         case 'array':
             return validateArray(value, rules);
+        case 'variants':
+            return validateVariants(value, rules);
         default:
             return validateString(value, rules);
     }
@@ -364,13 +544,39 @@ function validateObject(data, type) {
     return { valid: isValid, errors, sanitized };
 }
 
+/**
+ * Menor preço do produto: o da variação mais barata, ou o próprio preço.
+ * Gravado como "minPrice" para o filtro e a ordenação por preço do site
+ * (consultas do Firestore não enxergam os preços dentro de variants).
+ * @param {object} product - Dados com price e variants
+ * @returns {number}
+ */
+function getMinPrice(product) {
+    const price = Number(product.price) || 0;
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length === 0) return price;
+    return Math.min(...variants.map(variant => Number(variant?.price) || price));
+}
+
 /**
  * Valida dados de produto
  * @param {object} productData - Dados do produto
  * @returns {object} {valid: boolean, errors: object, sanitized: object}
  */
 function validateProduct(productData) {
-    return validateObject(productData, 'product');
+    const result = validateObject(productData, 'product');
+    
+    // Sob encomenda exige prazo de produção
+    if (result.sanitized.madeToOrder && !result.sanitized.leadTimeDays && !result.errors.leadTimeDays) {
+        result.errors.leadTimeDays = 'Informe o prazo de produção em dias';
+        result.valid = false;
+    }
+    
+    if (result.valid) {
+        result.sanitized.minPrice = getMinPrice(result.sanitized);
+    }
+    
+    return result;
 }
 
 /**
@@ -539,12 +745,14 @@ function showValidationErrors(errors) {
 // Expor funções globalmente
 globalThis.ValidationModule = {
     validateProduct,
+    getMinPrice,
     validateCategory,
     validateImageFile,
     validateImageFiles,
     sanitizeString,
     sanitizeUrl,
     sanitizeNumber,
+    generateSlug,
     showFieldError,
     clearFieldError,
     clearAllErrors,
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Backup e Restauração dos Dados da Loja
+ *
+ * dump:    copia as coleções products, categories e settings e o manifesto das
+ *          imagens do Storage para backups/backup-<data>-<hora>.json
+ * restore: grava um backup de volta no Firestore. Documentos iguais são
+ *          ignorados; para os diferentes vale a política de conflito:
+ *            skip      mantém o que está no banco (padrão)
+ *            overwrite substitui pelo documento do backup
+ *            merge     grava os campos do backup e mantém os demais
+ *          Documentos que existem só no banco não são removidos. As imagens
+ *          não fazem parte do backup: o manifesto só aponta as que sumiram.
+ *
+ * Uso:
+ *   node build-tools/backup.js dump [--emulator [host:porta]] [--project id] [--out pasta] [--bucket nome]
+ *   node build-tools/backup.js restore --from backups/backup-....json --dry-run
+ *   node build-tools/backup.js restore --from backups/backup-....json --emulator --conflict overwrite
+ *   node build-tools/backup.js restore --from backups/backup-....json --project id --yes
+ *
+ * Com --emulator, Firestore e Storage usam os emuladores locais (o Storage em
+ * FIREBASE_STORAGE_EMULATOR_HOST, padrão localhost:9199) e nada sai da máquina.
+ * Restaurar em produção exige --yes (rode antes com --dry-run).
+ */
+
+import path from 'path';
+import { ROOT, colors, log, parseArgs, readEnvValue, resolveProjectId } from './prerender/cli.js';
+import { initAdminApp } from './prerender/source.js';
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  BACKUP_COLLECTIONS,
+  CONFLICT_POLICIES,
+  archiveFileName,
+  decodeValue,
+  encodeValue,
+  planCollectionRestore,
+  readArchive,
+  writeArchive
+} from './backup/archive.js';
+
+const DEFAULT_OUT_DIR = path.join(ROOT, 'backups');
+const DEFAULT_STORAGE_EMULATOR_HOST = 'localhost:9199';
+
+// Limite de operações por lote do Firestore é 500
+const BATCH_SIZE = 400;
+
+const CONFLICT_LABELS = { skip: 'mantido', overwrite: 'substituído', merge: 'mesclado' };
+
+const USAGE = 'Uso: node build-tools/backup.js <dump|restore> [opções] (veja o cabeçalho do arquivo)';
+
+/**
+ * Firestore e bucket do Storage do projeto escolhido.
+ * @param {object} options - Retorno de parseArgs
+ * @param {string|null} [fallbackBucket] - Bucket usado se não houver --bucket nem .env
+ * @returns {Promise<{db: object, bucket: object|null, projectId: string|undefined}>}
+ */
+async function connect(options, fallbackBucket = null) {
+  const projectId = resolveProjectId(options.project);
+  const bucketName = options.values['--bucket'] || readEnvValue('FIREBASE_STORAGE_BUCKET') || fallbackBucket;
+
+  if (options.emulator && !process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST = DEFAULT_STORAGE_EMULATOR_HOST;
+  }
+
+  log(`   Banco: Firestore ${options.emulator ? `(emulador ${options.emulator})` : '(produção)'} - projeto ${projectId || '?'}`);
+  const app = await initAdminApp(
+    { projectId, emulatorHost: options.emulator },
+    'backup',
+    bucketName ? { storageBucket: bucketName } : {}
+  );
+
+  const { getFirestore } = await import('firebase-admin/firestore');
+  let bucket = null;
+  if (bucketName) {
+    const { getStorage } = await import('firebase-admin/storage');
+    bucket = getStorage(app).bucket();
+  }
+
+  return { db: getFirestore(app), bucket, projectId };
+}
+
+/**
+ * Documentos de uma coleção, codificados para JSON.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function readCollection(db, name) {
+  const snapshot = await db.collection(name).get();
+  return new Map(snapshot.docs.map(doc => [doc.id, encodeValue(doc.data())]));
+}
+
+/**
+ * Lista os arquivos do bucket (sem baixar o conteúdo).
+ * @returns {Promise<Array<{path: string, size: number, contentType: string, md5Hash: string, updated: string}>>}
+ */
+async function readStorageManifest(bucket) {
+  const [files] = await bucket.getFiles();
+  return files
+    .map(file => ({
+      path: file.name,
+      size: Number(file.metadata.size) || 0,
+      contentType: file.metadata.contentType || '',
+      md5Hash: file.metadata.md5Hash || '',
+      updated: file.metadata.updated || ''
+    }))
+    .sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+async function dump(options) {
+  log(`${colors.blue}💾 Fazendo backup dos dados da loja...${colors.reset}\n`);
+  const { db, bucket, projectId } = await connect(options);
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    projectId: projectId || null,
+    source: options.emulator ? 'emulator' : 'production'
+  };
+
+  for (const name of BACKUP_COLLECTIONS) {
+    const docs = await readCollection(db, name);
+    archive[name] = Object.fromEntries(docs);
+    log(`   ✓ ${name} (${docs.size} documentos)`, colors.green);
+  }
+
+  // O manifesto é complementar: sem ele o backup do Firestore continua válido
+  if (bucket) {
+    try {
+      archive.storage = { bucket: bucket.name, files: await readStorageManifest(bucket) };
+      log(`   ✓ storage (${archive.storage.files.length} arquivos no manifesto)`, colors.green);
+    } catch (error) {
+      archive.storage = null;
+      log(`   ⏭  storage: manifesto não gerado (${error.message})`, colors.yellow);
+    }
+  } else {
+    archive.storage = null;
+    log('   ⏭  storage: informe --bucket ou FIREBASE_STORAGE_BUCKET no .env para gerar o manifesto', colors.yellow);
+  }
+
+  const outDir = path.resolve(options.values['--out'] || DEFAULT_OUT_DIR);
+  const file = path.join(outDir, archiveFileName());
+  writeArchive(file, archive);
+
+  log(`\n${colors.green}✓ Backup salvo em ${path.relative(process.cwd(), file)}${colors.reset}\n`);
+  return file;
+}
+
+/**
+ * Grava os documentos planejados em lotes.
+ * @param {object} db
+ * @param {Array<{collection: string, id: string, data: object, merge: boolean}>} writes
+ * @param {typeof import('firebase-admin/firestore').Timestamp} Timestamp
+ */
+async function commitWrites(db, writes, Timestamp) {
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { collection, id, data, merge } of writes.slice(start, start + BATCH_SIZE)) {
+      batch.set(db.collection(collection).doc(id), decodeValue(data, Timestamp), { merge });
+    }
+    await batch.commit();
+    log(`   ✓ ${Math.min(start + BATCH_SIZE, writes.length)}/${writes.length} documentos gravados`, colors.green);
+  }
+}
+
+/**
+ * Confere se as imagens do manifesto ainda existem no bucket.
+ */
+async function checkStorage(archive, bucket) {
+  if (!archive.storage?.files?.length) return;
+  if (!bucket) {
+    log('   ⏭  storage: informe --bucket para conferir as imagens do manifesto', colors.yellow);
+    return;
+  }
+
+  try {
+    const current = new Set((await readStorageManifest(bucket)).map(file => file.path));
+    const missing = archive.storage.files.filter(file => !current.has(file.path));
+    if (missing.length === 0) {
+      log(`   ✓ storage: as ${archive.storage.files.length} imagens do manifesto existem no bucket`, colors.green);
+      return;
+    }
+    log(`   ⚠  storage: ${missing.length} arquivo(s) do manifesto não existem mais no bucket:`, colors.yellow);
+    for (const file of missing.slice(0, 20)) log(`      - ${file.path}`, colors.yellow);
+    if (missing.length > 20) log(`      ... e mais ${missing.length - 20}`, colors.yellow);
+  } catch (error) {
+    log(`   ⏭  storage: não foi possível conferir o manifesto (${error.message})`, colors.yellow);
+  }
+}
+
+async function restore(options) {
+  if (!options.from) {
+    throw new Error('Informe o backup com --from backups/backup-....json');
+  }
+
+  const policy = options.values['--conflict'] || 'skip';
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new Error(`--conflict deve ser ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  const dryRun = options.flags.has('--dry-run');
+  if (!dryRun && !options.emulator && !options.flags.has('--yes')) {
+    throw new Error('Restaurar em produção exige --yes. Confira antes com --dry-run.');
+  }
+
+  const archive = readArchive(options.from);
+  log(`${colors.blue}♻️  Restaurando backup de ${archive.exportedAt} (${archive.source}, projeto ${archive.projectId || '?'})${dryRun ? ' - simulação' : ''}...${colors.reset}\n`);
+  log(`   Conflitos: ${policy}`);
+
+  const { db, bucket } = await connect(options, archive.storage?.bucket);
+  const { Timestamp } = await import('firebase-admin/firestore');
+  const writes = [];
+
+  for (const name of BACKUP_COLLECTIONS) {
+    const backupDocs = archive[name] || {};
+    const current = await readCollection(db, name);
+    const plan = planCollectionRestore(backupDocs, current, policy);
+
+    log(`\n   ${name}: ${plan.create.length} novos, ${plan.identical.length} iguais, ${plan.conflicts.length} diferentes, ${plan.onlyInDatabase.length} só no banco`);
+    for (const id of plan.conflicts) {
+      const label = backupDocs[id]?.name ? `${id} (${backupDocs[id].name})` : id;
+      log(`      ${CONFLICT_LABELS[policy]}: ${label}`, colors.yellow);
+    }
+
+    for (const id of plan.write) {
+      writes.push({ collection: name, id, data: backupDocs[id], merge: policy === 'merge' && current.has(id) });
+    }
+  }
+
+  log('');
+  await checkStorage(archive, bucket);
+
+  if (dryRun) {
+    log(`\n${colors.blue}Simulação: ${writes.length} documento(s) seriam gravados. Nada foi alterado.${colors.reset}\n`);
+    return;
+  }
+  if (writes.length === 0) {
+    log(`\n${colors.green}✓ Nada a restaurar: o banco já está igual ao backup.${colors.reset}\n`);
+    return;
+  }
+
+  log('');
+  await commitWrites(db, writes, Timestamp);
+  log(`\n${colors.green}✓ Restauração concluída (${writes.length} documentos).${colors.reset}\n`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'dump') {
+    await dump(parseArgs(args, [], ['--out', '--bucket']));
+  } else if (command === 'restore') {
+    await restore(parseArgs(args, ['--dry-run', '--yes'], ['--conflict', '--bucket']));
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  log(`\n Erro: ${error.message}\n`, colors.red);
+  process.exit(1);
+}
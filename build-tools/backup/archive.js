@@ -0,0 +1,141 @@
+/**
+ * Formato do arquivo de backup da loja
+ *
+ * Um JSON por backup, no mesmo formato da exportação usada pela
+ * pré-renderização ({ "products": { id: dados }, "categories": {...} }), então
+ * também serve de fonte para `prerender.js --from`. Além do catálogo:
+ *   - settings: documentos da coleção "settings"
+ *   - storage: manifesto das imagens do Storage (caminho, tamanho, md5)
+ * Timestamps ficam como { _seconds, _nanoseconds } (lidos por toMillis no site).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const ARCHIVE_FORMAT = 'artesanato-shop-backup';
+export const ARCHIVE_VERSION = 1;
+
+// Coleções copiadas, na ordem de restauração
+export const BACKUP_COLLECTIONS = ['categories', 'products', 'settings'];
+
+// Como tratar documentos que já existem (e são diferentes) no destino
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'merge'];
+
+/**
+ * Converte Timestamps do Firestore em { _seconds, _nanoseconds } (recursivo).
+ * @param {*} value
+ * @returns {*}
+ */
+export function encodeValue(value) {
+  if (value && typeof value.toDate === 'function' && Number.isFinite(value.seconds)) {
+    return { _seconds: value.seconds, _nanoseconds: value.nanoseconds };
+  }
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+  }
+  return value;
+}
+
+function isEncodedTimestamp(value) {
+  const keys = Object.keys(value);
+  return keys.length === 2 && Number.isFinite(value._seconds) && Number.isFinite(value._nanoseconds);
+}
+
+/**
+ * Inverso de encodeValue.
+ * @param {*} value
+ * @param {typeof import('firebase-admin/firestore').Timestamp} Timestamp
+ * @returns {*}
+ */
+export function decodeValue(value, Timestamp) {
+  if (Array.isArray(value)) return value.map(item => decodeValue(item, Timestamp));
+  if (value && typeof value === 'object') {
+    if (isEncodedTimestamp(value)) return new Timestamp(value._seconds, value._nanoseconds);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item, Timestamp)]));
+  }
+  return value;
+}
+
+/**
+ * Forma canônica para comparar documentos (a ordem das chaves não importa).
+ * @param {*} value - Documento já codificado (encodeValue)
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  const sort = item => {
+    if (Array.isArray(item)) return item.map(sort);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.keys(item).sort().map(key => [key, sort(item[key])]));
+    }
+    return item;
+  };
+  return JSON.stringify(sort(value));
+}
+
+/**
+ * Nome do arquivo de um backup feito agora (ex.: backup-20251214-093000.json).
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function archiveFileName(date = new Date()) {
+  const stamp = date.toISOString().replaceAll(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `backup-${stamp}.json`;
+}
+
+/**
+ * Grava o backup.
+ * @param {string} file
+ * @param {object} archive
+ */
+export function writeArchive(file, archive) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(archive, null, 2)}\n`);
+}
+
+/**
+ * Lê e confere um backup.
+ * @param {string} file
+ * @returns {object}
+ */
+export function readArchive(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Backup não encontrado: ${file}`);
+  }
+
+  const archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (archive.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${path.basename(file)} não é um backup da loja (campo "format" ausente ou diferente)`);
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Backup na versão ${archive.version}; este script lê até a versão ${ARCHIVE_VERSION}`);
+  }
+  return archive;
+}
+
+/**
+ * Decide o que fazer com cada documento do backup.
+ * Documentos que existem só no destino não são alterados.
+ * @param {object} backupDocs - { id: dados codificados } do backup
+ * @param {Map<string, object>} currentDocs - Documentos atuais (codificados) por ID
+ * @param {string} policy - CONFLICT_POLICIES
+ * @returns {{create: string[], identical: string[], conflicts: string[], write: string[], onlyInDatabase: string[]}}
+ */
+export function planCollectionRestore(backupDocs, currentDocs, policy) {
+  const plan = { create: [], identical: [], conflicts: [], write: [], onlyInDatabase: [] };
+
+  for (const [id, data] of Object.entries(backupDocs || {})) {
+    if (!currentDocs.has(id)) {
+      plan.create.push(id);
+      plan.write.push(id);
+    } else if (canonicalJson(currentDocs.get(id)) === canonicalJson(data)) {
+      plan.identical.push(id);
+    } else {
+      plan.conflicts.push(id);
+      if (policy !== 'skip') plan.write.push(id);
+    }
+  }
+
+  plan.onlyInDatabase = [...currentDocs.keys()].filter(id => !(id in (backupDocs || {})));
+  return plan;
+}
@@ -5,8 +5,17 @@
  * 
  * Este script:
  * 1. Injeta as credenciais Firebase nos arquivos HTML
- * 2. Faz o deploy para Firebase Hosting
- * 3. Restaura os placeholders nos arquivos HTML (segurança)
+ * 2. Gera o sitemap.xml a partir do catálogo (build-tools/sitemap.js)
+ * 3. Faz o deploy para Firebase Hosting
+ * 4. Restaura os placeholders nos arquivos HTML (segurança)
+ *
+ * Argumentos são repassados ao gerador do sitemap, ex.:
+ *   npm run deploy -- --from catalogo.json
+ *
+ * Com --backup, antes de tudo salva um backup do Firestore em backups/
+ * (build-tools/backup.js dump, com o mesmo --project/--emulator); se o backup
+ * falhar, o deploy não acontece:
+ *   npm run deploy -- --backup
  */
 
 import { execSync } from 'child_process';
@@ -30,21 +39,50 @@ function log(message, color = colors.reset) {
   console.log(`${color}${message}${colors.reset}`);
 }
 
-function step(num, message) {
-  log(`\n${colors.bright}[${num}/4]${colors.reset} ${message}`);
+const args = process.argv.slice(2);
+const withSnapshot = args.includes('--backup');
+const TOTAL_STEPS = withSnapshot ? 6 : 5;
+let currentStep = 0;
+
+function step(message) {
+  currentStep++;
+  log(`\n${colors.bright}[${currentStep}/${TOTAL_STEPS}]${colors.reset} ${message}`);
+}
+
+/**
+ * Argumentos do backup: os de origem (--project, --emulator), sem --from
+ * (o backup sempre lê do Firestore)
+ */
+function snapshotArgs() {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project' || args[i] === '--emulator') {
+      result.push(args[i]);
+      if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) result.push(args[++i]);
+    }
+  }
+  return result;
 }
 
+const backups = {};
+
 try {
   log('\n Iniciando processo de deploy...\n', colors.bright);
 
+  // Passo opcional: snapshot dos dados antes de publicar
+  if (withSnapshot) {
+    step('Salvando backup do Firestore...');
+    const backupArgs = snapshotArgs().map(arg => JSON.stringify(arg)).join(' ');
+    execSync(`node build-tools/backup.js dump ${backupArgs}`, { stdio: 'inherit' });
+  }
+
   // Passo 1: Fazer backup dos arquivos originais
-  step(1, 'Fazendo backup dos arquivos...');
+  step('Fazendo backup dos arquivos...');
   const filesToBackup = [
     'products.html',
     'index.html',
     'src/js/firebase-config-template.js'
   ];
-  const backups = {};
   
   filesToBackup.forEach(file => {
     const filePath = path.join(__dirname, '..', file);
@@ -55,16 +93,25 @@ try {
   });
 
   // Passo 2: Injetar credenciais
-  step(2, 'Injetando credenciais do .env...');
+  step('Injetando credenciais do .env...');
   execSync('node build-tools/build-env.js', { stdio: 'inherit' });
 
-  // Passo 3: Deploy
-  step(3, 'Fazendo deploy para Firebase Hosting...');
+  // Passo 3: Sitemap (se o catálogo não puder ser lido, mantém o sitemap atual)
+  step('Gerando sitemap.xml do catálogo...');
+  const sitemapArgs = args.filter(arg => arg !== '--backup').map(arg => JSON.stringify(arg)).join(' ');
+  try {
+    execSync(`node build-tools/sitemap.js ${sitemapArgs}`, { stdio: 'inherit' });
+  } catch {
+    log('   Não foi possível gerar o sitemap; o sitemap.xml atual será publicado.', colors.yellow);
+  }
+
+  // Passo 4: Deploy
+  step('Fazendo deploy para Firebase Hosting...');
   log('   (Isso pode levar alguns segundos...)\n', colors.yellow);
   execSync('firebase deploy --only hosting', { stdio: 'inherit' });
 
-  // Passo 4: Restaurar arquivos originais
-  step(4, 'Restaurando placeholders nos arquivos...');
+  // Passo 5: Restaurar arquivos originais
+  step('Restaurando placeholders nos arquivos...');
   Object.entries(backups).forEach(([file, content]) => {
     const filePath = path.join(__dirname, '..', file);
     fs.writeFileSync(filePath, content);
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Pré-renderização do Catálogo (SSG)
+ *
+ * Gera HTML estático a partir do Firestore para que o catálogo apareça
+ * antes do JavaScript (e para buscadores):
+ *   - products.html: cards de todos os produtos ativos (editado no lugar)
+ *   - categoria/<slug>.html: uma página por categoria
+ *   - produto/<slug>.html: uma página por produto
+ * O site hidrata essas páginas com os dados embutidos (src/js/app/prerender.js)
+ * e revalida no Firestore em segundo plano.
+ *
+ * Uso:
+ *   node build-tools/prerender.js --from catalogo.json     (exportação JSON, offline)
+ *   node build-tools/prerender.js --emulator [host:porta]  (emulador do Firestore)
+ *   node build-tools/prerender.js [--project id]           (produção, credenciais padrão)
+ *   node build-tools/prerender.js --export catalogo.json   (também salva o que foi lido)
+ *   node build-tools/prerender.js --clean                  (remove as páginas geradas)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT, colors, log, parseArgs, loadCatalog } from './prerender/cli.js';
+import { renderCatalogPage, cleanCatalogPage, renderCategoryPage, renderProductPage } from './prerender/render.js';
+
+// Pastas geradas (servidas como /produto/<slug> e /categoria/<slug> via cleanUrls)
+const PRODUCT_DIR = path.join(ROOT, 'produto');
+const CATEGORY_DIR = path.join(ROOT, 'categoria');
+
+/**
+ * Nome do arquivo gerado para um slug (servido em /<pasta>/<slug>).
+ * @param {string} dir
+ * @param {string} slug
+ * @returns {string}
+ */
+function pageFile(dir, slug) {
+  if (!/^[\w-]+$/.test(slug)) {
+    throw new Error(`Slug inválido para nome de arquivo: "${slug}"`);
+  }
+  return path.join(dir, `${slug}.html`);
+}
+
+/**
+ * Remove as páginas geradas e devolve products.html ao estado do repositório.
+ */
+function clean() {
+  for (const dir of [PRODUCT_DIR, CATEGORY_DIR]) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  const catalogFile = path.join(ROOT, 'products.html');
+  fs.writeFileSync(catalogFile, cleanCatalogPage(fs.readFileSync(catalogFile, 'utf8')));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2), ['--clean']);
+
+  if (options.flags.has('--clean')) {
+    clean();
+    log('✓ Páginas pré-renderizadas removidas\n', colors.green);
+    return;
+  }
+
+  log(`${colors.blue}🏗  Pré-renderizando o catálogo...${colors.reset}\n`);
+  const catalog = await loadCatalog(options);
+
+  const generatedAt = new Date().toISOString();
+  const catalogFile = path.join(ROOT, 'products.html');
+  const catalogTemplate = cleanCatalogPage(fs.readFileSync(catalogFile, 'utf8'));
+  const productTemplate = fs.readFileSync(path.join(ROOT, 'produto.html'), 'utf8');
+
+  // Recria as pastas: produtos e categorias removidos não deixam páginas antigas
+  for (const dir of [PRODUCT_DIR, CATEGORY_DIR]) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(catalogFile, renderCatalogPage(catalogTemplate, catalog, generatedAt));
+  log('   ✓ products.html', colors.green);
+
+  for (const category of catalog.categories) {
+    fs.writeFileSync(
+      pageFile(CATEGORY_DIR, category.slug),
+      renderCategoryPage(catalogTemplate, category, catalog, generatedAt)
+    );
+  }
+  log(`   ✓ categoria/ (${catalog.categories.length} páginas)`, colors.green);
+
+  let skipped = 0;
+  for (const product of catalog.products) {
+    const slug = product.slug || product.id;
+    try {
+      fs.writeFileSync(pageFile(PRODUCT_DIR, slug), renderProductPage(productTemplate, product, catalog, generatedAt));
+    } catch (error) {
+      // Produto continua acessível pela página dinâmica (produto.html)
+      skipped++;
+      log(`   ⏭  ${product.name}: ${error.message}`, colors.yellow);
+    }
+  }
+  log(`   ✓ produto/ (${catalog.products.length - skipped} páginas)`, colors.green);
+
+  log(`\n${colors.green}✓ Pré-renderização concluída.${colors.reset}`);
+  log('  Use --clean para voltar products.html ao estado do repositório.\n', colors.blue);
+}
+
+try {
+  await main();
+} catch (error) {
+  log(`\n Erro: ${error.message}\n`, colors.red);
+  process.exit(1);
+}
@@ -0,0 +1,119 @@
+/**
+ * Opções de linha de comando compartilhadas pelos scripts que leem o catálogo
+ * (prerender.js, sitemap.js e backup.js): --from, --emulator, --project e --export.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadFromExport, loadFromFirestore, writeExport } from './source.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ROOT = path.join(__dirname, '..', '..');
+
+const DEFAULT_EMULATOR_HOST = 'localhost:8080';
+
+export const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m'
+};
+
+export function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+/**
+ * Lê os argumentos da linha de comando.
+ * @param {string[]} argv
+ * @param {string[]} [flags] - Opções sem valor aceitas pelo script (ex.: ['--clean'])
+ * @param {string[]} [valueOptions] - Opções com valor aceitas pelo script (ex.: ['--out'])
+ * @returns {{from: string|null, emulator: string|null, project: string|null, exportFile: string|null, flags: Set<string>, values: object}}
+ */
+export function parseArgs(argv, flags = [], valueOptions = []) {
+  const options = { from: null, emulator: null, project: null, exportFile: null, flags: new Set(), values: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    const hasValue = next !== undefined && !next.startsWith('--');
+
+    if (arg === '--from' && hasValue) {
+      options.from = path.resolve(next);
+      i++;
+    } else if (arg === '--emulator') {
+      options.emulator = hasValue ? next : (process.env.FIRESTORE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST);
+      if (hasValue) i++;
+    } else if (arg === '--project' && hasValue) {
+      options.project = next;
+      i++;
+    } else if (arg === '--export' && hasValue) {
+      options.exportFile = path.resolve(next);
+      i++;
+    } else if (flags.includes(arg)) {
+      options.flags.add(arg);
+    } else if (valueOptions.includes(arg) && hasValue) {
+      options.values[arg] = next;
+      i++;
+    } else {
+      throw new Error(`Argumento inválido: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Valor de uma variável do .env da raiz do projeto.
+ * @param {string} name - Ex.: 'FIREBASE_PROJECT_ID'
+ * @returns {string|undefined}
+ */
+export function readEnvValue(name) {
+  const envPath = path.join(ROOT, '.env');
+  if (!fs.existsSync(envPath)) return undefined;
+
+  const line = fs.readFileSync(envPath, 'utf8')
+    .split('\n')
+    .find(l => l.trim().startsWith(`${name}=`));
+  return line?.split('=').slice(1).join('=').trim() || undefined;
+}
+
+/**
+ * ID do projeto: --project, variáveis do Google Cloud ou FIREBASE_PROJECT_ID do .env.
+ * @param {string|null} project
+ * @returns {string|undefined}
+ */
+export function resolveProjectId(project) {
+  if (project) return project;
+  if (process.env.GCLOUD_PROJECT) return process.env.GCLOUD_PROJECT;
+  return readEnvValue('FIREBASE_PROJECT_ID');
+}
+
+/**
+ * Carrega o catálogo da fonte escolhida e, com --export, salva o que foi lido.
+ * @param {object} options - Retorno de parseArgs
+ * @returns {Promise<{products: Array, categories: Array, docs: object, raw: object}>}
+ */
+export async function loadCatalog(options) {
+  let catalog;
+  if (options.from) {
+    log(`   Fonte: exportação ${path.relative(process.cwd(), options.from)}`);
+    catalog = loadFromExport(options.from);
+  } else {
+    const projectId = resolveProjectId(options.project);
+    log(`   Fonte: Firestore ${options.emulator ? `(emulador ${options.emulator})` : '(produção)'} - projeto ${projectId || '?'}`);
+    catalog = await loadFromFirestore({ projectId, emulatorHost: options.emulator });
+  }
+
+  if (options.exportFile) {
+    writeExport(options.exportFile, catalog.raw);
+    log(`   ✓ Exportação salva em ${path.relative(process.cwd(), options.exportFile)}`, colors.green);
+  }
+
+  log(`   ${catalog.products.length} produtos ativos, ${catalog.categories.length} categorias\n`);
+  return catalog;
+}
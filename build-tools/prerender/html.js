@@ -0,0 +1,210 @@
+/**
+ * Utilitários de HTML da pré-renderização
+ *
+ * Edições pontuais nos templates (products.html e produto.html) sem
+ * dependências: regiões delimitadas por comentários, conteúdo e atributos
+ * de elementos identificados por id e meta tags do <head>.
+ */
+
+/**
+ * Escapa texto para uso em conteúdo e atributos HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function escapeRegExp(text) {
+  return text.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+/**
+ * Substitui o conteúdo de uma região <!-- prerender:nome -->...<!-- /prerender:nome -->.
+ * Os comentários são mantidos, então a operação pode ser repetida.
+ * @param {string} html
+ * @param {string} name
+ * @param {string} content
+ * @returns {string}
+ */
+export function replaceRegion(html, name, content) {
+  const start = `<!-- prerender:${name} -->`;
+  const end = `<!-- /prerender:${name} -->`;
+  const pattern = new RegExp(`${escapeRegExp(start)}[\\s\\S]*?${escapeRegExp(end)}`);
+
+  if (!pattern.test(html)) {
+    throw new Error(`Região "${name}" não encontrada no template`);
+  }
+  return html.replace(pattern, () => `${start}${content}${end}`);
+}
+
+/**
+ * Localiza a tag de abertura do elemento com o id informado.
+ * @param {string} html
+ * @param {string} id
+ * @returns {RegExpExecArray}
+ */
+function findOpeningTag(html, id) {
+  const match = new RegExp(`<([a-z0-9]+)\\b[^>]*\\sid="${escapeRegExp(id)}"[^>]*>`, 'i').exec(html);
+  if (!match) {
+    throw new Error(`Elemento #${id} não encontrado no template`);
+  }
+  return match;
+}
+
+/**
+ * Substitui o conteúdo de um elemento (que não contenha outro elemento de mesma tag).
+ * @param {string} html
+ * @param {string} id
+ * @param {string} content - HTML já escapado
+ * @returns {string}
+ */
+export function setElementContent(html, id, content) {
+  const match = findOpeningTag(html, id);
+  const [openingTag, tagName] = match;
+  const start = match.index + openingTag.length;
+  const end = html.indexOf(`</${tagName}>`, start);
+  if (end === -1) {
+    throw new Error(`Elemento #${id} sem tag de fechamento`);
+  }
+  return html.slice(0, start) + content + html.slice(end);
+}
+
+/**
+ * Define (ou remove, com value null) um atributo do elemento com o id informado.
+ * Atributos booleanos (ex.: hidden, disabled) usam value = ''.
+ * @param {string} html
+ * @param {string} id
+ * @param {string} name
+ * @param {string|null} value
+ * @returns {string}
+ */
+export function setElementAttribute(html, id, name, value) {
+  const match = findOpeningTag(html, id);
+  const [openingTag, tagName] = match;
+
+  // Percorre os atributos da tag (valores entre aspas podem conter espaços),
+  // mantendo a posição do atributo alterado para não gerar diferenças à toa
+  const newAttr = value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`;
+  let found = false;
+  const attributes = [...openingTag.slice(tagName.length + 1).matchAll(/\s([^\s=/>]+)(?:="[^"]*")?/g)]
+    .map(([attr, attrName]) => {
+      if (attrName !== name) return attr;
+      found = true;
+      return value === null ? '' : newAttr;
+    });
+  if (!found && value !== null) {
+    attributes.push(newAttr);
+  }
+
+  const tag = `<${tagName}${attributes.join('')}>`;
+  return html.slice(0, match.index) + tag + html.slice(match.index + openingTag.length);
+}
+
+/**
+ * Substitui a tag de abertura e o conteúdo de um elemento vazio (ex.: <img>) por outro HTML.
+ * @param {string} html
+ * @param {string} id
+ * @param {string} replacement
+ * @returns {string}
+ */
+export function replaceElement(html, id, replacement) {
+  const match = findOpeningTag(html, id);
+  return html.slice(0, match.index) + replacement + html.slice(match.index + match[0].length);
+}
+
+/**
+ * Define o <title> da página.
+ * @param {string} html
+ * @param {string} title
+ * @returns {string}
+ */
+export function setTitle(html, title) {
+  return html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+}
+
+/**
+ * Define o conteúdo de uma meta tag, criando-a no fim do <head> se não existir.
+ * @param {string} html
+ * @param {'name'|'property'} attribute
+ * @param {string} key
+ * @param {string} content
+ * @returns {string}
+ */
+export function setMeta(html, attribute, key, content) {
+  const pattern = new RegExp(`<meta\\s+${attribute}="${escapeRegExp(key)}"\\s+content="[^"]*"\\s*>`);
+  const tag = `<meta ${attribute}="${key}" content="${escapeHtml(content)}">`;
+  if (pattern.test(html)) {
+    return html.replace(pattern, () => tag);
+  }
+  return appendToHead(html, tag);
+}
+
+/**
+ * Define a URL canônica.
+ * @param {string} html
+ * @param {string} url
+ * @returns {string}
+ */
+export function setCanonical(html, url) {
+  return html.replace(/<link rel="canonical" href="[^"]*">/, () => `<link rel="canonical" href="${escapeHtml(url)}">`);
+}
+
+/**
+ * Insere HTML antes de </head>.
+ * @param {string} html
+ * @param {string} content
+ * @returns {string}
+ */
+export function appendToHead(html, content) {
+  return html.replace('</head>', () => `    ${content}\n</head>`);
+}
+
+/**
+ * Substitui o bloco JSON-LD do tipo informado (ex.: "ItemList") ou o cria no <head>.
+ * @param {string} html
+ * @param {string} type - Valor de "@type" do bloco existente
+ * @param {object} data
+ * @param {string} [id] - ID do <script> (ex.: "product-jsonld")
+ * @returns {string}
+ */
+export function replaceJsonLd(html, type, data, id = '') {
+  const script = jsonScript('application/ld+json', data, id);
+  const pattern = new RegExp(`<script type="application/ld\\+json">(?:(?!</script>)[\\s\\S])*?"@type":\\s*"${escapeRegExp(type)}"[\\s\\S]*?</script>`);
+  if (pattern.test(html)) {
+    return html.replace(pattern, () => script);
+  }
+  return appendToHead(html, script);
+}
+
+/**
+ * Serializa dados em um <script> (JSON-LD ou dados de hidratação).
+ * "<" é escapado para que o conteúdo não feche o <script>.
+ * @param {string} type
+ * @param {object} data
+ * @param {string} [id]
+ * @returns {string}
+ */
+export function jsonScript(type, data, id = '') {
+  const json = JSON.stringify(data).replaceAll('<', String.raw`\u003c`);
+  const idAttr = id ? ` id="${id}"` : '';
+  return `<script type="${type}"${idAttr}>${json}</script>`;
+}
+
+/**
+ * Converte links e recursos relativos em caminhos absolutos ("src/..." → "/src/..."),
+ * para páginas servidas em subpastas (ex.: /categoria/<slug>).
+ * @param {string} html
+ * @returns {string}
+ */
+export function absolutizeUrls(html) {
+  return html.replaceAll(
+    /\s(href|src|srcset)="(?!https?:|\/|#|mailto:|tel:|data:|javascript:)(?:\.\/)?([^"]+)"/g,
+    (_, attr, url) => ` ${attr}="/${url}"`
+  );
+}
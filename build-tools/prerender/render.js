@@ -0,0 +1,326 @@
+/**
+ * Renderização das páginas estáticas
+ *
+ * Gera o mesmo HTML que o site monta no navegador (createProductCard,
+ * renderProductDetails, renderBreadcrumbs) para que o JavaScript possa
+ * assumir a página sem renderizá-la de novo.
+ */
+
+import { getOriginalImagePath } from '../../src/js/helpers/image-fallback.js';
+import { hasVariants, getPriceRange } from '../../src/js/app/variants.js';
+import { getAvailability } from '../../src/js/app/inventory.js';
+import { getStars, getRatingLabel } from '../../src/js/app/reviews.js';
+import {
+  SITE_URL,
+  SITE_NAME,
+  getProductPath,
+  getCategoryPath,
+  buildBreadcrumbs,
+  buildBreadcrumbJsonLd,
+  buildProductJsonLd,
+  buildProductMeta,
+  buildItemListJsonLd
+} from '../../src/js/app/product-seo.js';
+import {
+  escapeHtml,
+  replaceRegion,
+  setElementContent,
+  setElementAttribute,
+  replaceElement,
+  setTitle,
+  setMeta,
+  setCanonical,
+  replaceJsonLd,
+  jsonScript,
+  absolutizeUrls
+} from './html.js';
+
+// ID do <script> lido por src/js/app/prerender.js
+const PRERENDER_DATA_ID = 'prerender-data';
+
+/**
+ * <picture> com fallback WebP (mesma saída de createPictureWithFallback).
+ * @param {string} src
+ * @param {string} alt
+ * @param {object} options
+ * @returns {string}
+ */
+function renderPicture(src, alt, { loading = 'lazy', width, height, draggable = true, id = '' } = {}) {
+  const isWebp = src.endsWith('.webp');
+  const source = isWebp ? `<source type="image/webp" srcset="${escapeHtml(src)}">` : '';
+  const attrs = [
+    id ? `id="${escapeHtml(id)}"` : '',
+    `alt="${escapeHtml(alt)}"`,
+    `loading="${loading}"`,
+    `draggable="${draggable}"`,
+    `src="${escapeHtml(isWebp ? getOriginalImagePath(src) : src)}"`,
+    width ? `width="${width}"` : '',
+    height ? `height="${height}"` : ''
+  ].filter(Boolean).join(' ');
+  return `<picture>${source}<img ${attrs}></picture>`;
+}
+
+/**
+ * Selo "Esgotado" / "Sob encomenda" (mesma saída de createAvailabilityBadge).
+ * @param {{status: string, label: string}} availability
+ * @returns {string}
+ */
+function renderAvailabilityBadge(availability) {
+  if (!availability.label) return '';
+  const className = `availability-badge ${availability.status.replaceAll('_', '-')}`;
+  return `<span class="${className}">${escapeHtml(availability.label)}</span>`;
+}
+
+/**
+ * Nota média do card (mesma saída de createRatingBadge).
+ * @param {{average: number, count: number}} [rating]
+ * @returns {string}
+ */
+function renderRatingBadge(rating) {
+  if (!rating?.count) return '';
+  return [
+    `<div class="product-rating" role="img" aria-label="${escapeHtml(getRatingLabel(rating))}">`,
+    `<span class="rating-stars" aria-hidden="true">${getStars(rating.average)}</span>`,
+    `<span class="rating-count" aria-hidden="true">(${rating.count})</span>`,
+    '</div>'
+  ].join('');
+}
+
+/**
+ * Card de produto (mesma saída de createProductCard).
+ * @param {object} product
+ * @param {number} index
+ * @returns {string}
+ */
+export function renderProductCard(product, index = 0) {
+  const availability = getAvailability(product);
+  const { min, max } = getPriceRange(product);
+  const price = min === max ? `R$ ${min.toFixed(2)}` : `A partir de R$ ${min.toFixed(2)}`;
+  const id = escapeHtml(product.id);
+
+  let buyButton;
+  if (hasVariants(product)) {
+    buyButton = `<button type="button" class="btn-buy btn-add-cart" data-id="${id}" aria-label="${escapeHtml(`Escolher opções de ${product.name}`)}">Opções</button>`;
+  } else if (availability.status === 'out_of_stock') {
+    buyButton = `<button type="button" class="btn-buy btn-add-cart" data-id="${id}" disabled aria-label="${escapeHtml(`${product.name} esgotado`)}">Esgotado</button>`;
+  } else {
+    buyButton = `<button type="button" class="btn-buy btn-add-cart" data-id="${id}" aria-label="${escapeHtml(`Adicionar ${product.name} ao carrinho`)}">Adicionar</button>`;
+  }
+
+  // Os favoritos ficam no navegador: o site marca os corações ao carregar (wishlist.js)
+  const favoriteButton = `<button type="button" class="favorite-toggle" data-id="${id}" aria-label="${escapeHtml(`Favoritar ${product.name}`)}" aria-pressed="false"><span class="favorite-icon" aria-hidden="true">♡</span></button>`;
+
+  const picture = product.image
+    ? renderPicture(product.image, product.name, { loading: 'lazy', width: 400, height: 300 })
+    : '';
+
+  return [
+    `<div class="product-card" style="animation: fadeIn 0.5s ease forwards ${index * 0.08}s;">`,
+    `<div class="product-image">${picture}${renderAvailabilityBadge(availability)}${favoriteButton}</div>`,
+    '<div class="product-info">',
+    `<h3 class="product-title">${escapeHtml(product.name)}</h3>`,
+    renderRatingBadge(product.rating),
+    `<p class="product-description">${escapeHtml(`${(product.description || '').slice(0, 80)}...`)}</p>`,
+    `<div class="product-price">${price}</div>`,
+    '<div class="product-actions">',
+    `<a href="${escapeHtml(getProductPath(product))}" class="btn-details" data-id="${id}">Ver Detalhes</a>`,
+    buyButton,
+    '</div>',
+    '</div>',
+    '</div>'
+  ].join('');
+}
+
+/**
+ * Botões de categoria com a categoria da página marcada.
+ * @param {Array} categories
+ * @param {string|null} activeSlug
+ * @returns {string}
+ */
+function renderCategoryButtons(categories, activeSlug) {
+  const button = (slug, name, active) =>
+    `<button class="category${active ? ' active' : ''}" data-category="${escapeHtml(slug)}" aria-pressed="${active}">${escapeHtml(name)}</button>`;
+
+  return [
+    button('all', 'Todos', !activeSlug),
+    ...categories.map(category => button(category.slug, category.name, category.slug === activeSlug)),
+    '<button class="category clear-filters hidden" type="button" aria-label="Limpar filtros">Limpar filtros <span class="filters-count hidden" aria-hidden="true">(0)</span></button>'
+  ].map(html => `\n                ${html}`).join('') + '\n            ';
+}
+
+/**
+ * Cards e dados de hidratação de uma listagem.
+ * @param {string} html - Template (products.html)
+ * @param {Array} cards - Produtos exibidos
+ * @param {object} data - Dados de hidratação
+ * @returns {string}
+ */
+function renderListing(html, cards, data) {
+  let page = replaceRegion(html, 'cards', cards.map(renderProductCard).join(''));
+  page = replaceRegion(page, 'data', jsonScript('application/json', data, PRERENDER_DATA_ID));
+  // Os cards já estão na página: o loader começa oculto
+  page = setElementAttribute(page, 'products-loader', 'class', 'products-loader hidden');
+  return setElementAttribute(page, 'products-loader', 'aria-busy', 'false');
+}
+
+/**
+ * products.html com o catálogo completo. Só as regiões marcadas e o loader
+ * mudam, pois o arquivo é editado no lugar (cleanCatalogPage desfaz).
+ * @param {string} template
+ * @param {{products: Array, categories: Array}} catalog
+ * @param {string} generatedAt
+ * @returns {string}
+ */
+export function renderCatalogPage(template, { products, categories }, generatedAt) {
+  return renderListing(template, products, {
+    generatedAt,
+    page: 'catalog',
+    category: null,
+    categories,
+    products
+  });
+}
+
+/**
+ * products.html sem a pré-renderização (estado do repositório).
+ * @param {string} template
+ * @returns {string}
+ */
+export function cleanCatalogPage(template) {
+  let page = replaceRegion(template, 'cards', '');
+  page = replaceRegion(page, 'data', '');
+  page = setElementAttribute(page, 'products-loader', 'class', 'products-loader');
+  return setElementAttribute(page, 'products-loader', 'aria-busy', 'true');
+}
+
+/**
+ * Página de uma categoria (/categoria/<slug>), a partir do template de products.html.
+ * O catálogo completo vai nos dados de hidratação: os filtros do site continuam funcionando.
+ * @param {string} template - products.html sem pré-renderização
+ * @param {{name: string, slug: string, description: string}} category
+ * @param {{products: Array, categories: Array}} catalog
+ * @param {string} generatedAt
+ * @returns {string}
+ */
+export function renderCategoryPage(template, category, { products, categories }, generatedAt) {
+  const inCategory = products.filter(product => product.category === category.slug);
+  const url = `${SITE_URL}${getCategoryPath(category)}`;
+  const title = `${category.name} | ${SITE_NAME}`;
+  const description = category.description
+    || `${category.name} feitos à mão pelo ${SITE_NAME}. Peças artesanais exclusivas com entrega em todo Brasil.`;
+
+  let page = renderListing(template, inCategory, {
+    generatedAt,
+    page: 'category',
+    category: category.slug,
+    categories,
+    products
+  });
+
+  page = setTitle(page, title);
+  page = setMeta(page, 'name', 'description', description);
+  page = setCanonical(page, url);
+  page = setMeta(page, 'property', 'og:url', url);
+  page = setMeta(page, 'property', 'og:title', title);
+  page = setMeta(page, 'property', 'og:description', description);
+  page = setMeta(page, 'name', 'twitter:url', url);
+  page = setMeta(page, 'name', 'twitter:title', title);
+  page = setMeta(page, 'name', 'twitter:description', description);
+
+  page = replaceJsonLd(page, 'ItemList', buildItemListJsonLd(inCategory, { name: title, description, url }));
+  page = replaceJsonLd(page, 'BreadcrumbList', buildBreadcrumbJsonLd([
+    { name: 'Início', url: `${SITE_URL}/` },
+    { name: 'Produtos', url: `${SITE_URL}/products.html` },
+    { name: category.name, url }
+  ]));
+
+  page = setElementContent(page, 'products-title', escapeHtml(category.name));
+  page = page.replace(
+    /(<div class="categories"[^>]*>)[\s\S]*?(<\/div>)/,
+    (_, open, close) => `${open}${renderCategoryButtons(categories, category.slug)}${close}`
+  );
+
+  // Servida em /categoria/<slug>: caminhos relativos passam a partir da raiz
+  return absolutizeUrls(page);
+}
+
+/**
+ * Itens do breadcrumb visível (mesma saída de renderBreadcrumbs).
+ * @param {Array<{name: string, url: string}>} items
+ * @returns {string}
+ */
+function renderBreadcrumbItems(items) {
+  return items.map((item, index) => {
+    if (index === items.length - 1) {
+      return `<li aria-current="page">${escapeHtml(item.name)}</li>`;
+    }
+    return `<li><a href="${escapeHtml(item.url.slice(SITE_URL.length) || '/')}">${escapeHtml(item.name)}</a></li>`;
+  }).join('');
+}
+
+/**
+ * Página de um produto (/produto/<slug>), a partir de produto.html.
+ * @param {string} template - produto.html
+ * @param {object} product
+ * @param {{categories: Array}} catalog
+ * @param {string} generatedAt
+ * @returns {string}
+ */
+export function renderProductPage(template, product, { categories }, generatedAt) {
+  const category = categories.find(c => c.slug === product.category) || null;
+  const meta = buildProductMeta(product);
+  const availability = getAvailability(product);
+  const images = Array.isArray(product.images) && product.images.length ? product.images : [product.image];
+
+  let page = setTitle(template, meta.title);
+  page = setMeta(page, 'name', 'description', meta.description);
+  page = setCanonical(page, meta.canonical);
+  for (const [key, content] of Object.entries(meta.og)) {
+    page = setMeta(page, 'property', key, content);
+  }
+  for (const [key, content] of Object.entries(meta.twitter)) {
+    page = setMeta(page, 'name', key, content);
+  }
+  // Mesmos IDs usados por applyProductSeo, que substitui os blocos ao revalidar
+  page = replaceJsonLd(page, 'Product', buildProductJsonLd(product, category), 'product-jsonld');
+  page = replaceJsonLd(page, 'BreadcrumbList', buildBreadcrumbJsonLd(buildBreadcrumbs(product, category)), 'breadcrumb-jsonld');
+
+  page = setElementContent(page, 'product-breadcrumbs', renderBreadcrumbItems(buildBreadcrumbs(product, category)));
+  page = setElementAttribute(page, 'product-page-loader', 'hidden', '');
+  page = setElementAttribute(page, 'product-page-content', 'hidden', null);
+
+  page = setElementContent(page, 'product-page-title', escapeHtml(product.name));
+  page = setElementContent(page, 'product-page-price', `R$ ${product.price.toFixed(2)}`);
+  page = setElementContent(page, 'product-page-description', escapeHtml(product.description));
+  if (images[0]) {
+    page = replaceElement(page, 'product-page-main-image', renderPicture(images[0], product.name, {
+      loading: 'eager',
+      width: 800,
+      height: 600,
+      draggable: false,
+      id: 'product-page-main-image'
+    }));
+  }
+
+  const badge = renderAvailabilityBadge(availability);
+  if (badge) {
+    page = setElementContent(page, 'product-page-availability', badge);
+    page = setElementAttribute(page, 'product-page-availability', 'hidden', null);
+  }
+
+  page = setElementAttribute(page, 'product-page-buy-link', 'href', product.link || '#');
+  if (availability.status === 'out_of_stock') {
+    page = setElementAttribute(page, 'product-page-add-cart', 'disabled', '');
+  }
+
+  page = replaceRegion(page, 'data', jsonScript('application/json', {
+    generatedAt,
+    page: 'product',
+    category: null,
+    categories,
+    product
+  }, PRERENDER_DATA_ID));
+
+  // Imagens com caminho relativo (ex.: "src/img/...") a partir da raiz
+  return absolutizeUrls(page);
+}
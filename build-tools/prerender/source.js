@@ -0,0 +1,139 @@
+/**
+ * Fontes de dados da pré-renderização
+ *
+ * - Exportação JSON: { "products": {...}, "categories": {...} }, com os documentos
+ *   indexados pelo ID ou em lista com o campo "id" (funciona offline)
+ * - Firestore via firebase-admin, inclusive o emulador local
+ *   (FIRESTORE_EMULATOR_HOST), com as mesmas consultas do site
+ */
+
+import fs from 'fs';
+import { mapProductData, mapCategoryData } from '../../src/js/app/product-data.js';
+
+/**
+ * Documentos de uma coleção da exportação, em lista { id, data }.
+ * @param {object|Array} collection
+ * @returns {Array<{id: string, data: object}>}
+ */
+function toDocuments(collection) {
+  if (!collection) return [];
+  if (Array.isArray(collection)) {
+    return collection.map(({ id, ...data }) => ({ id: String(id), data }));
+  }
+  return Object.entries(collection).map(([id, data]) => ({ id, data }));
+}
+
+/**
+ * Ordena como o Firestore ordena strings (por código, não por idioma),
+ * para que a ordem seja a mesma que o site recebe ao revalidar.
+ */
+function byName(a, b) {
+  const nameA = String(a.data.name ?? '');
+  const nameB = String(b.data.name ?? '');
+  if (nameA === nameB) return a.id < b.id ? -1 : 1;
+  return nameA < nameB ? -1 : 1;
+}
+
+/**
+ * Converte os documentos no formato usado pelo site. Os documentos originais
+ * ficam em `docs` (campos que o site não usa, como updatedAt).
+ * @param {Array<{id: string, data: object}>} productDocs - Apenas produtos ativos, em ordem de nome
+ * @param {Array<{id: string, data: object}>} categoryDocs - Em ordem de nome
+ * @returns {{products: Array, categories: Array, docs: {products: Array, categories: Array}}}
+ */
+function toCatalog(productDocs, categoryDocs) {
+  return {
+    products: productDocs.map(({ id, data }) => mapProductData(id, data)),
+    categories: categoryDocs.map(({ id, data }) => mapCategoryData(id, data)),
+    docs: { products: productDocs, categories: categoryDocs }
+  };
+}
+
+/**
+ * Lê o catálogo de uma exportação JSON.
+ * @param {string} file - Caminho do arquivo
+ * @returns {{products: Array, categories: Array, docs: object, raw: object}}
+ */
+export function loadFromExport(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Arquivo de exportação não encontrado: ${file}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const productDocs = toDocuments(raw.products)
+    .filter(({ data }) => data.active === true)
+    .sort(byName);
+  const categoryDocs = toDocuments(raw.categories)
+    .filter(({ data }) => !data.deletedAt)
+    .sort(byName);
+
+  return { ...toCatalog(productDocs, categoryDocs), raw };
+}
+
+/**
+ * Inicializa o firebase-admin. Com `emulatorHost`, usa o emulador local e
+ * dispensa credenciais; sem ele, usa as credenciais padrão
+ * (GOOGLE_APPLICATION_CREDENTIALS).
+ * @param {object} options
+ * @param {string} options.projectId
+ * @param {string|null} [options.emulatorHost] - Ex.: "localhost:8080"
+ * @param {string} name - Nome do app (um por script)
+ * @param {object} [extra] - Outras opções do app (ex.: storageBucket)
+ * @returns {Promise<import('firebase-admin/app').App>}
+ */
+export async function initAdminApp({ projectId, emulatorHost = null }, name, extra = {}) {
+  if (emulatorHost) {
+    process.env.FIRESTORE_EMULATOR_HOST = emulatorHost;
+  }
+
+  // Importado sob demanda: a leitura de exportações JSON não precisa do SDK
+  const { initializeApp, applicationDefault } = await import('firebase-admin/app');
+
+  return initializeApp(
+    process.env.FIRESTORE_EMULATOR_HOST
+      ? { projectId, ...extra }
+      : { projectId, credential: applicationDefault(), ...extra },
+    name
+  );
+}
+
+/**
+ * Lê o catálogo do Firestore com firebase-admin (ver initAdminApp).
+ * @param {object} options
+ * @param {string} options.projectId
+ * @param {string|null} [options.emulatorHost] - Ex.: "localhost:8080"
+ * @returns {Promise<{products: Array, categories: Array, docs: object, raw: object}>}
+ */
+export async function loadFromFirestore({ projectId, emulatorHost = null }) {
+  const app = await initAdminApp({ projectId, emulatorHost }, 'prerender');
+  const { getFirestore } = await import('firebase-admin/firestore');
+  const db = getFirestore(app);
+
+  const [productsSnapshot, categoriesSnapshot] = await Promise.all([
+    db.collection('products').where('active', '==', true).orderBy('name').get(),
+    db.collection('categories').orderBy('name').get()
+  ]);
+
+  const productDocs = productsSnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  // Categorias na lixeira do painel não geram páginas
+  const categoryDocs = categoriesSnapshot.docs
+    .map(doc => ({ id: doc.id, data: doc.data() }))
+    .filter(({ data }) => !data.deletedAt);
+
+  const raw = {
+    exportedAt: new Date().toISOString(),
+    products: Object.fromEntries(productDocs.map(({ id, data }) => [id, data])),
+    categories: Object.fromEntries(categoryDocs.map(({ id, data }) => [id, data]))
+  };
+
+  return { ...toCatalog(productDocs, categoryDocs), raw };
+}
+
+/**
+ * Salva os documentos lidos para gerar as páginas depois, offline.
+ * @param {string} file
+ * @param {object} raw - Campo `raw` retornado pelas fontes
+ */
+export function writeExport(file, raw) {
+  fs.writeFileSync(file, `${JSON.stringify(raw, null, 2)}\n`);
+}
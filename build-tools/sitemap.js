@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Geração do sitemap.xml e do robots.txt a partir do catálogo
+ *
+ * - Páginas fixas (início e produtos), páginas de produto (/produto/<slug>)
+ *   e páginas de categoria já pré-renderizadas (/categoria/<slug>)
+ * - lastmod a partir de updatedAt (ou createdAt) de cada documento
+ * - Imagens de cada produto no namespace de imagens do sitemap
+ * - robots.txt sempre apontando para o sitemap do site
+ *
+ * Uso (mesmas fontes de build-tools/prerender.js):
+ *   node build-tools/sitemap.js --from catalogo.json
+ *   node build-tools/sitemap.js --emulator [host:porta]
+ *   node build-tools/sitemap.js [--project id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT, colors, log, parseArgs, loadCatalog } from './prerender/cli.js';
+import { toMillis } from '../src/js/app/product-data.js';
+import { SITE_URL, getProductPath, getCategoryPath, getProductImages } from '../src/js/app/product-seo.js';
+
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+const ROBOTS_FILE = path.join(ROOT, 'robots.txt');
+const CATEGORY_DIR = path.join(ROOT, 'categoria');
+
+// Páginas fixas do site
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'weekly', priority: '1.0' },
+  { path: '/products.html', changefreq: 'daily', priority: '0.9' }
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+/**
+ * Última alteração do documento (updatedAt, ou createdAt em documentos antigos).
+ * @param {object} data - Campos do documento
+ * @returns {number} Milissegundos (0 se desconhecida)
+ */
+function lastModified(data) {
+  return toMillis(data.updatedAt) || toMillis(data.createdAt);
+}
+
+function formatDate(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
+
+/**
+ * Bloco <url> do sitemap.
+ * @param {{loc: string, lastmod?: number, changefreq: string, priority: string, images?: string[]}} entry
+ * @returns {string}
+ */
+function renderUrl({ loc, lastmod, changefreq, priority, images = [] }) {
+  const lines = [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod ? `    <lastmod>${formatDate(lastmod)}</lastmod>` : '',
+    `    <changefreq>${changefreq}</changefreq>`,
+    `    <priority>${priority}</priority>`,
+    ...images.map(image => `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>`),
+    '  </url>'
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Monta o sitemap do catálogo.
+ * @param {{products: Array, categories: Array, docs: {products: Array, categories: Array}}} catalog
+ * @param {object} [options]
+ * @param {(category: object) => boolean} [options.hasCategoryPage] - Se a página da categoria existe
+ * @returns {{xml: string, urls: number, images: number}}
+ */
+function buildSitemap(catalog, { hasCategoryPage = () => true } = {}) {
+  const productDates = new Map(catalog.docs.products.map(({ id, data }) => [id, lastModified(data)]));
+  const categoryDates = new Map(catalog.docs.categories.map(({ id, data }) => [id, lastModified(data)]));
+
+  // Listagens mudam quando qualquer produto muda
+  const catalogDate = Math.max(0, ...productDates.values(), ...categoryDates.values()) || Date.now();
+
+  const entries = STATIC_PAGES.map(page => ({ ...page, loc: `${SITE_URL}${page.path}`, lastmod: catalogDate }));
+
+  for (const category of catalog.categories) {
+    if (!hasCategoryPage(category)) continue;
+    const inCategory = catalog.products.filter(product => product.category === category.slug);
+    entries.push({
+      loc: `${SITE_URL}${getCategoryPath(category)}`,
+      lastmod: Math.max(categoryDates.get(category.id) || 0, ...inCategory.map(p => productDates.get(p.id) || 0)) || null,
+      changefreq: 'weekly',
+      priority: '0.8'
+    });
+  }
+
+  for (const product of catalog.products) {
+    entries.push({
+      loc: `${SITE_URL}${getProductPath(product)}`,
+      lastmod: productDates.get(product.id) || null,
+      changefreq: 'weekly',
+      priority: '0.7',
+      images: getProductImages(product)
+    });
+  }
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- Gerado por build-tools/sitemap.js (npm run build:sitemap). Não edite manualmente. -->',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+    '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...entries.map(renderUrl),
+    '</urlset>',
+    ''
+  ].join('\n');
+
+  return {
+    xml,
+    urls: entries.length,
+    images: entries.reduce((sum, entry) => sum + (entry.images?.length || 0), 0)
+  };
+}
+
+/**
+ * Garante que o robots.txt aponte para o sitemap do site (uma única diretiva).
+ * @param {string} robots - Conteúdo atual
+ * @returns {string}
+ */
+function updateRobots(robots) {
+  const directive = `Sitemap: ${SITE_URL}/sitemap.xml`;
+  const lines = robots.split('\n').filter(line => !/^sitemap:/i.test(line.trim()));
+  while (lines.length && lines.at(-1).trim() === '') lines.pop();
+  return `${lines.join('\n')}\n${directive}\n`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  log(`${colors.blue}🗺  Gerando sitemap.xml...${colors.reset}\n`);
+  const catalog = await loadCatalog(options);
+
+  // Categorias só entram se a página foi gerada por build-tools/prerender.js
+  const { xml, urls, images } = buildSitemap(catalog, {
+    hasCategoryPage: category => fs.existsSync(path.join(CATEGORY_DIR, `${category.slug}.html`))
+  });
+  fs.writeFileSync(SITEMAP_FILE, xml);
+  log(`   ✓ sitemap.xml (${urls} URLs, ${images} imagens)`, colors.green);
+
+  const robots = fs.existsSync(ROBOTS_FILE) ? fs.readFileSync(ROBOTS_FILE, 'utf8') : 'User-agent: *\nAllow: /\n';
+  fs.writeFileSync(ROBOTS_FILE, updateRobots(robots));
+  log('   ✓ robots.txt\n', colors.green);
+}
+
+try {
+  await main();
+} catch (error) {
+  log(`\n Erro: ${error.message}\n`, colors.red);
+  process.exit(1);
+}
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Limpeza de Imagens Órfãs do Storage
+ *
+ * Lista os arquivos das pastas de produtos do bucket, cruza com as imagens
+ * usadas pelos produtos do Firestore (inclusive os da lixeira do painel) e
+ * mostra os órfãos (sem produto) e os ausentes (usados, mas fora do bucket),
+ * com tamanhos. Com --delete, apaga os órfãos depois de confirmar.
+ *
+ * Órfãos enviados há menos de --min-age horas (padrão 24) são mantidos: podem
+ * ser de um produto que ainda está sendo editado no painel.
+ *
+ * Uso:
+ *   node build-tools/storage-gc.js [--emulator [host:porta]] [--project id] [--bucket nome]
+ *   node build-tools/storage-gc.js --delete [--yes] [--min-age horas]
+ *
+ * O bucket vem de --bucket ou de FIREBASE_STORAGE_BUCKET no .env. Com
+ * --emulator, Firestore e Storage usam os emuladores locais (o Storage em
+ * FIREBASE_STORAGE_EMULATOR_HOST, padrão localhost:9199).
+ */
+
+import readline from 'readline/promises';
+import { colors, log, parseArgs, readEnvValue, resolveProjectId } from './prerender/cli.js';
+import { initAdminApp } from './prerender/source.js';
+import {
+  DEFAULT_MIN_AGE_HOURS,
+  PRODUCT_IMAGE_PREFIXES,
+  buildImageReport,
+  collectProductImages,
+  formatBytes
+} from '../admin/js/image-report.js';
+
+const DEFAULT_STORAGE_EMULATOR_HOST = 'localhost:9199';
+
+// Quantos arquivos listar de cada grupo no terminal
+const LIST_LIMIT = 50;
+
+/**
+ * Firestore e bucket do projeto escolhido.
+ * @param {object} options - Retorno de parseArgs
+ * @returns {Promise<{db: object, bucket: object}>}
+ */
+async function connect(options) {
+  const projectId = resolveProjectId(options.project);
+  const bucketName = options.values['--bucket'] || readEnvValue('FIREBASE_STORAGE_BUCKET');
+  if (!bucketName) {
+    throw new Error('Informe o bucket com --bucket ou FIREBASE_STORAGE_BUCKET no .env');
+  }
+
+  if (options.emulator && !process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST = DEFAULT_STORAGE_EMULATOR_HOST;
+  }
+
+  log(`   Banco: Firestore ${options.emulator ? `(emulador ${options.emulator})` : '(produção)'} - projeto ${projectId || '?'}`);
+  log(`   Bucket: ${bucketName}`);
+  const app = await initAdminApp({ projectId, emulatorHost: options.emulator }, 'storage-gc', { storageBucket: bucketName });
+
+  const { getFirestore } = await import('firebase-admin/firestore');
+  const { getStorage } = await import('firebase-admin/storage');
+  return { db: getFirestore(app), bucket: getStorage(app).bucket() };
+}
+
+/**
+ * Imagens do bucket usadas pelos produtos (inclusive os da lixeira).
+ * @returns {Promise<{referenced: Map<string, string[]>, products: number}>}
+ */
+async function loadReferencedImages(db, bucket) {
+  const snapshot = await db.collection('products').get();
+  const referenced = collectProductImages(snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })), bucket.name);
+  return { referenced, products: snapshot.size };
+}
+
+/**
+ * Arquivos das pastas de produtos.
+ * @returns {Promise<Array<{path: string, size: number, created: string, file: object}>>}
+ */
+async function listProductFiles(bucket) {
+  const files = [];
+  for (const prefix of PRODUCT_IMAGE_PREFIXES) {
+    const [items] = await bucket.getFiles({ prefix });
+    for (const file of items) {
+      // Marcadores de pasta criados pelo console
+      if (file.name.endsWith('/')) continue;
+      files.push({
+        path: file.name,
+        size: Number(file.metadata.size) || 0,
+        created: file.metadata.timeCreated || '',
+        file
+      });
+    }
+  }
+  return files.sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+function logFiles(title, files, color) {
+  if (files.length === 0) return;
+  log(`\n   ${title}:`, color);
+  for (const file of files.slice(0, LIST_LIMIT)) {
+    log(`      - ${file.path} (${formatBytes(file.size)})`, color);
+  }
+  if (files.length > LIST_LIMIT) log(`      ... e mais ${files.length - LIST_LIMIT}`, color);
+}
+
+async function confirmDelete(report) {
+  if (!process.stdin.isTTY) {
+    throw new Error('Sem terminal para confirmar: use --delete --yes');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`\nApagar ${report.orphans.length} arquivo(s) órfão(s) (${formatBytes(report.orphanSize)})? [s/N] `);
+    return ['s', 'sim', 'y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
+
+async function deleteOrphans(orphans) {
+  let deleted = 0;
+  for (const { path: filePath, file } of orphans) {
+    try {
+      await file.delete();
+      deleted++;
+    } catch (error) {
+      log(`   ✗ ${filePath}: ${error.message}`, colors.red);
+    }
+  }
+  return deleted;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2), ['--delete', '--yes'], ['--bucket', '--min-age']);
+  const minAgeHours = options.values['--min-age'] === undefined
+    ? DEFAULT_MIN_AGE_HOURS
+    : Number(options.values['--min-age']);
+  if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+    throw new Error('--min-age deve ser um número de horas (0 ou mais)');
+  }
+
+  log(`${colors.blue}🧹 Procurando imagens órfãs no Storage...${colors.reset}\n`);
+  const { db, bucket } = await connect(options);
+
+  const { referenced, products } = await loadReferencedImages(db, bucket);
+  const files = await listProductFiles(bucket);
+  const report = buildImageReport(files, referenced, { minAgeHours });
+
+  log(`\n   ${report.files} arquivo(s) em ${PRODUCT_IMAGE_PREFIXES.join(', ')} (${formatBytes(report.totalSize)}), ${products} produto(s)`);
+  log(`   ✓ ${report.referenced} em uso`, colors.green);
+
+  logFiles(`Órfãos: ${report.orphans.length} (${formatBytes(report.orphanSize)})`, report.orphans, colors.yellow);
+  logFiles(`Órfãos recentes, mantidos (menos de ${minAgeHours}h)`, report.recent, colors.blue);
+
+  if (report.missing.length > 0) {
+    log(`\n   Ausentes no bucket: ${report.missing.length}`, colors.red);
+    for (const { path: filePath, products } of report.missing.slice(0, LIST_LIMIT)) {
+      log(`      - ${filePath} (${products.join(', ')})`, colors.red);
+    }
+    if (report.missing.length > LIST_LIMIT) log(`      ... e mais ${report.missing.length - LIST_LIMIT}`, colors.red);
+  }
+
+  if (report.orphans.length === 0) {
+    log(`\n${colors.green}✓ Nenhuma imagem órfã para apagar.${colors.reset}\n`);
+    return;
+  }
+  if (!options.flags.has('--delete')) {
+    log(`\n${colors.blue}Para apagar os órfãos, rode de novo com --delete.${colors.reset}\n`);
+    return;
+  }
+  if (!options.flags.has('--yes') && !(await confirmDelete(report))) {
+    log('\nNada foi apagado.\n');
+    return;
+  }
+
+  // A confirmação pode demorar: confere de novo as imagens em uso antes de apagar
+  const { referenced: inUse } = await loadReferencedImages(db, bucket);
+  const orphans = report.orphans.filter(file => !inUse.has(file.path));
+  if (orphans.length < report.orphans.length) {
+    log(`   ${report.orphans.length - orphans.length} arquivo(s) passaram a ser usados e foram mantidos`, colors.blue);
+  }
+
+  const deleted = await deleteOrphans(orphans);
+  log(`\n${colors.green}✓ ${deleted} arquivo(s) apagado(s).${colors.reset}\n`);
+}
+
+try {
+  await main();
+} catch (error) {
+  log(`\n Erro: ${error.message}\n`, colors.red);
+  process.exit(1);
+}
@@ -0,0 +1,353 @@
+/**
+ * Módulo da Gaveta do Carrinho
+ * Renderiza os itens do carrinho e controla abertura/fechamento da gaveta lateral
+ */
+
+import * as Cart from './cart.js';
+import * as Checkout from './checkout.js';
+import * as Promotions from './promotions.js';
+import { debugLog } from '../utils/debug.js';
+import { formatPrice } from '../utils/functions.js';
+import { createPictureWithFallback } from '../helpers/image-fallback.js';
+
+let previouslyFocused = null;
+
+// Cupom aplicado no carrinho (promoção retornada por findCoupon)
+let appliedCoupon = null;
+
+/**
+ * Cria o elemento de um item do carrinho de forma segura (sem innerHTML).
+ * @param {object} item - Item do carrinho com preço promocional (ver priceCart)
+ * @returns {HTMLLIElement}
+ */
+function createCartItem(item) {
+    const li = document.createElement('li');
+    li.className = 'cart-item';
+    li.dataset.id = item.id;
+
+    const thumb = document.createElement('div');
+    thumb.className = 'cart-item-image';
+    if (item.image) {
+        thumb.appendChild(createPictureWithFallback(item.image, item.name, {
+            loading: 'lazy',
+            width: 64,
+            height: 64
+        }));
+    }
+
+    const info = document.createElement('div');
+    info.className = 'cart-item-info';
+
+    const name = document.createElement('span');
+    name.className = 'cart-item-name';
+    name.textContent = item.name;
+
+    const price = document.createElement('span');
+    price.className = 'cart-item-price';
+    price.textContent = formatPrice(item.price * item.quantity);
+    // Em promoção: valor original riscado antes do promocional
+    if (item.originalPrice > item.price) {
+        const original = document.createElement('del');
+        original.className = 'price-original';
+        original.textContent = formatPrice(item.originalPrice * item.quantity);
+        price.prepend(original, ' ');
+    }
+
+    const qty = document.createElement('div');
+    qty.className = 'cart-item-quantity';
+
+    const minus = document.createElement('button');
+    minus.type = 'button';
+    minus.className = 'cart-qty-btn';
+    minus.dataset.action = 'decrease';
+    minus.setAttribute('aria-label', `Diminuir quantidade de ${item.name}`);
+    minus.textContent = '−';
+
+    const value = document.createElement('span');
+    value.className = 'cart-qty-value';
+    value.textContent = String(item.quantity);
+
+    const plus = document.createElement('button');
+    plus.type = 'button';
+    plus.className = 'cart-qty-btn';
+    plus.dataset.action = 'increase';
+    plus.setAttribute('aria-label', `Aumentar quantidade de ${item.name}`);
+    plus.textContent = '+';
+    // Sem estoque para mais uma unidade
+    plus.disabled = Number.isInteger(item.maxQuantity) && item.quantity >= item.maxQuantity;
+
+    qty.appendChild(minus);
+    qty.appendChild(value);
+    qty.appendChild(plus);
+
+    info.appendChild(name);
+    info.appendChild(price);
+    info.appendChild(qty);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'cart-item-remove';
+    remove.dataset.action = 'remove';
+    remove.setAttribute('aria-label', `Remover ${item.name} do carrinho`);
+    remove.textContent = '×';
+
+    li.appendChild(thumb);
+    li.appendChild(info);
+    li.appendChild(remove);
+    return li;
+}
+
+/**
+ * Mensagem abaixo do campo de cupom (vazia esconde).
+ * @param {object} dom - Referências DOM
+ * @param {string} message
+ * @param {'success'|'error'} [type='success']
+ */
+function setCouponMessage(dom, message, type = 'success') {
+    const element = dom.cart.couponMessage;
+    if (!element) return;
+    element.textContent = message;
+    element.classList.toggle('error', type === 'error');
+    element.classList.toggle('hidden', !message);
+}
+
+/**
+ * Lista o subtotal e os descontos ("leve 3" e cupom) acima do total.
+ * @param {object} dom - Referências DOM
+ * @param {object} pricing - Retorno de priceCart
+ */
+function renderDiscounts(dom, pricing) {
+    const list = dom.cart.discounts;
+    if (!list) return;
+
+    const lines = pricing.discounts.length === 0 ? [] : [
+        ['Subtotal', formatPrice(pricing.subtotal)],
+        ...pricing.discounts.map(discount => [discount.label, `-${formatPrice(discount.amount)}`])
+    ];
+    list.replaceChildren(...lines.map(([label, value]) => {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = label;
+        const amount = document.createElement('span');
+        amount.textContent = value;
+        li.append(name, amount);
+        return li;
+    }));
+    list.hidden = lines.length === 0;
+}
+
+/**
+ * Renderiza a lista de itens, os descontos e o total.
+ * @param {object} dom - Referências DOM
+ * @param {Array} items - Itens do carrinho
+ */
+function renderCart(dom, items) {
+    if (!dom.cart.items) return;
+
+    const pricing = Promotions.priceCart(items, appliedCoupon);
+    dom.cart.items.replaceChildren();
+
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'cart-empty';
+        empty.textContent = 'Seu carrinho está vazio.';
+        dom.cart.items.appendChild(empty);
+    } else {
+        for (const item of pricing.items) {
+            dom.cart.items.appendChild(createCartItem(item));
+        }
+    }
+
+    renderDiscounts(dom, pricing);
+    if (appliedCoupon && items.length > 0 && !pricing.couponCode) {
+        setCouponMessage(dom, `O cupom ${appliedCoupon.couponCode} não se aplica aos itens do carrinho.`, 'error');
+    }
+
+    if (dom.cart.total) {
+        dom.cart.total.textContent = formatPrice(pricing.total);
+    }
+    if (dom.cart.clearButton) {
+        dom.cart.clearButton.disabled = items.length === 0;
+    }
+    if (dom.cart.checkoutButton) {
+        dom.cart.checkoutButton.disabled = items.length === 0;
+    }
+}
+
+/**
+ * Aplica o cupom digitado ou remove o cupom aplicado.
+ * @param {object} dom - Referências DOM
+ */
+async function toggleCoupon(dom) {
+    const { couponInput, couponButton } = dom.cart;
+
+    if (appliedCoupon) {
+        appliedCoupon = null;
+        couponInput.value = '';
+        couponInput.readOnly = false;
+        couponButton.textContent = 'Aplicar';
+        setCouponMessage(dom, '');
+        renderCart(dom, Cart.getCartItems());
+        couponInput.focus();
+        return;
+    }
+
+    if (!couponInput.value.trim()) {
+        setCouponMessage(dom, 'Digite o código do cupom.', 'error');
+        return;
+    }
+
+    couponButton.disabled = true;
+    const { promotion, error } = await Promotions.findCoupon(couponInput.value);
+    couponButton.disabled = false;
+    if (error) {
+        setCouponMessage(dom, error, 'error');
+        return;
+    }
+
+    appliedCoupon = promotion;
+    couponInput.value = promotion.couponCode;
+    couponInput.readOnly = true;
+    couponButton.textContent = 'Remover';
+    setCouponMessage(dom, `Cupom ${promotion.couponCode} aplicado${promotion.name ? `: ${promotion.name}` : ''}.`);
+    renderCart(dom, Cart.getCartItems());
+    debugLog('Cupom aplicado:', promotion.couponCode);
+}
+
+/**
+ * Abre a gaveta do carrinho.
+ * @param {object} dom - Referências DOM
+ */
+export function openCartDrawer(dom) {
+    if (!dom.cart.drawer || dom.cart.drawer.classList.contains('open')) return;
+
+    previouslyFocused = document.activeElement;
+    dom.cart.drawer.classList.add('open');
+    dom.cart.drawer.setAttribute('aria-hidden', 'false');
+    dom.cart.overlay?.classList.add('visible');
+    dom.cart.toggle?.setAttribute('aria-expanded', 'true');
+
+    requestAnimationFrame(() => {
+        dom.cart.closeButton?.focus();
+    });
+    debugLog('Carrinho aberto');
+}
+
+/**
+ * Fecha a gaveta do carrinho e devolve o foco.
+ * @param {object} dom - Referências DOM
+ */
+export function closeCartDrawer(dom) {
+    if (!dom.cart.drawer?.classList.contains('open')) return;
+
+    dom.cart.drawer.classList.remove('open');
+    dom.cart.drawer.setAttribute('aria-hidden', 'true');
+    dom.cart.overlay?.classList.remove('visible');
+    dom.cart.toggle?.setAttribute('aria-expanded', 'false');
+
+    if (previouslyFocused) {
+        previouslyFocused.focus();
+        previouslyFocused = null;
+    }
+    debugLog('Carrinho fechado');
+}
+
+/**
+ * Inicializa a gaveta: renderização reativa e eventos (delegação).
+ * @param {object} dom - Referências DOM
+ */
+export function initCartDrawer(dom) {
+    if (!dom.cart.drawer) {
+        debugLog('Gaveta do carrinho não encontrada nesta página');
+        return;
+    }
+
+    renderCart(dom, Cart.getCartItems());
+    Cart.subscribe(items => renderCart(dom, items));
+
+    // Botão do header dispara "cart:open" (ver header.js)
+    document.addEventListener('cart:open', () => openCartDrawer(dom));
+
+    dom.cart.closeButton?.addEventListener('click', () => closeCartDrawer(dom));
+    dom.cart.overlay?.addEventListener('click', () => closeCartDrawer(dom));
+
+    // Cupom: botão "Aplicar"/"Remover" e Enter no campo (fora do formulário de checkout)
+    dom.cart.couponButton?.addEventListener('click', () => toggleCoupon(dom));
+    dom.cart.couponInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            toggleCoupon(dom);
+        }
+    });
+
+    // Promoções automáticas chegam depois do carrinho: atualiza preços e total
+    Promotions.loadPromotions().then(() => renderCart(dom, Cart.getCartItems()));
+
+    dom.cart.clearButton?.addEventListener('click', () => {
+        if (confirm('Deseja remover todos os itens do carrinho?')) {
+            Cart.clearCart();
+        }
+    });
+
+    // Checkout: preenche o nome lembrado e envia o pedido pelo WhatsApp
+    if (dom.cart.checkoutForm) {
+        if (dom.cart.checkoutName) {
+            dom.cart.checkoutName.value = Checkout.getSavedCustomer().name;
+        }
+
+        dom.cart.checkoutForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            dom.cart.checkoutError?.classList.add('hidden');
+
+            const items = Cart.getCartItems();
+            if (items.length === 0) return;
+
+            dom.cart.checkoutButton.disabled = true;
+            const opened = await Checkout.checkout(items, {
+                name: dom.cart.checkoutName?.value || '',
+                notes: dom.cart.checkoutNotes?.value || ''
+            }, 'cart', { coupon: appliedCoupon });
+            dom.cart.checkoutButton.disabled = false;
+
+            if (!opened && dom.cart.checkoutError) {
+                dom.cart.checkoutError.textContent = Checkout.CHECKOUT_UNAVAILABLE_MESSAGE;
+                dom.cart.checkoutError.classList.remove('hidden');
+            }
+        });
+    }
+
+    // Quantidade e remoção via delegação
+    dom.cart.items?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const li = button.closest('.cart-item');
+        const item = Cart.getCartItems().find(i => i.id === li?.dataset.id);
+        if (!item) return;
+
+        switch (button.dataset.action) {
+            case 'increase':
+                Cart.updateQuantity(item.id, item.quantity + 1);
+                break;
+            case 'decrease':
+                Cart.updateQuantity(item.id, item.quantity - 1);
+                break;
+            case 'remove':
+                Cart.removeFromCart(item.id);
+                break;
+        }
+
+        // A lista foi re-renderizada: mantém o foco no mesmo controle
+        const sameButton = dom.cart.items.querySelector(
+            `.cart-item[data-id="${CSS.escape(item.id)}"] [data-action="${button.dataset.action}"]`
+        );
+        (sameButton || dom.cart.closeButton)?.focus();
+    });
+
+    // Escape fecha a gaveta
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeCartDrawer(dom);
+        }
+    });
+}
@@ -0,0 +1,214 @@
+/**
+ * Módulo do Carrinho de Compras
+ * Mantém os itens selecionados, persiste no localStorage e notifica a interface
+ */
+
+import { debugLog, debugWarn } from '../utils/debug.js';
+
+const CART_STORAGE_KEY = 'artesanato_cart';
+const CART_VERSION = 1;
+const MAX_QUANTITY = 99;
+
+// Itens do carrinho: { id, productId, variantId, variantLabel, name, price, priceSchedule, image, category, quantity, maxQuantity }
+// (em produtos com variações, id = "produto:variação"; price é o preço original,
+// o preço em vigor é calculado no checkout, ver promotions.js)
+let items = [];
+const listeners = new Set();
+
+/**
+ * Lê o carrinho salvo no navegador.
+ * @returns {Array}
+ */
+function loadFromStorage() {
+    try {
+        const raw = localStorage.getItem(CART_STORAGE_KEY);
+        if (!raw) return [];
+        const saved = JSON.parse(raw);
+        if (saved?.version !== CART_VERSION || !Array.isArray(saved.items)) {
+            return [];
+        }
+        return saved.items.filter(item => item?.id && item.quantity > 0);
+    } catch (error) {
+        debugWarn('Não foi possível ler o carrinho salvo:', error);
+        return [];
+    }
+}
+
+/**
+ * Salva o carrinho no navegador.
+ */
+function saveToStorage() {
+    try {
+        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+            version: CART_VERSION,
+            items
+        }));
+    } catch (error) {
+        debugWarn('Não foi possível salvar o carrinho:', error);
+    }
+}
+
+/**
+ * Notifica ouvintes internos e dispara o evento global "cart:updated"
+ * (usado pelo header para atualizar o contador).
+ */
+function notify() {
+    const snapshot = getCartItems();
+    for (const listener of listeners) {
+        listener(snapshot);
+    }
+    document.dispatchEvent(new CustomEvent('cart:updated', {
+        detail: { count: getCartCount(), total: getCartTotal() }
+    }));
+}
+
+/**
+ * Persiste e notifica após qualquer alteração.
+ */
+function commit() {
+    saveToStorage();
+    notify();
+}
+
+/**
+ * Limita a quantidade ao intervalo permitido.
+ * @param {number} quantity
+ * @param {number|null} [maxQuantity] - Estoque disponível (null = sem limite)
+ * @returns {number}
+ */
+function clampQuantity(quantity, maxQuantity = null) {
+    const limit = Number.isInteger(maxQuantity) ? Math.min(MAX_QUANTITY, maxQuantity) : MAX_QUANTITY;
+    const value = Math.floor(Number(quantity));
+    if (Number.isNaN(value)) return 1;
+    return Math.max(1, Math.min(limit, value));
+}
+
+/**
+ * Inicializa o carrinho a partir do localStorage e sincroniza entre abas.
+ */
+export function initCart() {
+    items = loadFromStorage();
+    debugLog('Carrinho carregado:', items.length, 'itens');
+
+    // Outra aba alterou o carrinho
+    window.addEventListener('storage', (e) => {
+        if (e.key === CART_STORAGE_KEY) {
+            items = loadFromStorage();
+            notify();
+        }
+    });
+
+    // O header pede o estado atual quando termina de carregar
+    document.addEventListener('cart:request-state', notify);
+
+    notify();
+}
+
+/**
+ * Adiciona um produto ao carrinho (ou soma à quantidade existente).
+ * Aceita o mesmo formato de produto gerado por fetchProducts ou, para
+ * variações, o retorno de toCartProduct (variants.js). O campo opcional
+ * maxQuantity limita a quantidade ao estoque disponível.
+ * @param {object} product - Produto do catálogo
+ * @param {number} [quantity=1]
+ */
+export function addToCart(product, quantity = 1) {
+    if (!product?.id) return;
+
+    const id = String(product.id);
+    const existing = items.find(item => item.id === id);
+
+    if (existing) {
+        if (product.maxQuantity !== undefined) {
+            existing.maxQuantity = product.maxQuantity;
+        }
+        // O agendamento pode ter mudado desde que o item entrou no carrinho
+        existing.price = Number(product.price) || existing.price;
+        existing.priceSchedule = product.priceSchedule || null;
+        existing.quantity = clampQuantity(existing.quantity + quantity, existing.maxQuantity);
+    } else {
+        items.push({
+            id,
+            productId: String(product.productId || product.id),
+            variantId: product.variantId || '',
+            variantLabel: product.variantLabel || '',
+            name: product.name,
+            price: Number(product.price) || 0,
+            priceSchedule: product.priceSchedule || null,
+            image: product.image || product.images?.[0] || '',
+            category: product.category || '',
+            maxQuantity: Number.isInteger(product.maxQuantity) ? product.maxQuantity : null,
+            quantity: clampQuantity(quantity, product.maxQuantity)
+        });
+    }
+
+    debugLog('Produto adicionado ao carrinho:', id);
+    commit();
+}
+
+/**
+ * Remove um produto do carrinho.
+ * @param {string} productId
+ */
+export function removeFromCart(productId) {
+    items = items.filter(item => item.id !== String(productId));
+    commit();
+}
+
+/**
+ * Define a quantidade de um item. Quantidade menor que 1 remove o item.
+ * @param {string} productId
+ * @param {number} quantity
+ */
+export function updateQuantity(productId, quantity) {
+    if (Number(quantity) < 1) {
+        removeFromCart(productId);
+        return;
+    }
+    const item = items.find(i => i.id === String(productId));
+    if (!item) return;
+    item.quantity = clampQuantity(quantity, item.maxQuantity);
+    commit();
+}
+
+/**
+ * Esvazia o carrinho.
+ */
+export function clearCart() {
+    items = [];
+    commit();
+}
+
+/**
+ * Retorna uma cópia dos itens do carrinho.
+ * @returns {Array}
+ */
+export function getCartItems() {
+    return items.map(item => ({ ...item }));
+}
+
+/**
+ * Quantidade total de peças no carrinho.
+ * @returns {number}
+ */
+export function getCartCount() {
+    return items.reduce((sum, item) => sum + item.quantity, 0);
+}
+
+/**
+ * Valor total do carrinho.
+ * @returns {number}
+ */
+export function getCartTotal() {
+    return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+/**
+ * Registra um ouvinte chamado a cada alteração do carrinho.
+ * @param {(items: Array) => void} listener
+ * @returns {() => void} Função para cancelar a inscrição
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,296 @@
+/**
+ * Módulo de Filtros do Catálogo
+ * Ordenação, faixa de preço e facetas (cor, material) combinadas com busca e categorias
+ */
+
+import { VARIANT_ATTRIBUTES, hasVariants } from './variants.js';
+import { getSalePrice } from './promotions.js';
+
+/**
+ * Opções de ordenação. `field`/`direction` definem o orderBy da consulta no
+ * Firestore, para que a paginação traga as páginas já na ordem escolhida.
+ * "Mais recentes" usa createdAt, gravado pelo admin ao cadastrar o produto.
+ * As ordenações por preço consultam `minPrice` (menor preço entre as
+ * variações, gravado pelo painel) e reordenam os produtos carregados pelo
+ * preço de venda (ver getLowestSalePrice), que o Firestore não conhece.
+ */
+export const SORT_OPTIONS = {
+    name: { label: 'Nome (A–Z)', field: 'name', direction: 'asc' },
+    price_asc: { label: 'Menor preço', field: 'minPrice', direction: 'asc' },
+    price_desc: { label: 'Maior preço', field: 'minPrice', direction: 'desc' },
+    newest: { label: 'Mais recentes', field: 'createdAt', direction: 'desc' }
+};
+
+export const DEFAULT_SORT = 'name';
+
+// Limite de valores do operador "in" do Firestore; acima disso as categorias
+// são filtradas só no navegador
+export const MAX_QUERY_CATEGORIES = 30;
+
+// Atributos das variações oferecidos como facetas
+export const FACET_ATTRIBUTES = VARIANT_ATTRIBUTES.filter(({ key }) => key !== 'size');
+
+/**
+ * Filtros iniciais (sem restrições).
+ * @returns {{sort: string, categories: string[], minPrice: number|null, maxPrice: number|null,
+ *   facets: Object<string, Set<string>>}}
+ */
+export function createDefaultFilters() {
+    return {
+        sort: DEFAULT_SORT,
+        categories: [],
+        minPrice: null,
+        maxPrice: null,
+        facets: Object.fromEntries(FACET_ATTRIBUTES.map(({ key }) => [key, new Set()]))
+    };
+}
+
+/**
+ * Consulta do Firestore para os filtros: categorias (== ou "in") e faixa de
+ * preço vão para o where; facetas e busca continuam no navegador.
+ * A faixa compara `minPrice`, o menor preço entre as variações gravado pelo
+ * painel; matchesFilters confere depois o preço de venda de cada variação.
+ * O Firestore exige ordenar primeiro pelo campo do filtro de intervalo, então
+ * com faixa de preço e ordenação por nome/data a consulta vem por preço e a
+ * ordem escolhida só vale com todas as páginas carregadas (`needsAllPages`).
+ * @param {object} filters - Filtros atuais
+ * @returns {{categories: string[], minPrice: number|null, maxPrice: number|null,
+ *   orderBy: Array<[string, string]>, needsAllPages: boolean}}
+ */
+export function buildQueryPlan(filters) {
+    const { field, direction } = SORT_OPTIONS[filters.sort] || SORT_OPTIONS[DEFAULT_SORT];
+    const categories = [...new Set(filters.categories || [])].sort();
+    const hasPriceRange = filters.minPrice !== null || filters.maxPrice !== null;
+
+    const orderBy = [];
+    if (hasPriceRange && field !== 'minPrice') {
+        orderBy.push(['minPrice', 'asc']);
+    }
+    orderBy.push([field, direction]);
+    // Desempate estável entre produtos com o mesmo preço/data
+    if (field !== 'name') {
+        orderBy.push(['name', 'asc']);
+    }
+
+    return {
+        categories: categories.length <= MAX_QUERY_CATEGORIES ? categories : [],
+        minPrice: filters.minPrice,
+        maxPrice: filters.maxPrice,
+        orderBy,
+        needsAllPages: hasPriceRange && field !== 'minPrice'
+    };
+}
+
+/**
+ * Chave da combinação de filtros da consulta (uma paginação por chave).
+ * @param {object} plan - Retorno de buildQueryPlan
+ * @returns {string}
+ */
+export function getQueryKey(plan) {
+    return JSON.stringify([plan.categories, plan.minPrice, plan.maxPrice, plan.orderBy]);
+}
+
+/**
+ * Indica se a consulta traz o catálogo inteiro (sem categoria nem faixa de preço).
+ * @param {object} plan - Retorno de buildQueryPlan
+ * @returns {boolean}
+ */
+export function isUnfilteredPlan(plan) {
+    return plan.categories.length === 0 && plan.minPrice === null && plan.maxPrice === null;
+}
+
+/**
+ * Indica se os filtros só valem com todas as páginas carregadas: facetas
+ * (filtradas no navegador) ou faixa de preço com ordenação por nome/data.
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function requiresAllPages(filters) {
+    const facetActive = Object.values(filters.facets).some(values => values.size > 0);
+    return facetActive || buildQueryPlan(filters).needsAllPages;
+}
+
+/**
+ * Converte o valor de um campo de preço (vazio ou inválido = sem limite).
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parsePrice(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const price = Number(String(value).replace(',', '.'));
+    return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Quantidade de filtros ativos (faixa de preço conta como um; ordenação não conta).
+ * @param {object} filters
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+    const priceActive = filters.minPrice !== null || filters.maxPrice !== null ? 1 : 0;
+    const facetCount = Object.values(filters.facets).reduce((sum, values) => sum + values.size, 0);
+    return priceActive + facetCount;
+}
+
+/**
+ * @param {object} filters
+ * @returns {boolean} true se há faixa de preço ou faceta selecionada
+ */
+export function hasActiveFilters(filters) {
+    return countActiveFilters(filters) > 0;
+}
+
+/**
+ * Menor preço de venda do produto (com variações, o da variação mais barata),
+ * o mesmo exibido no card: preço agendado e promoção automática em vigor.
+ * @param {object} product
+ * @returns {number}
+ */
+export function getLowestSalePrice(product) {
+    const candidates = hasVariants(product) ? product.variants : [product];
+    return Math.min(...candidates.map(candidate => getSalePrice(product, Number(candidate.price) || 0).price));
+}
+
+/**
+ * Verifica se o produto atende à faixa de preço e às facetas.
+ * Com variações, basta que uma variação atenda a todos os critérios ao mesmo
+ * tempo (ex.: "Azul" até R$ 50 exige uma variação azul que custe até R$ 50).
+ * A faixa compara o preço de venda (com preço agendado e promoção).
+ * @param {object} product
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(product, filters) {
+    const { minPrice, maxPrice, facets } = filters;
+    const candidates = hasVariants(product) ? product.variants : [product];
+
+    return candidates.some(candidate => {
+        const price = getSalePrice(product, Number(candidate.price) || 0).price;
+        if (minPrice !== null && price < minPrice) return false;
+        if (maxPrice !== null && price > maxPrice) return false;
+
+        return Object.entries(facets).every(([key, values]) =>
+            values.size === 0 || values.has(candidate[key])
+        );
+    });
+}
+
+/**
+ * Ordena uma cópia da lista conforme a opção escolhida (preços pelo menor
+ * preço de venda; nome e data pelo mesmo critério da consulta).
+ * @param {Array} products
+ * @param {string} sort - Chave de SORT_OPTIONS
+ * @returns {Array}
+ */
+export function sortProducts(products, sort) {
+    const option = SORT_OPTIONS[sort] || SORT_OPTIONS[DEFAULT_SORT];
+    const byName = (a, b) => a.name.localeCompare(b.name, 'pt-BR');
+    const sign = option.direction === 'desc' ? -1 : 1;
+
+    const values = new Map(products.map(product => [product, option.field === 'minPrice'
+        ? getLowestSalePrice(product)
+        : Number(product[option.field]) || 0]));
+
+    return [...products].sort((a, b) => {
+        if (option.field === 'name') return byName(a, b);
+        const diff = values.get(a) - values.get(b);
+        return sign * diff || byName(a, b);
+    });
+}
+
+/**
+ * Aplica faixa de preço e facetas e, se pedido, a ordenação.
+ * @param {Array} products
+ * @param {object} filters
+ * @param {object} [options]
+ * @param {boolean} [options.sort=true] - false mantém a ordem recebida (ex.: relevância da busca)
+ * @returns {Array}
+ */
+export function applyFilters(products, filters, { sort = true } = {}) {
+    const filtered = hasActiveFilters(filters)
+        ? products.filter(product => matchesFilters(product, filters))
+        : products;
+    return sort ? sortProducts(filtered, filters.sort) : filtered;
+}
+
+/**
+ * Valores disponíveis de cada faceta nas variações dos produtos carregados.
+ * @param {Array} products
+ * @returns {Array<{key: string, label: string, values: string[]}>}
+ */
+export function getFacetOptions(products) {
+    return FACET_ATTRIBUTES
+        .map(({ key, label }) => {
+            const values = new Set();
+            for (const product of products) {
+                for (const variant of product.variants || []) {
+                    if (variant[key]) values.add(variant[key]);
+                }
+            }
+            return {
+                key,
+                label,
+                values: [...values].sort((a, b) => a.localeCompare(b, 'pt-BR'))
+            };
+        })
+        .filter(option => option.values.length > 0);
+}
+
+/**
+ * Preenche o seletor de ordenação com as opções disponíveis.
+ * @param {HTMLSelectElement} select
+ * @param {string} current - Ordenação selecionada
+ */
+export function renderSortOptions(select, current = DEFAULT_SORT) {
+    if (!select) return;
+    select.replaceChildren();
+    for (const [value, { label }] of Object.entries(SORT_OPTIONS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === current;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Renderiza os botões de faceta, mantendo marcadas as opções já selecionadas.
+ * O container fica oculto quando nenhum produto tem cor ou material.
+ * @param {HTMLElement} container - Elemento das facetas
+ * @param {Array} products - Produtos carregados
+ * @param {object} filters - Filtros atuais
+ */
+export function renderFacets(container, products, filters) {
+    if (!container) return;
+
+    const options = getFacetOptions(products);
+    container.replaceChildren();
+    container.hidden = options.length === 0;
+
+    for (const { key, label, values } of options) {
+        const group = document.createElement('div');
+        group.className = 'facet-group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', `Filtrar por ${label.toLowerCase()}`);
+
+        const title = document.createElement('span');
+        title.className = 'facet-title';
+        title.textContent = label;
+        group.appendChild(title);
+
+        for (const value of values) {
+            const selected = filters.facets[key]?.has(value) || false;
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'facet-option';
+            btn.classList.toggle('active', selected);
+            btn.dataset.facet = key;
+            btn.dataset.value = value;
+            btn.setAttribute('aria-pressed', String(selected));
+            btn.textContent = value;
+            group.appendChild(btn);
+        }
+
+        container.appendChild(group);
+    }
+}
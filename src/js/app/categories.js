@@ -4,6 +4,7 @@
  */
 
 import { debugLog, debugError } from '../utils/debug.js';
+import { mapCategoryData } from './product-data.js';
 
 /**
  * Carrega categorias do Firestore e cria botões dinamicamente
@@ -28,16 +29,10 @@ export async function loadCategories(dom) {
         
         debugLog('Categorias recebidas:', snapshot.size, 'documentos');
         
-        // Converte documentos para array de categorias
-        const categories = snapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                name: data.name || 'Sem nome',
-                slug: data.slug || data.name?.toLowerCase() || 'outros',
-                description: data.description || ''
-            };
-        });
+        // Converte documentos para array de categorias (sem as que estão na lixeira do painel)
+        const categories = snapshot.docs
+            .filter(doc => !doc.data().deletedAt)
+            .map(doc => mapCategoryData(doc.id, doc.data()));
         
         debugLog('Categorias carregadas:', categories);
         
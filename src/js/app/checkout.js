@@ -0,0 +1,245 @@
+/**
+ * Módulo de Checkout via WhatsApp
+ * Converte o carrinho (ou um único produto) em uma mensagem de pedido,
+ * registra o pedido na coleção "orders" e abre o link wa.me com o número
+ * configurado em settings/shop
+ */
+
+import { debugLog, debugError, debugWarn } from '../utils/debug.js';
+import { formatPrice } from '../utils/functions.js';
+import { priceCart } from './promotions.js';
+
+const CUSTOMER_STORAGE_KEY = 'artesanato_customer';
+
+// Exibida ao cliente quando o número da loja não está configurado
+// (admin/settings.html grava settings/shop.whatsappNumber)
+export const CHECKOUT_UNAVAILABLE_MESSAGE = 'Os pedidos pelo site estão indisponíveis no momento. Fale conosco pelo Instagram para encomendar.';
+
+// Quanto esperar a gravação do pedido antes de sair da página (pop-up bloqueado)
+const ORDER_SAVE_TIMEOUT_MS = 3000;
+
+// Configurações da loja (carregadas uma vez do Firestore)
+let shopSettings = null;
+let settingsPromise = null;
+
+/**
+ * Carrega as configurações públicas da loja (documento settings/shop).
+ * @returns {Promise<object>} Configurações (objeto vazio se indisponível)
+ */
+export function loadShopSettings() {
+    if (settingsPromise) return settingsPromise;
+
+    settingsPromise = (async () => {
+        try {
+            if (typeof firebase === 'undefined' || !firebase.firestore) {
+                throw new Error('Firebase não está configurado');
+            }
+            const doc = await firebase.firestore().collection('settings').doc('shop').get();
+            shopSettings = doc.exists ? doc.data() : {};
+            debugLog('Configurações da loja carregadas:', shopSettings);
+        } catch (error) {
+            debugError('Erro ao carregar configurações da loja:', error);
+            shopSettings = {};
+            // Permite nova tentativa na próxima chamada
+            settingsPromise = null;
+        }
+        return shopSettings;
+    })();
+
+    return settingsPromise;
+}
+
+/**
+ * Número do WhatsApp da loja, apenas dígitos (ex.: 5583999999999).
+ * @returns {string} Número ou string vazia se ainda não configurado/carregado
+ */
+export function getWhatsAppNumber() {
+    return String(shopSettings?.whatsappNumber || '').replaceAll(/\D/g, '');
+}
+
+/**
+ * Dados do cliente lembrados da última compra.
+ * @returns {{name: string, notes: string}}
+ */
+export function getSavedCustomer() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOMER_STORAGE_KEY) || '{}');
+        return { name: saved.name || '', notes: '' };
+    } catch (error) {
+        debugWarn('Não foi possível ler os dados do cliente:', error);
+        return { name: '', notes: '' };
+    }
+}
+
+/**
+ * Lembra o nome do cliente para os próximos pedidos.
+ * @param {{name: string}} customer
+ */
+function saveCustomer(customer) {
+    try {
+        localStorage.setItem(CUSTOMER_STORAGE_KEY, JSON.stringify({ name: customer.name }));
+    } catch (error) {
+        debugWarn('Não foi possível salvar os dados do cliente:', error);
+    }
+}
+
+/**
+ * Monta a mensagem de pedido em português.
+ * @param {object} pricing - Retorno de priceCart (itens com preço promocional, descontos e total)
+ * @param {{name?: string, notes?: string}} [customer]
+ * @param {string} [orderCode] - Código do pedido registrado (ex.: "A1B2C3")
+ * @returns {string}
+ */
+export function buildOrderMessage(pricing, customer = {}, orderCode = '') {
+    const lines = ['Olá! Gostaria de fazer um pedido pelo site 🛍️', ''];
+    if (orderCode) lines.push(`*Pedido:* #${orderCode}`, '');
+    lines.push('*Itens:*');
+
+    pricing.items.forEach((item, index) => {
+        const subtotal = item.price * item.quantity;
+        const sale = item.originalPrice > item.price ? ` (de ${formatPrice(item.originalPrice)})` : '';
+        lines.push(`${index + 1}. ${item.name} — ${item.quantity} x ${formatPrice(item.price)}${sale} = ${formatPrice(subtotal)}`);
+    });
+
+    if (pricing.discounts.length > 0) {
+        lines.push('', `Subtotal: ${formatPrice(pricing.subtotal)}`);
+        for (const discount of pricing.discounts) {
+            lines.push(`${discount.label}: -${formatPrice(discount.amount)}`);
+        }
+    }
+    lines.push('', `*Total: ${formatPrice(pricing.total)}*`);
+
+    const name = customer.name?.trim();
+    const notes = customer.notes?.trim();
+    if (name || notes) lines.push('');
+    if (name) lines.push(`*Nome:* ${name}`);
+    if (notes) lines.push(`*Observações:* ${notes}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Gera o link wa.me para o pedido.
+ * @param {object} pricing - Retorno de priceCart
+ * @param {{name?: string, notes?: string}} [customer]
+ * @param {string} [orderCode] - Código do pedido registrado
+ * @returns {string|null} URL ou null se o número da loja não estiver configurado
+ */
+export function buildCheckoutUrl(pricing, customer = {}, orderCode = '') {
+    const phone = getWhatsAppNumber();
+    if (!phone || pricing.items.length === 0) return null;
+    return `https://wa.me/${phone}?text=${encodeURIComponent(buildOrderMessage(pricing, customer, orderCode))}`;
+}
+
+/**
+ * Prepara o registro do pedido na coleção "orders".
+ * O ID é gerado localmente, então o código já pode ir na mensagem do WhatsApp
+ * antes da gravação terminar.
+ * @param {object} pricing - Retorno de priceCart
+ * @param {{name?: string, notes?: string}} customer - Dados do cliente
+ * @param {'cart'|'product'} source - Origem do pedido
+ * @returns {{code: string, save: () => Promise<void>}|null} null se o Firebase não estiver disponível
+ */
+function prepareOrder(pricing, customer, source) {
+    if (typeof firebase === 'undefined' || !firebase.firestore) {
+        return null;
+    }
+
+    const ref = firebase.firestore().collection('orders').doc();
+    const code = ref.id.slice(0, 6).toUpperCase();
+    const orderItems = pricing.items.map(item => ({
+        productId: String(item.productId || item.id),
+        ...(item.variantId && { variantId: item.variantId, variant: item.variantLabel || '' }),
+        name: item.name,
+        price: Number(item.price) || 0,
+        ...(item.originalPrice > item.price && { originalPrice: item.originalPrice }),
+        quantity: item.quantity
+    }));
+
+    const order = {
+        code,
+        items: orderItems,
+        total: pricing.total,
+        // Descontos ("leve 3" e cupom) sobre o subtotal dos itens
+        ...(pricing.discounts.length > 0 && {
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts
+        }),
+        ...(pricing.couponCode && { couponCode: pricing.couponCode }),
+        customer: {
+            name: customer.name?.trim() || '',
+            notes: customer.notes?.trim() || ''
+        },
+        status: 'new',
+        source,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        statusHistory: [{ status: 'new', at: firebase.firestore.Timestamp.now() }]
+    };
+
+    return {
+        code,
+        save: () => ref.set(order)
+    };
+}
+
+/**
+ * Abre o WhatsApp em nova aba (ou na mesma, se o pop-up for bloqueado).
+ * @param {string} url - Link wa.me
+ * @param {Promise} [pending] - Gravação a concluir antes de sair da página
+ *   (na mesma aba, a navegação poderia interromper o envio)
+ */
+export function openWhatsApp(url, pending = Promise.resolve()) {
+    // Com "noopener" o window.open sempre retorna null, então o opener é
+    // removido manualmente para detectar o bloqueio de pop-up
+    const opened = window.open(url, '_blank');
+    if (opened) {
+        opened.opener = null;
+        return;
+    }
+    // Sem conexão a gravação só termina depois: não segura o cliente além do limite
+    const timeout = new Promise(resolve => setTimeout(resolve, ORDER_SAVE_TIMEOUT_MS));
+    Promise.race([pending, timeout]).finally(() => {
+        window.location.href = url;
+    });
+}
+
+/**
+ * Finaliza o pedido: aplica as promoções, registra em "orders", monta a
+ * mensagem e abre o WhatsApp.
+ * @param {Array} items - Itens do carrinho (preço original)
+ * @param {{name: string, notes?: string}} customer - Dados do cliente
+ * @param {'cart'|'product'} [source='cart'] - Origem do pedido
+ * @param {object} [options]
+ * @param {object|null} [options.coupon] - Cupom aplicado no carrinho (retorno de findCoupon)
+ * @returns {Promise<boolean>} true se o WhatsApp foi aberto
+ */
+export async function checkout(items, customer, source = 'cart', { coupon = null } = {}) {
+    if (!getWhatsAppNumber()) {
+        await loadShopSettings();
+    }
+    if (!getWhatsAppNumber() || items.length === 0) {
+        debugError('Checkout indisponível: número do WhatsApp não configurado em settings/shop (Admin → Configurações)');
+        return false;
+    }
+
+    const pricing = priceCart(items, coupon);
+    const order = prepareOrder(pricing, customer, source);
+    const url = buildCheckoutUrl(pricing, customer, order?.code);
+
+    saveCustomer(customer);
+
+    // A gravação começa antes de abrir o WhatsApp (o ID já é local). O pedido
+    // também segue pela mensagem: falha na gravação não bloqueia o cliente
+    const saved = order
+        ? order.save()
+            .then(() => debugLog('Pedido registrado:', order.code))
+            .catch(error => debugError('Erro ao registrar pedido:', error))
+        : Promise.resolve();
+
+    debugLog('Abrindo WhatsApp com', items.length, 'itens');
+    // Sem esperar a gravação, para não perder a permissão de pop-up do clique
+    openWhatsApp(url, saved);
+
+    return true;
+}
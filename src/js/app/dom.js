@@ -14,9 +14,12 @@ export function initializeDOM() {
     // Detecção inteligente de página atual
     const isProductsPage = document.getElementById('products-container') !== null;
     const isIndexPage = document.querySelector('.hero') !== null;
+    const isProductDetailPage = document.getElementById('product-page') !== null;
     
     let pageName = 'desconhecida';
-    if (isProductsPage) {
+    if (isProductDetailPage) {
+        pageName = 'produto.html';
+    } else if (isProductsPage) {
         pageName = 'products.html';
     } else if (isIndexPage) {
         pageName = 'index.html';
@@ -33,19 +36,92 @@ export function initializeDOM() {
             categories: isProductsPage ? document.querySelectorAll('.category') : null,
             grid: document.querySelector('.products-grid')
         },
+        filters: {
+            container: document.getElementById('catalog-filters'),
+            sort: document.getElementById('sort-select'),
+            priceMin: document.getElementById('price-min'),
+            priceMax: document.getElementById('price-max'),
+            facets: document.getElementById('product-facets')
+        },
         modal: {
             container: document.getElementById('product-modal'),
             title: document.getElementById('modal-title'),
             productTitle: document.getElementById('modal-product-title'),
             price: document.getElementById('modal-price'),
+            variants: document.getElementById('modal-variants'),
+            availability: document.getElementById('modal-availability'),
             description: document.getElementById('modal-description'),
             mainImage: document.getElementById('modal-main-image'),
             thumbs: document.getElementById('modal-thumbs'),
             buyLink: document.getElementById('modal-buy-link'),
+            addToCartButton: document.getElementById('modal-add-cart'),
+            favoriteButton: document.getElementById('modal-favorite'),
             detailsLink: document.getElementById('modal-details-link'),
+            reviews: document.getElementById('modal-reviews'),
             closeButton: document.querySelector('.close-modal'),
             imageContainer: document.querySelector('.modal-main-image')
         },
+        // Página do produto (produto.html): mesmos campos do modal, para
+        // reaproveitar o preenchimento de ModalModule.renderProductDetails
+        productPage: {
+            container: document.getElementById('product-page'),
+            content: document.getElementById('product-page-content'),
+            loader: document.getElementById('product-page-loader'),
+            notFound: document.getElementById('product-page-not-found'),
+            breadcrumbs: document.getElementById('product-breadcrumbs'),
+            productTitle: document.getElementById('product-page-title'),
+            price: document.getElementById('product-page-price'),
+            variants: document.getElementById('product-page-variants'),
+            availability: document.getElementById('product-page-availability'),
+            description: document.getElementById('product-page-description'),
+            mainImage: document.getElementById('product-page-main-image'),
+            thumbs: document.getElementById('product-page-thumbs'),
+            buyLink: document.getElementById('product-page-buy-link'),
+            addToCartButton: document.getElementById('product-page-add-cart'),
+            favoriteButton: document.getElementById('product-page-favorite'),
+            detailsLink: null,
+            reviews: document.getElementById('product-page-reviews'),
+            imageContainer: document.querySelector('#product-page .modal-main-image')
+        },
+        favorites: {
+            toggle: document.getElementById('favorites-toggle'),
+            count: document.getElementById('favorites-count'),
+            section: document.getElementById('favorites'),
+            title: document.getElementById('favorites-title'),
+            status: document.getElementById('favorites-status'),
+            container: document.getElementById('favorites-container'),
+            saveButton: document.getElementById('favorites-save'),
+            shareButton: document.getElementById('favorites-share'),
+            quoteButton: document.getElementById('favorites-quote'),
+            closeButton: document.getElementById('favorites-close')
+        },
+        // Encomenda personalizada (página inicial)
+        quote: {
+            form: document.getElementById('quote-form'),
+            dateInput: document.getElementById('quote-date'),
+            imagesInput: document.getElementById('quote-images'),
+            imageList: document.getElementById('quote-image-list'),
+            message: document.getElementById('quote-form-message'),
+            submitButton: document.getElementById('quote-submit')
+        },
+        cart: {
+            toggle: document.getElementById('cart-toggle'),
+            drawer: document.getElementById('cart-drawer'),
+            overlay: document.getElementById('cart-overlay'),
+            items: document.getElementById('cart-items'),
+            total: document.getElementById('cart-total'),
+            discounts: document.getElementById('cart-discounts'),
+            couponInput: document.getElementById('cart-coupon-input'),
+            couponButton: document.getElementById('cart-coupon-btn'),
+            couponMessage: document.getElementById('cart-coupon-message'),
+            closeButton: document.querySelector('.close-cart'),
+            clearButton: document.getElementById('cart-clear'),
+            checkoutForm: document.getElementById('cart-checkout-form'),
+            checkoutName: document.getElementById('checkout-name'),
+            checkoutNotes: document.getElementById('checkout-notes'),
+            checkoutButton: document.getElementById('cart-checkout-btn'),
+            checkoutError: document.getElementById('cart-checkout-error')
+        },
         nav: {
             container: document.querySelector('nav'),
             mobileMenu: document.querySelector('.mobile-menu'),
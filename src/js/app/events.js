@@ -6,10 +6,12 @@
 import * as Utils from '../utils/functions.js';
 import * as GlobalHandlers from '../handlers/global-events.js';
 import { debugLog } from '../utils/debug.js';
+import { createDefaultFilters, parsePrice, DEFAULT_SORT } from './catalog-filters.js';
+import * as UrlState from './url-state.js';
 
 /**
  * Registra listeners com delegação de eventos para reduzir custos de performance.
- * - Produtos: abre modal ao clicar em "Ver Detalhes";
+ * - Produtos: abre modal ao clicar em "Ver Detalhes" e favorita pelo coração;
  * - Categorias: aplica filtro e estado ativo;
  * - Navegação: fecha menu mobile ao navegar;
  * - Footer: rolagem suave para âncoras;
@@ -20,6 +22,14 @@ import { debugLog } from '../utils/debug.js';
 export function setupEventListeners(dom, callbacks) {
     debugLog('Configurando event listeners...');
     
+    // Faixa de preço conta como um filtro; cada faceta marcada conta como um
+    const countFilterControls = () => {
+        const { priceMin, priceMax, facets } = dom.filters;
+        const priceActive = priceMin?.value || priceMax?.value ? 1 : 0;
+        const facetCount = facets ? facets.querySelectorAll('.facet-option.active').length : 0;
+        return priceActive + facetCount;
+    };
+
     const updateClearBtnVisibility = () => {
         const container = document.querySelector('.categories');
         if (!container) return;
@@ -31,17 +41,19 @@ export function setupEventListeners(dom, callbacks) {
             : [];
         const hasActiveCats = activeCats.length > 0;
         const hasSearch = !!(dom.products?.searchInput?.value.trim());
-        if (hasActiveCats || hasSearch) {
+        const filterCount = countFilterControls();
+        if (hasActiveCats || hasSearch || filterCount > 0) {
             clearBtn.classList.remove('hidden');
         } else {
             clearBtn.classList.add('hidden');
         }
 
-        // Atualiza o contador de filtros ativos (apenas categorias)
+        // Atualiza o contador de filtros ativos (categorias, preço e facetas)
         const badge = clearBtn.querySelector('.filters-count');
+        const activeCount = activeCats.length + filterCount;
         if (badge) {
-            if (activeCats.length > 0) {
-                badge.textContent = `(${activeCats.length})`;
+            if (activeCount > 0) {
+                badge.textContent = `(${activeCount})`;
                 badge.style.display = '';
             } else {
                 badge.style.display = 'none';
@@ -53,24 +65,42 @@ export function setupEventListeners(dom, callbacks) {
     if (dom.products.searchInput) {
         dom.products.searchInput.addEventListener('input', Utils.debounce((e) => {
             const searchTerm = e.target.value.trim().toLowerCase();
+            // Substitui a entrada atual: cada tecla não vira um passo do "voltar"
+            UrlState.updateUrl({ search: e.target.value.trim() });
             updateClearBtnVisibility();
             callbacks.onSearch(searchTerm);
         }, 300));
     }
 
-    // Delegação de eventos para os botões de produto (Ver Detalhes)
-    if (dom.products.container) {
-        dom.products.container.addEventListener('click', (e) => {
-            const detailsButton = e.target.closest('.btn-details');
-            if (detailsButton) {
-                e.preventDefault();
-                // Aceita tanto IDs numéricos quanto strings do Firestore
-                const productId = detailsButton.dataset.id;
-                debugLog('Abrindo modal para produto:', productId);
-                callbacks.onOpenModal(productId);
-            }
-        });
-    }
+    // Delegação de eventos para os botões dos cards (catálogo e "Meus Favoritos")
+    const handleProductCardClick = (e) => {
+        const detailsButton = e.target.closest('.btn-details');
+        if (detailsButton) {
+            e.preventDefault();
+            // Aceita tanto IDs numéricos quanto strings do Firestore
+            const productId = detailsButton.dataset.id;
+            debugLog('Abrindo modal para produto:', productId);
+            callbacks.onOpenModal(productId);
+            return;
+        }
+
+        // Botão "Adicionar" do card
+        const addButton = e.target.closest('.btn-add-cart');
+        if (addButton && callbacks.onAddToCart) {
+            e.preventDefault();
+            callbacks.onAddToCart(addButton.dataset.id);
+            return;
+        }
+
+        // Coração de favoritos
+        const favoriteButton = e.target.closest('.favorite-toggle');
+        if (favoriteButton && callbacks.onToggleFavorite) {
+            callbacks.onToggleFavorite(favoriteButton.dataset.id);
+        }
+    };
+
+    dom.products.container?.addEventListener('click', handleProductCardClick);
+    dom.favorites.container?.addEventListener('click', handleProductCardClick);
 
     // === Funções auxiliares para categorias ===
     const clearAllCategories = () => {
@@ -142,7 +172,9 @@ export function setupEventListeners(dom, callbacks) {
                 clearAllCategories();
                 activateAllCategory();
                 if (dom.products.searchInput) dom.products.searchInput.value = '';
-                callbacks.onCategoryChange('all');
+                resetFilterControls(dom);
+                UrlState.updateUrl({ categories: [], search: '' }, { push: true });
+                callbacks.onClearFilters();
                 updateClearBtnVisibility();
                 return;
             }
@@ -162,6 +194,7 @@ export function setupEventListeners(dom, callbacks) {
             // Coleta categorias ativas (exceto 'all')
             const selected = getActiveCategories();
             const filterParam = selected.length > 0 ? selected : 'all';
+            UrlState.updateUrl({ categories: selected }, { push: true });
             
             // Recarrega produtos com o filtro apropriado
             callbacks.onCategoryChange(filterParam);
@@ -222,11 +255,30 @@ export function setupEventListeners(dom, callbacks) {
                 return;
             }
 
-            // Fecha modal ao clicar em "Ver na Loja"
-            const actionButton = e.target.closest('.modal-actions .btn');
-            if (actionButton?.classList.contains('btn-details')) {
-                e.preventDefault();
-                callbacks.onCloseModal();
+            // Adiciona o produto exibido ao carrinho (o <dialog> fica acima da gaveta,
+            // então apenas confirma no próprio botão)
+            const addToCartButton = e.target.closest('#modal-add-cart');
+            if (addToCartButton && callbacks.onAddToCart) {
+                callbacks.onAddToCart(dom.modal.container.dataset.productId, {
+                    openDrawer: false,
+                    variantId: dom.modal.container.dataset.variantId
+                });
+                addToCartButton.textContent = 'Adicionado ✓';
+                setTimeout(() => {
+                    addToCartButton.textContent = 'Adicionar ao Carrinho';
+                }, 1500);
+                return;
+            }
+
+            // Favoritar o produto exibido
+            if (e.target.closest('#modal-favorite') && callbacks.onToggleFavorite) {
+                callbacks.onToggleFavorite(dom.modal.container.dataset.productId);
+                return;
+            }
+
+            // "Comprar Agora": pedido de um único produto pelo WhatsApp
+            if (e.target.closest('#modal-buy-link') && callbacks.onBuyNow) {
+                callbacks.onBuyNow(dom.modal.container.dataset.productId, e, dom.modal.container.dataset.variantId);
                 return;
             }
 
@@ -262,48 +314,228 @@ export function setupEventListeners(dom, callbacks) {
         // Delegação de eventos para as miniaturas de imagem
         if (dom.modal.thumbs) {
             dom.modal.thumbs.addEventListener('click', (e) => {
-                const thumb = e.target.closest('img');
-                if (thumb) {
+                showThumbnailImage(dom.modal, e, () => {
                     // Desativa zoom ao trocar de imagem
                     if (dom.modal.imageContainer?.classList.contains('zoomed')) {
                         callbacks.onToggleZoom(e);
                     }
-                    // Atualiza imagem principal
-                    const mainPicture = dom.modal.imageContainer?.querySelector('picture');
-                    if (mainPicture && thumb.dataset.src) {
-                        // Importa a função de update dinâmicamente se necessário
-                        import('../helpers/image-fallback.js').then(({ updatePictureSource }) => {
-                            updatePictureSource(mainPicture, thumb.dataset.src, dom.modal.mainImage.alt);
-                        });
-                    } else if (dom.modal.mainImage) {
-                        dom.modal.mainImage.src = thumb.dataset.src;
-                    }
-                    
-                    // Atualiza estado das miniaturas (busca pela picture pai)
-                    for (const picture of dom.modal.thumbs.querySelectorAll('picture')) {
-                        picture.classList.remove('active');
-                    }
-                    const thumbPicture = thumb.closest('picture');
-                    if (thumbPicture) {
-                        thumbPicture.classList.add('active');
-                    } else {
-                        thumb.classList.add('active');
-                    }
-                }
+                });
             });
         }
     }
 
+    // Página do produto (/produto/<slug>)
+    setupProductPageEvents(dom, callbacks);
+
+    // Ordenação, faixa de preço e facetas
+    setupCatalogFilters(dom, callbacks, updateClearBtnVisibility);
+
     // Registra eventos globais (teclado e redimensionamento)
     setupGlobalEvents(dom, callbacks);
 
     // Infinite scroll para paginação
     setupInfiniteScroll(dom, callbacks);
 
+    // Voltar/avançar do navegador: reaplica categorias, busca, ordenação e produto da URL
+    globalThis.addEventListener('popstate', async () => {
+        const urlState = UrlState.readUrlState();
+        const controlsChanged = applyUrlStateToControls(dom, urlState);
+        updateClearBtnVisibility();
+        await callbacks.onUrlStateChange(urlState, { controlsChanged });
+    });
+
     // Estado inicial do botão limpar filtros
     updateClearBtnVisibility();
 }
 
+/**
+ * Troca a imagem principal pela miniatura clicada (modal e página do produto).
+ * @param {object} refs - Elementos da galeria (mainImage, imageContainer, thumbs)
+ * @param {MouseEvent} e
+ * @param {Function} [beforeChange] - Executado antes da troca (ex.: desfazer o zoom)
+ */
+function showThumbnailImage(refs, e, beforeChange) {
+    const thumb = e.target.closest('img');
+    if (!thumb) return;
+
+    beforeChange?.();
+
+    // Atualiza imagem principal
+    const mainPicture = refs.imageContainer?.querySelector('picture');
+    if (mainPicture && thumb.dataset.src) {
+        // Importa a função de update dinâmicamente se necessário
+        import('../helpers/image-fallback.js').then(({ updatePictureSource }) => {
+            updatePictureSource(mainPicture, thumb.dataset.src, refs.mainImage.alt);
+        });
+    } else if (refs.mainImage) {
+        refs.mainImage.src = thumb.dataset.src;
+    }
+
+    // Atualiza estado das miniaturas (busca pela picture pai)
+    for (const picture of refs.thumbs.querySelectorAll('picture')) {
+        picture.classList.remove('active');
+    }
+    const thumbPicture = thumb.closest('picture');
+    if (thumbPicture) {
+        thumbPicture.classList.add('active');
+    } else {
+        thumb.classList.add('active');
+    }
+}
+
+/**
+ * Registra os botões de compra, o coração de favoritos e a galeria da página do produto.
+ * @param {object} dom - Referências DOM
+ * @param {object} callbacks - Funções de callback
+ */
+function setupProductPageEvents(dom, callbacks) {
+    const page = dom.productPage;
+    if (!page?.container) return;
+
+    page.container.addEventListener('click', (e) => {
+        // Na página não há <dialog> por cima: abre a gaveta do carrinho
+        if (e.target.closest('#product-page-add-cart') && callbacks.onAddToCart) {
+            callbacks.onAddToCart(page.container.dataset.productId, {
+                variantId: page.container.dataset.variantId
+            });
+            return;
+        }
+
+        if (e.target.closest('#product-page-favorite') && callbacks.onToggleFavorite) {
+            callbacks.onToggleFavorite(page.container.dataset.productId);
+            return;
+        }
+
+        // "Comprar Agora": pedido de um único produto pelo WhatsApp
+        if (e.target.closest('#product-page-buy-link') && callbacks.onBuyNow) {
+            callbacks.onBuyNow(page.container.dataset.productId, e, page.container.dataset.variantId);
+        }
+    });
+
+    page.thumbs?.addEventListener('click', (e) => {
+        showThumbnailImage(page, e);
+    });
+}
+
+/**
+ * Reflete o estado da URL nos controles: botões de categoria, campo de busca
+ * e seletor de ordenação. Categorias desconhecidas são ignoradas.
+ * @param {object} dom - Referências DOM
+ * @param {{categories: string[], search: string, sort: string|null}} urlState - Retorno de readUrlState
+ * @returns {boolean} true se a seleção de categorias ou o texto da busca mudou
+ */
+export function applyUrlStateToControls(dom, urlState) {
+    let changed = false;
+
+    if (dom.products.categories) {
+        const buttons = Array.from(dom.products.categories).filter(c => !c.classList.contains('clear-filters'));
+        const known = new Set(buttons.map(c => c.dataset.category));
+        const selected = new Set(urlState.categories.filter(slug => slug !== 'all' && known.has(slug)));
+
+        for (const btn of buttons) {
+            const active = selected.size === 0
+                ? btn.dataset.category === 'all'
+                : selected.has(btn.dataset.category);
+            if (btn.classList.contains('active') !== active) changed = true;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        }
+    }
+
+    const searchInput = dom.products.searchInput;
+    if (searchInput && searchInput.value.trim() !== urlState.search) {
+        searchInput.value = urlState.search;
+        changed = true;
+    }
+
+    const sortSelect = dom.filters?.sort;
+    if (sortSelect) {
+        sortSelect.value = urlState.sort || DEFAULT_SORT;
+        // Valor inválido na URL: volta para a ordenação padrão
+        if (!sortSelect.value) sortSelect.value = DEFAULT_SORT;
+    }
+
+    return changed;
+}
+
+/**
+ * Lê a faixa de preço dos campos (invertendo mínimo e máximo se trocados).
+ * @param {object} dom - Referências DOM
+ * @returns {{minPrice: number|null, maxPrice: number|null}}
+ */
+function readPriceRange(dom) {
+    let minPrice = parsePrice(dom.filters.priceMin?.value);
+    let maxPrice = parsePrice(dom.filters.priceMax?.value);
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        [minPrice, maxPrice] = [maxPrice, minPrice];
+    }
+    return { minPrice, maxPrice };
+}
+
+/**
+ * Monta a seleção de facetas a partir dos botões marcados.
+ * @param {HTMLElement} container - Elemento das facetas
+ * @returns {Object<string, Set<string>>}
+ */
+function readFacetSelection(container) {
+    const facets = createDefaultFilters().facets;
+    for (const btn of container.querySelectorAll('.facet-option.active')) {
+        facets[btn.dataset.facet]?.add(btn.dataset.value);
+    }
+    return facets;
+}
+
+/**
+ * Limpa os campos de preço e desmarca as facetas (a ordenação é mantida).
+ * @param {object} dom - Referências DOM
+ */
+function resetFilterControls(dom) {
+    const { priceMin, priceMax, facets } = dom.filters;
+    if (priceMin) priceMin.value = '';
+    if (priceMax) priceMax.value = '';
+    if (facets) {
+        for (const btn of facets.querySelectorAll('.facet-option.active')) {
+            btn.classList.remove('active');
+            btn.setAttribute('aria-pressed', 'false');
+        }
+    }
+}
+
+/**
+ * Registra os controles de ordenação, faixa de preço e facetas.
+ * @param {object} dom - Referências DOM
+ * @param {object} callbacks - Funções de callback
+ * @param {Function} onFiltersUpdated - Atualiza o botão "Limpar filtros"
+ */
+function setupCatalogFilters(dom, callbacks, onFiltersUpdated) {
+    const { sort, priceMin, priceMax, facets } = dom.filters;
+    if (!dom.filters.container) return;
+
+    sort?.addEventListener('change', (e) => {
+        const value = e.target.value;
+        UrlState.updateUrl({ sort: value === DEFAULT_SORT ? null : value }, { push: true });
+        callbacks.onSortChange(value);
+    });
+
+    // Aguarda o usuário terminar de digitar o valor
+    const onPriceInput = Utils.debounce(() => {
+        callbacks.onFiltersChange(readPriceRange(dom));
+        onFiltersUpdated();
+    }, 400);
+    priceMin?.addEventListener('input', onPriceInput);
+    priceMax?.addEventListener('input', onPriceInput);
+
+    facets?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.facet-option');
+        if (!btn) return;
+
+        const isActive = btn.classList.toggle('active');
+        btn.setAttribute('aria-pressed', String(isActive));
+        callbacks.onFiltersChange({ facets: readFacetSelection(facets) });
+        onFiltersUpdated();
+    });
+}
+
 /**
  * Registra eventos globais não ligados a elementos específicos:
  * - Teclado (Escape)
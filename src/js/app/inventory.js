@@ -0,0 +1,77 @@
+/**
+ * Módulo de Estoque
+ * Disponibilidade do produto: pronta entrega, esgotado ou sob encomenda
+ */
+
+import { hasVariants } from './variants.js';
+
+/**
+ * Normaliza os campos de estoque vindos do Firestore.
+ * @param {object} data - Documento do produto
+ * @returns {{stock: number|null, madeToOrder: boolean, leadTimeDays: number|null}}
+ */
+export function normalizeStock(data) {
+    return {
+        // null = estoque não controlado
+        stock: Number.isInteger(data?.stock) ? data.stock : null,
+        madeToOrder: Boolean(data?.madeToOrder),
+        leadTimeDays: Number.isInteger(data?.leadTimeDays) ? data.leadTimeDays : null
+    };
+}
+
+/**
+ * Calcula a disponibilidade do produto (ou da variação escolhida).
+ * Produtos sob encomenda nunca esgotam; com variações e nenhuma escolhida,
+ * o produto só está esgotado se todas as variações estiverem.
+ * @param {object} product - Produto do catálogo
+ * @param {object|null} [variant] - Variação selecionada
+ * @returns {{status: 'available'|'out_of_stock'|'made_to_order', label: string, leadTimeDays: number|null}}
+ */
+export function getAvailability(product, variant = null) {
+    if (product?.madeToOrder) {
+        const days = product.leadTimeDays;
+        return {
+            status: 'made_to_order',
+            label: days ? `Sob encomenda — ${days} ${days === 1 ? 'dia' : 'dias'}` : 'Sob encomenda',
+            leadTimeDays: days
+        };
+    }
+
+    let soldOut;
+    if (variant) {
+        soldOut = variant.stock === 0;
+    } else if (hasVariants(product)) {
+        soldOut = product.variants.every(v => v.stock === 0);
+    } else {
+        soldOut = product?.stock === 0;
+    }
+
+    return soldOut
+        ? { status: 'out_of_stock', label: 'Esgotado', leadTimeDays: null }
+        : { status: 'available', label: '', leadTimeDays: null };
+}
+
+/**
+ * Quantidade máxima que pode ir para o carrinho (null = sem limite de estoque).
+ * @param {object} product - Produto do catálogo
+ * @param {object|null} [variant] - Variação selecionada
+ * @returns {number|null}
+ */
+export function getMaxQuantity(product, variant = null) {
+    if (product?.madeToOrder) return null;
+    const stock = variant ? variant.stock : product?.stock;
+    return Number.isInteger(stock) ? stock : null;
+}
+
+/**
+ * Cria o selo de disponibilidade (ou null quando o produto está disponível).
+ * @param {{status: string, label: string}} availability - Retorno de getAvailability
+ * @returns {HTMLSpanElement|null}
+ */
+export function createAvailabilityBadge(availability) {
+    if (!availability.label) return null;
+    const badge = document.createElement('span');
+    badge.className = `availability-badge ${availability.status.replaceAll('_', '-')}`;
+    badge.textContent = availability.label;
+    return badge;
+}
@@ -6,6 +6,13 @@
 import * as ZoomHelpers from '../helpers/zoom.js';
 import { debugLog } from '../utils/debug.js';
 import { createPictureWithFallback, updatePictureSource } from '../helpers/image-fallback.js';
+import * as Variants from './variants.js';
+import * as Inventory from './inventory.js';
+import * as UrlState from './url-state.js';
+import { getProductPath } from './product-seo.js';
+import { renderReviews } from './reviews.js';
+import { syncFavoriteButtons } from './wishlist.js';
+import { renderPrice } from './promotions.js';
 
 /**
  * Prepara e abre o modal com animação
@@ -65,10 +72,10 @@ function setupMainImage(dom, imageSrc, productName) {
             draggable: false
         });
         
-        // Adiciona o ID ao <img> dentro do <picture> para manter compatibilidade
+        // Mantém o ID do <img> original (modal ou página do produto)
         const newImg = newPicture.querySelector('img');
         if (newImg) {
-            newImg.id = 'modal-main-image';
+            newImg.id = oldImg.id;
         }
         
         oldImg.replaceWith(newPicture);
@@ -114,15 +121,143 @@ function setupThumbnails(dom, images, productName) {
     }
 }
 
+/**
+ * Marca como ativa a miniatura da imagem informada (se existir na galeria).
+ * @param {object} dom - Referências DOM
+ * @param {string} imageSrc - Caminho da imagem
+ */
+function highlightThumbnail(dom, imageSrc) {
+    if (!dom.modal.thumbs) return;
+    for (const picture of dom.modal.thumbs.querySelectorAll('picture')) {
+        const img = picture.querySelector('img');
+        picture.classList.toggle('active', img?.dataset.src === imageSrc);
+    }
+}
+
+/**
+ * Exibe o selo de disponibilidade e habilita/desabilita os botões de compra.
+ * @param {object} dom - Referências DOM
+ * @param {object} product - Produto exibido
+ * @param {object|null} [variant] - Variação selecionada
+ * @param {boolean} [combinationExists=true] - false se a seleção não corresponde a nenhuma variação
+ */
+function updateAvailability(dom, product, variant = null, combinationExists = true) {
+    const availability = Inventory.getAvailability(product, variant);
+    const purchasable = combinationExists && availability.status !== 'out_of_stock';
+
+    if (dom.modal.availability) {
+        const badge = Inventory.createAvailabilityBadge(availability);
+        dom.modal.availability.replaceChildren(...(badge ? [badge] : []));
+        dom.modal.availability.hidden = !badge;
+    }
+
+    if (dom.modal.addToCartButton) {
+        dom.modal.addToCartButton.disabled = !purchasable;
+    }
+    dom.modal.buyLink?.classList.toggle('disabled', !purchasable);
+    dom.modal.buyLink?.setAttribute('aria-disabled', String(!purchasable));
+}
+
+/**
+ * Aplica a variação escolhida: preço, imagem principal, disponibilidade
+ * e o ID usado pelos botões de compra.
+ * @param {object} dom - Referências DOM
+ * @param {object} product - Produto exibido
+ * @param {object|null} variant - Variação correspondente à seleção (null se inexistente)
+ */
+function applyVariant(dom, product, variant) {
+    const status = dom.modal.variants?.querySelector('.modal-variant-status');
+
+    dom.modal.container.dataset.variantId = variant ? variant.id : '';
+    renderPrice(dom.modal.price, product, variant ? variant.price : product.price);
+
+    // Variação sem imagem própria volta para a imagem principal do produto
+    const image = variant?.image || product.images?.[0] || product.image;
+    if (image) {
+        setupMainImage(dom, image, product.name);
+        highlightThumbnail(dom, image);
+    }
+
+    if (status) {
+        status.textContent = variant ? '' : 'Combinação indisponível';
+        status.hidden = Boolean(variant);
+    }
+
+    updateAvailability(dom, product, variant, Boolean(variant));
+}
+
+/**
+ * Renderiza um seletor por atributo (tamanho, cor, material) quando o produto
+ * tem variações. A primeira variação é selecionada por padrão.
+ * @param {object} dom - Referências DOM
+ * @param {object} product - Produto exibido
+ */
+function setupVariantSelectors(dom, product) {
+    const container = dom.modal.variants;
+    delete dom.modal.container.dataset.variantId;
+    if (!container) return;
+
+    container.replaceChildren();
+    container.hidden = !Variants.hasVariants(product);
+    if (container.hidden) return;
+
+    const initial = product.variants[0];
+    const selects = [];
+
+    for (const option of Variants.getVariantOptions(product)) {
+        const field = document.createElement('div');
+        field.className = 'modal-variant-field';
+
+        const selectId = `modal-variant-${option.key}`;
+        const label = document.createElement('label');
+        label.htmlFor = selectId;
+        label.textContent = option.label;
+
+        const select = document.createElement('select');
+        select.id = selectId;
+        select.dataset.attribute = option.key;
+        for (const value of option.values) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = value;
+            select.appendChild(opt);
+        }
+        select.value = initial[option.key] || option.values[0];
+
+        field.appendChild(label);
+        field.appendChild(select);
+        container.appendChild(field);
+        selects.push(select);
+    }
+
+    const status = document.createElement('p');
+    status.className = 'modal-variant-status';
+    status.setAttribute('role', 'status');
+    status.hidden = true;
+    container.appendChild(status);
+
+    const onChange = () => {
+        const selection = Object.fromEntries(selects.map(s => [s.dataset.attribute, s.value]));
+        applyVariant(dom, product, Variants.findVariant(product, selection));
+    };
+
+    for (const select of selects) {
+        select.addEventListener('change', onChange);
+    }
+    onChange();
+}
+
 /**
  * Abre o modal para um produto específico.
- * Preenche título, preço, descrição, imagens e links.
+ * Preenche título, preço, descrição, imagens, links e seletores de variação.
  * @param {object} dom - Referências DOM
  * @param {Array} products - Lista de produtos
  * @param {number} productId - ID do produto a ser exibido.
  * @param {object} state - Estado da aplicação (para guardar elemento focado)
+ * @param {object} [options]
+ * @param {boolean} [options.syncUrl=true] - Registra o produto na URL (false ao restaurar da própria URL)
  */
-export function openModal(dom, products, productId, state) {
+export function openModal(dom, products, productId, state, { syncUrl = true } = {}) {
     debugLog('Abrindo modal para produto:', productId);
     // Compara IDs como strings para compatibilidade com Firestore
     const product = products.find(p => String(p.id) === String(productId));
@@ -133,10 +268,24 @@ export function openModal(dom, products, productId, state) {
 
     // Prepara e exibe o modal
     prepareAndShowModal(dom, state);
-    
-    // Preenche informações do produto
+    renderProductDetails(dom, product);
+
+    // Link compartilhável: "voltar" no navegador fecha o modal
+    if (syncUrl) {
+        UrlState.updateUrl({ productId: product.id }, { push: true, state: { productModal: true } });
+    }
+}
+
+/**
+ * Preenche título, preço, descrição, imagens, links, disponibilidade,
+ * seletores de variação e avaliações. Usado pelo modal e pela página do
+ * produto, que tem os mesmos elementos (ver `productPage` em dom.js).
+ * @param {object} dom - Referências DOM (`dom.modal` aponta para os elementos a preencher)
+ * @param {object} product - Produto exibido
+ */
+export function renderProductDetails(dom, product) {
     dom.modal.productTitle.textContent = product.name;
-    dom.modal.price.textContent = `R$ ${product.price.toFixed(2)}`;
+    renderPrice(dom.modal.price, product);
     dom.modal.description.textContent = product.description;
     
     // Configurar imagens
@@ -149,7 +298,25 @@ export function openModal(dom, products, productId, state) {
     
     // Configurar links
     dom.modal.buyLink.href = product.link;
-    dom.modal.detailsLink.href = product.link;
+    if (dom.modal.detailsLink) {
+        dom.modal.detailsLink.href = getProductPath(product);
+    }
+    
+    // Produto atual (usado pelo botão "Adicionar ao Carrinho")
+    dom.modal.container.dataset.productId = String(product.id);
+
+    // Coração de favoritos do produto exibido
+    if (dom.modal.favoriteButton) {
+        dom.modal.favoriteButton.dataset.id = String(product.id);
+        syncFavoriteButtons(dom.modal.container);
+    }
+
+    // Disponibilidade e seletores de variação (atualizam preço, imagem e estoque)
+    updateAvailability(dom, product);
+    setupVariantSelectors(dom, product);
+
+    // Nota média, avaliações aprovadas e formulário de avaliação
+    renderReviews(dom.modal.reviews, product);
 }
 
 /**
@@ -290,12 +457,33 @@ export function toggleImageZoom(dom, e) {
     }
 }
 
+/**
+ * @param {object} dom - Referências DOM
+ * @returns {boolean} true se o modal está aberto
+ */
+export function isModalOpen(dom) {
+    return Boolean(dom.modal.container?.classList.contains('active'));
+}
+
 /**
  * Fecha o modal com animação, garantindo que o estado de zoom seja resetado.
  * @param {object} dom - Referências DOM
  * @param {object} state - Estado da aplicação
+ * @param {object} [options]
+ * @param {boolean} [options.syncUrl=true] - Remove o produto da URL (false ao fechar pelo voltar do navegador)
  */
-export function closeModal(dom, state) {
+export function closeModal(dom, state, { syncUrl = true } = {}) {
+    if (syncUrl && UrlState.readUrlState().productId) {
+        if (globalThis.history.state?.productModal) {
+            // Desfaz a entrada criada ao abrir, mantendo o histórico limpo
+            globalThis.history.back();
+        } else {
+            // Modal aberto por um link compartilhado: não há entrada anterior
+            UrlState.updateUrl({ productId: null });
+        }
+    }
+
+
     if (dom.modal.imageContainer?.classList.contains('zoomed')) {
         dom.modal.imageContainer.classList.remove('zoomed');
         ZoomHelpers.resetTransform(dom.modal.mainImage);
@@ -0,0 +1,136 @@
+/**
+ * Módulo de Status de Conexão
+ * Aviso exibido quando o site está sem conexão ou mostrando o catálogo salvo
+ * (cache do navegador ou HTML pré-renderizado) porque o Firestore não respondeu.
+ */
+
+import { debugLog } from '../utils/debug.js';
+
+const BANNER_ID = 'offline-banner';
+
+// Catálogo exibido a partir de uma cópia local (ver reportCatalogFallback)
+const catalogStatus = {
+    usingFallback: false,
+    savedAt: null
+};
+
+/**
+ * Indica se o navegador está sem conexão.
+ * `navigator.onLine === false` é confiável; `true` só garante uma rede ativa.
+ * @returns {boolean}
+ */
+export function isOffline() {
+    return globalThis.navigator?.onLine === false;
+}
+
+/**
+ * Indica se o catálogo exibido é uma cópia local (o Firestore não respondeu).
+ * @returns {boolean}
+ */
+export function isUsingFallback() {
+    return catalogStatus.usingFallback;
+}
+
+/**
+ * Formata a data em que o catálogo foi salvo (ex.: "12/03 às 14:30").
+ * @param {number} millis
+ * @returns {string}
+ */
+function formatSavedAt(millis) {
+    const date = new Date(millis);
+    const day = date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+    const time = date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    return `${day} às ${time}`;
+}
+
+/**
+ * Texto do aviso de acordo com a conexão e a origem do catálogo.
+ * @returns {string|null} null quando não há nada a avisar
+ */
+function getMessage() {
+    const { usingFallback, savedAt: savedAtMillis } = catalogStatus;
+    if (!isOffline() && !usingFallback) return null;
+
+    const savedAt = savedAtMillis ? ` salvo em ${formatSavedAt(savedAtMillis)}` : ' salvo';
+    if (isOffline()) {
+        return usingFallback
+            ? `Você está offline. Exibindo o catálogo${savedAt}.`
+            : 'Você está offline. Algumas informações podem estar desatualizadas.';
+    }
+    return `Não foi possível atualizar o catálogo. Exibindo o catálogo${savedAt}.`;
+}
+
+/**
+ * Cria (uma única vez) o aviso no topo da página.
+ * @returns {HTMLElement}
+ */
+function getBanner() {
+    let banner = document.getElementById(BANNER_ID);
+    if (banner) return banner;
+
+    banner = document.createElement('div');
+    banner.id = BANNER_ID;
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.setAttribute('aria-live', 'polite');
+    banner.hidden = true;
+    document.body.prepend(banner);
+    return banner;
+}
+
+/**
+ * Atualiza o aviso com o estado atual.
+ */
+function render() {
+    if (typeof document === 'undefined') return;
+
+    const message = getMessage();
+    const banner = getBanner();
+    banner.textContent = message || '';
+    banner.hidden = !message;
+    document.body.classList.toggle('is-offline', isOffline());
+}
+
+/**
+ * Informa que o catálogo exibido é uma cópia local porque a rede falhou.
+ * @param {object} [options]
+ * @param {number|null} [options.savedAt] - Quando a cópia foi salva (millis), se conhecido
+ */
+export function reportCatalogFallback({ savedAt = null } = {}) {
+    debugLog('Catálogo exibido a partir da cópia local. Salvo em:', savedAt);
+    catalogStatus.usingFallback = true;
+    catalogStatus.savedAt = savedAt;
+    render();
+}
+
+/**
+ * Informa que o catálogo foi carregado do Firestore (remove o aviso de cópia local).
+ */
+export function reportCatalogOnline() {
+    if (!catalogStatus.usingFallback) return;
+    catalogStatus.usingFallback = false;
+    catalogStatus.savedAt = null;
+    render();
+}
+
+/**
+ * Acompanha os eventos online/offline do navegador.
+ * @param {object} [options]
+ * @param {() => void} [options.onReconnect] - Chamado quando a conexão volta (ex.: revalidar o catálogo)
+ */
+export function initOfflineStatus({ onReconnect } = {}) {
+    globalThis.addEventListener('offline', () => {
+        debugLog('Conexão perdida');
+        render();
+    });
+
+    globalThis.addEventListener('online', () => {
+        debugLog('Conexão restabelecida');
+        render();
+        if (typeof onReconnect === 'function') {
+            onReconnect();
+        }
+    });
+
+    render();
+}
@@ -0,0 +1,46 @@
+/**
+ * Módulo de Hidratação
+ * Lê os dados embutidos nas páginas geradas por build-tools/prerender.js,
+ * para que o JavaScript assuma o HTML estático sem renderizá-lo de novo.
+ */
+
+import { debugLog, debugError } from '../utils/debug.js';
+
+// ID do <script type="application/json"> com os dados da página
+export const PRERENDER_DATA_ID = 'prerender-data';
+
+/**
+ * Dados da página pré-renderizada.
+ * @returns {{generatedAt: string, page: 'catalog'|'category'|'product', category: string|null,
+ *   categories: Array, products?: Array, product?: object}|null} null se a página não foi pré-renderizada
+ */
+export function readPrerenderedData() {
+    const script = document.getElementById(PRERENDER_DATA_ID);
+    if (!script) return null;
+
+    try {
+        const data = JSON.parse(script.textContent);
+        debugLog('Página pré-renderizada em', data.generatedAt, '-', data.page);
+        return data;
+    } catch (error) {
+        debugError('Dados pré-renderizados inválidos:', error);
+        return null;
+    }
+}
+
+/**
+ * Verifica se a visão pedida na URL é a mesma do HTML estático
+ * (categoria da página, sem busca e na ordenação padrão).
+ * @param {object} data - Retorno de readPrerenderedData
+ * @param {object} urlState - Retorno de readUrlState (já com a categoria da página)
+ * @param {string} defaultSort - Ordenação usada na pré-renderização
+ * @returns {boolean}
+ */
+export function matchesPrerenderedView(data, urlState, defaultSort) {
+    const expected = data.category ? [data.category] : [];
+    const categories = urlState.categories.filter(slug => slug !== 'all');
+    return !urlState.search
+        && (!urlState.sort || urlState.sort === defaultSort)
+        && categories.length === expected.length
+        && categories.every(slug => expected.includes(slug));
+}
@@ -0,0 +1,76 @@
+/**
+ * Módulo de Preços Agendados
+ * Mudança de preço com início e fim, definida nas ações em lote do painel
+ * (campo "priceSchedule" do produto). O campo "price" continua com o preço
+ * original, que volta a valer sozinho quando o período termina: o preço em
+ * vigor é calculado na hora de exibir.
+ */
+
+import { toMillis } from './product-data.js';
+
+// Operações agendáveis (as mesmas de admin/js/bulk-actions.js)
+export const PRICE_SCHEDULE_MODES = ['set', 'discount', 'increase'];
+
+/**
+ * Normaliza o agendamento vindo do Firestore.
+ * @param {object} rawSchedule - Campo "priceSchedule" do documento
+ * @returns {{mode: string, value: number, startsAt: number, endsAt: number}|null} null se ausente ou inválido
+ */
+export function normalizePriceSchedule(rawSchedule) {
+    if (!rawSchedule || !PRICE_SCHEDULE_MODES.includes(rawSchedule.mode)) return null;
+
+    const schedule = {
+        mode: rawSchedule.mode,
+        value: Number(rawSchedule.value) || 0,
+        startsAt: toMillis(rawSchedule.startsAt),
+        endsAt: toMillis(rawSchedule.endsAt)
+    };
+    return schedule.startsAt && schedule.endsAt > schedule.startsAt ? schedule : null;
+}
+
+/**
+ * Indica se o agendamento está valendo.
+ * @param {object|null} schedule - Retorno de normalizePriceSchedule
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isScheduleRunning(schedule, now = Date.now()) {
+    return Boolean(schedule) && schedule.startsAt <= now && now < schedule.endsAt;
+}
+
+/**
+ * Aplica o agendamento a um preço (do produto ou de uma variação).
+ * Fora do período, devolve o próprio preço.
+ * @param {object|null} schedule - Retorno de normalizePriceSchedule
+ * @param {number} price - Preço original
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+export function applyPriceSchedule(schedule, price, now = Date.now()) {
+    const original = Number(price) || 0;
+    if (!isScheduleRunning(schedule, now)) return original;
+
+    let scheduled;
+    switch (schedule.mode) {
+        case 'set':
+            scheduled = schedule.value;
+            break;
+        case 'discount':
+            scheduled = original * (1 - schedule.value / 100);
+            break;
+        default:
+            scheduled = original * (1 + schedule.value / 100);
+    }
+    // Mesmo piso das alterações imediatas (bulkChangePrice)
+    return Math.max(0.01, Math.round(scheduled * 100) / 100);
+}
+
+/**
+ * Preço em vigor de um produto ou item do carrinho.
+ * @param {{price?: number, priceSchedule?: object|null}} product
+ * @param {number} [basePrice=product.price] - Preço original (ex.: da variação)
+ * @returns {number}
+ */
+export function getEffectivePrice(product, basePrice = product?.price) {
+    return applyPriceSchedule(product?.priceSchedule, basePrice);
+}
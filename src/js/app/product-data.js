@@ -0,0 +1,68 @@
+/**
+ * Módulo de Dados do Catálogo
+ * Converte documentos do Firestore no formato usado pelo site.
+ * Não depende do DOM: usado também pela pré-renderização (build-tools/prerender.js).
+ */
+
+import { normalizeVariants } from './variants.js';
+import { normalizeStock } from './inventory.js';
+import { normalizeRating } from './reviews.js';
+import { normalizePriceSchedule } from './price-schedule.js';
+
+/**
+ * Converte um Timestamp do Firestore (SDK web ou admin), sua forma em JSON
+ * ({ _seconds } / { seconds }), uma data ISO ou um número em milissegundos.
+ * @param {*} value
+ * @returns {number} Milissegundos (0 se ausente ou inválido)
+ */
+export function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') return Date.parse(value) || 0;
+
+    const seconds = value.seconds ?? value._seconds;
+    const nanoseconds = value.nanoseconds ?? value._nanoseconds ?? 0;
+    return Number.isFinite(seconds) ? seconds * 1000 + Math.floor(nanoseconds / 1e6) : 0;
+}
+
+/**
+ * Dados de um produto no formato usado pelo site.
+ * @param {string} id - ID do documento
+ * @param {object} data - Campos do documento
+ * @returns {object}
+ */
+export function mapProductData(id, data) {
+    return {
+        id,
+        name: data.name || 'Sem nome',
+        slug: data.slug || '',
+        category: data.category || 'Outros',
+        price: data.price || 0,
+        // Preço agendado (o preço em vigor é calculado ao exibir, ver price-schedule.js)
+        priceSchedule: normalizePriceSchedule(data.priceSchedule),
+        description: data.description || '',
+        link: data.link || '',
+        image: data.image || '',
+        images: data.images || [],
+        variants: normalizeVariants(data.variants, data.price),
+        ...normalizeStock(data),
+        rating: normalizeRating(data),
+        createdAt: toMillis(data.createdAt)
+    };
+}
+
+/**
+ * Dados de uma categoria no formato usado pelo site.
+ * @param {string} id - ID do documento
+ * @param {object} data - Campos do documento
+ * @returns {{id: string, name: string, slug: string, description: string}}
+ */
+export function mapCategoryData(id, data) {
+    return {
+        id,
+        name: data.name || 'Sem nome',
+        slug: data.slug || data.name?.toLowerCase() || 'outros',
+        description: data.description || ''
+    };
+}
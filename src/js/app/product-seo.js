@@ -0,0 +1,337 @@
+/**
+ * Módulo de SEO da Página de Produto
+ * URL por slug, dados estruturados (JSON-LD), Open Graph e breadcrumbs.
+ * As funções build* não dependem do DOM e podem ser usadas fora do navegador.
+ */
+
+import { hasVariants, getPriceRange } from './variants.js';
+import { getAvailability } from './inventory.js';
+import { MAX_RATING } from './reviews.js';
+
+// Endereço público do site (mesmo das tags canonical das páginas)
+export const SITE_URL = 'https://artesanato-shop-c80f0.web.app';
+export const SITE_NAME = 'Ateliê Arte Criativa';
+
+// Prefixo das páginas de produto (firebase.json reescreve para produto.html)
+export const PRODUCT_PATH_PREFIX = '/produto/';
+
+// Prefixo das páginas de categoria geradas por build-tools/prerender.js
+export const CATEGORY_PATH_PREFIX = '/categoria/';
+
+// Disponibilidade do inventário → vocabulário do schema.org
+const SCHEMA_AVAILABILITY = {
+    available: 'https://schema.org/InStock',
+    out_of_stock: 'https://schema.org/OutOfStock',
+    made_to_order: 'https://schema.org/MadeToOrder'
+};
+
+/**
+ * Caminho da página do produto. Produtos antigos, sem slug, usam o ID.
+ * @param {object} product
+ * @returns {string} Ex.: "/produto/funko-pop-batman"
+ */
+export function getProductPath(product) {
+    return `${PRODUCT_PATH_PREFIX}${encodeURIComponent(product.slug || product.id)}`;
+}
+
+/**
+ * Caminho da página pré-renderizada de uma categoria.
+ * @param {{slug: string}} category
+ * @returns {string} Ex.: "/categoria/quadros"
+ */
+export function getCategoryPath(category) {
+    return `${CATEGORY_PATH_PREFIX}${encodeURIComponent(category.slug)}`;
+}
+
+/**
+ * Lê o slug da URL atual: "/produto/<slug>" em produção ou
+ * "produto.html?slug=<slug>" em servidores locais sem reescrita de URL.
+ * @param {Location} [location]
+ * @returns {string|null}
+ */
+export function getSlugFromLocation(location = globalThis.location) {
+    const querySlug = new URLSearchParams(location.search).get('slug');
+    if (querySlug) return querySlug.trim();
+
+    if (location.pathname.startsWith(PRODUCT_PATH_PREFIX)) {
+        const slug = decodeURIComponent(location.pathname.slice(PRODUCT_PATH_PREFIX.length)).replace(/\/$/, '');
+        return slug || null;
+    }
+    return null;
+}
+
+/**
+ * Converte um caminho relativo em URL absoluta do site.
+ * @param {string} path
+ * @returns {string}
+ */
+export function toAbsoluteUrl(path) {
+    if (!path) return '';
+    if (/^https?:\/\//i.test(path)) return path;
+    return `${SITE_URL}/${path.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Imagens do produto (galeria ou imagem principal) em URLs absolutas.
+ * @param {object} product
+ * @returns {string[]}
+ */
+export function getProductImages(product) {
+    const images = Array.isArray(product.images) && product.images.length
+        ? product.images
+        : [product.image];
+    return images.filter(Boolean).map(toAbsoluteUrl);
+}
+
+/**
+ * Descrição curta para meta tags (uma linha, até 160 caracteres).
+ * @param {object} product
+ * @returns {string}
+ */
+export function getMetaDescription(product) {
+    const text = (product.description || `${product.name} feito à mão pelo ${SITE_NAME}.`)
+        .replaceAll(/\s+/g, ' ')
+        .trim();
+    return text.length > 160 ? `${text.slice(0, 157).trimEnd()}...` : text;
+}
+
+/**
+ * Itens do breadcrumb: Início › Produtos › Categoria › Produto.
+ * @param {object} product
+ * @param {{name: string, slug: string}|null} [category] - Categoria do produto (se encontrada)
+ * @returns {Array<{name: string, url: string}>}
+ */
+export function buildBreadcrumbs(product, category = null) {
+    const items = [
+        { name: 'Início', url: `${SITE_URL}/` },
+        { name: 'Produtos', url: `${SITE_URL}/products.html` }
+    ];
+    if (category) {
+        items.push({
+            name: category.name,
+            url: `${SITE_URL}/products.html?categoria=${encodeURIComponent(category.slug)}`
+        });
+    }
+    items.push({ name: product.name, url: `${SITE_URL}${getProductPath(product)}` });
+    return items;
+}
+
+/**
+ * JSON-LD BreadcrumbList.
+ * @param {Array<{name: string, url: string}>} items - Retorno de buildBreadcrumbs
+ * @returns {object}
+ */
+export function buildBreadcrumbJsonLd(items) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: items.map((item, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: item.name,
+            item: item.url
+        }))
+    };
+}
+
+/**
+ * JSON-LD Product com oferta (ou faixa de preços, quando há variações)
+ * e nota média das avaliações aprovadas.
+ * @param {object} product
+ * @param {{name: string}|null} [category]
+ * @returns {object}
+ */
+export function buildProductJsonLd(product, category = null) {
+    const url = `${SITE_URL}${getProductPath(product)}`;
+    const availability = SCHEMA_AVAILABILITY[getAvailability(product).status];
+    const baseOffer = {
+        priceCurrency: 'BRL',
+        availability,
+        itemCondition: 'https://schema.org/NewCondition',
+        url
+    };
+
+    let offers;
+    const { min, max } = getPriceRange(product);
+    if (hasVariants(product) && min !== max) {
+        offers = {
+            '@type': 'AggregateOffer',
+            ...baseOffer,
+            lowPrice: min.toFixed(2),
+            highPrice: max.toFixed(2),
+            offerCount: product.variants.length
+        };
+    } else {
+        offers = { '@type': 'Offer', ...baseOffer, price: min.toFixed(2) };
+    }
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: product.name,
+        description: product.description || undefined,
+        image: getProductImages(product),
+        sku: String(product.id),
+        category: category?.name || product.category,
+        url,
+        brand: { '@type': 'Brand', name: SITE_NAME },
+        offers,
+        aggregateRating: product.rating?.count
+            ? {
+                '@type': 'AggregateRating',
+                ratingValue: product.rating.average.toFixed(1),
+                reviewCount: product.rating.count,
+                bestRating: MAX_RATING,
+                worstRating: 1
+            }
+            : undefined
+    };
+}
+
+/**
+ * JSON-LD ItemList de uma listagem (catálogo ou categoria).
+ * @param {Array} products
+ * @param {{name: string, description?: string, url: string}} list
+ * @returns {object}
+ */
+export function buildItemListJsonLd(products, { name, description, url }) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        name,
+        description: description || undefined,
+        url,
+        numberOfItems: products.length,
+        itemListElement: products.map((product, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            url: `${SITE_URL}${getProductPath(product)}`,
+            name: product.name
+        }))
+    };
+}
+
+/**
+ * Meta tags da página do produto (título, descrição, canonical, Open Graph e Twitter).
+ * @param {object} product
+ * @returns {{title: string, description: string, canonical: string, og: Object<string, string>, twitter: Object<string, string>}}
+ */
+export function buildProductMeta(product) {
+    const title = `${product.name} | ${SITE_NAME}`;
+    const description = getMetaDescription(product);
+    const canonical = `${SITE_URL}${getProductPath(product)}`;
+    const image = getProductImages(product)[0] || `${SITE_URL}/src/img/icons/logo.webp`;
+    const { min } = getPriceRange(product);
+
+    return {
+        title,
+        description,
+        canonical,
+        og: {
+            'og:type': 'product',
+            'og:url': canonical,
+            'og:title': title,
+            'og:description': description,
+            'og:image': image,
+            'og:image:alt': product.name,
+            'og:locale': 'pt_BR',
+            'og:site_name': SITE_NAME,
+            'product:price:amount': min.toFixed(2),
+            'product:price:currency': 'BRL'
+        },
+        twitter: {
+            'twitter:card': 'summary_large_image',
+            'twitter:url': canonical,
+            'twitter:title': title,
+            'twitter:description': description,
+            'twitter:image': image,
+            'twitter:image:alt': product.name
+        }
+    };
+}
+
+/**
+ * Cria ou atualiza uma meta tag no <head>.
+ * @param {'name'|'property'} attribute
+ * @param {string} key
+ * @param {string} content
+ */
+function setMetaTag(attribute, key, content) {
+    let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!tag) {
+        tag = document.createElement('meta');
+        tag.setAttribute(attribute, key);
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+}
+
+/**
+ * Cria ou substitui um bloco JSON-LD identificado por `id`.
+ * @param {string} id
+ * @param {object} data
+ */
+function setJsonLd(id, data) {
+    let script = document.getElementById(id);
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = id;
+        document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(data);
+}
+
+/**
+ * Aplica no <head> as meta tags e os dados estruturados do produto.
+ * @param {object} product
+ * @param {{name: string, slug: string}|null} [category]
+ */
+export function applyProductSeo(product, category = null) {
+    const meta = buildProductMeta(product);
+
+    document.title = meta.title;
+    setMetaTag('name', 'description', meta.description);
+    for (const [key, content] of Object.entries(meta.og)) {
+        setMetaTag('property', key, content);
+    }
+    for (const [key, content] of Object.entries(meta.twitter)) {
+        setMetaTag('name', key, content);
+    }
+
+    let canonical = document.head.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+        canonical = document.createElement('link');
+        canonical.rel = 'canonical';
+        document.head.appendChild(canonical);
+    }
+    canonical.href = meta.canonical;
+
+    setJsonLd('product-jsonld', buildProductJsonLd(product, category));
+    setJsonLd('breadcrumb-jsonld', buildBreadcrumbJsonLd(buildBreadcrumbs(product, category)));
+}
+
+/**
+ * Renderiza o breadcrumb visível (o último item é a página atual, sem link).
+ * @param {HTMLElement} container - <ol> do breadcrumb
+ * @param {Array<{name: string, url: string}>} items - Retorno de buildBreadcrumbs
+ */
+export function renderBreadcrumbs(container, items) {
+    if (!container) return;
+    container.replaceChildren();
+
+    items.forEach((item, index) => {
+        const li = document.createElement('li');
+        if (index === items.length - 1) {
+            li.textContent = item.name;
+            li.setAttribute('aria-current', 'page');
+        } else {
+            const link = document.createElement('a');
+            // Links relativos à raiz para funcionar também fora do domínio de produção
+            link.href = item.url.slice(SITE_URL.length) || '/';
+            link.textContent = item.name;
+            li.appendChild(link);
+        }
+        container.appendChild(li);
+    });
+}
@@ -22,6 +22,7 @@
 
 import { cache } from '../utils/cache.js';
 import { debugLog, debugError } from '../utils/debug.js';
+import { isOffline, reportCatalogFallback, reportCatalogOnline } from './offline-status.js';
 
 /**
  * Busca produtos do Firestore, salva no estado e no cache.
@@ -37,6 +38,11 @@ export async function fetchProductsFromFirestore(dom, state) {
         if (typeof firebase === 'undefined' || !firebase.firestore) {
             throw new Error('Firebase não está configurado. Adicione os scripts do Firebase ao HTML.');
         }
+
+        // Sem conexão o Firestore só falha após o tempo limite: usa logo o cache
+        if (isOffline()) {
+            throw new Error('Sem conexão com a internet.');
+        }
         
         // Indica carregamento
         if (dom.products.loader) {
@@ -74,6 +80,7 @@ export async function fetchProductsFromFirestore(dom, state) {
         // Salva no cache para próximas visitas
         cache.set(state.products);
         debugLog('Produtos salvos no cache');
+        reportCatalogOnline();
 
         return state.products;
         
@@ -81,12 +88,13 @@ export async function fetchProductsFromFirestore(dom, state) {
         debugError('ERRO ao buscar produtos do Firestore:', err);
         debugError('Erro detalhado:', err.message, err.stack);
         
-        // Tenta usar cache como fallback
-        const cachedProducts = cache.get();
-        if (cachedProducts && cachedProducts.length > 0) {
+        // Tenta usar cache como fallback (mesmo expirado: é o último catálogo salvo)
+        const cachedEntry = await cache.getEntry(undefined, { allowStale: true });
+        if (cachedEntry && cachedEntry.data.length > 0) {
             debugLog('Usando produtos do cache como fallback');
-            state.products = cachedProducts;
-            return cachedProducts;
+            state.products = cachedEntry.data;
+            reportCatalogFallback({ savedAt: cachedEntry.timestamp });
+            return cachedEntry.data;
         }
         
         // Se não tem cache, mostra erro
@@ -115,6 +123,8 @@ export async function fetchProductsFromFirestore(dom, state) {
  * @param {object} state - Estado da aplicação
  * @param {Function} callback - Função a ser chamada quando houver mudanças
  * @returns {Function} - Função para cancelar o listener
+ * @deprecated Substitui state.products pelo catálogo inteiro e ignora a paginação.
+ *   Use subscribeToCatalogChanges e patchRenderedProducts (products.js).
  */
 export function listenToProductChanges(dom, state, callback) {
     debugLog('=== listenToProductChanges ===');
@@ -152,6 +162,7 @@ export function listenToProductChanges(dom, state, callback) {
                     // Atualiza cache
                     cache.set(state.products);
                     debugLog('Cache atualizado com novos dados');
+                    reportCatalogOnline();
                     
                     // Chama callback para atualizar UI
                     if (typeof callback === 'function') {
@@ -4,37 +4,263 @@
  */
 
 import { debugLog, debugError } from '../utils/debug.js';
+import { cache } from '../utils/cache.js';
 import { createPictureWithFallback } from '../helpers/image-fallback.js';
+import { hasVariants, getPriceRange } from './variants.js';
+import { getAvailability, createAvailabilityBadge } from './inventory.js';
+import { mapProductData } from './product-data.js';
+import { createRatingBadge } from './reviews.js';
+import { createFavoriteButton } from './wishlist.js';
+import { renderPrice, createSaleBadge } from './promotions.js';
+import { getProductPath } from './product-seo.js';
+import { searchProducts, setHighlightedText } from './search-index.js';
+import {
+    SORT_OPTIONS, DEFAULT_SORT, createDefaultFilters, applyFilters,
+    buildQueryPlan, getQueryKey, isUnfilteredPlan
+} from './catalog-filters.js';
+import { isOffline, reportCatalogFallback, reportCatalogOnline } from './offline-status.js';
 
 // Configuração de paginação
 const PRODUCTS_PER_PAGE = 20;
-let lastVisibleDoc = null;
-let hasMoreProducts = true;
 let isLoadingMore = false;
+// Busca em andamento (uma nova consulta espera a anterior terminar)
+let currentLoad = Promise.resolve();
+
+// Ordenação, categorias, faixa de preço e facetas atuais
+let currentFilters = createDefaultFilters();
+
+// Páginas carregadas por combinação de categorias, faixa de preço e ordenação.
+// Cada combinação guarda o próprio cursor: voltar a um filtro não recarrega
+// o que já veio nem mistura páginas de consultas diferentes.
+const paginations = new Map();
+// Paginação exibida (ver getActivePagination)
+let pagination = null;
+
+// Atualizações em tempo real (subscribeToCatalogChanges)
+const realtime = {
+    enabled: false,
+    unsubscribe: null,
+    state: null,
+    onChange: null
+};
+
+/**
+ * @returns {object} Filtros atuais (ordenação, preço e facetas)
+ */
+export function getFilters() {
+    return currentFilters;
+}
+
+/**
+ * Atualiza os filtros atuais. Ordenação, categorias e faixa de preço fazem
+ * parte da consulta: se mudarem, a grade precisa de loadFilteredProducts.
+ * @param {object} changes - Campos a alterar (sort, categories, minPrice, maxPrice, facets)
+ * @returns {boolean} true se a consulta mudou
+ */
+export function setFilters(changes) {
+    const previousKey = getQueryKey(buildQueryPlan(currentFilters));
+    currentFilters = { ...currentFilters, ...changes };
+    if (!SORT_OPTIONS[currentFilters.sort]) {
+        currentFilters.sort = DEFAULT_SORT;
+    }
+    return getQueryKey(buildQueryPlan(currentFilters)) !== previousKey;
+}
+
+/**
+ * Monta a consulta de produtos ativos para uma combinação de filtros.
+ * Cada combinação usa um índice composto (active [+ category] + campos do
+ * orderBy), ver firestore.indexes.json.
+ * @param {object} db - Instância do Firestore
+ * @param {object} plan - Retorno de buildQueryPlan
+ * @returns {object} Query do Firestore
+ */
+function buildProductsQuery(db, plan) {
+    let query = db.collection('products').where('active', '==', true);
+
+    if (plan.categories.length === 1) {
+        query = query.where('category', '==', plan.categories[0]);
+    } else if (plan.categories.length > 1) {
+        query = query.where('category', 'in', plan.categories);
+    }
+    if (plan.minPrice !== null) {
+        query = query.where('minPrice', '>=', plan.minPrice);
+    }
+    if (plan.maxPrice !== null) {
+        query = query.where('minPrice', '<=', plan.maxPrice);
+    }
+
+    for (const [field, direction] of plan.orderBy) {
+        query = query.orderBy(field, direction);
+    }
+    return query;
+}
+
+/**
+ * Paginação de uma combinação de filtros (criada na primeira vez).
+ * @param {object} plan - Retorno de buildQueryPlan
+ * @returns {{key: string, plan: object, products: Array, lastVisibleDoc: object|null, hasMore: boolean}}
+ */
+function getPagination(plan) {
+    const key = getQueryKey(plan);
+    if (!paginations.has(key)) {
+        paginations.set(key, { key, plan, products: [], lastVisibleDoc: null, hasMore: true });
+    }
+    return paginations.get(key);
+}
+
+/**
+ * Escolhe a paginação exibida para os filtros atuais. Com o catálogo inteiro
+ * já carregado (ex.: página pré-renderizada), qualquer categoria ou faixa de
+ * preço sai dele no navegador, sem nova consulta.
+ * @returns {object} Paginação ativa
+ */
+function getActivePagination() {
+    const completeCatalog = [...paginations.values()]
+        .find(page => !page.hasMore && isUnfilteredPlan(page.plan));
+    pagination = completeCatalog || getPagination(buildQueryPlan(currentFilters));
+    return pagination;
+}
+
+/**
+ * Exibe uma cópia local (cache ou catálogo pré-renderizado) sem misturá-la às
+ * páginas da consulta: a paginação exibida fica separada e sem próximas páginas.
+ * @param {object} state - Estado da aplicação
+ * @param {Array} products
+ */
+function showDetachedProducts(state, products) {
+    pagination = {
+        key: null,
+        plan: pagination?.plan || buildQueryPlan(currentFilters),
+        products,
+        lastVisibleDoc: null,
+        hasMore: false
+    };
+    state.products = products;
+    // Sem consulta para observar: o tempo real volta com a próxima busca
+    attachRealtimeListener();
+}
+
+/**
+ * Marca o início de uma busca; a função retornada marca o fim.
+ * @returns {() => void}
+ */
+function startLoading() {
+    let finish;
+    isLoadingMore = true;
+    currentLoad = new Promise(resolve => { finish = resolve; });
+    return () => {
+        isLoadingMore = false;
+        finish();
+    };
+}
+
+/**
+ * Converte um documento do Firestore no formato de produto usado pelo site.
+ * @param {object} doc - Documento do Firestore
+ * @returns {object}
+ */
+function mapProductDoc(doc) {
+    return mapProductData(doc.id, doc.data());
+}
+
+/**
+ * Acrescenta uma página ao catálogo carregado. Um produto que o tempo real já
+ * trouxe para as páginas anteriores (ex.: renomeado) não é repetido.
+ * @param {Array} products - Produtos já carregados
+ * @param {Array} page - Produtos da nova página
+ * @returns {Array}
+ */
+function appendProducts(products, page) {
+    const loadedIds = new Set(products.map(p => String(p.id)));
+    return [...products, ...page.filter(p => !loadedIds.has(String(p.id)))];
+}
+
+/**
+ * Quantos produtos do cache a consulta exibiria (categorias e faixa de preço da consulta).
+ * @param {Array|undefined} cached - Catálogo em cache
+ * @param {object} plan - Retorno de buildQueryPlan
+ * @returns {number}
+ */
+function countCachedProducts(cached, plan) {
+    if (!cached?.length) return 0;
+    return cached.filter(product => {
+        if (plan.categories.length > 0 && !plan.categories.includes(product.category)) return false;
+        const { min } = getPriceRange(product);
+        if (plan.minPrice !== null && min < plan.minPrice) return false;
+        return plan.maxPrice === null || min <= plan.maxPrice;
+    }).length;
+}
+
+/**
+ * Catálogo exibido quando a rede falha: o cache ainda válido, o catálogo já
+ * exibido (pré-renderizado) ou, por último, o cache expirado.
+ * @param {object|null} cachedEntry - Entrada lida de cache.getEntry
+ * @param {object} options - Opções de fetchProducts
+ * @returns {Promise<{products: Array, savedAt: number|null}|null>}
+ */
+async function getFallbackCatalog(cachedEntry, options) {
+    if (cachedEntry?.data.length) {
+        return { products: cachedEntry.data, savedAt: cachedEntry.timestamp };
+    }
+    if (options.fallback?.length) {
+        return { products: options.fallback, savedAt: options.fallbackSavedAt ?? null };
+    }
+
+    const staleEntry = await cache.getEntry(undefined, { allowStale: true });
+    if (staleEntry?.data.length) {
+        return { products: staleEntry.data, savedAt: staleEntry.timestamp };
+    }
+    return null;
+}
 
 /**
  * Busca produtos do Firestore com paginação e salva no estado.
+ * Usa stale-while-revalidate: na primeira página, o catálogo em cache é entregue
+ * via `onCached` antes da requisição e serve de fallback se a rede falhar.
  * @param {object} dom - Referências DOM
  * @param {object} state - Estado da aplicação
  * @param {boolean} loadMore - Se true, carrega mais produtos (paginação)
+ * @param {object} [options]
+ * @param {(products: Array) => void} [options.onCached] - Chamado com os produtos em cache antes da rede
+ * @param {Array} [options.fallback] - Catálogo já exibido (ex.: pré-renderizado), usado no
+ *   lugar do cache se a rede falhar
+ * @param {number|null} [options.fallbackSavedAt] - Quando o catálogo de `fallback` foi gerado (millis)
  */
-export async function fetchProducts(dom, state, loadMore = false) {
+export async function fetchProducts(dom, state, loadMore = false, options = {}) {
     debugLog('=== fetchProducts ===');
     debugLog('Iniciando busca de produtos... LoadMore:', loadMore);
     
-    // Evita múltiplas requisições simultâneas
+    // Evita múltiplas requisições simultâneas; uma nova consulta espera a anterior
     if (isLoadingMore) {
-        debugLog('Já está carregando produtos, ignorando...');
-        return state.products;
+        if (loadMore) {
+            debugLog('Já está carregando produtos, ignorando...');
+            return state.products;
+        }
+        await currentLoad;
     }
+
+    // Próxima página da paginação exibida, ou primeira página dos filtros atuais
+    const page = loadMore ? pagination : getActivePagination();
     
     // Verifica se ainda há mais produtos para carregar
-    if (loadMore && !hasMoreProducts) {
+    if (loadMore && !page?.hasMore) {
         debugLog('Não há mais produtos para carregar');
         return state.products;
     }
     
-    isLoadingMore = true;
+    const finishLoading = startLoading();
+    
+    // Catálogo salvo na última visita (apenas para a primeira página).
+    // É o catálogo inteiro: categorias e preço são filtrados na renderização.
+    const cachedEntry = loadMore || options.fallback ? null : await cache.getEntry();
+    const cached = cachedEntry?.data;
+    if (cached?.length) {
+        debugLog('Catálogo em cache:', cached.length, 'itens');
+        state.products = cached;
+        if (typeof options.onCached === 'function') {
+            options.onCached(cached);
+        }
+    }
     
     try {
         // Indica carregamento (acessível)
@@ -48,27 +274,26 @@ export async function fetchProducts(dom, state, loadMore = false) {
         if (typeof firebase === 'undefined' || !firebase.firestore) {
             const error = new Error('Firebase não está configurado. Impossível carregar produtos.');
             debugError(error.message);
-            state.products = [];
             throw error;
         }
 
-        debugLog('Buscando produtos do Firestore...');
+        // Sem conexão o Firestore só falha após o tempo limite: usa logo a cópia local
+        if (isOffline()) {
+            throw new Error('Sem conexão com a internet.');
+        }
+
+        debugLog('Buscando produtos do Firestore...', page.key);
         const db = firebase.firestore();
         
-        // Construir query com paginação
-        let query = db.collection('products')
-            .where('active', '==', true)
-            .orderBy('name')
-            .limit(PRODUCTS_PER_PAGE);
+        // Construir query com paginação. Na revalidação, a primeira página traz
+        // tantos produtos quanto o cache exibiu, para a grade não encolher
+        const pageSize = loadMore ? PRODUCTS_PER_PAGE : Math.max(PRODUCTS_PER_PAGE, countCachedProducts(cached, page.plan));
+        let query = buildProductsQuery(db, page.plan).limit(pageSize);
         
         // Se está carregando mais, começa após o último documento
-        if (loadMore && lastVisibleDoc) {
-            query = query.startAfter(lastVisibleDoc);
-            debugLog('Carregando após documento:', lastVisibleDoc.id);
-        } else if (!loadMore) {
-            // Reset para primeira página
-            lastVisibleDoc = null;
-            hasMoreProducts = true;
+        if (loadMore && page.lastVisibleDoc) {
+            query = query.startAfter(page.lastVisibleDoc);
+            debugLog('Carregando após documento:', page.lastVisibleDoc.id);
         }
         
         const snapshot = await query.get();
@@ -76,45 +301,60 @@ export async function fetchProducts(dom, state, loadMore = false) {
         debugLog('Snapshot recebido:', snapshot.size, 'documentos');
         
         // Verifica se há mais produtos
-        hasMoreProducts = snapshot.size === PRODUCTS_PER_PAGE;
-        debugLog('Há mais produtos:', hasMoreProducts);
+        page.hasMore = snapshot.size === pageSize;
+        debugLog('Há mais produtos:', page.hasMore);
         
-        // Salva último documento para próxima paginação
-        if (snapshot.docs.length > 0) {
-            lastVisibleDoc = snapshot.docs[snapshot.docs.length - 1];
-            debugLog('Último documento:', lastVisibleDoc.id);
+        // Salva último documento para próxima paginação (primeira página: recomeça o cursor)
+        if (snapshot.docs.length > 0 || !loadMore) {
+            page.lastVisibleDoc = snapshot.docs.at(-1) || null;
+            debugLog('Último documento:', page.lastVisibleDoc?.id);
         }
         
         // Converte documentos para array de produtos
-        const newProducts = snapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                name: data.name || 'Sem nome',
-                category: data.category || 'Outros',
-                price: data.price || 0,
-                description: data.description || '',
-                link: data.link || '',
-                image: data.image || '',
-                images: data.images || []
-            };
-        });
+        const newProducts = snapshot.docs.map(mapProductDoc);
         
         // Se loadMore, adiciona ao array existente, senão substitui
         if (loadMore) {
-            state.products = [...state.products, ...newProducts];
-            debugLog('Produtos adicionados. Total:', state.products.length);
+            page.products = appendProducts(page.products, newProducts);
+            debugLog('Produtos adicionados. Total:', page.products.length);
         } else {
-            state.products = newProducts;
-            debugLog('Produtos carregados:', state.products.length, 'itens');
+            page.products = newProducts;
+            debugLog('Produtos carregados:', page.products.length, 'itens');
         }
+        state.products = page.products;
         
         debugLog('Primeiros 3 produtos:', state.products.slice(0, 3));
 
+        // O cache guarda o catálogo inteiro (fallback de qualquer filtro)
+        if (isUnfilteredPlan(page.plan)) {
+            cache.set(state.products);
+        }
+        reportCatalogOnline();
+
+        // O tempo real acompanha as páginas carregadas (novo cursor ou novos filtros)
+        attachRealtimeListener();
+
         return state.products;
     } catch (err) {
         debugError('ERRO ao buscar produtos:', err);
         debugError('Erro detalhado:', err.message, err.stack);
+
+        // Paginação sem rede: mantém o que já está na tela
+        if (loadMore) {
+            showDetachedProducts(state, state.products);
+            reportCatalogFallback();
+            return state.products;
+        }
+
+        // Offline ou Firestore indisponível: mantém o catálogo em cache (ou o pré-renderizado)
+        const fallback = await getFallbackCatalog(cachedEntry, options);
+        if (fallback) {
+            debugLog('Usando catálogo em cache como fallback');
+            showDetachedProducts(state, fallback.products);
+            reportCatalogFallback({ savedAt: fallback.savedAt });
+            return state.products;
+        }
+
         if (dom.products.container) {
             // Mensagem de erro acessível
             dom.products.container.replaceChildren();
@@ -126,7 +366,7 @@ export async function fetchProducts(dom, state, loadMore = false) {
         }
         throw err;
     } finally {
-        isLoadingMore = false;
+        finishLoading();
         if (dom.products.loader) {
             dom.products.loader.classList.add('hidden');
             dom.products.loader.setAttribute('aria-busy', 'false');
@@ -135,12 +375,325 @@ export async function fetchProducts(dom, state, loadMore = false) {
     }
 }
 
+/**
+ * Exibe os produtos dos filtros atuais (categorias, faixa de preço e ordenação).
+ * Reaproveita as páginas já carregadas para a mesma combinação, ou o catálogo
+ * inteiro se ele já estiver completo; senão busca a primeira página da consulta.
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ * @returns {Promise<Array>}
+ */
+export async function loadFilteredProducts(dom, state) {
+    if (isLoadingMore) await currentLoad;
+
+    const page = getActivePagination();
+    if (page.products.length > 0 || !page.hasMore) {
+        debugLog('Filtros com páginas já carregadas:', page.key);
+        state.products = page.products;
+        attachRealtimeListener();
+        return state.products;
+    }
+    return fetchProducts(dom, state);
+}
+
+/**
+ * Busca um único produto ativo pelo ID (ex.: aberto por link compartilhado
+ * antes de a paginação chegar até ele).
+ * @param {string} productId
+ * @returns {Promise<object|null>} Produto ou null se não existir/estiver inativo
+ */
+export async function fetchProductById(productId) {
+    if (typeof firebase === 'undefined' || !firebase.firestore) return null;
+
+    try {
+        if (isOffline()) {
+            throw new Error('Sem conexão com a internet.');
+        }
+        const doc = await firebase.firestore().collection('products').doc(String(productId)).get();
+        if (!doc.exists || doc.data().active !== true) return null;
+        return mapProductDoc(doc);
+    } catch (err) {
+        debugError('Erro ao buscar produto:', productId, err);
+        return findCachedProduct(product => String(product.id) === String(productId));
+    }
+}
+
+/**
+ * Busca um produto ativo pelo slug da página (/produto/<slug>).
+ * Produtos cadastrados antes dos slugs são encontrados pelo ID.
+ * @param {string} slug
+ * @returns {Promise<object|null>}
+ */
+export async function fetchProductBySlug(slug) {
+    if (typeof firebase === 'undefined' || !firebase.firestore) return null;
+
+    try {
+        if (isOffline()) {
+            throw new Error('Sem conexão com a internet.');
+        }
+        const snapshot = await firebase.firestore().collection('products')
+            .where('slug', '==', slug)
+            .where('active', '==', true)
+            .limit(1)
+            .get();
+        if (!snapshot.empty) {
+            return mapProductDoc(snapshot.docs[0]);
+        }
+    } catch (err) {
+        debugError('Erro ao buscar produto pelo slug:', slug, err);
+        return findCachedProduct(product => product.slug === slug || String(product.id) === slug);
+    }
+
+    return fetchProductById(slug);
+}
+
+/**
+ * Procura um produto no último catálogo salvo (sem conexão com o Firestore).
+ * @param {(product: object) => boolean} predicate
+ * @returns {Promise<object|null>}
+ */
+async function findCachedProduct(predicate) {
+    const entry = await cache.getEntry(undefined, { allowStale: true });
+    const product = entry?.data.find(predicate) || null;
+    if (product) {
+        debugLog('Produto encontrado no catálogo salvo:', product.id);
+        reportCatalogFallback({ savedAt: entry.timestamp });
+    }
+    return product;
+}
+
+/**
+ * Carrega de uma vez todas as páginas ainda não buscadas pelo infinite scroll.
+ * Usado pela busca e pelos filtros de preço/faceta, que precisam do catálogo
+ * completo para não esconder produtos de páginas ainda não carregadas.
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ * @returns {Promise<Array>} Catálogo completo (ou o já carregado, em caso de erro)
+ */
+export async function loadAllProducts(dom, state) {
+    if (isLoadingMore) await currentLoad;
+
+    const page = pagination;
+    if (!page?.hasMore) return state.products;
+    if (typeof firebase === 'undefined' || !firebase.firestore) return state.products;
+
+    const finishLoading = startLoading();
+    if (dom.products.loader) {
+        dom.products.loader.classList.remove('hidden');
+        dom.products.loader.setAttribute('aria-busy', 'true');
+    }
+
+    try {
+        let query = buildProductsQuery(firebase.firestore(), page.plan);
+        if (page.lastVisibleDoc) {
+            query = query.startAfter(page.lastVisibleDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.docs.length > 0) {
+            page.lastVisibleDoc = snapshot.docs.at(-1);
+        }
+        page.hasMore = false;
+
+        page.products = appendProducts(page.products, snapshot.docs.map(mapProductDoc));
+        // Outra combinação de filtros pode ter assumido a tela enquanto isso
+        if (page === pagination) {
+            state.products = page.products;
+        }
+        debugLog('Todas as páginas carregadas:', page.products.length, 'itens');
+        if (isUnfilteredPlan(page.plan)) {
+            cache.set(page.products);
+        }
+        attachRealtimeListener();
+    } catch (err) {
+        // Sem rede: a busca segue apenas com o que já foi carregado
+        debugError('Erro ao carregar catálogo completo:', err);
+    } finally {
+        finishLoading();
+        if (dom.products.loader) {
+            dom.products.loader.classList.add('hidden');
+            dom.products.loader.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    return state.products;
+}
+
 /**
  * Verifica se há mais produtos disponíveis para carregar
  * @returns {boolean}
  */
 export function hasMore() {
-    return hasMoreProducts;
+    return pagination ? pagination.hasMore : true;
+}
+
+/**
+ * Usa o catálogo embutido na página pré-renderizada (build-tools/prerender.js).
+ * O HTML traz o catálogo completo (na ordenação padrão), então não há páginas
+ * a buscar até a revalidação, e categorias e preço são filtrados a partir dele.
+ * @param {object} state - Estado da aplicação
+ * @param {Array} products - Produtos pré-renderizados
+ */
+export function hydrateProducts(state, products) {
+    const page = getPagination(buildQueryPlan(createDefaultFilters()));
+    page.products = products;
+    page.lastVisibleDoc = null;
+    page.hasMore = false;
+    state.products = getActivePagination().products;
+    debugLog('Catálogo pré-renderizado:', products.length, 'itens');
+}
+
+/**
+ * Compara duas listas de produtos para evitar re-renderizar quando a
+ * revalidação devolve o mesmo catálogo que já estava em cache.
+ * @param {Array} previous - Lista renderizada anteriormente
+ * @param {Array} current - Lista atual
+ * @returns {boolean}
+ */
+export function hasCatalogChanged(previous, current) {
+    if (!previous || previous.length !== current.length) return true;
+    return JSON.stringify(previous) !== JSON.stringify(current);
+}
+
+/**
+ * Consulta observada em tempo real: as páginas já carregadas, até o cursor
+ * da paginação (o cursor guarda os valores do documento, então produtos que
+ * mudam de posição entram ou saem da janela sem afetar a próxima página).
+ * @param {object} db - Instância do Firestore
+ * @param {object} page - Paginação observada
+ * @returns {object} Query do Firestore
+ */
+function buildRealtimeQuery(db, page) {
+    const query = buildProductsQuery(db, page.plan);
+    return page.hasMore ? query.endAt(page.lastVisibleDoc) : query;
+}
+
+/**
+ * Compara o catálogo carregado com a janela observada (primeira resposta do
+ * listener ou respostas ignoradas durante uma busca).
+ * @param {Array} previous - Catálogo carregado
+ * @param {Array} current - Produtos da janela
+ * @returns {{changed: Set<string>, removed: Set<string>}}
+ */
+function diffProducts(previous, current) {
+    const previousById = new Map(previous.map(p => [String(p.id), p]));
+    const currentIds = new Set(current.map(p => String(p.id)));
+
+    const changed = new Set(current
+        .filter(p => hasCatalogChanged([previousById.get(String(p.id))].filter(Boolean), [p]))
+        .map(p => String(p.id)));
+    const removed = new Set([...previousById.keys()].filter(id => !currentIds.has(id)));
+    return { changed, removed };
+}
+
+/**
+ * Aplica uma resposta do listener à paginação observada.
+ * A janela observada é exatamente o que já foi carregado, então ela substitui
+ * as páginas; as mudanças informadas são só as dos documentos alterados.
+ * @param {object} page - Paginação observada
+ * @param {object} snapshot - QuerySnapshot do Firestore
+ * @param {boolean} reconcile - Compara tudo em vez de usar docChanges()
+ */
+function applyRealtimeSnapshot(page, snapshot, reconcile) {
+    const { state } = realtime;
+    const products = snapshot.docs.map(mapProductDoc);
+
+    let changes;
+    if (reconcile) {
+        changes = diffProducts(page.products, products);
+    } else {
+        changes = { changed: new Set(), removed: new Set() };
+        for (const change of snapshot.docChanges()) {
+            const id = String(change.doc.id);
+            if (change.type === 'removed') {
+                changes.removed.add(id);
+            } else {
+                changes.changed.add(id);
+                changes.removed.delete(id);
+            }
+        }
+    }
+
+    if (changes.changed.size === 0 && changes.removed.size === 0) return;
+
+    debugLog('Tempo real:', changes.changed.size, 'alterados,', changes.removed.size, 'removidos');
+    page.products = products;
+    if (isUnfilteredPlan(page.plan)) {
+        cache.set(products);
+    }
+    // Outra combinação de filtros já assumiu a tela
+    if (page !== pagination) return;
+
+    state.products = products;
+    if (typeof realtime.onChange === 'function') {
+        realtime.onChange(changes);
+    }
+}
+
+/**
+ * (Re)cria o listener para a janela atual da paginação.
+ * Chamado ao ativar o tempo real e sempre que uma busca muda as páginas carregadas.
+ */
+function attachRealtimeListener() {
+    if (!realtime.enabled) return;
+    if (typeof realtime.unsubscribe === 'function') {
+        realtime.unsubscribe();
+    }
+    realtime.unsubscribe = null;
+
+    if (typeof firebase === 'undefined' || !firebase.firestore) return;
+    // Cópia local (sem consulta) ou nenhuma página carregada ainda
+    const page = pagination;
+    if (!page?.key || (page.hasMore && !page.lastVisibleDoc)) return;
+
+    // A primeira resposta (e qualquer uma ignorada) é comparada com as páginas inteiras
+    let needsReconcile = true;
+
+    realtime.unsubscribe = buildRealtimeQuery(firebase.firestore(), page).onSnapshot(
+        (snapshot) => {
+            // Sem persistência, uma resposta do cache local pode estar incompleta
+            if (needsReconcile && snapshot.metadata.fromCache) return;
+            // Uma página está chegando: o listener será recriado ao final
+            if (isLoadingMore) {
+                needsReconcile = true;
+                return;
+            }
+            applyRealtimeSnapshot(page, snapshot, needsReconcile);
+            needsReconcile = false;
+        },
+        (error) => {
+            // O Firestore encerra o listener após um erro
+            debugError('Erro no listener em tempo real:', error);
+            realtime.unsubscribe = null;
+        }
+    );
+}
+
+/**
+ * Ativa o modo em tempo real: inclusões, alterações e remoções de produtos nas
+ * páginas carregadas chegam como mudanças, sem recarregar o catálogo.
+ * Não altera o cursor da paginação; buscas de novas páginas recriam o listener.
+ * @param {object} state - Estado da aplicação
+ * @param {object} options
+ * @param {(changes: {changed: Set<string>, removed: Set<string>}) => void} options.onChange -
+ *   Chamado após atualizar state.products, com os IDs alterados/incluídos e removidos
+ * @returns {() => void} Função que desativa o tempo real
+ */
+export function subscribeToCatalogChanges(state, { onChange }) {
+    realtime.enabled = true;
+    realtime.state = state;
+    realtime.onChange = onChange;
+    attachRealtimeListener();
+    debugLog('Tempo real ativado');
+
+    return () => {
+        realtime.enabled = false;
+        if (typeof realtime.unsubscribe === 'function') {
+            realtime.unsubscribe();
+        }
+        realtime.unsubscribe = null;
+        debugLog('Tempo real desativado');
+    };
 }
 
 /**
@@ -151,7 +704,7 @@ export function hasMore() {
 export async function loadMoreProducts(dom, state) {
     debugLog('=== loadMoreProducts ===');
     
-    if (!hasMoreProducts || isLoadingMore) {
+    if (!hasMore() || isLoadingMore) {
         debugLog('Não pode carregar mais produtos');
         return;
     }
@@ -273,6 +826,9 @@ function renderProducts(dom, products, filter, append = false) {
         debugLog('Filtrando por categoria:', filter);
     }
 
+    // Faixa de preço, facetas e ordenação
+    filteredProducts = applyFilters(filteredProducts, currentFilters);
+
     debugLog('Produtos filtrados:', filteredProducts.length);
 
     // Em modo append, calcula índice inicial baseado nos cards existentes
@@ -294,6 +850,13 @@ function renderProducts(dom, products, filter, append = false) {
         debugLog('Novos produtos para renderizar:', filteredProducts.length);
     }
 
+    if (!append && filteredProducts.length === 0 && products.length > 0) {
+        const p = document.createElement('p');
+        p.className = 'no-results';
+        p.textContent = 'Nenhum produto encontrado com os filtros selecionados.';
+        dom.products.container.appendChild(p);
+    }
+
     // Cria e adiciona os cards de produtos com animação escalonada
     let index = startIndex;
     for (const product of filteredProducts) {
@@ -314,7 +877,133 @@ function renderProducts(dom, products, filter, append = false) {
 }
 
 /**
- * Filtra produtos por termo de busca no nome e descrição.
+ * Categorias marcadas nos filtros (vazio = todas).
+ * @param {object} dom - Referências DOM
+ * @returns {string[]}
+ */
+export function getSelectedCategories(dom) {
+    if (!dom.products.categories) return [];
+    return Array.from(dom.products.categories)
+        .filter(c => c.classList.contains('active') && c.dataset.category !== 'all')
+        .map(c => c.dataset.category);
+}
+
+/**
+ * Produtos que a grade exibe com a busca, as categorias e os filtros atuais,
+ * na mesma ordem de renderProducts/renderFilteredProducts.
+ * @param {object} dom - Referências DOM
+ * @param {Array} products - Catálogo carregado
+ * @param {string} searchTerm - Termo de busca atual
+ * @returns {{products: Array, highlights: Map<string, Set<string>>}}
+ */
+function getVisibleProducts(dom, products, searchTerm) {
+    const selected = getSelectedCategories(dom);
+    const byCategory = list => (selected.length > 0 ? list.filter(p => selected.includes(p.category)) : list);
+
+    if (!searchTerm) {
+        return { products: applyFilters(byCategory(products), currentFilters), highlights: new Map() };
+    }
+
+    const results = searchProducts(products, searchTerm);
+    return {
+        products: applyFilters(byCategory(results.map(r => r.product)), currentFilters, {
+            sort: currentFilters.sort !== DEFAULT_SORT
+        }),
+        highlights: new Map(results.map(r => [r.product.id, r.matchedTerms]))
+    };
+}
+
+/**
+ * ID do produto de um card (do botão "Ver Detalhes").
+ * @param {Element} card
+ * @returns {string|null}
+ */
+function getCardId(card) {
+    return card.querySelector('.btn-details')?.dataset.id ?? null;
+}
+
+/**
+ * Primeiro card visível na tela e sua posição, para manter a rolagem
+ * quando cards acima dele entram ou saem.
+ * @param {HTMLElement} container
+ * @returns {{card: Element, top: number}|null}
+ */
+function findScrollAnchor(container) {
+    for (const card of container.querySelectorAll('.product-card')) {
+        const { top, bottom } = card.getBoundingClientRect();
+        if (bottom > 0) return { card, top };
+    }
+    return null;
+}
+
+/**
+ * Atualiza a grade apenas nos cards afetados por mudanças em tempo real:
+ * cria os cards alterados/incluídos, remove os que saíram e reposiciona os
+ * demais sem recriá-los. Busca, categorias, filtros e rolagem são mantidos.
+ * @param {object} dom - Referências DOM
+ * @param {Array} products - Catálogo carregado (já atualizado)
+ * @param {string} searchTerm - Termo de busca atual
+ * @param {Set<string>} changedIds - Produtos alterados ou incluídos
+ */
+export function patchRenderedProducts(dom, products, searchTerm, changedIds) {
+    const container = dom.products.container;
+    if (!container) return;
+
+    const { products: visible, highlights } = getVisibleProducts(dom, products, searchTerm);
+    const visibleIds = new Set(visible.map(p => String(p.id)));
+    const anchor = findScrollAnchor(container);
+
+    const cards = new Map();
+    for (const card of container.querySelectorAll('.product-card')) {
+        const id = getCardId(card);
+        if (id && visibleIds.has(id) && !cards.has(id)) {
+            cards.set(id, card);
+        } else {
+            card.remove();
+        }
+    }
+
+    // Reordena a grade; só os cards alterados ou novos são criados
+    let previous = null;
+    for (const product of visible) {
+        const id = String(product.id);
+        let card = cards.get(id);
+        if (!card || changedIds.has(id)) {
+            const updated = createProductCard(product, 0, { highlight: highlights.get(product.id) });
+            if (card) card.replaceWith(updated);
+            if (anchor?.card === card) anchor.card = updated;
+            card = updated;
+        }
+
+        const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (card !== expected) {
+            container.insertBefore(card, expected);
+        }
+        previous = card;
+    }
+
+    // Mensagem de "nenhum produto" acompanha a grade
+    const emptyMessage = container.querySelector('.no-results');
+    if (visible.length > 0) {
+        emptyMessage?.remove();
+    } else if (!emptyMessage && products.length > 0) {
+        const p = document.createElement('p');
+        p.className = 'no-results';
+        p.textContent = searchTerm
+            ? 'Nenhum produto encontrado.'
+            : 'Nenhum produto encontrado com os filtros selecionados.';
+        container.appendChild(p);
+    }
+
+    if (anchor?.card.isConnected) {
+        const shift = anchor.card.getBoundingClientRect().top - anchor.top;
+        if (shift !== 0) globalThis.scrollBy(0, shift);
+    }
+}
+
+/**
+ * Filtra produtos pelo termo de busca usando o índice (sem acentos, por
+ * prefixo e tolerante a erros), ordenando por relevância.
  * @param {object} dom - Referências DOM
  * @param {Array} products - Lista de produtos
  * @param {string} searchTerm - Termo de busca digitado pelo usuário.
@@ -324,33 +1013,27 @@ export function filterProductsBySearch(dom, products, searchTerm) {
 
     // Se busca está vazia, reaplica filtro de categoria ativo
     if (!searchTerm) {
-        const selected = dom.products.categories 
-            ? Array.from(dom.products.categories)
-                .filter(c => c.classList.contains('active') && c.dataset.category !== 'all')
-                .map(c => c.dataset.category)
-            : [];
+        const selected = getSelectedCategories(dom);
         const filterParam = selected.length > 0 ? selected : 'all';
         loadProducts(dom, products, filterParam);
         return;
     }
 
-    // Filtra produtos que contêm o termo de busca no nome ou descrição
-    const filteredProducts = products.filter(product => {
-        const nameMatch = product.name.toLowerCase().includes(searchTerm);
-        const descMatch = product.description.toLowerCase().includes(searchTerm);
-        return nameMatch || descMatch;
-    });
+    // Resultados já ordenados por relevância, com os termos a destacar
+    const results = searchProducts(products, searchTerm);
+    const highlights = new Map(results.map(r => [r.product.id, r.matchedTerms]));
 
     // Renderiza produtos filtrados
-    renderFilteredProducts(dom, filteredProducts);
+    renderFilteredProducts(dom, results.map(r => r.product), highlights);
 }
 
 /**
  * Renderiza lista específica de produtos (usado pela busca).
  * @param {object} dom - Referências DOM
  * @param {Array} products - Array de produtos para renderizar.
+ * @param {Map<string, Set<string>>} [highlights] - Termos a destacar por produto
  */
-function renderFilteredProducts(dom, products) {
+function renderFilteredProducts(dom, products, highlights = new Map()) {
     // Mostra o loader (acessível)
     if (dom.products.loader) {
         dom.products.loader.classList.remove('hidden');
@@ -362,14 +1045,14 @@ function renderFilteredProducts(dom, products) {
 
     setTimeout(() => {
         // Aplica filtros de categoria ativos também, se houver
-        const selected = dom.products.categories
-            ? Array.from(dom.products.categories)
-                .filter(c => c.classList.contains('active') && c.dataset.category !== 'all')
-                .map(c => c.dataset.category)
-            : [];
-        const byCategory = selected.length > 0 
+        const selected = getSelectedCategories(dom);
+        const inCategory = selected.length > 0 
             ? products.filter(p => selected.includes(p.category)) 
             : products;
+        // Mantém a ordem por relevância, a menos que o usuário escolha outra ordenação
+        const byCategory = applyFilters(inCategory, currentFilters, {
+            sort: currentFilters.sort !== DEFAULT_SORT
+        });
 
         if (byCategory.length === 0) {
             // Exibe mensagem quando não há resultados
@@ -381,7 +1064,9 @@ function renderFilteredProducts(dom, products) {
             // Renderiza produtos encontrados
             let index = 0;
             for (const product of byCategory) {
-                const productCard = createProductCard(product, index);
+                const productCard = createProductCard(product, index, {
+                    highlight: highlights.get(product.id)
+                });
                 dom.products.container.appendChild(productCard);
                 index++;
             }
@@ -399,9 +1084,11 @@ function renderFilteredProducts(dom, products) {
  * Cria o elemento de card de produto de forma segura (sem innerHTML).
  * @param {object} product - Dados do produto
  * @param {number} index - usado para animar entrada escalonada
+ * @param {object} [options]
+ * @param {Set<string>} [options.highlight] - Termos da busca destacados no título e na descrição
  * @returns {HTMLDivElement}
  */
-export function createProductCard(product, index = 0) {
+export function createProductCard(product, index = 0, options = {}) {
     const card = document.createElement('div');
     card.className = 'product-card';
     card.style.animation = `fadeIn 0.5s ease forwards ${index * 0.08}s`;
@@ -416,43 +1103,77 @@ export function createProductCard(product, index = 0) {
     });
     imageWrap.appendChild(picture);
 
+    // Selo "Esgotado" / "Sob encomenda — X dias"
+    const availability = getAvailability(product);
+    const badge = createAvailabilityBadge(availability);
+    if (badge) {
+        imageWrap.appendChild(badge);
+    }
+
+    // Selo de promoção automática ("-20%", "Leve 3, pague 2")
+    const saleBadge = createSaleBadge(product);
+    if (saleBadge) {
+        imageWrap.appendChild(saleBadge);
+    }
+
+    // Coração de favoritos (ver wishlist.js)
+    imageWrap.appendChild(createFavoriteButton(product));
+
     // Info
     const info = document.createElement('div');
     info.className = 'product-info';
 
     const title = document.createElement('h3');
     title.className = 'product-title';
-    title.textContent = product.name;
+    setHighlightedText(title, product.name, options.highlight);
 
     const desc = document.createElement('p');
     desc.className = 'product-description';
     const short = (product.description || '').slice(0, 80) + '...';
-    desc.textContent = short;
+    setHighlightedText(desc, short, options.highlight);
 
     const price = document.createElement('div');
     price.className = 'product-price';
-    price.textContent = `R$ ${Number(product.price).toFixed(2)}`;
+    // Com promoção, o preço original aparece riscado (ver promotions.js)
+    const { min, max } = getPriceRange(product);
+    renderPrice(price, product, min, { prefix: min === max ? '' : 'A partir de ' });
 
     const actions = document.createElement('div');
     actions.className = 'product-actions';
 
     const details = document.createElement('a');
-    details.href = '#';
+    // Link real para a página do produto (rastreável); o clique abre o modal
+    details.href = getProductPath(product);
     details.className = 'btn-details';
     details.dataset.id = String(product.id);
     details.textContent = 'Ver Detalhes';
 
-    const buy = document.createElement('a');
-    buy.href = product.link;
-    buy.className = 'btn-buy';
-    buy.target = '_blank';
-    buy.rel = 'noopener noreferrer';
-    buy.textContent = 'Comprar';
+    const buy = document.createElement('button');
+    buy.type = 'button';
+    buy.className = 'btn-buy btn-add-cart';
+    buy.dataset.id = String(product.id);
+    // Produtos com variações abrem o modal para escolher a opção
+    if (hasVariants(product)) {
+        buy.setAttribute('aria-label', `Escolher opções de ${product.name}`);
+        buy.textContent = 'Opções';
+    } else if (availability.status === 'out_of_stock') {
+        buy.disabled = true;
+        buy.setAttribute('aria-label', `${product.name} esgotado`);
+        buy.textContent = 'Esgotado';
+    } else {
+        buy.setAttribute('aria-label', `Adicionar ${product.name} ao carrinho`);
+        buy.textContent = 'Adicionar';
+    }
 
     actions.appendChild(details);
     actions.appendChild(buy);
 
     info.appendChild(title);
+    // Nota média (apenas produtos com avaliações aprovadas)
+    const rating = createRatingBadge(product.rating);
+    if (rating) {
+        info.appendChild(rating);
+    }
     info.appendChild(desc);
     info.appendChild(price);
     info.appendChild(actions);
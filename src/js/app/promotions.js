@@ -0,0 +1,371 @@
+/**
+ * Módulo de Promoções e Cupons
+ * Promoções da coleção "promotions": desconto percentual, desconto fixo,
+ * liquidação de uma categoria e "compre 2 leve 3", cada uma com início e fim.
+ *
+ * Promoções sem cupom valem automaticamente (preço riscado nos cards, no
+ * modal e no carrinho). Promoções com cupom usam o código como ID do
+ * documento: o site lê apenas o cupom digitado, sem listar os demais.
+ */
+
+import { debugLog, debugError } from '../utils/debug.js';
+import { formatPrice } from '../utils/functions.js';
+import { toMillis } from './product-data.js';
+import { getEffectivePrice } from './price-schedule.js';
+
+// Tipos de promoção (os mesmos de firestore.rules e admin/js/promotions.js)
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'category', 'buy2get3'];
+
+// Código do cupom: letras maiúsculas, números, "-" e "_"
+const COUPON_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+// Promoções automáticas (sem cupom), carregadas uma vez do Firestore
+let automaticPromotions = [];
+let promotionsPromise = null;
+
+/**
+ * Arredonda para centavos.
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Dados de uma promoção no formato usado pelo site.
+ * @param {string} id - ID do documento
+ * @param {object} data - Campos do documento
+ * @returns {{id: string, name: string, type: string, value: number, category: string, couponCode: string, startsAt: number, endsAt: number, active: boolean}}
+ */
+export function mapPromotionData(id, data) {
+    return {
+        id,
+        name: data.name || '',
+        type: PROMOTION_TYPES.includes(data.type) ? data.type : 'percentage',
+        value: Number(data.value) || 0,
+        category: data.category || '',
+        couponCode: data.couponCode || '',
+        startsAt: toMillis(data.startsAt),
+        endsAt: toMillis(data.endsAt),
+        active: Boolean(data.active)
+    };
+}
+
+/**
+ * Indica se a promoção está ativa e dentro do período.
+ * @param {object} promotion
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isPromotionRunning(promotion, now = Date.now()) {
+    return Boolean(promotion?.active)
+        && promotion.startsAt <= now
+        && (!promotion.endsAt || now < promotion.endsAt);
+}
+
+/**
+ * Carrega as promoções automáticas ativas (uma única consulta por página).
+ * @returns {Promise<Array>} Promoções (lista vazia se indisponível)
+ */
+export function loadPromotions() {
+    if (promotionsPromise) return promotionsPromise;
+
+    promotionsPromise = (async () => {
+        try {
+            if (typeof firebase === 'undefined' || !firebase.firestore) {
+                throw new Error('Firebase não está configurado');
+            }
+            const snapshot = await firebase.firestore().collection('promotions')
+                .where('couponCode', '==', '')
+                .where('active', '==', true)
+                .get();
+            automaticPromotions = snapshot.docs.map(doc => mapPromotionData(doc.id, doc.data()));
+            debugLog('Promoções carregadas:', automaticPromotions.length);
+        } catch (error) {
+            debugError('Erro ao carregar promoções:', error);
+            automaticPromotions = [];
+            // Permite nova tentativa na próxima chamada
+            promotionsPromise = null;
+        }
+        return automaticPromotions;
+    })();
+
+    return promotionsPromise;
+}
+
+/**
+ * Indica se há alguma promoção automática em andamento.
+ * @returns {boolean}
+ */
+export function hasRunningPromotions() {
+    return automaticPromotions.some(promotion => isPromotionRunning(promotion));
+}
+
+/**
+ * Padroniza o código digitado pelo cliente (ex.: " natal10 " → "NATAL10").
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Busca e valida um cupom pelo código.
+ * @param {string} code - Código digitado
+ * @returns {Promise<{promotion: object|null, error: string|null}>}
+ */
+export async function findCoupon(code) {
+    const couponCode = normalizeCouponCode(code);
+    if (!COUPON_PATTERN.test(couponCode)) {
+        return { promotion: null, error: 'Cupom inválido.' };
+    }
+
+    try {
+        if (typeof firebase === 'undefined' || !firebase.firestore) {
+            throw new Error('Firebase não está configurado');
+        }
+        const doc = await firebase.firestore().collection('promotions').doc(couponCode).get();
+        const promotion = doc.exists ? mapPromotionData(doc.id, doc.data()) : null;
+
+        if (promotion?.couponCode !== couponCode) {
+            return { promotion: null, error: 'Cupom não encontrado.' };
+        }
+        if (!isPromotionRunning(promotion)) {
+            return {
+                promotion: null,
+                error: promotion.active && Date.now() < promotion.startsAt
+                    ? 'Este cupom ainda não está valendo.'
+                    : 'Este cupom expirou.'
+            };
+        }
+        return { promotion, error: null };
+    } catch (error) {
+        debugError('Erro ao validar cupom:', error);
+        return { promotion: null, error: 'Não foi possível validar o cupom agora. Tente novamente.' };
+    }
+}
+
+/**
+ * Indica se a promoção vale para o produto (liquidação e "leve 3" podem
+ * ser restritos a uma categoria).
+ * @param {object} promotion
+ * @param {{category?: string}} product - Produto ou item do carrinho
+ * @returns {boolean}
+ */
+function appliesTo(promotion, product) {
+    if (promotion.type === 'category' || promotion.type === 'buy2get3') {
+        return !promotion.category || promotion.category === product?.category;
+    }
+    return true;
+}
+
+/**
+ * Preço unitário com o desconto da promoção.
+ * @param {object} promotion - Promoção percentual, fixa ou de categoria
+ * @param {number} price - Preço original
+ * @returns {number}
+ */
+function applyUnitDiscount(promotion, price) {
+    if (promotion.type === 'fixed') {
+        return roundCents(Math.max(0, price - promotion.value));
+    }
+    return roundCents(price * (1 - Math.min(100, promotion.value) / 100));
+}
+
+/**
+ * Preço promocional de um produto: o preço agendado em vigor (ver
+ * price-schedule.js) com a melhor promoção automática, sem acumular promoções.
+ * @param {{category?: string, priceSchedule?: object|null}} product - Produto ou item do carrinho
+ * @param {number} [basePrice=product.price] - Preço original (ex.: da variação)
+ * @returns {{price: number, originalPrice: number, promotion: object|null}}
+ */
+export function getSalePrice(product, basePrice = product?.price) {
+    const originalPrice = Number(basePrice) || 0;
+    const scheduledPrice = getEffectivePrice(product, originalPrice);
+    let best = { price: scheduledPrice, originalPrice, promotion: null };
+
+    for (const promotion of automaticPromotions) {
+        if (promotion.type === 'buy2get3' || !isPromotionRunning(promotion) || !appliesTo(promotion, product)) {
+            continue;
+        }
+        const price = applyUnitDiscount(promotion, scheduledPrice);
+        if (price < best.price) {
+            best = { price, originalPrice, promotion };
+        }
+    }
+    return best;
+}
+
+/**
+ * Promoção "compre 2 leve 3" automática que vale para o produto.
+ * @param {{category?: string}} product
+ * @returns {object|null}
+ */
+function getBundlePromotion(product) {
+    return automaticPromotions.find(promotion =>
+        promotion.type === 'buy2get3' && isPromotionRunning(promotion) && appliesTo(promotion, product)
+    ) || null;
+}
+
+/**
+ * Texto curto do selo da promoção (ex.: "-20%", "-R$ 10,00", "Leve 3, pague 2").
+ * @param {object} promotion
+ * @returns {string}
+ */
+export function getPromotionLabel(promotion) {
+    switch (promotion.type) {
+        case 'buy2get3':
+            return 'Leve 3, pague 2';
+        case 'fixed':
+            return `-${formatPrice(promotion.value)}`;
+        default:
+            return `-${promotion.value}%`;
+    }
+}
+
+/**
+ * Desconto do "compre 2 leve 3": a cada 3 unidades, a mais barata sai de graça.
+ * @param {Array} items - Itens { price, quantity }
+ * @returns {number}
+ */
+function getBundleDiscount(items) {
+    const units = items
+        .flatMap(item => Array.from({ length: item.quantity }, () => item.price))
+        .sort((a, b) => b - a);
+    const free = Math.floor(units.length / 3);
+    return roundCents(units.slice(units.length - free).reduce((sum, price) => sum + price, 0));
+}
+
+/**
+ * Desconto do cupom sobre o carrinho (já com os preços promocionais).
+ * @param {object} coupon - Promoção do cupom
+ * @param {Array} items - Itens com preço promocional
+ * @param {number} amount - Valor sobre o qual o cupom incide
+ * @returns {number}
+ */
+function getCouponDiscount(coupon, items, amount) {
+    const eligible = items.filter(item => appliesTo(coupon, item));
+    let discount;
+    switch (coupon.type) {
+        case 'fixed':
+            discount = coupon.value;
+            break;
+        case 'category':
+            discount = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0) * coupon.value / 100;
+            break;
+        case 'buy2get3':
+            discount = getBundleDiscount(eligible);
+            break;
+        default:
+            discount = amount * coupon.value / 100;
+    }
+    return roundCents(Math.min(amount, Math.max(0, discount)));
+}
+
+/**
+ * Calcula os valores do carrinho: preço promocional de cada item, descontos
+ * ("leve 3" automático e cupom) e total.
+ * @param {Array} items - Itens do carrinho (preço original)
+ * @param {object|null} [coupon] - Promoção do cupom aplicado (retorno de findCoupon)
+ * @returns {{items: Array, subtotal: number, discounts: Array<{label: string, amount: number}>, couponCode: string, total: number}}
+ */
+export function priceCart(items, coupon = null) {
+    const pricedItems = items.map(item => {
+        const sale = getSalePrice(item, item.price);
+        return { ...item, price: sale.price, originalPrice: sale.originalPrice };
+    });
+    const subtotal = roundCents(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+    const discounts = [];
+    const bundles = automaticPromotions.filter(promotion =>
+        promotion.type === 'buy2get3' && isPromotionRunning(promotion)
+    );
+    for (const promotion of bundles) {
+        const amount = getBundleDiscount(pricedItems.filter(item => appliesTo(promotion, item)));
+        if (amount > 0) {
+            discounts.push({ label: promotion.name || getPromotionLabel(promotion), amount });
+        }
+    }
+
+    let couponCode = '';
+    if (coupon && isPromotionRunning(coupon)) {
+        const remaining = subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+        const amount = getCouponDiscount(coupon, pricedItems, remaining);
+        if (amount > 0) {
+            couponCode = coupon.couponCode;
+            discounts.push({ label: `Cupom ${coupon.couponCode}`, amount });
+        }
+    }
+
+    const totalDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    return {
+        items: pricedItems,
+        subtotal,
+        discounts,
+        couponCode,
+        total: roundCents(Math.max(0, subtotal - totalDiscount))
+    };
+}
+
+/**
+ * Preenche o elemento de preço: original riscado e preço promocional,
+ * ou apenas o preço quando não há promoção.
+ * @param {HTMLElement} element
+ * @param {object} product - Produto do catálogo
+ * @param {number} [basePrice=product.price] - Preço original (ex.: da variação)
+ * @param {object} [options]
+ * @param {string} [options.prefix=''] - Texto antes do preço (ex.: "A partir de ")
+ */
+export function renderPrice(element, product, basePrice = product.price, { prefix = '' } = {}) {
+    const { price, originalPrice } = getSalePrice(product, basePrice);
+    const onSale = price < originalPrice;
+    element.classList.toggle('on-sale', onSale);
+
+    // Sem desconto (ou com aumento agendado): só o preço em vigor
+    if (!onSale) {
+        element.textContent = `${prefix}R$ ${price.toFixed(2)}`;
+        return;
+    }
+
+    const original = document.createElement('del');
+    original.className = 'price-original';
+    const originalLabel = document.createElement('span');
+    originalLabel.className = 'visually-hidden';
+    originalLabel.textContent = 'De ';
+    original.append(originalLabel, `R$ ${originalPrice.toFixed(2)}`);
+
+    const sale = document.createElement('span');
+    sale.className = 'price-sale';
+    const saleLabel = document.createElement('span');
+    saleLabel.className = 'visually-hidden';
+    saleLabel.textContent = 'por ';
+    sale.append(saleLabel, `R$ ${price.toFixed(2)}`);
+
+    element.replaceChildren(prefix, original, ' ', sale);
+}
+
+/**
+ * Cria o selo de promoção do produto (ou null sem desconto em vigor).
+ * @param {object} product - Produto do catálogo
+ * @returns {HTMLSpanElement|null}
+ */
+export function createSaleBadge(product) {
+    const sale = getSalePrice(product);
+    const promotion = sale.promotion || getBundlePromotion(product);
+
+    const badge = document.createElement('span');
+    badge.className = 'sale-badge';
+    if (promotion) {
+        badge.classList.toggle('bundle', promotion.type === 'buy2get3');
+        badge.textContent = getPromotionLabel(promotion);
+        if (promotion.name) badge.title = promotion.name;
+    } else if (sale.price < sale.originalPrice) {
+        // Oferta agendada no painel (sem promoção cadastrada)
+        badge.textContent = `-${Math.round((1 - sale.price / sale.originalPrice) * 100)}%`;
+    } else {
+        return null;
+    }
+    return badge;
+}
@@ -0,0 +1,109 @@
+/**
+ * Módulo PWA
+ * Registra o service worker (/sw.js) e avisa quando há uma nova versão do site.
+ * A nova versão só assume a página quando o visitante clica em "Atualizar",
+ * para não trocar os arquivos no meio de uma navegação.
+ */
+
+import { debugLog, debugError } from '../utils/debug.js';
+
+const SERVICE_WORKER_URL = '/sw.js';
+const UPDATE_PROMPT_ID = 'update-prompt';
+
+/**
+ * Mostra o aviso de nova versão (uma única vez).
+ * @param {ServiceWorker} worker - Service worker instalado e aguardando
+ */
+function showUpdatePrompt(worker) {
+    if (document.getElementById(UPDATE_PROMPT_ID)) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = UPDATE_PROMPT_ID;
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.setAttribute('aria-live', 'polite');
+
+    const message = document.createElement('p');
+    message.className = 'update-prompt__message';
+    message.textContent = 'Uma nova versão do site está disponível.';
+
+    const updateButton = document.createElement('button');
+    updateButton.type = 'button';
+    updateButton.className = 'update-prompt__button';
+    updateButton.textContent = 'Atualizar';
+    updateButton.addEventListener('click', () => {
+        updateButton.disabled = true;
+        // O reload acontece em controllerchange, quando a nova versão assume
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'update-prompt__dismiss';
+    dismissButton.setAttribute('aria-label', 'Fechar aviso de atualização');
+    dismissButton.textContent = '×';
+    dismissButton.addEventListener('click', () => prompt.remove());
+
+    prompt.append(message, updateButton, dismissButton);
+    document.body.appendChild(prompt);
+}
+
+/**
+ * Acompanha a instalação de uma nova versão do service worker.
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+    // Nova versão instalada em uma visita anterior
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            // Sem controller é a primeira instalação: não há versão antiga a substituir
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                debugLog('Nova versão do service worker instalada');
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+
+    // Abas que ficam abertas por muito tempo também descobrem novas versões
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(error => debugError('Falha ao verificar atualização:', error));
+        }
+    });
+}
+
+/**
+ * Registra o service worker do site (cache offline e instalação como app).
+ * Ignorado em navegadores sem suporte e fora de contexto seguro (HTTPS/localhost).
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !globalThis.isSecureContext) {
+        debugLog('Service worker indisponível neste navegador');
+        return;
+    }
+
+    // Recarrega uma única vez quando a nova versão assume a página
+    // (na primeira visita o service worker assume sem recarregar)
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        globalThis.location.reload();
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' });
+        debugLog('Service worker registrado:', registration.scope);
+        watchForUpdates(registration);
+    } catch (error) {
+        debugError('Falha ao registrar o service worker:', error);
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Módulo de Encomenda Personalizada
+ * Formulário de pedido de orçamento com imagens de referência.
+ *
+ * Os pedidos ficam na coleção "quoteRequests" com status "new" e as imagens em
+ * quoteRequests/{id}/{n}.{ext} no Storage (visíveis apenas no painel,
+ * admin/quotes.html, onde o pedido é respondido e convertido em pedido).
+ */
+
+import { debugLog, debugError } from '../utils/debug.js';
+import { loadStorageSdk } from '../utils/storage-sdk.js';
+import { isOffline } from './offline-status.js';
+
+// Limites do formulário (os mesmos de firestore.rules e storage.rules)
+const MAX_NAME_LENGTH = 80;
+const MAX_CONTACT_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_BUDGET = 100000;
+const MAX_IMAGES = 3;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * Data de hoje no formato do <input type="date"> (AAAA-MM-DD, horário local).
+ * @returns {string}
+ */
+function getToday() {
+    const now = new Date();
+    const offset = now.getTimezoneOffset() * 60000;
+    return new Date(now.getTime() - offset).toISOString().slice(0, 10);
+}
+
+/**
+ * Valida as imagens de referência (quantidade, tipo e tamanho).
+ * @param {File[]} images
+ * @returns {string|null} Mensagem de erro ou null se válidas
+ */
+function validateImages(images) {
+    if (images.length > MAX_IMAGES) {
+        return `Envie no máximo ${MAX_IMAGES} imagens.`;
+    }
+    for (const image of images) {
+        if (!IMAGE_EXTENSIONS[image.type]) {
+            return `"${image.name}" deve ser JPG, PNG, WebP ou GIF.`;
+        }
+        if (image.size > MAX_IMAGE_SIZE) {
+            return `"${image.name}" tem mais de ${MAX_IMAGE_SIZE / 1024 / 1024}MB.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Valida os dados do formulário de encomenda.
+ * @param {{name: string, contact: string, description: string, desiredDate: string, budget: number|null, images: File[]}} request
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+export function validateQuoteRequest({ name, contact, description, desiredDate, budget, images }) {
+    if (!name.trim()) {
+        return 'Informe seu nome.';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `O nome pode ter no máximo ${MAX_NAME_LENGTH} caracteres.`;
+    }
+    if (!contact.trim()) {
+        return 'Informe um WhatsApp ou e-mail para respondermos.';
+    }
+    if (contact.trim().length > MAX_CONTACT_LENGTH) {
+        return `O contato pode ter no máximo ${MAX_CONTACT_LENGTH} caracteres.`;
+    }
+    if (!description.trim()) {
+        return 'Descreva a peça que você deseja.';
+    }
+    if (description.trim().length > MAX_DESCRIPTION_LENGTH) {
+        return `A descrição pode ter no máximo ${MAX_DESCRIPTION_LENGTH} caracteres.`;
+    }
+    if (desiredDate && (!/^\d{4}-\d{2}-\d{2}$/.test(desiredDate) || desiredDate < getToday())) {
+        return 'Escolha uma data a partir de hoje.';
+    }
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0 || budget > MAX_BUDGET)) {
+        return 'Informe um orçamento válido.';
+    }
+    return validateImages(images);
+}
+
+/**
+ * Caminhos das imagens de referência: quoteRequests/{requestId}/{n}.{ext}.
+ * @param {string} requestId
+ * @param {File[]} images
+ * @returns {string[]}
+ */
+function getReferenceImagePaths(requestId, images) {
+    return images.map((image, index) => `quoteRequests/${requestId}/${index}.${IMAGE_EXTENSIONS[image.type]}`);
+}
+
+/**
+ * Envia as imagens de referência para os caminhos gravados no pedido
+ * (storage.rules só aceita arquivos listados em imagePaths de um pedido existente).
+ * O endereço público não é gerado: só o painel (autenticado) lê as imagens.
+ * @param {string[]} paths - Retorno de getReferenceImagePaths
+ * @param {File[]} images
+ */
+async function uploadReferenceImages(paths, images) {
+    if (images.length === 0) return;
+    await loadStorageSdk();
+
+    await Promise.all(images.map((image, index) =>
+        firebase.storage().ref(paths[index]).put(image, { contentType: image.type })
+    ));
+}
+
+/**
+ * Registra um pedido de orçamento (status "new") e depois envia as imagens.
+ * @param {{name: string, contact: string, description: string, desiredDate: string, budget: number|null, images: File[]}} request
+ * @returns {Promise<{code: string, imagesSent: boolean}>} Código do pedido (ex.: "A1B2C3")
+ *   e se as imagens foram enviadas (o pedido fica registrado mesmo sem elas)
+ * @throws {Error} Dados inválidos ou falha na gravação do pedido
+ */
+export async function submitQuoteRequest(request) {
+    const error = validateQuoteRequest(request);
+    if (error) throw new Error(error);
+    if (typeof firebase === 'undefined' || !firebase.firestore) {
+        throw new Error('Firebase não está configurado');
+    }
+
+    const ref = firebase.firestore().collection('quoteRequests').doc();
+    const code = ref.id.slice(0, 6).toUpperCase();
+    const imagePaths = getReferenceImagePaths(ref.id, request.images);
+
+    await ref.set({
+        code,
+        customer: {
+            name: request.name.trim(),
+            contact: request.contact.trim()
+        },
+        description: request.description.trim(),
+        desiredDate: request.desiredDate || '',
+        budget: request.budget,
+        imagePaths,
+        status: 'new',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    debugLog('Pedido de orçamento registrado:', code);
+
+    try {
+        await uploadReferenceImages(imagePaths, request.images);
+        return { code, imagesSent: true };
+    } catch (uploadError) {
+        debugError('Erro ao enviar imagens do pedido de orçamento:', uploadError);
+        return { code, imagesSent: false };
+    }
+}
+
+/**
+ * Lista os arquivos escolhidos abaixo do campo de imagens.
+ * @param {HTMLElement} list
+ * @param {File[]} images
+ */
+function renderImageList(list, images) {
+    list.replaceChildren(...images.map((image) => {
+        const item = document.createElement('li');
+        item.textContent = image.name;
+        return item;
+    }));
+}
+
+/**
+ * Dados do formulário no formato de submitQuoteRequest.
+ * @param {HTMLFormElement} form
+ * @param {HTMLInputElement} imagesInput
+ * @returns {object}
+ */
+function readForm(form, imagesInput) {
+    const data = new FormData(form);
+    const budget = String(data.get('budget') || '').trim();
+    return {
+        name: String(data.get('name') || ''),
+        contact: String(data.get('contact') || ''),
+        description: String(data.get('description') || ''),
+        desiredDate: String(data.get('desiredDate') || ''),
+        budget: budget === '' ? null : Number(budget.replace(',', '.')),
+        images: Array.from(imagesInput.files || [])
+    };
+}
+
+/**
+ * Inicializa o formulário de encomenda personalizada (página inicial).
+ * @param {object} dom - Referências DOM
+ */
+export function initQuoteRequestForm(dom) {
+    const { form, dateInput, imagesInput, imageList, message, submitButton } = dom.quote;
+    if (!form) return;
+
+    if (dateInput) dateInput.min = getToday();
+
+    const showMessage = (text, type) => {
+        message.textContent = text;
+        message.className = `quote-form-message ${type}`;
+        message.hidden = false;
+    };
+
+    // Avisa já na escolha dos arquivos (quantidade, tipo e tamanho)
+    imagesInput?.addEventListener('change', () => {
+        const images = Array.from(imagesInput.files || []);
+        renderImageList(imageList, images);
+        const error = validateImages(images);
+        if (error) {
+            showMessage(error, 'error');
+        } else {
+            message.hidden = true;
+        }
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (isOffline()) {
+            showMessage('Você está offline. Tente enviar seu pedido quando a conexão voltar.', 'error');
+            return;
+        }
+
+        const request = readForm(form, imagesInput);
+        const error = validateQuoteRequest(request);
+        if (error) {
+            showMessage(error, 'error');
+            return;
+        }
+
+        const label = submitButton.textContent;
+        submitButton.disabled = true;
+        submitButton.textContent = 'Enviando...';
+        try {
+            const { code, imagesSent } = await submitQuoteRequest(request);
+            form.reset();
+            renderImageList(imageList, []);
+            const message = imagesSent
+                ? `Recebemos seu pedido #${code}! Vamos responder pelo contato informado com o orçamento.`
+                : `Recebemos seu pedido #${code}, mas não conseguimos enviar as imagens. Vamos responder pelo contato informado e você pode enviá-las por lá.`;
+            showMessage(message, 'success');
+        } catch (submitError) {
+            debugError('Erro ao enviar pedido de orçamento:', submitError);
+            showMessage('Não foi possível enviar seu pedido. Tente novamente ou fale conosco pelo Instagram.', 'error');
+        } finally {
+            submitButton.disabled = false;
+            submitButton.textContent = label;
+        }
+    });
+}
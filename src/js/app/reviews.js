@@ -0,0 +1,600 @@
+/**
+ * Módulo de Avaliações
+ * Nota média dos produtos, avaliações aprovadas e envio de novas avaliações.
+ *
+ * As avaliações ficam na subcoleção products/{id}/reviews com status "pending"
+ * e só aparecem no site depois de aprovadas no painel (admin/reviews.html),
+ * que também grava a média no produto (ratingAverage / ratingCount).
+ * Assim os cards mostram a nota sem consultar as avaliações.
+ */
+
+import { debugLog, debugError } from '../utils/debug.js';
+import { loadStorageSdk } from '../utils/storage-sdk.js';
+import { isOffline } from './offline-status.js';
+
+export const MAX_RATING = 5;
+
+// Avaliações carregadas por vez no modal / página do produto
+const REVIEWS_PER_PAGE = 5;
+
+// Limites do formulário (os mesmos de firestore.rules e storage.rules)
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const PHOTO_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+// Endereço das fotos enviadas (getDownloadURL do Firebase Storage)
+const STORAGE_URL_PREFIX = 'https://firebasestorage.googleapis.com/v0/b/';
+
+/**
+ * Normaliza a nota média gravada no produto.
+ * @param {object} data - Documento do produto
+ * @returns {{average: number, count: number}} count 0 = sem avaliações aprovadas
+ */
+export function normalizeRating(data) {
+    const count = Number.isInteger(data?.ratingCount) && data.ratingCount > 0 ? data.ratingCount : 0;
+    const average = count && Number.isFinite(data.ratingAverage)
+        ? Math.min(MAX_RATING, Math.max(0, data.ratingAverage))
+        : 0;
+    return { average, count };
+}
+
+/**
+ * Nota com uma casa decimal (ex.: "4,5").
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatRating(value) {
+    return value.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Estrelas em texto (ex.: "★★★★☆"), arredondando para a estrela mais próxima.
+ * @param {number} value - Nota de 0 a 5
+ * @returns {string}
+ */
+export function getStars(value) {
+    const full = Math.min(MAX_RATING, Math.max(0, Math.round(value)));
+    return '★'.repeat(full) + '☆'.repeat(MAX_RATING - full);
+}
+
+/**
+ * Texto acessível da nota (ex.: "Nota 4,5 de 5 (12 avaliações)").
+ * @param {{average: number, count: number}} rating
+ * @returns {string}
+ */
+export function getRatingLabel(rating) {
+    const reviews = rating.count === 1 ? 'avaliação' : 'avaliações';
+    return `Nota ${formatRating(rating.average)} de ${MAX_RATING} (${rating.count} ${reviews})`;
+}
+
+/**
+ * Cria a nota exibida no card (ou null quando o produto não tem avaliações).
+ * @param {{average: number, count: number}} [rating] - product.rating
+ * @returns {HTMLDivElement|null}
+ */
+export function createRatingBadge(rating) {
+    if (!rating?.count) return null;
+
+    const badge = document.createElement('div');
+    badge.className = 'product-rating';
+    badge.setAttribute('role', 'img');
+    badge.setAttribute('aria-label', getRatingLabel(rating));
+
+    const stars = document.createElement('span');
+    stars.className = 'rating-stars';
+    stars.setAttribute('aria-hidden', 'true');
+    stars.textContent = getStars(rating.average);
+
+    const count = document.createElement('span');
+    count.className = 'rating-count';
+    count.setAttribute('aria-hidden', 'true');
+    count.textContent = `(${rating.count})`;
+
+    badge.append(stars, count);
+    return badge;
+}
+
+/**
+ * Verifica se o Firestore está disponível na página.
+ * @returns {boolean}
+ */
+function hasFirestore() {
+    return typeof firebase !== 'undefined' && Boolean(firebase.firestore);
+}
+
+/**
+ * Subcoleção de avaliações do produto.
+ * @param {string} productId
+ * @returns {object} CollectionReference
+ */
+function getReviewsCollection(productId) {
+    return firebase.firestore().collection('products').doc(String(productId)).collection('reviews');
+}
+
+/**
+ * Início do link das fotos das avaliações do produto no bucket do projeto.
+ * @param {string} productId
+ * @returns {string}
+ */
+function getPhotoUrlPrefix(productId) {
+    const bucket = firebase.app().options.storageBucket;
+    return `${STORAGE_URL_PREFIX}${bucket}/o/reviews%2F${encodeURIComponent(productId)}%2F`;
+}
+
+/**
+ * Dados de uma avaliação no formato usado pelo site.
+ * @param {object} doc - DocumentSnapshot
+ * @returns {{id: string, authorName: string, rating: number, text: string, photoUrl: string, createdAt: number}}
+ */
+function mapReviewData(doc) {
+    const data = doc.data();
+    const photoPrefix = getPhotoUrlPrefix(doc.ref.parent.parent.id);
+    return {
+        id: doc.id,
+        authorName: data.authorName || 'Cliente',
+        rating: Number(data.rating) || 0,
+        text: data.text || '',
+        // Apenas fotos do produto no Storage do projeto (o link é gravado pelo visitante)
+        photoUrl: String(data.photoUrl || '').startsWith(photoPrefix) ? data.photoUrl : '',
+        createdAt: data.createdAt?.toMillis?.() || 0
+    };
+}
+
+/**
+ * Busca as avaliações aprovadas do produto (mais recentes primeiro).
+ * @param {string} productId
+ * @param {object} [options]
+ * @param {object|null} [options.after] - Último documento da página anterior
+ * @returns {Promise<{reviews: Array, lastDoc: object|null, hasMore: boolean}>}
+ */
+export async function fetchApprovedReviews(productId, { after = null } = {}) {
+    let query = getReviewsCollection(productId)
+        .where('status', '==', 'approved')
+        .orderBy('createdAt', 'desc')
+        .limit(REVIEWS_PER_PAGE);
+
+    if (after) {
+        query = query.startAfter(after);
+    }
+
+    const snapshot = await query.get();
+    return {
+        reviews: snapshot.docs.map(mapReviewData),
+        lastDoc: snapshot.docs.at(-1) || null,
+        hasMore: snapshot.size === REVIEWS_PER_PAGE
+    };
+}
+
+/**
+ * Valida os dados do formulário de avaliação.
+ * @param {{authorName: string, rating: number, text: string, photo?: File|null}} review
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+export function validateReview({ authorName, rating, text, photo = null }) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+        return 'Escolha uma nota de 1 a 5 estrelas.';
+    }
+    if (!authorName.trim()) {
+        return 'Informe seu nome.';
+    }
+    if (authorName.trim().length > MAX_NAME_LENGTH) {
+        return `O nome pode ter no máximo ${MAX_NAME_LENGTH} caracteres.`;
+    }
+    if (!text.trim()) {
+        return 'Conte o que achou do produto.';
+    }
+    if (text.trim().length > MAX_TEXT_LENGTH) {
+        return `O comentário pode ter no máximo ${MAX_TEXT_LENGTH} caracteres.`;
+    }
+    if (photo) {
+        if (!PHOTO_EXTENSIONS[photo.type]) {
+            return 'A foto deve ser JPG, PNG ou WebP.';
+        }
+        if (photo.size > MAX_PHOTO_SIZE) {
+            return `A foto pode ter no máximo ${MAX_PHOTO_SIZE / 1024 / 1024}MB.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Envia a foto da avaliação para reviews/{productId}/{reviewId}.{ext}.
+ * @param {string} productId
+ * @param {string} reviewId
+ * @param {File} photo
+ * @returns {Promise<{photoUrl: string, photoPath: string}>}
+ */
+async function uploadReviewPhoto(productId, reviewId, photo) {
+    await loadStorageSdk();
+    const photoPath = `reviews/${productId}/${reviewId}.${PHOTO_EXTENSIONS[photo.type]}`;
+    const ref = firebase.storage().ref(photoPath);
+    await ref.put(photo, { contentType: photo.type });
+    const photoUrl = await ref.getDownloadURL();
+    return { photoUrl, photoPath };
+}
+
+/**
+ * Registra uma nova avaliação (pendente de aprovação).
+ * @param {string} productId
+ * @param {{authorName: string, rating: number, text: string, photo?: File|null}} review
+ * @returns {Promise<void>}
+ * @throws {Error} Dados inválidos ou falha na gravação
+ */
+export async function submitReview(productId, review) {
+    const error = validateReview(review);
+    if (error) throw new Error(error);
+    if (!hasFirestore()) throw new Error('Firebase não está configurado');
+
+    const ref = getReviewsCollection(productId).doc();
+    const photo = review.photo
+        ? await uploadReviewPhoto(String(productId), ref.id, review.photo)
+        : null;
+
+    await ref.set({
+        authorName: review.authorName.trim(),
+        rating: review.rating,
+        text: review.text.trim(),
+        ...photo,
+        status: 'pending',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    debugLog('Avaliação enviada para moderação:', productId, ref.id);
+}
+
+/**
+ * Data da avaliação (ex.: "12/03/2025").
+ * @param {number} millis
+ * @returns {string}
+ */
+function formatReviewDate(millis) {
+    return millis ? new Date(millis).toLocaleDateString('pt-BR') : '';
+}
+
+/**
+ * Resumo da nota do produto (média e total de avaliações).
+ * @param {{average: number, count: number}} rating
+ * @returns {HTMLDivElement}
+ */
+function createRatingSummary(rating) {
+    const summary = document.createElement('div');
+    summary.className = 'reviews-summary';
+
+    if (!rating?.count) {
+        const empty = document.createElement('p');
+        empty.className = 'reviews-empty';
+        empty.textContent = 'Este produto ainda não tem avaliações. Seja o primeiro a avaliar!';
+        summary.appendChild(empty);
+        return summary;
+    }
+
+    const average = document.createElement('span');
+    average.className = 'reviews-average';
+    average.textContent = formatRating(rating.average);
+
+    const stars = document.createElement('span');
+    stars.className = 'rating-stars';
+    stars.setAttribute('aria-hidden', 'true');
+    stars.textContent = getStars(rating.average);
+
+    const count = document.createElement('span');
+    count.className = 'reviews-count';
+    count.textContent = `${rating.count} ${rating.count === 1 ? 'avaliação' : 'avaliações'}`;
+
+    summary.append(average, stars, count);
+    return summary;
+}
+
+/**
+ * Item da lista de avaliações.
+ * @param {object} review - Retorno de mapReviewData
+ * @returns {HTMLLIElement}
+ */
+function createReviewItem(review) {
+    const item = document.createElement('li');
+    item.className = 'review-item';
+
+    const header = document.createElement('div');
+    header.className = 'review-header';
+
+    const author = document.createElement('strong');
+    author.className = 'review-author';
+    author.textContent = review.authorName;
+
+    const stars = document.createElement('span');
+    stars.className = 'rating-stars';
+    stars.setAttribute('role', 'img');
+    stars.setAttribute('aria-label', `Nota ${review.rating} de ${MAX_RATING}`);
+    stars.textContent = getStars(review.rating);
+
+    const date = document.createElement('time');
+    date.className = 'review-date';
+    if (review.createdAt) {
+        date.dateTime = new Date(review.createdAt).toISOString();
+    }
+    date.textContent = formatReviewDate(review.createdAt);
+
+    header.append(author, stars, date);
+
+    const text = document.createElement('p');
+    text.className = 'review-text';
+    text.textContent = review.text;
+
+    item.append(header, text);
+
+    if (review.photoUrl) {
+        const link = document.createElement('a');
+        link.className = 'review-photo';
+        link.href = review.photoUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+
+        const img = document.createElement('img');
+        img.src = review.photoUrl;
+        img.alt = `Foto enviada por ${review.authorName}`;
+        img.loading = 'lazy';
+        img.width = 120;
+        img.height = 120;
+
+        link.appendChild(img);
+        item.appendChild(link);
+    }
+
+    return item;
+}
+
+/**
+ * Campo de nota com 5 estrelas (radios).
+ * @param {string} idPrefix - Prefixo único dos IDs do formulário
+ * @returns {HTMLFieldSetElement}
+ */
+function createRatingField(idPrefix) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'review-rating-field';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Sua nota';
+    fieldset.appendChild(legend);
+
+    // Em ordem decrescente: o CSS usa "~" para acender as estrelas anteriores
+    for (let value = MAX_RATING; value >= 1; value--) {
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'rating';
+        input.value = String(value);
+        input.id = `${idPrefix}-rating-${value}`;
+        input.required = true;
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.title = `${value} ${value === 1 ? 'estrela' : 'estrelas'}`;
+        label.setAttribute('aria-label', label.title);
+        label.textContent = '★';
+
+        fieldset.append(input, label);
+    }
+
+    return fieldset;
+}
+
+/**
+ * Campo de texto com rótulo.
+ * @param {string} id
+ * @param {string} labelText
+ * @param {HTMLElement} control - input/textarea
+ * @returns {HTMLDivElement}
+ */
+function createField(id, labelText, control) {
+    const field = document.createElement('div');
+    field.className = 'review-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+
+    control.id = id;
+    field.append(label, control);
+    return field;
+}
+
+/**
+ * Formulário de nova avaliação (aberto pelo botão "Escrever uma avaliação").
+ * @param {HTMLElement} container - Área de avaliações
+ * @param {string} productId
+ * @returns {HTMLDivElement}
+ */
+function createReviewForm(container, productId) {
+    const idPrefix = container.id || 'reviews';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'review-form-wrapper';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn review-form-toggle';
+    toggle.textContent = 'Escrever uma avaliação';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', `${idPrefix}-form`);
+
+    const form = document.createElement('form');
+    form.className = 'review-form';
+    form.id = `${idPrefix}-form`;
+    form.hidden = true;
+    form.noValidate = true;
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.name = 'authorName';
+    name.maxLength = MAX_NAME_LENGTH;
+    name.autocomplete = 'name';
+    name.required = true;
+
+    const text = document.createElement('textarea');
+    text.name = 'text';
+    text.rows = 4;
+    text.maxLength = MAX_TEXT_LENGTH;
+    text.required = true;
+    text.placeholder = 'O que você achou da peça?';
+
+    const photo = document.createElement('input');
+    photo.type = 'file';
+    photo.name = 'photo';
+    photo.accept = Object.keys(PHOTO_EXTENSIONS).join(',');
+
+    const message = document.createElement('p');
+    message.className = 'review-form-message';
+    message.setAttribute('role', 'status');
+    message.hidden = true;
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn btn-buy';
+    submit.textContent = 'Enviar avaliação';
+
+    form.append(
+        createRatingField(idPrefix),
+        createField(`${idPrefix}-name`, 'Seu nome', name),
+        createField(`${idPrefix}-text`, 'Comentário', text),
+        createField(`${idPrefix}-photo`, 'Foto (opcional)', photo),
+        message,
+        submit
+    );
+
+    const showMessage = (textContent, type) => {
+        message.textContent = textContent;
+        message.className = `review-form-message ${type}`;
+        message.hidden = false;
+    };
+
+    toggle.addEventListener('click', () => {
+        form.hidden = !form.hidden;
+        toggle.setAttribute('aria-expanded', String(!form.hidden));
+        if (!form.hidden) {
+            form.querySelector('input[name="rating"]')?.focus();
+        }
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (isOffline()) {
+            showMessage('Você está offline. Tente enviar sua avaliação quando a conexão voltar.', 'error');
+            return;
+        }
+
+        const data = new FormData(form);
+        const review = {
+            authorName: String(data.get('authorName') || ''),
+            rating: Number(data.get('rating')),
+            text: String(data.get('text') || ''),
+            photo: photo.files[0] || null
+        };
+
+        const error = validateReview(review);
+        if (error) {
+            showMessage(error, 'error');
+            return;
+        }
+
+        submit.disabled = true;
+        submit.textContent = 'Enviando...';
+        try {
+            await submitReview(productId, review);
+            form.reset();
+            form.hidden = true;
+            toggle.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+            wrapper.querySelector('.review-form-success')?.remove();
+
+            const success = document.createElement('p');
+            success.className = 'review-form-success';
+            success.setAttribute('role', 'status');
+            success.textContent = 'Obrigado! Sua avaliação será publicada após a aprovação.';
+            wrapper.appendChild(success);
+        } catch (submitError) {
+            debugError('Erro ao enviar avaliação:', submitError);
+            showMessage('Não foi possível enviar sua avaliação. Tente novamente.', 'error');
+        } finally {
+            submit.disabled = false;
+            submit.textContent = 'Enviar avaliação';
+        }
+    });
+
+    wrapper.append(toggle, form);
+    return wrapper;
+}
+
+/**
+ * Carrega uma página de avaliações aprovadas na lista.
+ * Ignora a resposta se outro produto foi aberto enquanto carregava.
+ * @param {HTMLElement} container - Área de avaliações
+ * @param {string} productId
+ * @param {{list: HTMLUListElement, status: HTMLElement, more: HTMLButtonElement, lastDoc: object|null}} view
+ */
+async function loadReviewPage(container, productId, view) {
+    view.more.disabled = true;
+    try {
+        const page = await fetchApprovedReviews(productId, { after: view.lastDoc });
+        if (container.dataset.productId !== productId) return;
+
+        view.lastDoc = page.lastDoc;
+        view.list.append(...page.reviews.map(createReviewItem));
+        view.more.hidden = !page.hasMore;
+        view.status.hidden = true;
+    } catch (error) {
+        if (container.dataset.productId !== productId) return;
+        debugError('Erro ao carregar avaliações:', error);
+        view.status.textContent = 'Não foi possível carregar as avaliações.';
+        view.status.hidden = false;
+    } finally {
+        view.more.disabled = false;
+    }
+}
+
+/**
+ * Preenche a área de avaliações do modal ou da página do produto:
+ * nota média, avaliações aprovadas (paginadas) e formulário de envio.
+ * @param {HTMLElement|null} container - Elemento que recebe as avaliações
+ * @param {object} product - Produto exibido
+ */
+export function renderReviews(container, product) {
+    if (!container) return;
+
+    const productId = String(product.id);
+    container.dataset.productId = productId;
+
+    const list = document.createElement('ul');
+    list.className = 'review-list';
+
+    const status = document.createElement('p');
+    status.className = 'reviews-status';
+    status.hidden = true;
+
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'btn reviews-more';
+    more.textContent = 'Ver mais avaliações';
+    more.hidden = true;
+
+    container.replaceChildren(
+        createRatingSummary(product.rating),
+        list,
+        status,
+        more,
+        createReviewForm(container, productId)
+    );
+
+    if (!product.rating?.count) return;
+
+    if (isOffline() || !hasFirestore()) {
+        status.textContent = 'As avaliações aparecem quando houver conexão.';
+        status.hidden = false;
+        return;
+    }
+
+    const view = { list, status, more, lastDoc: null };
+    more.addEventListener('click', () => loadReviewPage(container, productId, view));
+    void loadReviewPage(container, productId, view);
+}
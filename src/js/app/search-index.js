@@ -0,0 +1,254 @@
+/**
+ * Módulo de Índice de Busca
+ * Busca no catálogo sem acentos, por prefixo e tolerante a erros de digitação,
+ * com ranking pelo campo onde o termo aparece (nome > categoria > variações > descrição)
+ */
+
+import { debugLog } from '../utils/debug.js';
+
+// Peso de cada campo no ranking
+const FIELD_WEIGHTS = {
+    name: 5,
+    category: 3,
+    variants: 2,
+    description: 1
+};
+
+// Qualidade de cada tipo de correspondência
+const MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.5
+};
+
+// Termos muito comuns ignorados na consulta e no índice
+const STOPWORDS = new Set(['a', 'o', 'as', 'os', 'e', 'de', 'da', 'do', 'das', 'dos', 'com', 'para', 'em', 'um', 'uma']);
+
+// Tamanho mínimo do termo para busca por prefixo e por aproximação
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// Índice do último catálogo (reconstruído quando a lista de produtos muda)
+let indexedProducts = null;
+let currentIndex = null;
+
+/**
+ * Remove acentos e converte para minúsculas ("Crochê" → "croche").
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replaceAll(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Separa o texto em termos normalizados, sem stopwords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return normalizeText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOPWORDS.has(token));
+}
+
+/**
+ * Distância de edição (Damerau-Levenshtein restrita: inversão de duas letras
+ * vizinhas conta como um erro) com limite: retorna max + 1 assim que a
+ * distância certamente ultrapassa o limite.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Distância máxima de interesse
+ * @returns {number}
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Erros de digitação tolerados conforme o tamanho do termo.
+ * @param {string} term
+ * @returns {number}
+ */
+function allowedTypos(term) {
+    if (term.length < MIN_FUZZY_LENGTH) return 0;
+    return term.length >= 7 ? 2 : 1;
+}
+
+/**
+ * Texto de cada campo indexado de um produto.
+ * @param {object} product
+ * @returns {Object<string, string>}
+ */
+function getFieldTexts(product) {
+    return {
+        name: product.name,
+        category: product.category,
+        variants: (product.variants || [])
+            .map(v => [v.size, v.color, v.material].join(' '))
+            .join(' '),
+        description: product.description
+    };
+}
+
+/**
+ * Constrói o índice invertido: termo → (produto → maior peso de campo).
+ * @param {Array} products - Catálogo
+ * @returns {{terms: Map<string, Map<string, number>>, products: Map<string, object>}}
+ */
+export function buildSearchIndex(products) {
+    const terms = new Map();
+    const byId = new Map();
+
+    for (const product of products) {
+        const id = String(product.id);
+        byId.set(id, product);
+
+        for (const [field, text] of Object.entries(getFieldTexts(product))) {
+            const weight = FIELD_WEIGHTS[field];
+            for (const token of tokenize(text)) {
+                if (!terms.has(token)) terms.set(token, new Map());
+                const postings = terms.get(token);
+                postings.set(id, Math.max(postings.get(id) || 0, weight));
+            }
+        }
+    }
+
+    debugLog('Índice de busca:', byId.size, 'produtos,', terms.size, 'termos');
+    return { terms, products: byId };
+}
+
+/**
+ * Termos do índice que correspondem a um termo da consulta, com a qualidade da correspondência.
+ * @param {Map} terms - Termos do índice
+ * @param {string} queryTerm - Termo normalizado da consulta
+ * @returns {Array<{term: string, quality: number}>}
+ */
+function matchTerm(terms, queryTerm) {
+    const matches = [];
+    const typos = allowedTypos(queryTerm);
+
+    for (const term of terms.keys()) {
+        if (term === queryTerm) {
+            matches.push({ term, quality: MATCH_QUALITY.exact });
+        } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+            matches.push({ term, quality: MATCH_QUALITY.prefix });
+        } else if (typos > 0) {
+            // Compara também com o início do termo ("crohce" encontra "crocheteira")
+            const candidate = term.length > queryTerm.length + typos
+                ? term.slice(0, queryTerm.length)
+                : term;
+            if (editDistance(queryTerm, candidate, typos) <= typos) {
+                matches.push({ term, quality: MATCH_QUALITY.fuzzy });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Busca no índice. Todos os termos da consulta precisam aparecer no produto.
+ * @param {{terms: Map, products: Map}} index - Retorno de buildSearchIndex
+ * @param {string} query - Texto digitado
+ * @returns {Array<{product: object, score: number, matchedTerms: Set<string>}>} Resultados ordenados por relevância
+ */
+export function searchIndex(index, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    // produto → { score, matchedTerms, termsHit }
+    const results = new Map();
+
+    for (const queryTerm of queryTerms) {
+        const bestPerProduct = new Map();
+
+        for (const { term, quality } of matchTerm(index.terms, queryTerm)) {
+            for (const [id, weight] of index.terms.get(term)) {
+                const entry = bestPerProduct.get(id) || { score: 0, terms: [] };
+                entry.score = Math.max(entry.score, weight * quality);
+                entry.terms.push(term);
+                bestPerProduct.set(id, entry);
+            }
+        }
+
+        for (const [id, { score, terms }] of bestPerProduct) {
+            const result = results.get(id) || { score: 0, matchedTerms: new Set(), termsHit: 0 };
+            result.score += score;
+            result.termsHit++;
+            for (const term of terms) result.matchedTerms.add(term);
+            results.set(id, result);
+        }
+    }
+
+    return [...results.entries()]
+        .filter(([, result]) => result.termsHit === queryTerms.length)
+        .map(([id, { score, matchedTerms }]) => ({ product: index.products.get(id), score, matchedTerms }))
+        .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name, 'pt-BR'));
+}
+
+/**
+ * Busca produtos reaproveitando o índice enquanto o catálogo não muda.
+ * @param {Array} products - Catálogo atual
+ * @param {string} query - Texto digitado
+ * @returns {Array<{product: object, score: number, matchedTerms: Set<string>}>}
+ */
+export function searchProducts(products, query) {
+    if (products !== indexedProducts) {
+        currentIndex = buildSearchIndex(products);
+        indexedProducts = products;
+    }
+    return searchIndex(currentIndex, query);
+}
+
+/**
+ * Preenche um elemento com o texto, destacando em <mark> as palavras
+ * encontradas pela busca (sem innerHTML).
+ * @param {HTMLElement} element - Elemento de destino
+ * @param {string} text - Texto original
+ * @param {Set<string>} [matchedTerms] - Termos normalizados a destacar
+ */
+export function setHighlightedText(element, text, matchedTerms) {
+    if (!matchedTerms?.size) {
+        element.textContent = text;
+        return;
+    }
+
+    element.replaceChildren();
+    let lastIndex = 0;
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (!matchedTerms.has(normalizeText(match[0]))) continue;
+
+        if (match.index > lastIndex) {
+            element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        element.appendChild(mark);
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        element.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
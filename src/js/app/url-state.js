@@ -0,0 +1,84 @@
+/**
+ * Módulo de Estado na URL
+ * Categorias, busca, ordenação, produto aberto e lista de favoritos
+ * compartilhada nos parâmetros da URL, para que links possam ser
+ * compartilhados e o voltar/avançar funcione
+ */
+
+import { debugLog } from '../utils/debug.js';
+
+// Nome de cada parâmetro na URL (ex.: produtos.html?categoria=quadros&produto=abc123)
+export const URL_PARAMS = {
+    categories: 'categoria',
+    search: 'busca',
+    sort: 'ordem',
+    productId: 'produto',
+    // Lista de favoritos compartilhada (ver wishlist.js)
+    favorites: 'favoritos'
+};
+
+/**
+ * Lê o estado da URL atual.
+ * @returns {{categories: string[], search: string, sort: string|null, productId: string|null, favorites: string[]}}
+ */
+export function readUrlState() {
+    const params = new URLSearchParams(globalThis.location.search);
+    return {
+        categories: (params.get(URL_PARAMS.categories) || '')
+            .split(',')
+            .map(slug => slug.trim())
+            .filter(Boolean),
+        search: (params.get(URL_PARAMS.search) || '').trim(),
+        sort: params.get(URL_PARAMS.sort) || null,
+        productId: params.get(URL_PARAMS.productId) || null,
+        favorites: [...new Set((params.get(URL_PARAMS.favorites) || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean))]
+    };
+}
+
+/**
+ * Monta a URL com as alterações aplicadas sobre os parâmetros atuais.
+ * Valores vazios removem o parâmetro.
+ * @param {object} changes - Campos de readUrlState a alterar
+ * @returns {string}
+ */
+function buildUrl(changes) {
+    const url = new URL(globalThis.location.href);
+
+    for (const [key, value] of Object.entries(changes)) {
+        const param = URL_PARAMS[key];
+        if (!param) continue;
+
+        const serialized = Array.isArray(value) ? value.join(',') : (value ?? '');
+        if (serialized === '') {
+            url.searchParams.delete(param);
+        } else {
+            url.searchParams.set(param, serialized);
+        }
+    }
+
+    return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Atualiza a URL sem recarregar a página.
+ * @param {object} changes - Campos de readUrlState a alterar
+ * @param {object} [options]
+ * @param {boolean} [options.push=false] - true cria uma entrada no histórico (voltar/avançar);
+ *   false substitui a atual (ex.: enquanto o usuário digita a busca)
+ * @param {object} [options.state] - Dados extras guardados em history.state
+ */
+export function updateUrl(changes, { push = false, state = {} } = {}) {
+    const nextUrl = buildUrl(changes);
+    const currentUrl = `${globalThis.location.pathname}${globalThis.location.search}${globalThis.location.hash}`;
+    if (nextUrl === currentUrl) return;
+
+    if (push) {
+        globalThis.history.pushState(state, '', nextUrl);
+    } else {
+        globalThis.history.replaceState({ ...globalThis.history.state, ...state }, '', nextUrl);
+    }
+    debugLog('URL atualizada:', nextUrl);
+}
@@ -0,0 +1,130 @@
+/**
+ * Módulo de Variações de Produto
+ * Tamanho, cor e material com preço, estoque e imagem próprios por variação
+ */
+
+// Atributos suportados, na ordem em que aparecem nos seletores
+export const VARIANT_ATTRIBUTES = [
+    { key: 'size', label: 'Tamanho' },
+    { key: 'color', label: 'Cor' },
+    { key: 'material', label: 'Material' }
+];
+
+/**
+ * Normaliza as variações vindas do Firestore.
+ * Variações sem nenhum atributo preenchido são descartadas.
+ * @param {Array} rawVariants - Campo "variants" do documento
+ * @param {number} basePrice - Preço do produto (usado quando a variação não tem preço)
+ * @returns {Array<{id: string, size: string, color: string, material: string, price: number, stock: number|null, image: string}>}
+ */
+export function normalizeVariants(rawVariants, basePrice = 0) {
+    if (!Array.isArray(rawVariants)) return [];
+
+    return rawVariants
+        .map((variant, index) => ({
+            id: String(variant?.id || index),
+            size: variant?.size || '',
+            color: variant?.color || '',
+            material: variant?.material || '',
+            price: Number(variant?.price) || Number(basePrice) || 0,
+            stock: Number.isInteger(variant?.stock) ? variant.stock : null,
+            image: variant?.image || ''
+        }))
+        .filter(variant => VARIANT_ATTRIBUTES.some(({ key }) => variant[key]));
+}
+
+/**
+ * @param {object} product
+ * @returns {boolean} true se o produto tem variações
+ */
+export function hasVariants(product) {
+    return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * Atributos usados por pelo menos uma variação do produto, com seus valores distintos.
+ * @param {object} product
+ * @returns {Array<{key: string, label: string, values: string[]}>}
+ */
+export function getVariantOptions(product) {
+    if (!hasVariants(product)) return [];
+
+    return VARIANT_ATTRIBUTES
+        .map(({ key, label }) => ({
+            key,
+            label,
+            values: [...new Set(product.variants.map(v => v[key]).filter(Boolean))]
+        }))
+        .filter(option => option.values.length > 0);
+}
+
+/**
+ * Encontra a variação correspondente à seleção atual.
+ * @param {object} product
+ * @param {Object<string, string>} selection - Ex.: { size: 'M', color: 'Azul' }
+ * @returns {object|null}
+ */
+export function findVariant(product, selection) {
+    if (!hasVariants(product)) return null;
+    return product.variants.find(variant =>
+        VARIANT_ATTRIBUTES.every(({ key }) => (variant[key] || '') === (selection[key] || ''))
+    ) || null;
+}
+
+/**
+ * Busca uma variação pelo ID.
+ * @param {object} product
+ * @param {string} variantId
+ * @returns {object|null}
+ */
+export function getVariantById(product, variantId) {
+    if (!hasVariants(product) || variantId === undefined || variantId === '') return null;
+    return product.variants.find(v => v.id === String(variantId)) || null;
+}
+
+/**
+ * Descrição curta da variação (ex.: "M / Azul / Algodão").
+ * @param {object} variant
+ * @returns {string}
+ */
+export function getVariantLabel(variant) {
+    if (!variant) return '';
+    return VARIANT_ATTRIBUTES.map(({ key }) => variant[key]).filter(Boolean).join(' / ');
+}
+
+/**
+ * Menor e maior preço entre as variações (ou o preço do produto).
+ * @param {object} product
+ * @returns {{min: number, max: number}}
+ */
+export function getPriceRange(product) {
+    if (!hasVariants(product)) {
+        const price = Number(product?.price) || 0;
+        return { min: price, max: price };
+    }
+    const prices = product.variants.map(v => v.price);
+    return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Monta o item de carrinho de uma variação. O ID combina produto e variação
+ * para que cores/tamanhos diferentes fiquem em linhas separadas.
+ * @param {object} product - Produto do catálogo
+ * @param {object} variant - Variação escolhida
+ * @returns {object} Produto no formato aceito por addToCart
+ */
+export function toCartProduct(product, variant) {
+    if (!variant) return product;
+
+    const label = getVariantLabel(variant);
+    return {
+        ...product,
+        id: `${product.id}:${variant.id}`,
+        productId: String(product.id),
+        variantId: variant.id,
+        variantLabel: label,
+        name: `${product.name} (${label})`,
+        price: variant.price,
+        image: variant.image || product.image || product.images?.[0] || ''
+    };
+}
@@ -0,0 +1,323 @@
+/**
+ * Módulo da Seção "Meus Favoritos"
+ * Lista os favoritos do visitante (ou a lista recebida por link) na página de
+ * produtos, com compartilhamento do link e pedido de orçamento pelo WhatsApp
+ */
+
+import * as Wishlist from './wishlist.js';
+import * as Checkout from './checkout.js';
+import * as UrlState from './url-state.js';
+import { createProductCard, fetchProductById } from './products.js';
+import { SITE_NAME } from './product-seo.js';
+import { getSalePrice } from './promotions.js';
+import { debugLog, debugError } from '../utils/debug.js';
+import { formatPrice } from '../utils/functions.js';
+
+// Seção aberta com os favoritos do visitante (sharedIds = null) ou com uma lista recebida por link
+const view = {
+    open: false,
+    sharedIds: null,
+    // Produtos exibidos (os que ainda não foram carregados pelo catálogo)
+    products: new Map(),
+    // Descarta buscas de uma abertura anterior
+    requestId: 0
+};
+
+/**
+ * Produto exibido na seção, para os botões dos cards (modal e carrinho)
+ * quando ele não está entre os carregados pelo catálogo.
+ * @param {string} productId
+ * @returns {object|null}
+ */
+export function getListedProduct(productId) {
+    return view.products.get(String(productId)) || null;
+}
+
+/**
+ * IDs exibidos: a lista recebida por link ou os favoritos do visitante.
+ * @returns {string[]}
+ */
+function getListedIds() {
+    return view.sharedIds || Wishlist.getFavoriteIds();
+}
+
+/**
+ * Busca os produtos da lista, aproveitando os já carregados pelo catálogo.
+ * Produtos removidos ou desativados ficam de fora.
+ * @param {object} state - Estado da aplicação (state.products)
+ * @param {string[]} ids
+ * @returns {Promise<Array>}
+ */
+async function resolveProducts(state, ids) {
+    const loaded = new Map(state.products.map(p => [String(p.id), p]));
+    const products = await Promise.all(ids.map(id =>
+        loaded.get(id) || view.products.get(id) || fetchProductById(id)
+    ));
+    return products.filter(Boolean);
+}
+
+/**
+ * Mensagem abaixo do título (vazia esconde).
+ * @param {object} dom - Referências DOM
+ * @param {string} message
+ */
+function setStatus(dom, message) {
+    if (dom.favorites.status) {
+        dom.favorites.status.textContent = message;
+    }
+}
+
+/**
+ * Texto de quantidade de produtos (ex.: "1 produto", "3 produtos").
+ * @param {number} count
+ * @returns {string}
+ */
+function formatCount(count) {
+    return `${count} ${count === 1 ? 'produto' : 'produtos'}`;
+}
+
+/**
+ * Atualiza o contador do botão "Meus Favoritos".
+ * @param {object} dom - Referências DOM
+ */
+function renderCount(dom) {
+    const count = Wishlist.getFavoriteCount();
+    if (dom.favorites.count) {
+        dom.favorites.count.textContent = `(${count})`;
+    }
+    dom.favorites.toggle?.setAttribute('aria-label', count === 0
+        ? 'Meus Favoritos (nenhum produto)'
+        : `Meus Favoritos (${formatCount(count)})`);
+}
+
+/**
+ * Renderiza os cards da lista e os botões de ação.
+ * @param {object} dom - Referências DOM
+ * @param {Array} products
+ */
+function renderList(dom, products) {
+    const { container, title, saveButton, shareButton, quoteButton } = dom.favorites;
+    const shared = Boolean(view.sharedIds);
+
+    // O foco estava em um card removido (ex.: coração desmarcado): vai para o título
+    const lostFocus = container.contains(document.activeElement);
+
+    view.products = new Map(products.map(p => [String(p.id), p]));
+    container.replaceChildren(...products.map((product, index) => createProductCard(product, index)));
+
+    if (products.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'no-results';
+        empty.textContent = shared
+            ? 'Os produtos desta lista não estão mais disponíveis.'
+            : 'Você ainda não tem favoritos. Toque no ♡ de um produto para guardá-lo aqui.';
+        container.appendChild(empty);
+    }
+
+    title.textContent = shared ? 'Lista de Favoritos Compartilhada' : 'Meus Favoritos';
+    if (saveButton) {
+        saveButton.hidden = !shared || products.every(p => Wishlist.isFavorite(p.id));
+    }
+    if (shareButton) shareButton.disabled = products.length === 0;
+    if (quoteButton) quoteButton.disabled = products.length === 0;
+
+    if (lostFocus && !container.contains(document.activeElement)) {
+        title.focus();
+    }
+}
+
+/**
+ * Busca e renderiza os produtos da lista aberta.
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ * @param {object} [options]
+ * @param {boolean} [options.announce=true] - Atualiza a mensagem com a quantidade de produtos
+ */
+async function refreshList(dom, state, { announce = true } = {}) {
+    const requestId = ++view.requestId;
+    const ids = getListedIds();
+
+    try {
+        const products = await resolveProducts(state, ids);
+        // Outra lista foi aberta (ou a seção fechada) durante a busca
+        if (requestId !== view.requestId || !view.open) return;
+
+        renderList(dom, products);
+        if (!announce) return;
+        if (view.sharedIds) {
+            setStatus(dom, `Lista com ${formatCount(products.length)}.`);
+        } else {
+            setStatus(dom, products.length > 0 ? `${formatCount(products.length)} nos seus favoritos.` : '');
+        }
+        debugLog('Favoritos exibidos:', products.length, 'de', ids.length);
+    } catch (error) {
+        debugError('Erro ao carregar favoritos:', error);
+        setStatus(dom, 'Não foi possível carregar os produtos da lista. Tente novamente.');
+    }
+}
+
+/**
+ * Mostra a seção no lugar do catálogo (busca, filtros e grade).
+ * @param {object} dom - Referências DOM
+ * @param {boolean} visible
+ */
+function setViewVisible(dom, visible) {
+    dom.favorites.section.hidden = !visible;
+    const catalogControls = dom.products.categoriesContainer?.closest('section');
+    if (catalogControls) catalogControls.hidden = visible;
+    if (dom.products.section) dom.products.section.hidden = visible;
+    dom.favorites.toggle?.setAttribute('aria-expanded', String(visible));
+}
+
+/**
+ * Abre a seção com os favoritos do visitante ou com uma lista recebida por link.
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ * @param {string[]|null} [sharedIds] - IDs do link (?favoritos=...); null = favoritos do visitante
+ */
+export async function openFavoritesView(dom, state, sharedIds = null) {
+    if (!dom.favorites.section) return;
+
+    const wasOpen = view.open;
+    view.open = true;
+    view.sharedIds = sharedIds?.length ? sharedIds.slice(0, Wishlist.MAX_FAVORITES) : null;
+
+    setStatus(dom, 'Carregando produtos...');
+    setViewVisible(dom, true);
+    if (!wasOpen) {
+        globalThis.scrollTo({ top: dom.favorites.section.offsetTop - 100, behavior: 'smooth' });
+        dom.favorites.title.focus({ preventScroll: true });
+    }
+
+    await refreshList(dom, state);
+}
+
+/**
+ * Fecha a seção e volta ao catálogo.
+ * @param {object} dom - Referências DOM
+ * @param {object} [options]
+ * @param {boolean} [options.syncUrl=true] - Remove a lista recebida por link da URL
+ */
+export function closeFavoritesView(dom, { syncUrl = true } = {}) {
+    if (!view.open) return;
+
+    if (syncUrl && view.sharedIds) {
+        UrlState.updateUrl({ favorites: null });
+    }
+    view.open = false;
+    view.sharedIds = null;
+    view.requestId++;
+
+    setViewVisible(dom, false);
+    dom.favorites.toggle?.focus();
+}
+
+/**
+ * Acompanha a lista recebida por link (voltar/avançar do navegador).
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ * @param {string[]} sharedIds - Retorno de readUrlState().favorites
+ */
+export async function applyUrlState(dom, state, sharedIds) {
+    if (sharedIds.length > 0) {
+        if (view.sharedIds?.join(',') !== sharedIds.join(',')) {
+            await openFavoritesView(dom, state, sharedIds);
+        }
+    } else if (view.sharedIds) {
+        closeFavoritesView(dom, { syncUrl: false });
+    }
+}
+
+/**
+ * Compartilha o link da lista exibida (menu nativo ou cópia para a área de transferência).
+ * @param {object} dom - Referências DOM
+ */
+async function shareList(dom) {
+    const url = Wishlist.buildShareUrl([...view.products.keys()]);
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: `Meus favoritos | ${SITE_NAME}`, url });
+            return;
+        } catch (error) {
+            // Visitante fechou o menu de compartilhamento
+            if (error.name === 'AbortError') return;
+            debugLog('Compartilhamento nativo indisponível:', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        setStatus(dom, 'Link da lista copiado! Envie para nós ao pedir um orçamento.');
+    } catch (error) {
+        debugLog('Não foi possível copiar o link:', error);
+        setStatus(dom, `Copie o link da lista: ${url}`);
+    }
+}
+
+/**
+ * Mensagem de orçamento com os produtos e o link da lista.
+ * @param {Array} products
+ * @returns {string}
+ */
+function buildQuoteMessage(products) {
+    const lines = products.map(p => `• ${p.name} — ${formatPrice(getSalePrice(p).price)}`);
+    return [
+        'Olá! Gostaria de um orçamento dos produtos da minha lista de favoritos:',
+        ...lines,
+        '',
+        `Lista: ${Wishlist.buildShareUrl(products.map(p => String(p.id)))}`
+    ].join('\n');
+}
+
+/**
+ * Abre o WhatsApp da loja com a lista exibida.
+ * @param {object} dom - Referências DOM
+ */
+async function requestQuote(dom) {
+    const products = [...view.products.values()];
+    if (products.length === 0) return;
+
+    if (!Checkout.getWhatsAppNumber()) {
+        await Checkout.loadShopSettings();
+    }
+    const phone = Checkout.getWhatsAppNumber();
+    if (!phone) {
+        setStatus(dom, 'Não foi possível abrir o WhatsApp agora. Copie o link da lista e fale conosco pelo Instagram.');
+        return;
+    }
+
+    Checkout.openWhatsApp(`https://wa.me/${phone}?text=${encodeURIComponent(buildQuoteMessage(products))}`);
+}
+
+/**
+ * Inicializa a seção: contador, botões e atualização quando os favoritos mudam.
+ * @param {object} dom - Referências DOM
+ * @param {object} state - Estado da aplicação
+ */
+export function initWishlistView(dom, state) {
+    if (!dom.favorites.section) {
+        debugLog('Seção de favoritos não encontrada nesta página');
+        return;
+    }
+
+    renderCount(dom);
+    Wishlist.subscribe(() => {
+        renderCount(dom);
+        // Na lista recebida por link, mantém a mensagem de "salvos nos favoritos"
+        if (view.open) refreshList(dom, state, { announce: !view.sharedIds });
+    });
+
+    dom.favorites.toggle?.addEventListener('click', () => openFavoritesView(dom, state));
+    dom.favorites.closeButton?.addEventListener('click', () => closeFavoritesView(dom));
+    dom.favorites.shareButton?.addEventListener('click', () => shareList(dom));
+    dom.favorites.quoteButton?.addEventListener('click', () => requestQuote(dom));
+
+    // Lista recebida por link: guarda os produtos nos favoritos do visitante
+    dom.favorites.saveButton?.addEventListener('click', () => {
+        const added = Wishlist.addFavorites([...view.products.keys()]);
+        setStatus(dom, added > 0
+            ? `${formatCount(added)} ${added === 1 ? 'salvo' : 'salvos'} nos seus favoritos.`
+            : 'Esses produtos já estão nos seus favoritos.');
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Módulo de Favoritos (lista de desejos)
+ * Guarda os produtos favoritados pelo visitante no localStorage, sincroniza
+ * entre abas e mantém os botões de coração da página no estado certo
+ */
+
+import { debugLog, debugWarn } from '../utils/debug.js';
+import { SITE_URL } from './product-seo.js';
+import { URL_PARAMS } from './url-state.js';
+
+const WISHLIST_STORAGE_KEY = 'artesanato_wishlist';
+const WISHLIST_VERSION = 1;
+
+// Limite da lista (e do link compartilhado, que leva os IDs na URL)
+export const MAX_FAVORITES = 100;
+
+// Favoritos: { id, addedAt } — os mais recentes primeiro
+let items = [];
+const listeners = new Set();
+
+/**
+ * Lê os favoritos salvos no navegador.
+ * @returns {Array}
+ */
+function loadFromStorage() {
+    try {
+        const raw = localStorage.getItem(WISHLIST_STORAGE_KEY);
+        if (!raw) return [];
+        const saved = JSON.parse(raw);
+        if (saved?.version !== WISHLIST_VERSION || !Array.isArray(saved.items)) {
+            return [];
+        }
+        return saved.items.filter(item => typeof item?.id === 'string' && item.id);
+    } catch (error) {
+        debugWarn('Não foi possível ler os favoritos salvos:', error);
+        return [];
+    }
+}
+
+/**
+ * Salva os favoritos no navegador.
+ */
+function saveToStorage() {
+    try {
+        localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify({
+            version: WISHLIST_VERSION,
+            items
+        }));
+    } catch (error) {
+        debugWarn('Não foi possível salvar os favoritos:', error);
+    }
+}
+
+/**
+ * Atualiza os corações, notifica ouvintes internos e dispara o evento
+ * global "wishlist:updated".
+ */
+function notify() {
+    syncFavoriteButtons();
+    const ids = getFavoriteIds();
+    for (const listener of listeners) {
+        listener(ids);
+    }
+    document.dispatchEvent(new CustomEvent('wishlist:updated', {
+        detail: { count: ids.length }
+    }));
+}
+
+/**
+ * Persiste e notifica após qualquer alteração.
+ */
+function commit() {
+    saveToStorage();
+    notify();
+}
+
+/**
+ * Inicializa os favoritos a partir do localStorage e sincroniza entre abas.
+ */
+export function initWishlist() {
+    items = loadFromStorage();
+    debugLog('Favoritos carregados:', items.length, 'itens');
+
+    // Outra aba alterou os favoritos
+    window.addEventListener('storage', (e) => {
+        if (e.key === WISHLIST_STORAGE_KEY) {
+            items = loadFromStorage();
+            notify();
+        }
+    });
+
+    notify();
+}
+
+/**
+ * Indica se o produto está nos favoritos.
+ * @param {string} productId
+ * @returns {boolean}
+ */
+export function isFavorite(productId) {
+    const id = String(productId);
+    return items.some(item => item.id === id);
+}
+
+/**
+ * Adiciona produtos aos favoritos (ignora os que já estão na lista).
+ * @param {string[]} productIds
+ * @returns {number} Quantos foram adicionados
+ */
+export function addFavorites(productIds) {
+    const now = Date.now();
+    const added = productIds
+        .map(String)
+        .filter((id, index, ids) => id && ids.indexOf(id) === index && !isFavorite(id))
+        .map(id => ({ id, addedAt: now }));
+    if (added.length === 0) return 0;
+
+    items = [...added, ...items].slice(0, MAX_FAVORITES);
+    commit();
+    return added.length;
+}
+
+/**
+ * Remove um produto dos favoritos.
+ * @param {string} productId
+ */
+export function removeFavorite(productId) {
+    const id = String(productId);
+    if (!isFavorite(id)) return;
+    items = items.filter(item => item.id !== id);
+    commit();
+}
+
+/**
+ * Favorita ou desfavorita um produto.
+ * @param {string} productId
+ * @returns {boolean} true se o produto ficou nos favoritos
+ */
+export function toggleFavorite(productId) {
+    if (isFavorite(productId)) {
+        removeFavorite(productId);
+        return false;
+    }
+    addFavorites([productId]);
+    debugLog('Produto adicionado aos favoritos:', productId);
+    return true;
+}
+
+/**
+ * IDs dos produtos favoritados, dos mais recentes para os mais antigos.
+ * @returns {string[]}
+ */
+export function getFavoriteIds() {
+    return items.map(item => item.id);
+}
+
+/**
+ * Quantidade de produtos nos favoritos.
+ * @returns {number}
+ */
+export function getFavoriteCount() {
+    return items.length;
+}
+
+/**
+ * Registra um ouvinte chamado a cada alteração dos favoritos.
+ * @param {(ids: string[]) => void} listener
+ * @returns {() => void} Função para cancelar a inscrição
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Link público da lista (ex.: .../products.html?favoritos=id1,id2), para o
+ * cliente enviar à loja ao pedir um orçamento.
+ * @param {string[]} [productIds] - Padrão: os favoritos do visitante
+ * @returns {string}
+ */
+export function buildShareUrl(productIds = getFavoriteIds()) {
+    // Vírgulas sem escape: o link fica legível na mensagem do WhatsApp
+    const ids = productIds.slice(0, MAX_FAVORITES).map(id => encodeURIComponent(id)).join(',');
+    return `${SITE_URL}/products.html?${URL_PARAMS.favorites}=${ids}`;
+}
+
+/**
+ * Reflete o estado de favorito em um botão de coração.
+ * O nome acessível é fixo; o estado vai em aria-pressed.
+ * @param {HTMLElement} button
+ * @param {boolean} active
+ */
+function setFavoriteButtonState(button, active) {
+    button.setAttribute('aria-pressed', String(active));
+    button.classList.toggle('active', active);
+    const icon = button.querySelector('.favorite-icon');
+    if (icon) icon.textContent = active ? '♥' : '♡';
+}
+
+/**
+ * Atualiza todos os botões de coração da página (cards, modal, página do
+ * produto e HTML pré-renderizado, que não conhece os favoritos do visitante).
+ * @param {ParentNode} [root=document]
+ */
+export function syncFavoriteButtons(root = document) {
+    for (const button of root.querySelectorAll('.favorite-toggle[data-id]')) {
+        setFavoriteButtonState(button, isFavorite(button.dataset.id));
+    }
+}
+
+/**
+ * Cria o botão de coração do card de produto (sem innerHTML).
+ * @param {object} product
+ * @returns {HTMLButtonElement}
+ */
+export function createFavoriteButton(product) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'favorite-toggle';
+    button.dataset.id = String(product.id);
+    button.setAttribute('aria-label', `Favoritar ${product.name}`);
+
+    const icon = document.createElement('span');
+    icon.className = 'favorite-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    button.appendChild(icon);
+
+    setFavoriteButtonState(button, isFavorite(product.id));
+    return button;
+}
@@ -14,7 +14,7 @@ export function handleKeyPress(app) {
     return (e) => {
         if (e.key === 'Escape') {
             // Se modal estiver aberto
-            if (app.DOM.modal.container.classList.contains('active')) {
+            if (app.DOM.modal.container?.classList.contains('active')) {
                 // Se zoom estiver ativo, desativa o zoom primeiro
                 if (app.DOM.modal.imageContainer?.classList.contains('zoomed')) {
                     app.DOM.modal.imageContainer.classList.remove('zoomed');
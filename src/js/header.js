@@ -3,7 +3,7 @@
  * além de um determinado limiar. Usa requestAnimationFrame para evitar custo alto
  * em eventos de scroll (pattern semelhante a throttle).
  * 
- * Também gerencia a abertura/fechamento do menu mobile.
+ * Também gerencia a abertura/fechamento do menu mobile e o contador do carrinho.
  */
 document.addEventListener('DOMContentLoaded', () => {
     const header = document.querySelector('header');
@@ -59,6 +59,27 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Contador do carrinho (atualizado pelo evento "cart:updated" de app/cart.js)
+    const cartToggle = document.getElementById('cart-toggle');
+    const cartBadge = document.getElementById('cart-badge');
+    if (cartToggle && cartBadge) {
+        document.addEventListener('cart:updated', (e) => {
+            const count = e.detail?.count || 0;
+            cartBadge.textContent = count > 99 ? '99+' : String(count);
+            cartBadge.classList.toggle('hidden', count === 0);
+            cartToggle.setAttribute('aria-label', count === 0
+                ? 'Abrir carrinho (vazio)'
+                : `Abrir carrinho (${count} ${count === 1 ? 'item' : 'itens'})`);
+        });
+
+        cartToggle.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('cart:open'));
+        });
+
+        // O carrinho pode ter sido inicializado antes deste script: pede o estado atual
+        document.dispatchEvent(new CustomEvent('cart:request-state'));
+    }
+
     // Fecha menu mobile ao mudar orientação do dispositivo
     globalThis.addEventListener('orientationchange', () => {
         if (nav && mobileMenu && nav.classList.contains('active')) {
@@ -5,6 +5,22 @@ import * as CategoriesModule from './app/categories.js';
 import * as ModalModule from './app/modal.js';
 import * as EventsModule from './app/events.js';
 import * as SlideshowModule from './app/slideshow.js';
+import * as CartModule from './app/cart.js';
+import * as CartDrawerModule from './app/cart-drawer.js';
+import * as WishlistModule from './app/wishlist.js';
+import * as WishlistViewModule from './app/wishlist-view.js';
+import * as CheckoutModule from './app/checkout.js';
+import * as PromotionsModule from './app/promotions.js';
+import * as PriceScheduleModule from './app/price-schedule.js';
+import * as QuoteRequestModule from './app/quote-request.js';
+import * as VariantsModule from './app/variants.js';
+import * as InventoryModule from './app/inventory.js';
+import * as CatalogFiltersModule from './app/catalog-filters.js';
+import * as UrlState from './app/url-state.js';
+import * as ProductSeo from './app/product-seo.js';
+import * as PrerenderModule from './app/prerender.js';
+import * as OfflineStatus from './app/offline-status.js';
+import * as PwaModule from './app/pwa.js';
 import { debugLog, debugError } from './utils/debug.js';
 
 /**
@@ -15,12 +31,18 @@ class ArtesanatoShop {
         // Estado principal
         this.state = {
             products: [],
+            searchTerm: '',
+            // Produto aberto por link que ainda não está entre os carregados
+            linkedProduct: null,
             previouslyFocusedElement: null,
             scrollLockY: null
         };
 
         // Referências DOM
         this.DOM = null;
+
+        // Desativa o tempo real (definido por startRealtimeUpdates)
+        this.stopRealtimeUpdates = null;
     }
 
     /**
@@ -35,19 +57,74 @@ class ArtesanatoShop {
         debugLog('Container de produtos:', this.DOM.products.container);
         debugLog('Botões de categoria:', this.DOM.products.categories);
 
+        // Cache offline (service worker) e aviso de conexão
+        PwaModule.registerServiceWorker();
+        OfflineStatus.initOfflineStatus({
+            onReconnect: () => this.revalidateCatalog()
+        });
+
+        // Promoções automáticas (preço riscado): buscadas junto com as categorias
+        const promotionsReady = PromotionsModule.loadPromotions();
+
         // Carrega categorias se existir container
         if (this.DOM.products.categoriesContainer) {
             await this.loadCategoriesData();
         }
 
+        // Carrinho (persistido no navegador) e gaveta lateral
+        CartModule.initCart();
+        CartDrawerModule.initCartDrawer(this.DOM);
+
+        // Favoritos (persistidos no navegador) e seção "Meus Favoritos"
+        WishlistModule.initWishlist();
+        WishlistViewModule.initWishlistView(this.DOM, this.state);
+
+        // Número do WhatsApp da loja (pré-carregado para o checkout)
+        CheckoutModule.loadShopSettings();
+
+        // Formulário de encomenda personalizada (página inicial)
+        QuoteRequestModule.initQuoteRequestForm(this.DOM);
+
         // Ativa botão "Todos"
         this.activateAllCategoryButton();
 
+        // Opções de ordenação
+        CatalogFiltersModule.renderSortOptions(this.DOM.filters.sort, ProductsModule.getFilters().sort);
+
+        // HTML gerado por build-tools/prerender.js (catálogo, categoria ou produto)
+        const prerendered = PrerenderModule.readPrerenderedData();
+
+        // Categorias, busca e ordenação vindas de um link compartilhado
+        const urlState = UrlState.readUrlState();
+        // Página de categoria (/categoria/<slug>): a categoria vem da página, não da URL
+        if (prerendered?.category && urlState.categories.length === 0) {
+            urlState.categories = [prerendered.category];
+        }
+        this.restoreUrlState(urlState);
+
         // Configura event listeners antes de carregar produtos
         this.setupEventListeners();
 
-        // Carrega produtos
-        await this.loadProductsData();
+        // Lista de favoritos recebida por link: abre junto com o carregamento do
+        // catálogo (os produtos que faltarem são buscados pelo ID)
+        if (urlState.favorites.length > 0) {
+            WishlistViewModule.openFavoritesView(this.DOM, this.state, urlState.favorites);
+        }
+
+        // Os cards e o modal já saem com o preço promocional
+        await promotionsReady;
+
+        // Página de um produto (/produto/<slug>) ou catálogo
+        if (this.DOM.productPage.container) {
+            await this.loadProductPage(prerendered);
+        } else {
+            await this.loadProductsData(prerendered, urlState);
+        }
+
+        // Produto aberto no link
+        if (urlState.productId) {
+            await this.openProductFromUrl(urlState.productId);
+        }
 
         // Inicializa slideshow
         SlideshowModule.initHeroSlideshow(this.DOM);
@@ -100,17 +177,61 @@ class ArtesanatoShop {
 
     /**
      * Carrega produtos do Firestore
+     * Renderiza primeiro o catálogo em cache (se houver) e depois a versão revalidada.
+     * Em páginas pré-renderizadas, os cards já estão no HTML: o catálogo embutido
+     * é usado de imediato e só é re-renderizado se o Firestore trouxer mudanças.
+     * @param {object|null} [prerendered] - Retorno de PrerenderModule.readPrerenderedData
+     * @param {object} [urlState] - Estado da URL aplicado na inicialização
      */
-    async loadProductsData() {
+    async loadProductsData(prerendered = null, urlState = null) {
         debugLog('Buscando produtos do Firestore...');
         
+        // Lista que está na tela (cache ou HTML estático)
+        let renderedProducts = null;
+        const hydrated = Boolean(prerendered?.products && this.DOM.products.container);
+
+        if (hydrated) {
+            ProductsModule.hydrateProducts(this.state, prerendered.products);
+            renderedProducts = prerendered.products;
+            // Link com busca, outra categoria ou ordenação: o HTML estático não serve
+            // (nem com promoção ou preço agendado em vigor, que o HTML estático não mostra)
+            const matchesView = !urlState || PrerenderModule.matchesPrerenderedView(prerendered, urlState, CatalogFiltersModule.DEFAULT_SORT);
+            const hasScheduledPrices = prerendered.products.some(p => PriceScheduleModule.isScheduleRunning(p.priceSchedule));
+            if (!matchesView || PromotionsModule.hasRunningPromotions() || hasScheduledPrices) {
+                this.renderCatalog();
+            }
+            this.updateFacets();
+        }
+        
         try {
-            await ProductsModule.fetchProducts(this.DOM, this.state);
+            await ProductsModule.fetchProducts(this.DOM, this.state, false, {
+                fallback: hydrated ? prerendered.products : undefined,
+                fallbackSavedAt: hydrated ? Date.parse(prerendered.generatedAt) || null : null,
+                onCached: (cachedProducts) => {
+                    if (!this.DOM.products.container) return;
+                    debugLog('Renderizando catálogo em cache...');
+                    renderedProducts = cachedProducts;
+                    this.renderCatalog();
+                    this.updateFacets();
+                }
+            });
             debugLog('Produtos carregados:', this.state.products.length, 'itens');
             
             if (this.DOM.products.container) {
+                // O HTML estático lista o catálogo inteiro: revalida todas as páginas
+                if (hydrated) {
+                    await ProductsModule.loadAllProducts(this.DOM, this.state);
+                }
+                // Link com busca: carrega o catálogo inteiro antes de renderizar
+                await this.ensureFullCatalog();
+                this.startRealtimeUpdates();
+                if (!ProductsModule.hasCatalogChanged(renderedProducts, this.state.products)) {
+                    debugLog('Catálogo sem alterações desde o cache');
+                    return;
+                }
                 debugLog('Renderizando produtos...');
-                ProductsModule.loadProducts(this.DOM, this.state.products, 'all');
+                this.renderCatalog();
+                this.updateFacets();
             } else {
                 debugLog('ERRO: Container de produtos não encontrado!');
             }
@@ -119,6 +240,217 @@ class ArtesanatoShop {
         }
     }
 
+    /**
+     * Busca novamente o catálogo quando a conexão volta, se a tela mostra
+     * uma cópia local (cache ou HTML estático).
+     */
+    async revalidateCatalog() {
+        if (!this.DOM.products.container || !OfflineStatus.isUsingFallback()) return;
+
+        debugLog('Revalidando catálogo após reconexão...');
+        const renderedProducts = this.state.products;
+        const hadFullCatalog = !ProductsModule.hasMore();
+
+        try {
+            await ProductsModule.fetchProducts(this.DOM, this.state, false, { fallback: renderedProducts });
+            // A tela listava o catálogo inteiro: mantém todas as páginas
+            if (hadFullCatalog) {
+                await ProductsModule.loadAllProducts(this.DOM, this.state);
+            }
+            await this.ensureFullCatalog();
+            this.startRealtimeUpdates();
+            if (ProductsModule.hasCatalogChanged(renderedProducts, this.state.products)) {
+                this.renderCatalog();
+                this.updateFacets();
+            }
+        } catch (error) {
+            debugError('Erro ao revalidar catálogo:', error);
+        }
+    }
+
+    /**
+     * Ativa as atualizações em tempo real do catálogo (uma única vez).
+     * Só as mudanças chegam do Firestore e só os cards afetados são refeitos.
+     * Com o catálogo em cópia local, espera a reconexão (revalidateCatalog).
+     */
+    startRealtimeUpdates() {
+        if (this.stopRealtimeUpdates || OfflineStatus.isUsingFallback()) return;
+
+        this.stopRealtimeUpdates = ProductsModule.subscribeToCatalogChanges(this.state, {
+            onChange: ({ changed }) => {
+                ProductsModule.patchRenderedProducts(this.DOM, this.state.products, this.state.searchTerm, changed);
+                this.updateFacets();
+            }
+        });
+    }
+
+    /**
+     * Carrega e exibe a página do produto indicado pelo slug da URL,
+     * com breadcrumbs, meta tags Open Graph e dados estruturados.
+     * Se a página foi pré-renderizada, exibe o produto embutido e revalida no Firestore.
+     * @param {object|null} [prerendered] - Retorno de PrerenderModule.readPrerenderedData
+     */
+    async loadProductPage(prerendered = null) {
+        const page = this.DOM.productPage;
+        const slug = ProductSeo.getSlugFromLocation();
+
+        const staticProduct = prerendered?.product || null;
+        if (staticProduct) {
+            const category = prerendered.categories?.find(c => c.slug === staticProduct.category) || null;
+            this.showProductPage(staticProduct, category);
+        }
+
+        const product = slug ? await ProductsModule.fetchProductBySlug(slug) : null;
+
+        if (page.loader) page.loader.hidden = true;
+
+        // Sem conexão: mantém a página estática em vez de dar o produto como removido
+        if (!product && staticProduct && OfflineStatus.isOffline()) {
+            OfflineStatus.reportCatalogFallback({ savedAt: Date.parse(prerendered.generatedAt) || null });
+            return;
+        }
+
+        if (!product) {
+            debugLog('Produto não encontrado para o slug:', slug);
+            document.title = `Produto não encontrado | ${ProductSeo.SITE_NAME}`;
+            document.head.querySelector('meta[name="robots"]')?.setAttribute('content', 'noindex, follow');
+            // Produto desativado depois da geração da página
+            if (page.content) page.content.hidden = true;
+            if (page.notFound) page.notFound.hidden = false;
+            return;
+        }
+
+        if (staticProduct && !ProductsModule.hasCatalogChanged([staticProduct], [product])) {
+            debugLog('Produto sem alterações desde a pré-renderização');
+            return;
+        }
+
+        const categories = await CategoriesModule.loadCategories(this.DOM);
+        const category = categories.find(c => c.slug === product.category) || null;
+        this.showProductPage(product, category);
+    }
+
+    /**
+     * Preenche a página do produto (detalhes, SEO e breadcrumbs).
+     * @param {object} product
+     * @param {{name: string, slug: string}|null} category
+     */
+    showProductPage(product, category) {
+        const page = this.DOM.productPage;
+
+        // Usado pelos botões de compra (findProduct)
+        this.state.linkedProduct = product;
+
+        ModalModule.renderProductDetails({ modal: page }, product);
+        ProductSeo.applyProductSeo(product, category);
+        ProductSeo.renderBreadcrumbs(page.breadcrumbs, ProductSeo.buildBreadcrumbs(product, category));
+        if (page.content) page.content.hidden = false;
+
+        // Link antigo (por ID) ou slug alterado: mostra o endereço canônico
+        const canonicalPath = ProductSeo.getProductPath(product);
+        if (globalThis.location.pathname.startsWith(ProductSeo.PRODUCT_PATH_PREFIX)
+            && globalThis.location.pathname !== canonicalPath) {
+            globalThis.history.replaceState(globalThis.history.state, '', canonicalPath);
+        }
+    }
+
+    /**
+     * Aplica o estado da URL aos controles e filtros (antes da primeira busca,
+     * para que a primeira página já venha com as categorias e a ordenação do link).
+     * @param {object} urlState - Retorno de UrlState.readUrlState
+     * @returns {boolean} true se a consulta mudou (categorias ou ordenação)
+     */
+    restoreUrlState(urlState) {
+        EventsModule.applyUrlStateToControls(this.DOM, urlState);
+        this.state.searchTerm = urlState.search.toLowerCase();
+        // Categorias desconhecidas já foram descartadas pelos botões
+        return ProductsModule.setFilters({
+            sort: urlState.sort || CatalogFiltersModule.DEFAULT_SORT,
+            categories: ProductsModule.getSelectedCategories(this.DOM)
+        });
+    }
+
+    /**
+     * Busca um produto entre os carregados, o aberto por link ou os listados
+     * em "Meus Favoritos".
+     * @param {string} productId
+     * @returns {object|null}
+     */
+    findProduct(productId) {
+        const id = String(productId);
+        return this.state.products.find(p => String(p.id) === id)
+            || (String(this.state.linkedProduct?.id) === id ? this.state.linkedProduct : null)
+            || WishlistViewModule.getListedProduct(id);
+    }
+
+    /**
+     * Abre o modal do produto indicado na URL, buscando-o no Firestore se
+     * ainda não foi carregado pela paginação.
+     * @param {string} productId
+     */
+    async openProductFromUrl(productId) {
+        if (!this.DOM.modal.container) return;
+
+        let product = this.findProduct(productId);
+        if (!product) {
+            product = await ProductsModule.fetchProductById(productId);
+            if (!product) {
+                debugLog('Produto do link não encontrado:', productId);
+                UrlState.updateUrl({ productId: null });
+                return;
+            }
+            this.state.linkedProduct = product;
+        }
+
+        ModalModule.openModal(this.DOM, [product], product.id, this.state, { syncUrl: false });
+    }
+
+    /**
+     * Re-renderiza o catálogo combinando busca, categorias, preço, facetas e ordenação
+     */
+    renderCatalog() {
+        ProductsModule.filterProductsBySearch(this.DOM, this.state.products, this.state.searchTerm);
+    }
+
+    /**
+     * Atualiza as facetas com os valores dos produtos carregados
+     */
+    updateFacets() {
+        CatalogFiltersModule.renderFacets(this.DOM.filters.facets, this.state.products, ProductsModule.getFilters());
+    }
+
+    /**
+     * Busca, preço e facetas filtram no navegador: com algum deles ativo,
+     * carrega as páginas restantes para não omitir produtos ainda não buscados.
+     */
+    async ensureFullCatalog() {
+        const needsFullCatalog = this.state.searchTerm
+            || CatalogFiltersModule.requiresAllPages(ProductsModule.getFilters());
+        if (needsFullCatalog && ProductsModule.hasMore()) {
+            await ProductsModule.loadAllProducts(this.DOM, this.state);
+            this.updateFacets();
+        }
+    }
+
+    /**
+     * Atualiza a grade após mudar categorias, faixa de preço ou ordenação
+     * (filtros que fazem parte da consulta do Firestore).
+     */
+    async reloadFilteredCatalog() {
+        const filters = ProductsModule.getFilters();
+        try {
+            await ProductsModule.loadFilteredProducts(this.DOM, this.state);
+            await this.ensureFullCatalog();
+        } catch (error) {
+            debugError('Erro ao carregar produtos filtrados:', error);
+            return;
+        }
+        // Outro filtro mudou durante a busca: a chamada seguinte renderiza
+        if (ProductsModule.getFilters() !== filters) return;
+        this.renderCatalog();
+        this.updateFacets();
+    }
+
     /**
      * Configura todos os event listeners da aplicação
      */
@@ -126,23 +458,147 @@ class ArtesanatoShop {
         // Callbacks principais
         const callbacks = {
             // Busca de produtos
-            onSearch: (searchTerm) => {
-                ProductsModule.filterProductsBySearch(this.DOM, this.state.products, searchTerm);
+            onSearch: async (searchTerm) => {
+                this.state.searchTerm = searchTerm;
+
+                // A busca cobre o catálogo inteiro, inclusive páginas que o
+                // infinite scroll ainda não carregou
+                await this.ensureFullCatalog();
+                // Ignora o resultado se o usuário já digitou outra coisa
+                if (this.state.searchTerm !== searchTerm) return;
+
+                this.renderCatalog();
             },
             
-            onCategoryChange: (categories) => {
-                ProductsModule.loadProducts(this.DOM, this.state.products, categories);
+            // Categorias combinam com a busca e os demais filtros ativos
+            // As categorias fazem parte da consulta: cada combinação tem a própria paginação
+            onCategoryChange: async (filter) => {
+                const categories = filter === 'all' ? [] : filter;
+                if (ProductsModule.setFilters({ categories })) {
+                    await this.reloadFilteredCatalog();
+                } else {
+                    this.renderCatalog();
+                }
+            },
+
+            // Ordenação: primeira página na nova ordem (ou as já carregadas)
+            onSortChange: async (sort) => {
+                if (!ProductsModule.setFilters({ sort })) return;
+                await this.reloadFilteredCatalog();
+            },
+
+            // Faixa de preço (na consulta) e facetas (no navegador)
+            onFiltersChange: async (changes) => {
+                if (ProductsModule.setFilters(changes)) {
+                    await this.reloadFilteredCatalog();
+                    return;
+                }
+                await this.ensureFullCatalog();
+                this.renderCatalog();
+            },
+
+            // "Limpar filtros": busca, categorias, preço e facetas (mantém a ordenação)
+            onClearFilters: async () => {
+                this.state.searchTerm = '';
+                const { categories, minPrice, maxPrice, facets } = CatalogFiltersModule.createDefaultFilters();
+                if (ProductsModule.setFilters({ categories, minPrice, maxPrice, facets })) {
+                    await this.reloadFilteredCatalog();
+                } else {
+                    this.renderCatalog();
+                }
             },
 
-            // Modal de produto
+            // Voltar/avançar: os controles já refletem a URL
+            onUrlStateChange: async (urlState, { controlsChanged }) => {
+                const queryChanged = this.restoreUrlState(urlState);
+                if (queryChanged) {
+                    await this.reloadFilteredCatalog();
+                } else if (controlsChanged) {
+                    await this.ensureFullCatalog();
+                    this.renderCatalog();
+                }
+
+                // Lista de favoritos recebida por link
+                await WishlistViewModule.applyUrlState(this.DOM, this.state, urlState.favorites);
+
+                const modalOpen = ModalModule.isModalOpen(this.DOM);
+                if (urlState.productId && !modalOpen) {
+                    await this.openProductFromUrl(urlState.productId);
+                } else if (!urlState.productId && modalOpen) {
+                    ModalModule.closeModal(this.DOM, this.state, { syncUrl: false });
+                }
+            },
+
+            // Modal de produto (cards do catálogo ou de "Meus Favoritos")
             onOpenModal: (productId) => {
-                ModalModule.openModal(this.DOM, this.state.products, productId, this.state);
+                const product = this.findProduct(productId);
+                ModalModule.openModal(this.DOM, product ? [product] : this.state.products, productId, this.state);
             },
 
             onCloseModal: () => {
                 ModalModule.closeModal(this.DOM, this.state);
             },
 
+            // Carrinho
+            onAddToCart: (productId, { openDrawer = true, variantId } = {}) => {
+                const product = this.findProduct(productId);
+                if (!product) {
+                    debugLog('ERRO: Produto não encontrado para o carrinho:', productId);
+                    return;
+                }
+                const variant = VariantsModule.getVariantById(product, variantId);
+                // Card sem variação escolhida: abre o modal com os seletores
+                if (VariantsModule.hasVariants(product) && !variant) {
+                    ModalModule.openModal(this.DOM, [product], productId, this.state);
+                    return;
+                }
+                if (InventoryModule.getAvailability(product, variant).status === 'out_of_stock') {
+                    debugLog('Produto esgotado, não adicionado ao carrinho:', productId);
+                    return;
+                }
+                CartModule.addToCart({
+                    ...VariantsModule.toCartProduct(product, variant),
+                    maxQuantity: InventoryModule.getMaxQuantity(product, variant)
+                });
+                if (openDrawer) {
+                    CartDrawerModule.openCartDrawer(this.DOM);
+                }
+            },
+
+            // Coração dos cards, do modal e da página do produto
+            onToggleFavorite: (productId) => {
+                if (!productId) return;
+                WishlistModule.toggleFavorite(productId);
+            },
+
+            // Compra direta de um produto pelo WhatsApp (sem o número
+            // configurado, mantém o link original do produto)
+            onBuyNow: (productId, e, variantId) => {
+                const product = this.findProduct(productId);
+                if (!product) return;
+                const variant = VariantsModule.getVariantById(product, variantId);
+                // Combinação inexistente ou esgotada: nada a comprar
+                const missingVariant = VariantsModule.hasVariants(product) && !variant;
+                if (missingVariant || InventoryModule.getAvailability(product, variant).status === 'out_of_stock') {
+                    e.preventDefault();
+                    return;
+                }
+                // Sem número configurado, segue o link externo do produto (ou avisa, se não houver)
+                if (!CheckoutModule.getWhatsAppNumber()) {
+                    if (!product.link) {
+                        e.preventDefault();
+                        globalThis.alert(CheckoutModule.CHECKOUT_UNAVAILABLE_MESSAGE);
+                    }
+                    return;
+                }
+                e.preventDefault();
+                CheckoutModule.checkout(
+                    [{ ...VariantsModule.toCartProduct(product, variant), quantity: 1 }],
+                    CheckoutModule.getSavedCustomer(),
+                    'product'
+                );
+            },
+
             // Zoom de imagem
             onImageZoom: (e) => {
                 ModalModule.handleImageZoom(this.DOM, e);
@@ -168,6 +624,7 @@ class ArtesanatoShop {
             // Paginação de produtos
             onLoadMore: async () => {
                 await ProductsModule.loadMoreProducts(this.DOM, this.state);
+                this.updateFacets();
             }
         };
 
@@ -175,6 +632,21 @@ class ArtesanatoShop {
         EventsModule.setupEventListeners(this.DOM, callbacks);
     }
 
+    /**
+     * Mensagem de erro acessível quando a inicialização falha. Fica acima do
+     * que já estiver na página (ex.: catálogo pré-renderizado).
+     */
+    showStartupError() {
+        const container = this.DOM?.products.container || document.querySelector('main');
+        if (!container) return;
+
+        const alert = document.createElement('p');
+        alert.className = 'no-results';
+        alert.setAttribute('role', 'alert');
+        alert.textContent = 'Não foi possível carregar a loja no momento. Recarregue a página ou tente novamente mais tarde.';
+        container.prepend(alert);
+    }
+
     /**
      * Força atualização dos produtos
      */
@@ -189,7 +661,10 @@ const app = new ArtesanatoShop();
 // Inicializar app quando DOM estiver pronto
 document.addEventListener('DOMContentLoaded', () => {
     debugLog('DOM Content Loaded');
-    app.initialize();
+    app.initialize().catch((error) => {
+        debugError('Erro ao inicializar a aplicação:', error);
+        app.showStartupError();
+    });
 });
 
 // Exporta instância para debug
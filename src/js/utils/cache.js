@@ -0,0 +1,239 @@
+/**
+ * Módulo de Cache do Catálogo
+ * Cache versionado com TTL e limite de tamanho.
+ * Usa IndexedDB quando disponível e localStorage como fallback.
+ */
+
+import { debugLog, debugWarn } from './debug.js';
+
+// Configuração do cache
+const CACHE_CONFIG = {
+    dbName: 'artesanato-cache',
+    storeName: 'entries',
+    storagePrefix: 'artesanato_cache_',
+    defaultKey: 'products',
+    // Incrementar quando o formato dos produtos mudar (invalida caches antigos)
+    version: 7,
+    // Tempo máximo que um catálogo salvo pode ser exibido (7 dias)
+    ttl: 7 * 24 * 60 * 60 * 1000,
+    // Limites de tamanho (localStorage costuma ter ~5MB por origem)
+    maxItems: 500,
+    maxBytes: 1.5 * 1024 * 1024
+};
+
+let dbPromise = null;
+
+/**
+ * Abre (uma única vez) o banco IndexedDB do cache.
+ * @returns {Promise<IDBDatabase|null>} Banco aberto ou null se indisponível.
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(CACHE_CONFIG.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_CONFIG.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                debugWarn('IndexedDB indisponível, usando localStorage:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        } catch (error) {
+            // Safari em modo privado pode lançar ao abrir
+            debugWarn('IndexedDB indisponível, usando localStorage:', error);
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Executa uma operação em uma transação do IndexedDB.
+ * @param {IDBDatabase} db - Banco aberto
+ * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Operação a executar
+ * @returns {Promise<any>} Resultado da requisição
+ */
+function runTransaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(CACHE_CONFIG.storeName, mode);
+        const request = operation(tx.objectStore(CACHE_CONFIG.storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ============================================
+// BACKENDS
+// ============================================
+
+const idbBackend = {
+    async read(db, key) {
+        return runTransaction(db, 'readonly', store => store.get(key));
+    },
+    async write(db, key, entry) {
+        await runTransaction(db, 'readwrite', store => store.put(entry, key));
+    },
+    async remove(db, key) {
+        await runTransaction(db, 'readwrite', store => store.delete(key));
+    }
+};
+
+const localBackend = {
+    read(key) {
+        const raw = localStorage.getItem(CACHE_CONFIG.storagePrefix + key);
+        return raw ? JSON.parse(raw) : null;
+    },
+    write(key, entry) {
+        localStorage.setItem(CACHE_CONFIG.storagePrefix + key, JSON.stringify(entry));
+    },
+    remove(key) {
+        localStorage.removeItem(CACHE_CONFIG.storagePrefix + key);
+    }
+};
+
+/**
+ * Lê uma entrada bruta do backend disponível.
+ * @param {string} key - Chave da entrada
+ * @returns {Promise<object|null>}
+ */
+async function readEntry(key) {
+    try {
+        const db = await openDatabase();
+        if (db) {
+            return (await idbBackend.read(db, key)) || null;
+        }
+        return localBackend.read(key);
+    } catch (error) {
+        debugWarn('Falha ao ler cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Verifica se uma entrada foi salva na versão atual do formato.
+ * @param {object|null} entry - Entrada salva
+ * @returns {boolean}
+ */
+function isCompatible(entry) {
+    if (!entry || typeof entry !== 'object') return false;
+    if (entry.version !== CACHE_CONFIG.version) {
+        debugLog('Cache descartado: versão', entry.version, '!= ', CACHE_CONFIG.version);
+        return false;
+    }
+    return Array.isArray(entry.data);
+}
+
+// ============================================
+// API PÚBLICA
+// ============================================
+
+export const cache = {
+    /**
+     * Retorna a entrada completa do cache (dados + metadados) se ainda válida.
+     * Entradas expiradas são mantidas: sem conexão, `allowStale` ainda as entrega
+     * (o último catálogo salvo é melhor que uma página vazia).
+     * @param {string} [key='products'] - Chave da entrada
+     * @param {object} [options]
+     * @param {boolean} [options.allowStale=false] - Aceita entradas além do TTL
+     * @returns {Promise<{data: Array, timestamp: number, age: number, stale: boolean}|null>}
+     */
+    async getEntry(key = CACHE_CONFIG.defaultKey, { allowStale = false } = {}) {
+        const entry = await readEntry(key);
+        if (!isCompatible(entry)) {
+            if (entry) await this.remove(key);
+            return null;
+        }
+
+        const age = Date.now() - entry.timestamp;
+        const stale = age > CACHE_CONFIG.ttl;
+        if (stale && !allowStale) {
+            debugLog('Cache ignorado: expirado');
+            return null;
+        }
+
+        return {
+            data: entry.data,
+            timestamp: entry.timestamp,
+            age,
+            stale
+        };
+    },
+
+    /**
+     * Retorna apenas os dados em cache (ou null se ausentes/expirados).
+     * @param {string} [key='products'] - Chave da entrada
+     * @returns {Promise<Array|null>}
+     */
+    async get(key = CACHE_CONFIG.defaultKey) {
+        const entry = await this.getEntry(key);
+        return entry ? entry.data : null;
+    },
+
+    /**
+     * Salva uma lista no cache respeitando os limites de tamanho.
+     * Listas acima de maxItems são truncadas; acima de maxBytes não são salvas.
+     * @param {Array} data - Lista a salvar
+     * @param {string} [key='products'] - Chave da entrada
+     * @returns {Promise<boolean>} true se salvou
+     */
+    async set(data, key = CACHE_CONFIG.defaultKey) {
+        if (!Array.isArray(data)) return false;
+
+        const items = data.slice(0, CACHE_CONFIG.maxItems);
+        const entry = {
+            version: CACHE_CONFIG.version,
+            timestamp: Date.now(),
+            data: items
+        };
+
+        const size = new Blob([JSON.stringify(entry)]).size;
+        if (size > CACHE_CONFIG.maxBytes) {
+            debugWarn(`Cache não salvo: ${size} bytes excede o limite de ${CACHE_CONFIG.maxBytes}`);
+            return false;
+        }
+
+        try {
+            const db = await openDatabase();
+            if (db) {
+                await idbBackend.write(db, key, entry);
+            } else {
+                localBackend.write(key, entry);
+            }
+            debugLog('Cache salvo:', key, items.length, 'itens,', size, 'bytes');
+            return true;
+        } catch (error) {
+            // QuotaExceededError ou storage bloqueado: o site continua funcionando sem cache
+            debugWarn('Falha ao salvar cache:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Remove uma entrada do cache.
+     * @param {string} [key='products'] - Chave da entrada
+     */
+    async remove(key = CACHE_CONFIG.defaultKey) {
+        try {
+            const db = await openDatabase();
+            if (db) {
+                await idbBackend.remove(db, key);
+            } else {
+                localBackend.remove(key);
+            }
+        } catch (error) {
+            debugWarn('Falha ao remover cache:', error);
+        }
+    }
+};
@@ -1,6 +1,6 @@
 /**
  * Módulo de Funções Utilitárias
- * Debounce, throttle e lazy loading
+ * Debounce, throttle, lazy loading e formatação de preços
  */
 
 /**
@@ -59,3 +59,14 @@ export function lazyLoadImage(img) {
     }, { rootMargin: '50px' });
     observer.observe(img);
 }
+
+const BRL_FORMATTER = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+/**
+ * Formata um valor em reais (ex.: 1234.5 → "R$ 1.234,50").
+ * @param {number} value - Valor numérico.
+ * @returns {string} Valor formatado em BRL.
+ */
+export function formatPrice(value) {
+    return BRL_FORMATTER.format(Number(value) || 0);
+}
@@ -0,0 +1,30 @@
+/**
+ * Carregamento do SDK do Firebase Storage
+ * O site público só carrega App e Firestore; o Storage é usado apenas
+ * quando o cliente anexa imagens (avaliações e encomendas)
+ */
+
+let storageSdkPromise = null;
+
+/**
+ * Carrega o SDK do Firebase Storage (mesma versão do SDK da página).
+ * @returns {Promise<void>}
+ */
+export function loadStorageSdk() {
+    if (firebase.storage) return Promise.resolve();
+
+    storageSdkPromise ||= new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `https://www.gstatic.com/firebasejs/${firebase.SDK_VERSION}/firebase-storage-compat.js`;
+        script.onload = () => resolve();
+        script.onerror = () => {
+            // Permite nova tentativa no próximo envio
+            storageSdkPromise = null;
+            script.remove();
+            reject(new Error('Não foi possível carregar o Firebase Storage'));
+        };
+        document.head.appendChild(script);
+    });
+
+    return storageSdkPromise;
+}
@@ -0,0 +1,300 @@
+/**
+ * Service Worker do Ateliê Arte Criativa
+ *
+ * - Pré-cache do app shell (páginas, CSS e módulos de src/js) na instalação
+ * - Páginas: rede primeiro, cópia salva quando offline
+ * - CSS/JS do site: rede primeiro, cópia salva quando offline (módulos sempre da mesma versão)
+ * - SDK do Firebase: cópia salva na hora e atualização em segundo plano (stale-while-revalidate)
+ * - Imagens dos produtos: cache em tempo de execução, com limite de entradas
+ * - Firestore não passa por aqui: o catálogo offline vem do cache do site (src/js/utils/cache.js)
+ *   e do HTML pré-renderizado
+ *
+ * Ao alterar os arquivos do site, atualize SW_VERSION junto com o ?v= dos scripts
+ * nas páginas: a nova versão é instalada e o site oferece "Atualizar" (src/js/app/pwa.js).
+ */
+
+const SW_VERSION = '20251215-1400';
+
+const SHELL_CACHE = `artesanato-shell-${SW_VERSION}`;
+const IMAGE_CACHE = 'artesanato-images';
+const CACHE_PREFIX = 'artesanato-';
+
+// Imagens guardadas em tempo de execução (as mais antigas saem primeiro)
+const MAX_IMAGE_ENTRIES = 80;
+
+// Arquivos obrigatórios: se algum faltar, a instalação falha e a versão anterior continua
+const SHELL_ASSETS = [
+    '/manifest.webmanifest',
+    '/src/css/style.css',
+    '/src/css/base.css',
+    '/src/css/layout.css',
+    '/src/css/layout/container.css',
+    '/src/css/layout/header.css',
+    '/src/css/layout/navigation.css',
+    '/src/css/layout/footer.css',
+    '/src/css/layout/responsive.css',
+    '/src/css/components.css',
+    '/src/css/components/buttons.css',
+    '/src/css/components/hero.css',
+    '/src/css/components/product-card.css',
+    '/src/css/components/reviews.css',
+    '/src/css/components/promotions.css',
+    '/src/css/components/wishlist.css',
+    '/src/css/components/quote-request.css',
+    '/src/css/components/cart.css',
+    '/src/css/components/modal.css',
+    '/src/css/components/loader.css',
+    '/src/css/components/categories.css',
+    '/src/css/components/search.css',
+    '/src/css/components/filters.css',
+    '/src/css/components/sections.css',
+    '/src/css/components/offline.css',
+    '/src/css/components/utilities.css',
+    '/src/css/pages/home.css',
+    '/src/css/pages/products.css',
+    '/src/css/pages/product.css',
+    '/src/js/main-modular.js',
+    '/src/js/header.js',
+    '/src/js/app/cart-drawer.js',
+    '/src/js/app/cart.js',
+    '/src/js/app/catalog-filters.js',
+    '/src/js/app/categories.js',
+    '/src/js/app/checkout.js',
+    '/src/js/app/dom.js',
+    '/src/js/app/events.js',
+    '/src/js/app/inventory.js',
+    '/src/js/app/modal.js',
+    '/src/js/app/offline-status.js',
+    '/src/js/app/prerender.js',
+    '/src/js/app/price-schedule.js',
+    '/src/js/app/product-data.js',
+    '/src/js/app/product-seo.js',
+    '/src/js/app/products.js',
+    '/src/js/app/promotions.js',
+    '/src/js/app/pwa.js',
+    '/src/js/app/quote-request.js',
+    '/src/js/app/reviews.js',
+    '/src/js/app/search-index.js',
+    '/src/js/app/slideshow.js',
+    '/src/js/app/url-state.js',
+    '/src/js/app/variants.js',
+    '/src/js/app/wishlist-view.js',
+    '/src/js/app/wishlist.js',
+    '/src/js/handlers/global-events.js',
+    '/src/js/helpers/image-fallback.js',
+    '/src/js/helpers/zoom.js',
+    '/src/js/utils/cache.js',
+    '/src/js/utils/debug.js',
+    '/src/js/utils/functions.js',
+    '/src/js/utils/storage-sdk.js',
+    '/src/img/icons/logo.webp',
+    '/src/img/icons/logo.jpg'
+];
+
+// Páginas e arquivos gerados no deploy ou de outra origem: salvos se disponíveis.
+// Com cleanUrls, o Firebase Hosting serve as páginas sem ".html".
+const OPTIONAL_ASSETS = [
+    '/',
+    '/products',
+    '/produto',
+    '/src/js/firebase-config-private.js',
+    'https://www.gstatic.com/firebasejs/10.7.1/firebase-app-compat.js',
+    'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore-compat.js'
+];
+
+// SDK do Firebase usado pelas páginas (mesma versão do HTML)
+const FIREBASE_SDK_PREFIX = 'https://www.gstatic.com/firebasejs/';
+
+// Painel administrativo: sempre direto da rede
+const EXCLUDED_PATHS = ['/admin'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+        await Promise.all(OPTIONAL_ASSETS.map(url =>
+            cache.add(url).catch(() => undefined)
+        ));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Remove o app shell de versões anteriores (as imagens continuam válidas)
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// A nova versão só assume quando o visitante aceita a atualização
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Caminho da página sem ".html" e sem "index" (como o Firebase Hosting com cleanUrls).
+ * @param {string} pathname
+ * @returns {string}
+ */
+function cleanPath(pathname) {
+    const path = pathname.replace(/\.html$/, '').replace(/\/index$/, '/');
+    return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+/**
+ * Página salva que atende a navegação quando offline:
+ * a própria página, o modelo dinâmico da seção ou a página inicial.
+ * @param {URL} url
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchOfflinePage(url) {
+    const cache = await caches.open(SHELL_CACHE);
+    const path = cleanPath(url.pathname);
+
+    const candidates = [path];
+    if (path.startsWith('/produto/')) candidates.push('/produto');
+    if (path.startsWith('/categoria/')) candidates.push('/products');
+    candidates.push('/');
+
+    for (const candidate of candidates) {
+        const response = await cache.match(candidate, { ignoreSearch: true });
+        if (response) return response;
+    }
+    return undefined;
+}
+
+/**
+ * Navegação: rede primeiro (conteúdo sempre atualizado) e cópia salva offline.
+ * Páginas visitadas (categorias e produtos) ficam disponíveis sem conexão.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    const url = new URL(request.url);
+    try {
+        const response = await fetch(request);
+        // Respostas redirecionadas não podem ser reaproveitadas em navegações
+        if (response.ok && !response.redirected) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(cleanPath(url.pathname), response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await matchOfflinePage(url);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * CSS e JS do site: rede primeiro e cópia salva quando offline.
+ * Os módulos importados não levam ?v=..., então servir a cópia salva primeiro
+ * misturaria módulos de versões diferentes depois de um deploy.
+ * A cópia fica salva pelo caminho; offline, a busca ignora a query string.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleSiteAsset(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(new URL(request.url).pathname, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * SDK do Firebase: a versão faz parte do caminho, então a cópia salva pode
+ * responder na hora, com atualização em segundo plano (stale-while-revalidate).
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleSdkAsset(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const update = fetch(request).then(async (response) => {
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => undefined));
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * Remove as imagens mais antigas além do limite.
+ * @param {Cache} cache
+ */
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_IMAGE_ENTRIES;
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}
+
+/**
+ * Imagens: cópia salva primeiro (URLs do Storage mudam quando a imagem muda).
+ * Imagens de outra origem chegam opacas (sem CORS) e também são salvas.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleImage(event) {
+    const { request } = event;
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        event.waitUntil((async () => {
+            await cache.put(request, response.clone());
+            await trimImageCache(cache);
+        })());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && EXCLUDED_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+    if (request.mode === 'navigate' && sameOrigin) {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(handleImage(event));
+        return;
+    }
+
+    if (sameOrigin && ['script', 'style', 'manifest'].includes(request.destination)) {
+        event.respondWith(handleSiteAsset(request));
+    } else if (!sameOrigin && request.url.startsWith(FIREBASE_SDK_PREFIX)) {
+        event.respondWith(handleSdkAsset(event));
+    }
+});